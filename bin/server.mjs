@@ -10,6 +10,7 @@ import log from 'book';
 import Debug from 'debug';
 
 import CreateServer from '../server.js';
+import AdminAuthenticator from '../lib/AdminAuthenticator.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -30,6 +31,8 @@ const argv = minimist(process.argv.slice(2), {
         'admin-address': process.env.LT_ADMIN_ADDRESS || '0.0.0.0',
         'port-range-start': parseInt(process.env.LT_PORT_RANGE_START),
         'port-range-end': parseInt(process.env.LT_PORT_RANGE_END),
+        'tcp-port-range-start': parseInt(process.env.LT_TCP_PORT_RANGE_START),
+        'tcp-port-range-end': parseInt(process.env.LT_TCP_PORT_RANGE_END),
         landing: process.env.LT_LANDING,
         'http-proxy-port': parseInt(process.env.LT_HTTP_PROXY_PORT),
         'https-proxy-port': parseInt(process.env.LT_HTTPS_PROXY_PORT),
@@ -52,6 +55,8 @@ Options:
   --admin-address <ip>      IP address for admin server to bind to (default: 0.0.0.0)
   --port-range-start <num>  starting port for client TCP connections (e.g., 10000)
   --port-range-end <num>    ending port for client TCP connections (e.g., 10100)
+  --tcp-port-range-start <num>  starting public port for raw TCP tunnels (e.g., 20000)
+  --tcp-port-range-end <num>    ending public port for raw TCP tunnels (e.g., 20100)
   --landing <url>           landing page URL for root requests
   --http-proxy-port <num>   public proxy port for HTTP traffic (used in generated URLs)
   --https-proxy-port <num>  public proxy port for HTTPS traffic (used in generated URLs)
@@ -67,6 +72,9 @@ Environment Variables:
   LT_ADMIN_ADDRESS          same as --admin-address
   LT_PORT_RANGE_START       same as --port-range-start
   LT_PORT_RANGE_END         same as --port-range-end
+  LT_TCP_PORT_RANGE_START   same as --tcp-port-range-start
+  LT_TCP_PORT_RANGE_END     same as --tcp-port-range-end
+  LT_TCP_MAX_CONNECTIONS    maximum public connections per raw TCP tunnel (default: 100)
   LT_LANDING                same as --landing
   LT_HTTP_PROXY_PORT        same as --http-proxy-port
   LT_HTTPS_PROXY_PORT       same as --https-proxy-port
@@ -86,6 +94,8 @@ const { server, adminServer } = CreateServer({
     domain: argv.domain,
     portRangeStart: argv['port-range-start'],
     portRangeEnd: argv['port-range-end'],
+    tcpPortRangeStart: argv['tcp-port-range-start'],
+    tcpPortRangeEnd: argv['tcp-port-range-end'],
     landing: argv.landing,
     httpProxyPort: argv['http-proxy-port'],
     httpsProxyPort: argv['https-proxy-port'],
@@ -109,6 +119,13 @@ if (argv['admin-port']) {
     debug('admin API running on same port as public server');
 }
 
+if (!AdminAuthenticator.isConfigured()) {
+    console.warn('WARNING: No admin credential configured (LT_ADMIN_TOKEN or LT_ADMIN_HMAC_SECRET): ' +
+                 (argv['admin-port']
+                     ? 'the admin routes are served without authentication on the admin port'
+                     : 'the admin routes are unavailable'));
+}
+
 process.on('SIGINT', () => {
     process.exit();
 });
@@ -48,8 +48,10 @@
  */
 
 import assert from 'assert/strict';
+import crypto from 'crypto';
 import nock from 'nock';
 import net from 'net';
+import tls from 'tls';
 import http from 'http';
 import { EventEmitter } from 'events';
 
@@ -61,9 +63,9 @@ import { EventEmitter } from 'events';
  * Specification version information
  * Update these constants when the protocol changes
  */
-const SPEC_VERSION = '1.2.1';
+const SPEC_VERSION = '1.9.0';
 const PROTOCOL_VERSION = '0.0.10-epc';
-const SPEC_LAST_UPDATED = '2025-10-28';
+const SPEC_LAST_UPDATED = '2026-10-19';
 
 /**
  * Protocol specifications that clients must implement
@@ -78,6 +80,8 @@ const PROTOCOL_SPECS = {
 
   // Response format (JSON)
   RESPONSE_FIELDS: ['id', 'port', 'max_conn_count', 'url'],
+  RESPONSE_OPTIONAL_FIELDS: ['connect_secret', 'tls', 'transport', 'connect_url', 'type', 'public_host',
+    'public_port', 'max_connections'],
 
   // Client Token Authentication (NEW in 0.0.9-epc)
   CLIENT_TOKEN_HEADER: 'X-LT-Client-Token',
@@ -90,6 +94,7 @@ const PROTOCOL_SPECS = {
   HMAC_ALGORITHM: 'sha256',
   HMAC_AUTH_HEADER: 'Authorization',
   HMAC_AUTH_FORMAT: 'HMAC sha256=<hex_signature>',
+  HMAC_AUTH_FORMAT_WITH_KEY_ID: 'HMAC keyId=<key_id>,sha256=<hex_signature>', // named keys (FILE_LT_HMAC_KEYS)
   HMAC_TIMESTAMP_HEADER: 'X-Timestamp',
   HMAC_NONCE_HEADER: 'X-Nonce',
   HMAC_MESSAGE_FORMAT: 'METHOD+PATH+TIMESTAMP+NONCE+BODY',
@@ -98,6 +103,84 @@ const PROTOCOL_SPECS = {
   HMAC_NONCE_THRESHOLD: 3600, // seconds (default)
   HMAC_NONCE_TYPE: 'numeric', // Unix epoch in milliseconds
 
+  // HMAC signing v2 (canonical request, NEW in spec 1.3.0)
+  // v1 and v2 are both accepted while clients migrate (server may disable v1: LT_HMAC_ACCEPT_V1=false)
+  HMAC_V2_AUTH_FORMAT: 'HMAC-V2 [keyId=<key_id>,]signedHeaders=<h1;h2>,signature=<hex_signature>',
+  HMAC_V2_CANONICAL_REQUEST: [
+    'METHOD',
+    'PATH',
+    'CANONICAL_QUERY',        // pairs RFC 3986 encoded, sorted by name then value; "?new" -> "new="
+    'name:value (per signed header, lowercase names, sorted, value trimmed)',
+    'SIGNED_HEADERS',         // lowercase names joined with ";"
+    'TIMESTAMP',
+    'NONCE',
+    'SHA256_HEX(BODY)'        // exact body bytes; empty string for GET
+  ].join('\n'),
+  HMAC_V2_REQUIRED_SIGNED_HEADERS: ['host'],
+  HMAC_V2_REQUIRED_SIGNED_HEADERS_IF_SENT: ['x-lt-client-token'],
+
+  // Tunnel socket handshake (NEW in spec 1.4.0)
+  // Each TCP socket opened to `port` first sends "LT-AUTH <connect_secret>\n";
+  // bytes after the newline are tunnel traffic. Failures get "LT-ERROR <reason>\n" and are closed.
+  // connect_secret is absent when the server allows unauthenticated sockets (LT_ALLOW_UNAUTHENTICATED_SOCKETS)
+  CONNECT_SECRET_FIELD: 'connect_secret',
+  CONNECT_HANDSHAKE_FORMAT: 'LT-AUTH <connect_secret>\n',
+  CONNECT_HANDSHAKE_ERROR_FORMAT: 'LT-ERROR <reason>\n',
+  CONNECT_HANDSHAKE_ERRORS: ['invalid_secret', 'invalid_handshake', 'handshake_timeout'],
+  CONNECT_HANDSHAKE_TIMEOUT: 5000, // ms (default), per socket
+
+  // Tunnel socket TLS (NEW in spec 1.5.0)
+  // With "tls": true in the creation response, sockets to `port` are opened with TLS
+  // (server name: the tunnel server host) and the LT-AUTH handshake is sent inside TLS.
+  // The server may require a client certificate (configured on the client side).
+  TUNNEL_TLS_FIELD: 'tls',
+
+  // Multiplexed transport (NEW in spec 1.6.0)
+  // Requested with POST /api/tunnels { "transport": "mux" }; the response then has "transport": "mux".
+  // The client opens ONE socket to `port` (after the LT-AUTH handshake / TLS) carrying yamux frames:
+  //   version (uint8, 0) | type (uint8) | flags (uint16) | stream id (uint32) | length (uint32), big endian
+  // DATA frames are followed by `length` bytes; for the other types `length` is the value itself.
+  // The server opens a stream per visitor connection (even ids, SYN flag); the client answers with
+  // ACK and forwards the stream to the local service. Streams opened by the client are reset.
+  // max_conn_count is the maximum number of concurrent streams.
+  MUX_TRANSPORT_FIELD: 'transport',
+  MUX_TRANSPORTS: ['tcp', 'mux'],
+  MUX_HEADER_LENGTH: 12,
+  MUX_FRAME_TYPES: { DATA: 0, WINDOW_UPDATE: 1, PING: 2, GO_AWAY: 3 },
+  MUX_FLAGS: { SYN: 0x1, ACK: 0x2, FIN: 0x4, RST: 0x8 },
+  MUX_INITIAL_WINDOW: 256 * 1024, // bytes per stream and direction, before window updates
+  MUX_MAX_FRAME_PAYLOAD: 64 * 1024, // bytes, data frames sent by the server
+
+  // Tunnel sockets over WebSocket (NEW in spec 1.7.0)
+  // When `port` cannot be reached (e.g. only outbound HTTPS), a tunnel socket can be opened as a
+  // WebSocket to `connect_url` (ws(s)://<server host>/_lt/connect/<id>). The first message is the
+  // LT-AUTH handshake; the following (binary) messages are the tunnel traffic, like TCP bytes.
+  // connect_url is absent when the server does not accept WebSocket tunnel sockets.
+  CONNECT_URL_FIELD: 'connect_url',
+  CONNECT_URL_PATH: '/_lt/connect/',
+  CONNECT_MAX_MESSAGE_SIZE: 1024 * 1024, // bytes per message
+
+  // Raw TCP tunnels (NEW in spec 1.8.0)
+  // POST /api/tunnels with "type": "tcp" exposes a non-HTTP service on a public port. The response
+  // adds type, public_host, public_port and max_connections; url is tcp://<public_host>:<public_port>.
+  // Every public connection is piped to one tunnel socket, which the client pipes to its local
+  // service. Tunnel sockets are not reused: the client opens a new one when one closes.
+  TCP_TUNNEL_TYPE_FIELD: 'type',
+  TCP_TUNNEL_TYPES: ['http', 'tcp'],
+  TCP_TUNNEL_URL_SCHEME: 'tcp:',
+
+  // Tunnel socket liveness (NEW in spec 1.9.0)
+  // Clients may list protocol features after the secret: "LT-AUTH <connect_secret> ping\n".
+  // With "ping", the server checks idle pooled sockets by writing "LT-PING\n"; the client must
+  // answer "LT-PONG\n" within LIVENESS_PING_TIMEOUT or the socket is closed. Pings are only sent
+  // on idle sockets, never once a socket carries a request. WebSocket tunnel sockets get WebSocket
+  // pings and mux connections yamux pings (PING with SYN, answered with ACK) instead.
+  LIVENESS_HANDSHAKE_FORMAT: 'LT-AUTH <connect_secret> ping\n',
+  LIVENESS_PING_LINE: 'LT-PING\n',
+  LIVENESS_PONG_LINE: 'LT-PONG\n',
+  LIVENESS_PING_INTERVAL: 30000, // ms (default), between checks of idle sockets
+  LIVENESS_PING_TIMEOUT: 5000, // ms (default)
+
   // Subdomain validation
   SUBDOMAIN_MIN_LENGTH: 4,
   SUBDOMAIN_MAX_LENGTH: 63,
@@ -158,10 +241,72 @@ const PROTOCOL_SPECS = {
     'http_forwarding',
     'websocket_upgrade',
     'error_handling',
-    'grace_period_reconnection'
+    'grace_period_reconnection',
+    'connect_handshake',
+    'tunnel_tls',
+    'mux_transport',
+    'websocket_transport',
+    'tcp_tunnels',
+    'socket_liveness'
   ]
 };
 
+/**
+ * HMAC signing v2 test vectors
+ * A client implementation must produce exactly these canonical requests and signatures
+ *
+ * @since 1.3.0
+ */
+const HMAC_V2_TEST_VECTORS = [
+  {
+    description: 'random subdomain with client token',
+    secret: 'test-secret-32-characters-long!!',
+    method: 'GET',
+    path: '/',
+    query: 'new',
+    headers: { host: 'tunnel.example.com', 'x-lt-client-token': 'my-client-token' },
+    signedHeaders: ['host', 'x-lt-client-token'],
+    timestamp: '1735401600',
+    nonce: '1735401600000',
+    body: '',
+    canonicalRequest: [
+      'GET',
+      '/',
+      'new=',
+      'host:tunnel.example.com',
+      'x-lt-client-token:my-client-token',
+      'host;x-lt-client-token',
+      '1735401600',
+      '1735401600000',
+      'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+    ].join('\n'),
+    authorization: 'HMAC-V2 signedHeaders=host;x-lt-client-token,signature=190d498fd0eaa80f99c135f9004df9572f1e33a533900b5f2694b8dfab8e45e6'
+  },
+  {
+    description: 'JSON body with unsorted query string',
+    secret: 'test-secret-32-characters-long!!',
+    method: 'POST',
+    path: '/api/tunnels',
+    query: 'b=2&a=1&a=0',
+    headers: { host: 'tunnel.example.com', 'content-type': 'application/json' },
+    signedHeaders: ['host'],
+    timestamp: '1735401600',
+    nonce: '1735401600001',
+    body: '{"subdomain":"my-app"}',
+    canonicalRequest: [
+      'POST',
+      '/api/tunnels',
+      'a=0&a=1&b=2',
+      'host:tunnel.example.com',
+      'host',
+      '1735401600',
+      '1735401600001',
+      '2e15036de1a95b9dcd94964fb4e12f0e0847171cb3790bfa78d370417795fd67'
+    ].join('\n'),
+    authorization: 'HMAC-V2 signedHeaders=host,signature=1c5796325b8427cdfbe3be0fa3b207fe295c1876d3cca350e69947788757eccd'
+  }
+];
+
 // =============================================================================
 // MOCK SERVER SETUP
 // =============================================================================
@@ -185,27 +330,67 @@ class MockLocalTunnelServer {
     const tunnelId = subdomain || this._generateRandomId();
     const tcpPort = options.port || this._getRandomPort();
     const maxConnCount = options.maxConnCount || 10;
+    // null: server allows unauthenticated sockets, no secret is returned
+    const connectSecret = options.connectSecret === undefined
+      ? crypto.randomBytes(32).toString('base64url')
+      : options.connectSecret;
 
-    const path = subdomain ? `/${subdomain}` : '/';
-    const scope = nock(this.baseUrl)
-      .get(path)
-      .query(subdomain ? {} : { new: '' })
-      .reply(options.statusCode || 200, {
-        id: tunnelId,
-        ip: '127.0.0.1', // Return localhost so TCP connection works
-        port: tcpPort,
-        max_conn_count: maxConnCount,
-        url: `https://${tunnelId}.${this.domain}`
-      });
+    const response = {
+      id: tunnelId,
+      ip: '127.0.0.1', // Return localhost so TCP connection works
+      port: tcpPort,
+      max_conn_count: maxConnCount,
+      url: `https://${tunnelId}.${this.domain}`
+    };
+    if (connectSecret) {
+      response.connect_secret = connectSecret;
+    }
+    // true: tunnel sockets must use TLS (see createMockTcpServer options.tls)
+    if (options.tls) {
+      response.tls = true;
+    }
+
+    // true: tunnel sockets can also be opened as WebSockets (spec 1.7.0)
+    if (options.connectUrl) {
+      response.connect_url = `wss://${this.domain}${PROTOCOL_SPECS.CONNECT_URL_PATH}${tunnelId}`;
+    }
+
+    // 'tcp': raw TCP tunnel on a public port (spec 1.8.0)
+    if (options.type === 'tcp') {
+      const publicPort = options.publicPort || this._getRandomPort();
+      response.type = 'tcp';
+      response.public_host = this.domain;
+      response.public_port = publicPort;
+      response.max_connections = options.maxConnections || 100;
+      response.url = `tcp://${this.domain}:${publicPort}`;
+    }
+
+    let scope;
+    if (options.transport || options.type) {
+      // transports and tunnel types are negotiated on POST /api/tunnels
+      if (options.transport) {
+        response.transport = options.transport;
+      }
+      scope = nock(this.baseUrl)
+        .post('/api/tunnels', body => body.transport === options.transport && body.type === options.type)
+        .reply(options.statusCode || 201, response);
+    } else {
+      const path = subdomain ? `/${subdomain}` : '/';
+      scope = nock(this.baseUrl)
+        .get(path)
+        .query(subdomain ? {} : { new: '' })
+        .reply(options.statusCode || 200, response);
+    }
 
     this.tunnels.set(tunnelId, {
       id: tunnelId,
       port: tcpPort,
       maxConnCount: maxConnCount,
+      connectSecret: connectSecret,
       sockets: []
     });
 
-    return { tunnelId, tcpPort, maxConnCount, scope };
+    return { tunnelId, tcpPort, maxConnCount, connectSecret, scope };
   }
 
   /**
@@ -248,11 +433,12 @@ class MockLocalTunnelServer {
    */
   createMockTcpServer(port, options = {}) {
     return new Promise((resolve) => {
-      const server = net.createServer();
+      // options.tls: { cert, key } to accept TLS tunnel sockets only
+      const server = options.tls ? tls.createServer(options.tls) : net.createServer();
       const emitter = new EventEmitter();
       const sockets = [];
 
-      server.on('connection', (socket) => {
+      server.on(options.tls ? 'secureConnection' : 'connection', (socket) => {
         sockets.push(socket);
         emitter.emit('clientConnected', socket);
 
@@ -1751,6 +1937,359 @@ describe('LocalTunnel Client Specification', function() {
     });
   });
 
+  // ===========================================================================
+  // HMAC SIGNING V2 TESTS
+  // @since 1.3.0
+  // ===========================================================================
+
+  describe('HMAC Signing v2 (Canonical Request)', function() {
+    HMAC_V2_TEST_VECTORS.forEach((vector) => {
+      it(`should match the test vector: ${vector.description}`, function() {
+        // The vectors are self-consistent: canonical request -> signature
+        const signature = crypto.createHmac('sha256', vector.secret).update(vector.canonicalRequest).digest('hex');
+        assert.equal(`HMAC-V2 signedHeaders=${vector.signedHeaders.join(';')},signature=${signature}`, vector.authorization);
+
+        // TODO: Verify your client builds the same canonical request and Authorization header
+        // const client = new YourClientClass({ hmacSecret: vector.secret, hmacVersion: 2 });
+        // const canonical = client._buildCanonicalRequest(vector);
+        // assert.equal(canonical, vector.canonicalRequest);
+
+        assert.fail('Replace with your client implementation'); // Remove this line when implementing
+      });
+    });
+
+    it('should sign the query string, Host and X-LT-Client-Token headers', async function() {
+      const { tunnelId, tcpPort } = mockServer.mockTunnelCreation();
+
+      // TODO: Verify client sends a v2 Authorization header covering the required headers
+      // const client = new YourClientClass({
+      //   port: 3000,
+      //   host: 'http://localhost:8080',
+      //   clientToken: 'my-client-token',
+      //   hmacSecret: 'secret-32-chars-long-secret-here!!',
+      //   hmacVersion: 2
+      // });
+      //
+      // const scope = nock('http://localhost:8080')
+      //   .matchHeader('Authorization', /^HMAC-V2 signedHeaders=host;x-lt-client-token,signature=[a-f0-9]{64}$/)
+      //   .matchHeader('X-Timestamp', /^\d+$/)
+      //   .matchHeader('X-Nonce', /^\d+$/)
+      //   .get('/')
+      //   .query({ new: '' })
+      //   .reply(200, { id: tunnelId, port: tcpPort, max_conn_count: 10, url: '...' });
+      //
+      // await client.open();
+      // assert(scope.isDone());
+
+      assert.fail('Replace with your client implementation'); // Remove this line when implementing
+    });
+  });
+
+  // ===========================================================================
+  // CONNECT HANDSHAKE TESTS
+  // @since 1.4.0
+  // ===========================================================================
+
+  describe('Connect Handshake', function() {
+    it('should send the connect secret as the first line of every TCP socket', async function() {
+      const { tunnelId, tcpPort, connectSecret } = mockServer.mockTunnelCreation();
+      const tcpMock = await mockServer.createMockTcpServer(tcpPort);
+
+      const firstData = new Promise((resolve) => {
+        tcpMock.emitter.once('clientData', (socket, data) => resolve(data.toString()));
+      });
+
+      // TODO: Verify the handshake precedes any other data
+      // const client = new YourClientClass({
+      //   port: 3000,
+      //   host: 'http://localhost:8080'
+      // });
+      //
+      // await client.open();
+      //
+      // const data = await firstData;
+      // assert(data.startsWith(`LT-AUTH ${connectSecret}\n`));
+      //
+      // await client.close();
+
+      await tcpMock.close();
+      assert.fail('Replace with your client implementation'); // Remove this line when implementing
+    });
+
+    it('should not send a handshake when no connect_secret is returned', async function() {
+      const { tunnelId, tcpPort } = mockServer.mockTunnelCreation(null, { connectSecret: null });
+      const tcpMock = await mockServer.createMockTcpServer(tcpPort);
+
+      // TODO: Verify older servers (no connect_secret) get plain tunnel sockets
+      // const client = new YourClientClass({ port: 3000, host: 'http://localhost:8080' });
+      // await client.open();
+      //
+      // const socket = await new Promise(resolve => tcpMock.emitter.once('clientConnected', resolve));
+      // mockServer.sendHttpRequest(socket, { path: '/' });
+      // ... the first bytes the client writes are the HTTP response, not "LT-AUTH"
+      //
+      // await client.close();
+
+      await tcpMock.close();
+      assert.fail('Replace with your client implementation'); // Remove this line when implementing
+    });
+
+    it('should surface LT-ERROR replies from the server', async function() {
+      const { tunnelId, tcpPort } = mockServer.mockTunnelCreation();
+      const tcpMock = await mockServer.createMockTcpServer(tcpPort);
+
+      tcpMock.emitter.on('clientConnected', (socket) => {
+        socket.end('LT-ERROR invalid_secret\n');
+      });
+
+      // TODO: Verify the client surfaces the error (e.g. 'error' event with the reason)
+      // const client = new YourClientClass({ port: 3000, host: 'http://localhost:8080' });
+      // const error = new Promise(resolve => client.once('error', resolve));
+      // await client.open();
+      // assert.match((await error).message, /invalid_secret/);
+      //
+      // await client.close();
+
+      await tcpMock.close();
+      assert.fail('Replace with your client implementation'); // Remove this line when implementing
+    });
+  });
+
+  // ===========================================================================
+  // TUNNEL SOCKET TLS TESTS
+  // @since 1.5.0
+  // ===========================================================================
+
+  describe('Tunnel Socket TLS', function() {
+    it('should open tunnel sockets with TLS when the response has tls: true', async function() {
+      const { tunnelId, tcpPort, connectSecret } = mockServer.mockTunnelCreation(null, { tls: true });
+      // Provide a certificate your client trusts (e.g. a test CA passed to the client)
+      // const tcpMock = await mockServer.createMockTcpServer(tcpPort, { tls: { cert, key } });
+
+      // TODO: Verify the handshake is sent inside the TLS session
+      // const client = new YourClientClass({ port: 3000, host: 'http://localhost:8080', ca });
+      // const firstData = new Promise((resolve) => {
+      //   tcpMock.emitter.once('clientData', (socket, data) => resolve(data.toString()));
+      // });
+      //
+      // await client.open();
+      // assert((await firstData).startsWith(`LT-AUTH ${connectSecret}\n`));
+      //
+      // await client.close();
+      // await tcpMock.close();
+
+      assert.fail('Replace with your client implementation'); // Remove this line when implementing
+    });
+
+    it('should refuse a tunnel certificate it does not trust', async function() {
+      const { tunnelId, tcpPort } = mockServer.mockTunnelCreation(null, { tls: true });
+
+      // TODO: Verify the client does not send tunnel traffic over an unverified TLS session
+      // const tcpMock = await mockServer.createMockTcpServer(tcpPort, { tls: { cert, key } });
+      // const client = new YourClientClass({ port: 3000, host: 'http://localhost:8080' });
+      // const error = new Promise(resolve => client.once('error', resolve));
+      // await client.open();
+      // assert.match((await error).message, /certificate/);
+      //
+      // await client.close();
+      // await tcpMock.close();
+
+      assert.fail('Replace with your client implementation'); // Remove this line when implementing
+    });
+  });
+
+  // ===========================================================================
+  // MULTIPLEXED TRANSPORT TESTS
+  // @since 1.6.0
+  // ===========================================================================
+
+  describe('Multiplexed Transport', function() {
+    const { MUX_FRAME_TYPES, MUX_FLAGS } = PROTOCOL_SPECS;
+
+    function muxFrame(type, flags, streamId, length, payload = Buffer.alloc(0)) {
+      const header = Buffer.alloc(PROTOCOL_SPECS.MUX_HEADER_LENGTH);
+      header.writeUInt8(0, 0);
+      header.writeUInt8(type, 1);
+      header.writeUInt16BE(flags, 2);
+      header.writeUInt32BE(streamId, 4);
+      header.writeUInt32BE(length, 8);
+      return Buffer.concat([header, payload]);
+    }
+
+    it('should open a single tunnel socket when the response has transport: mux', async function() {
+      const { tunnelId, tcpPort, maxConnCount } = mockServer.mockTunnelCreation(null, { transport: 'mux' });
+      const tcpMock = await mockServer.createMockTcpServer(tcpPort);
+
+      // TODO: Verify only one socket is opened, whatever max_conn_count is
+      // const client = new YourClientClass({ port: 3000, host: 'http://localhost:8080', transport: 'mux' });
+      // await client.open();
+      // await new Promise(resolve => setTimeout(resolve, 200));
+      //
+      // assert.equal(tcpMock.sockets.length, 1);
+      //
+      // await client.close();
+
+      await tcpMock.close();
+      assert.fail('Replace with your client implementation'); // Remove this line when implementing
+    });
+
+    it('should acknowledge streams and forward them to the local service', async function() {
+      const { tunnelId, tcpPort } = mockServer.mockTunnelCreation(null, { transport: 'mux' });
+      const tcpMock = await mockServer.createMockTcpServer(tcpPort);
+
+      // TODO: Open stream 2 from the server side and verify the client answers with ACK
+      // and relays the local service response as DATA frames on stream 2
+      // const localServer = http.createServer((req, res) => res.end('hello'));
+      // await new Promise(resolve => localServer.listen(3000, resolve));
+      // const client = new YourClientClass({ port: 3000, host: 'http://localhost:8080', transport: 'mux' });
+      //
+      // const socket = await new Promise(resolve => tcpMock.emitter.once('clientConnected', resolve));
+      // await client.open();
+      // socket.write(muxFrame(MUX_FRAME_TYPES.WINDOW_UPDATE, MUX_FLAGS.SYN, 2, 0));
+      // const request = Buffer.from('GET / HTTP/1.1\r\nHost: localhost\r\n\r\n');
+      // socket.write(muxFrame(MUX_FRAME_TYPES.DATA, 0, 2, request.length, request));
+      //
+      // // after the LT-AUTH line: WINDOW_UPDATE with ACK on stream 2, then DATA frames with the response
+      // const data = await new Promise(resolve => tcpMock.emitter.on('clientData', (s, d) => {
+      //   if (d.includes('hello')) resolve(d);
+      // }));
+      // assert.equal(data.readUInt32BE(4), 2);
+      //
+      // await client.close();
+      // await new Promise(resolve => localServer.close(resolve));
+
+      await tcpMock.close();
+      assert.fail('Replace with your client implementation'); // Remove this line when implementing
+    });
+
+    it('should answer pings and respect the stream window', async function() {
+      const { tunnelId, tcpPort } = mockServer.mockTunnelCreation(null, { transport: 'mux' });
+      const tcpMock = await mockServer.createMockTcpServer(tcpPort);
+
+      // TODO: Send PING with SYN and expect PING with ACK and the same value;
+      // never send more than MUX_INITIAL_WINDOW bytes on a stream before a WINDOW_UPDATE
+      // socket.write(muxFrame(MUX_FRAME_TYPES.PING, MUX_FLAGS.SYN, 0, 42));
+
+      await tcpMock.close();
+      assert.fail('Replace with your client implementation'); // Remove this line when implementing
+    });
+  });
+
+  // ===========================================================================
+  // WEBSOCKET TRANSPORT TESTS
+  // @since 1.7.0
+  // ===========================================================================
+
+  describe('Tunnel Sockets over WebSocket', function() {
+    it('should open tunnel sockets as WebSockets to connect_url', async function() {
+      const { tunnelId, connectSecret } = mockServer.mockTunnelCreation(null, { connectUrl: true });
+
+      // TODO: Start a WebSocket server (e.g. the ws package) on the connect_url port and verify
+      // the first message is the handshake and each tunnel socket is one WebSocket
+      // const wss = new WebSocketServer({ port: 8081 });
+      // const firstMessage = new Promise(resolve => wss.once('connection', (ws, req) => {
+      //   assert.equal(req.url, `${PROTOCOL_SPECS.CONNECT_URL_PATH}${tunnelId}`);
+      //   ws.once('message', data => resolve(data.toString()));
+      // }));
+      //
+      // const client = new YourClientClass({ port: 3000, host: 'http://localhost:8080', transport: 'websocket' });
+      // await client.open();
+      // assert.equal(await firstMessage, `LT-AUTH ${connectSecret}\n`);
+      //
+      // await client.close();
+      // wss.close();
+
+      assert.fail('Replace with your client implementation'); // Remove this line when implementing
+    });
+
+    it('should not use WebSockets when the response has no connect_url', async function() {
+      const { tunnelId, tcpPort } = mockServer.mockTunnelCreation();
+      const tcpMock = await mockServer.createMockTcpServer(tcpPort);
+
+      // TODO: Verify the client falls back to (or reports that it needs) the tunnel port
+      // const client = new YourClientClass({ port: 3000, host: 'http://localhost:8080', transport: 'websocket' });
+
+      await tcpMock.close();
+      assert.fail('Replace with your client implementation'); // Remove this line when implementing
+    });
+  });
+
+  // ===========================================================================
+  // RAW TCP TUNNEL TESTS
+  // @since 1.8.0
+  // ===========================================================================
+
+  describe('Raw TCP Tunnels', function() {
+    it('should request a raw TCP tunnel and report its public address', async function() {
+      const { tunnelId, tcpPort } = mockServer.mockTunnelCreation(null, { type: 'tcp', publicPort: 20000 });
+      const tcpMock = await mockServer.createMockTcpServer(tcpPort);
+
+      // TODO: Verify the client posts "type": "tcp" and exposes the tcp:// url
+      // const client = new YourClientClass({ port: 5432, host: 'http://localhost:8080', type: 'tcp' });
+      // await client.open();
+      // assert.equal(client.getInfo().url, `tcp://${mockServer.domain}:20000`);
+      //
+      // await client.close();
+
+      await tcpMock.close();
+      assert.fail('Replace with your client implementation'); // Remove this line when implementing
+    });
+
+    it('should pipe tunnel sockets to the local service and replace closed ones', async function() {
+      const { tunnelId, tcpPort } = mockServer.mockTunnelCreation(null, { type: 'tcp' });
+      const tcpMock = await mockServer.createMockTcpServer(tcpPort);
+
+      // TODO: Start a local TCP service (no HTTP parsing), write raw bytes on a tunnel socket and
+      // expect them on the service; close the tunnel socket and expect the client to open a new one
+      // const service = net.createServer(socket => socket.pipe(socket));
+      // await new Promise(resolve => service.listen(5432, resolve));
+
+      await tcpMock.close();
+      assert.fail('Replace with your client implementation'); // Remove this line when implementing
+    });
+  });
+
+  // ===========================================================================
+  // SOCKET LIVENESS TESTS
+  // @since 1.9.0
+  // ===========================================================================
+
+  describe('Socket Liveness', function() {
+    it('should announce the ping feature in the handshake', async function() {
+      const { tunnelId, tcpPort, connectSecret } = mockServer.mockTunnelCreation();
+      const tcpMock = await mockServer.createMockTcpServer(tcpPort);
+
+      const firstData = new Promise((resolve) => {
+        tcpMock.emitter.once('clientData', (socket, data) => resolve(data.toString()));
+      });
+
+      // TODO: Verify the handshake line lists the "ping" feature
+      // const client = new YourClientClass({ port: 3000, host: 'http://localhost:8080' });
+      // await client.open();
+      // assert((await firstData).startsWith(`LT-AUTH ${connectSecret} ping\n`));
+      //
+      // await client.close();
+
+      await tcpMock.close();
+      assert.fail('Replace with your client implementation'); // Remove this line when implementing
+    });
+
+    it('should answer LT-PING on idle sockets without forwarding it', async function() {
+      const { tunnelId, tcpPort } = mockServer.mockTunnelCreation();
+      const tcpMock = await mockServer.createMockTcpServer(tcpPort);
+
+      // TODO: After the handshake, write PING_LINE and expect PONG_LINE back; the local
+      // service must not receive anything. Then send an HTTP request on the same socket.
+      // const socket = await new Promise(resolve => tcpMock.emitter.once('clientConnected', resolve));
+      // socket.write(PROTOCOL_SPECS.LIVENESS_PING_LINE);
+      // ... expect PROTOCOL_SPECS.LIVENESS_PONG_LINE
+      // mockServer.sendHttpRequest(socket, { path: '/' });
+
+      await tcpMock.close();
+      assert.fail('Replace with your client implementation'); // Remove this line when implementing
+    });
+  });
+
   // ===========================================================================
   // CLIENT LIFECYCLE TESTS
   // @since 1.0.0
@@ -2014,11 +2553,59 @@ When updating your client to a new protocol version:
 3. Update your client to match new PROTOCOL_SPECS constants
 4. Run tests to ensure compatibility
 
-Current Version: 1.2.0
+Current Version: 1.9.0
 Protocol Compatibility: 0.0.10-epc
-Last Updated: 2025-10-28
+Last Updated: 2026-10-19
 
 VERSION HISTORY:
+  1.9.0 (2026-10-19) - Socket Liveness
+    - The handshake may list protocol features after the secret; unknown ones
+      are ignored by the server
+    - With "LT-AUTH <connect_secret> ping", idle pooled sockets receive
+      "LT-PING\n" and must answer "LT-PONG\n", or they are closed
+    - Added LIVENESS_* PROTOCOL_SPECS and the Socket Liveness tests
+  1.8.0 (2026-10-19) - Raw TCP Tunnels
+    - POST /api/tunnels accepts "type": "tcp" and "max_connections"; the
+      response adds type, public_host, public_port and max_connections, and
+      url is tcp://<public_host>:<public_port>
+    - Every public connection is piped to one tunnel socket, which is not
+      reused once the connection closes
+    - Added TCP_TUNNEL_* PROTOCOL_SPECS, the mockTunnelCreation type option and
+      the Raw TCP Tunnels tests
+  1.7.0 (2026-10-19) - Tunnel Sockets over WebSocket
+    - Tunnel creation responses include "connect_url"
+      (ws(s)://<server host>/_lt/connect/<id>) when the server accepts tunnel
+      sockets as WebSockets on its public port
+    - Each WebSocket is one tunnel socket: the LT-AUTH handshake is the first
+      message, then binary messages carry the tunnel traffic
+    - Added CONNECT_URL_* PROTOCOL_SPECS, the mockTunnelCreation connectUrl
+      option and the Tunnel Sockets over WebSocket tests
+  1.6.0 (2026-10-19) - Multiplexed Transport
+    - POST /api/tunnels accepts "transport": "mux"; the response echoes it
+    - Clients open one tunnel socket carrying yamux frames instead of a pool of
+      sockets; the server opens a stream per visitor connection
+    - max_conn_count limits concurrent streams
+    - Added MUX_* PROTOCOL_SPECS, the mockTunnelCreation transport option and
+      the Multiplexed Transport tests
+  1.5.0 (2026-10-19) - Tunnel Socket TLS
+    - Tunnel creation responses include "tls": true when the tunnel port only
+      accepts TLS connections
+    - Clients open tunnel sockets with TLS then, sending the LT-AUTH handshake
+      inside the TLS session; servers may require a client certificate
+    - Added TUNNEL_TLS_FIELD to PROTOCOL_SPECS and the Tunnel Socket TLS tests
+  1.4.0 (2026-10-19) - Tunnel Socket Handshake
+    - Tunnel creation responses include a per-tunnel connect_secret
+    - Every TCP socket must send "LT-AUTH <connect_secret>\n" before tunnel
+      traffic, within 5 seconds; failures receive "LT-ERROR <reason>\n"
+    - Servers allowing unauthenticated sockets omit connect_secret, and clients
+      must not send the handshake then
+    - Added CONNECT_* PROTOCOL_SPECS and the Connect Handshake tests
+  1.3.0 (2026-10-19) - HMAC Signing v2
+    - Added "HMAC-V2" scheme signing a canonical request: method, path, sorted
+      query string, lowercased signed headers (host, x-lt-client-token) and a
+      SHA-256 of the raw body
+    - v1 ("HMAC sha256=...") is still accepted during migration
+    - Added HMAC_V2_* PROTOCOL_SPECS and HMAC_V2_TEST_VECTORS
   1.2.1 (2025-10-28) - Socket Limit Enforcement
     - Documented HTTP 429 (Too Many Connections) response
     - Added SOCKET_LIMIT_RESPONSE specification
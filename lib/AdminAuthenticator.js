@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import Debug from 'debug';
+import HmacAuthenticator from './HmacAuthenticator.js';
+
+// reason codes caused by missing or malformed credentials (401)
+// any other failure means the credentials were presented but rejected (403)
+const UNAUTHENTICATED_REASONS = new Set([
+    'missing_auth_header',
+    'unsupported_scheme',
+    'invalid_auth_format',
+    'missing_timestamp',
+    'missing_nonce',
+]);
+
+/**
+ * Authenticator for the admin API (/api/* and /metrics)
+ * Uses its own credential, distinct from the tunnel creation HMAC secret:
+ * - Bearer token: LT_ADMIN_TOKEN or FILE_LT_ADMIN_TOKEN
+ * - HMAC (same scheme as tunnel creation): LT_ADMIN_HMAC_SECRET, FILE_LT_ADMIN_HMAC_SECRET
+ *   or named keys in FILE_LT_ADMIN_HMAC_KEYS
+ * Both may be configured at the same time
+ */
+class AdminAuthenticator {
+    constructor(options = {}) {
+        this.debug = Debug('localtunnel:authenticator:admin');
+
+        this.token = this.loadToken();
+
+        this.hmac = null;
+        if (HmacAuthenticator.isConfigured('LT_ADMIN_HMAC_SECRET', 'FILE_LT_ADMIN_HMAC_SECRET', 'FILE_LT_ADMIN_HMAC_KEYS')) {
+            this.hmac = new HmacAuthenticator({
+                ...options,
+                secretEnv: 'LT_ADMIN_HMAC_SECRET',
+                secretFileEnv: 'FILE_LT_ADMIN_HMAC_SECRET',
+                keysFileEnv: 'FILE_LT_ADMIN_HMAC_KEYS',
+                nonceNamespace: 'admin',
+            });
+        }
+
+        if (!this.token && !this.hmac) {
+            throw new Error('Admin credential not configured (LT_ADMIN_TOKEN, FILE_LT_ADMIN_TOKEN, LT_ADMIN_HMAC_SECRET, FILE_LT_ADMIN_HMAC_SECRET or FILE_LT_ADMIN_HMAC_KEYS required)');
+        }
+
+        this.debug('Admin authenticator initialized: bearer=%s, hmac=%s', !!this.token, !!this.hmac);
+    }
+
+    /**
+     * Returns true when any admin credential is configured
+     */
+    static isConfigured() {
+        return !!(process.env.LT_ADMIN_TOKEN || process.env.FILE_LT_ADMIN_TOKEN ||
+                  HmacAuthenticator.isConfigured('LT_ADMIN_HMAC_SECRET', 'FILE_LT_ADMIN_HMAC_SECRET', 'FILE_LT_ADMIN_HMAC_KEYS'));
+    }
+
+    /**
+     * Loads the bearer token from environment variable or file
+     * Priority: LT_ADMIN_TOKEN > FILE_LT_ADMIN_TOKEN
+     */
+    loadToken() {
+        if (process.env.LT_ADMIN_TOKEN) {
+            this.debug('Loading admin token from LT_ADMIN_TOKEN');
+            const token = process.env.LT_ADMIN_TOKEN.trim();
+            this.validateToken(token);
+            return token;
+        }
+
+        if (process.env.FILE_LT_ADMIN_TOKEN) {
+            const filePath = process.env.FILE_LT_ADMIN_TOKEN;
+            this.debug('Loading admin token from file: %s', filePath);
+
+            let token;
+            try {
+                token = fs.readFileSync(filePath, 'utf8').trim().split('\n')[0];
+            } catch (err) {
+                throw new Error(`Failed to read admin token from file ${filePath}: ${err.message}`);
+            }
+            this.validateToken(token);
+            return token;
+        }
+
+        return null;
+    }
+
+    /**
+     * Validates the bearer token
+     */
+    validateToken(token) {
+        if (!token || token.length < 32) {
+            throw new Error('Admin token must be at least 32 characters long');
+        }
+    }
+
+    /**
+     * Returns true when one of `secrets` is also an admin credential (token, HMAC secret or named key)
+     * Used to refuse configurations that reuse a tunnel creation secret
+     */
+    usesAnySecret(secrets) {
+        const adminSecrets = new Set(this.hmac ? this.hmac.secrets() : []);
+        if (this.token) {
+            adminSecrets.add(this.token);
+        }
+        return secrets.some(secret => adminSecrets.has(secret));
+    }
+
+    /**
+     * Validates an admin request
+     * @param {Object} req - Request object (Koa request)
+     * @returns {Object} { valid: boolean, status: 401|403, reason: string, reasonCode: string }
+     */
+    async validateRequest(req) {
+        const authorization = req.headers['authorization'];
+
+        if (!authorization) {
+            return this.failure('Missing Authorization header', 'missing_auth_header');
+        }
+
+        if (/^Bearer\s/i.test(authorization) && this.token) {
+            const provided = authorization.replace(/^Bearer\s+/i, '').trim();
+            if (!this.verifyToken(provided)) {
+                return this.failure('Invalid admin token', 'invalid_token');
+            }
+            this.debug('Bearer authentication successful for %s %s', req.method, req.path);
+            return { valid: true };
+        }
+
+        if (/^HMAC(-V2)?\s/i.test(authorization) && this.hmac) {
+            const result = await this.hmac.validateRequest(req);
+            if (!result.valid) {
+                return this.failure(result.reason, result.reasonCode);
+            }
+            return { valid: true };
+        }
+
+        const schemes = [this.token && 'Bearer', this.hmac && 'HMAC'].filter(Boolean).join(' or ');
+        return this.failure(`Unsupported Authorization scheme (expected: ${schemes})`, 'unsupported_scheme');
+    }
+
+    /**
+     * Compares tokens in constant time (hashing hides the length)
+     */
+    verifyToken(provided) {
+        const providedHash = crypto.createHash('sha256').update(provided).digest();
+        const expectedHash = crypto.createHash('sha256').update(this.token).digest();
+        return crypto.timingSafeEqual(providedHash, expectedHash);
+    }
+
+    failure(reason, reasonCode) {
+        this.debug('Admin authentication failed: %s', reason);
+        return {
+            valid: false,
+            status: UNAUTHENTICATED_REASONS.has(reasonCode) ? 401 : 403,
+            reason,
+            reasonCode,
+        };
+    }
+
+    /**
+     * Releases resources
+     */
+    destroy() {
+        if (this.hmac) {
+            this.hmac.destroy();
+        }
+    }
+}
+
+export default AdminAuthenticator;
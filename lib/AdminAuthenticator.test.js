@@ -0,0 +1,71 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import AdminAuthenticator from './AdminAuthenticator.js';
+import HmacKeyStore from './HmacKeyStore.js';
+
+const TUNNEL_SECRET = 'tunnel-secret-at-least-32-chars-long-1234';
+const TUNNEL_KEY = 'tunnel-key-secret-at-least-32-chars-long-1234';
+const ADMIN_KEY = 'admin-key-secret-at-least-32-chars-long-1234';
+
+const ENV_VARS = ['LT_ADMIN_TOKEN', 'FILE_LT_ADMIN_TOKEN', 'LT_ADMIN_HMAC_SECRET', 'FILE_LT_ADMIN_HMAC_SECRET', 'FILE_LT_ADMIN_HMAC_KEYS'];
+
+describe('AdminAuthenticator', () => {
+    let dir;
+    let originalEnv;
+    let auth;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lt-admin-'));
+        originalEnv = {};
+        for (const name of ENV_VARS) {
+            originalEnv[name] = process.env[name];
+            delete process.env[name];
+        }
+    });
+
+    afterEach(() => {
+        if (auth) {
+            auth.destroy();
+            auth = null;
+        }
+        for (const name of ENV_VARS) {
+            if (originalEnv[name] === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = originalEnv[name];
+            }
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function writeKeys(name, keys) {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, JSON.stringify(keys));
+        return file;
+    }
+
+    it('should detect a token reused as a tunnel secret', () => {
+        process.env.LT_ADMIN_TOKEN = TUNNEL_SECRET;
+        auth = new AdminAuthenticator();
+
+        assert.equal(auth.usesAnySecret([TUNNEL_SECRET]), true);
+        assert.equal(auth.usesAnySecret([TUNNEL_KEY]), false);
+        assert.equal(auth.usesAnySecret([]), false);
+    });
+
+    it('should compare named admin keys with the tunnel secret and keys', () => {
+        process.env.FILE_LT_ADMIN_HMAC_KEYS = writeKeys('admin.json', {
+            ops: ADMIN_KEY,
+            old: { secret: TUNNEL_KEY, revoked: true },
+        });
+        auth = new AdminAuthenticator();
+
+        const tunnelKeys = new HmacKeyStore(writeKeys('tunnel.json', { client: TUNNEL_KEY }), { watch: false });
+        assert.equal(auth.usesAnySecret([TUNNEL_SECRET, ...tunnelKeys.secrets()]), true);
+        assert.equal(auth.usesAnySecret([TUNNEL_SECRET]), false);
+        assert.equal(auth.usesAnySecret([ADMIN_KEY]), true);
+    });
+});
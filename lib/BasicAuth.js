@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 32;
+const MAX_USERNAME_LENGTH = 128;
+const MAX_PASSWORD_LENGTH = 256;
+
+// Creates an error with a code, as handled by the tunnel creation routes
+function credentialsError(message) {
+    const err = new Error(message);
+    err.code = 'invalid_basic_auth';
+    return err;
+}
+
+/**
+ * HTTP Basic credentials protecting a tunnel from visitors
+ *
+ * Only a salted scrypt hash of the password is kept. Browsers send the same
+ * Authorization header on every request, so the last header that verified is
+ * remembered (as a hash) to avoid running scrypt for every asset.
+ */
+class BasicAuth {
+    // use BasicAuth.create() to derive the hash from a password
+    constructor({ username, salt, hash }) {
+        this.username = username;
+        this.salt = salt;
+        this.hash = hash;
+        this.lastVerified = null;
+    }
+
+    /**
+     * Validates the credentials and hashes the password without blocking the event loop
+     * @returns {Promise<BasicAuth>}
+     */
+    static async create({ username, password } = {}) {
+        BasicAuth.validate({ username, password });
+
+        const salt = crypto.randomBytes(16);
+        const hash = await scrypt(password, salt, KEY_LENGTH);
+        return new BasicAuth({ username, salt, hash });
+    }
+
+    /**
+     * Throws an error with code invalid_basic_auth when the credentials are not usable
+     */
+    static validate({ username, password } = {}) {
+        if (typeof username !== 'string' || username.length === 0 || username.length > MAX_USERNAME_LENGTH) {
+            throw credentialsError(`username must be a string of 1-${MAX_USERNAME_LENGTH} characters`);
+        }
+        // the first colon separates username and password in the Authorization header
+        if (username.includes(':')) {
+            throw credentialsError('username must not contain ":"');
+        }
+        if (typeof password !== 'string' || password.length === 0 || password.length > MAX_PASSWORD_LENGTH) {
+            throw credentialsError(`password must be a string of 1-${MAX_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    /**
+     * Checks the Authorization header of a visitor request
+     * @returns {Promise<boolean>}
+     */
+    async verify(authorization) {
+        const match = typeof authorization === 'string' && authorization.match(/^Basic\s+([A-Za-z0-9+/=]+)\s*$/i);
+        if (!match) {
+            return false;
+        }
+
+        const digest = crypto.createHash('sha256').update(this.salt).update(authorization).digest();
+        if (this.lastVerified && crypto.timingSafeEqual(digest, this.lastVerified)) {
+            return true;
+        }
+
+        const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        if (separator === -1) {
+            return false;
+        }
+        const username = decoded.slice(0, separator);
+        const password = decoded.slice(separator + 1);
+        if (password.length > MAX_PASSWORD_LENGTH) {
+            return false;
+        }
+
+        const hash = await scrypt(password, this.salt, KEY_LENGTH);
+        const usernameDigest = crypto.createHash('sha256').update(username).digest();
+        const expectedDigest = crypto.createHash('sha256').update(this.username).digest();
+        // both comparisons always run, so the timing does not tell which one failed
+        const valid = crypto.timingSafeEqual(usernameDigest, expectedDigest) & crypto.timingSafeEqual(hash, this.hash);
+        if (valid) {
+            this.lastVerified = digest;
+        }
+        return valid === 1;
+    }
+
+    /**
+     * Removes the Authorization header from a visitor request before it is forwarded
+     */
+    static stripAuthorization(req) {
+        delete req.headers.authorization;
+        const rawHeaders = [];
+        for (let i = 0; i < req.rawHeaders.length - 1; i += 2) {
+            if (req.rawHeaders[i].toLowerCase() !== 'authorization') {
+                rawHeaders.push(req.rawHeaders[i], req.rawHeaders[i + 1]);
+            }
+        }
+        req.rawHeaders = rawHeaders;
+    }
+}
+
+export default BasicAuth;
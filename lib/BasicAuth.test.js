@@ -0,0 +1,45 @@
+import assert from 'assert';
+
+import BasicAuth from './BasicAuth.js';
+
+const basic = credentials => `Basic ${Buffer.from(credentials).toString('base64')}`;
+
+describe('BasicAuth', () => {
+    it('should verify the username and password without keeping the password', async () => {
+        const auth = await BasicAuth.create({ username: 'preview', password: 'p:ss word' });
+        assert.equal(JSON.stringify(auth).includes('p:ss word'), false);
+
+        assert.equal(await auth.verify(basic('preview:p:ss word')), true);
+        // cached after the first success
+        assert.equal(await auth.verify(basic('preview:p:ss word')), true);
+
+        assert.equal(await auth.verify(basic('preview:wrong')), false);
+        assert.equal(await auth.verify(basic('other:p:ss word')), false);
+        assert.equal(await auth.verify(basic('no-separator')), false);
+        assert.equal(await auth.verify('Bearer abc'), false);
+        assert.equal(await auth.verify(undefined), false);
+    });
+
+    it('should hash the password without blocking the event loop', async () => {
+        let ticked = false;
+        setImmediate(() => { ticked = true; });
+        await BasicAuth.create({ username: 'preview', password: 'secret' });
+        assert.equal(ticked, true);
+    });
+
+    it('should reject unusable credentials', async () => {
+        await assert.rejects(BasicAuth.create({ username: '', password: 'x' }), /username/);
+        await assert.rejects(BasicAuth.create({ username: 'a:b', password: 'x' }), /":"/);
+        await assert.rejects(BasicAuth.create({ username: 'a', password: 42 }), { code: 'invalid_basic_auth' });
+    });
+
+    it('should strip the Authorization header from a request', () => {
+        const req = {
+            headers: { host: 'example.com', authorization: 'Basic abc' },
+            rawHeaders: ['Host', 'example.com', 'Authorization', 'Basic abc'],
+        };
+        BasicAuth.stripAuthorization(req);
+        assert.deepEqual(req.headers, { host: 'example.com' });
+        assert.deepEqual(req.rawHeaders, ['Host', 'example.com']);
+    });
+});
@@ -2,6 +2,7 @@ import http from 'http';
 import Debug from 'debug';
 import pump from 'pump';
 import EventEmitter from 'events';
+import { Readable, Writable } from 'stream';
 
 const debug = Debug('localtunnel:client');
 
@@ -142,10 +143,91 @@ const RETRY_AFTER = getRetryAfter();
 
 debug('Timeout configuration: REQUEST_TIMEOUT=%dms, WEBSOCKET_TIMEOUT=%dms', REQUEST_TIMEOUT, WEBSOCKET_TIMEOUT);
 
+// Visitor request rebuilt from a captured request, fed to handleRequest by replay()
+class ReplayRequest extends Readable {
+    constructor({ method, url, headers, body, replayOf }) {
+        super();
+        this.method = method;
+        this.url = url;
+        this.headers = headers;
+        this.rawHeaders = Object.entries(headers).flat();
+        this.httpVersion = '1.1';
+        this.socket = { remoteAddress: null, remotePort: null };
+        this.replayOf = replayOf;
+        this.body = body;
+    }
+
+    _read() {
+        if (this.body.length > 0) {
+            this.push(this.body);
+        }
+        this.push(null);
+    }
+}
+
+// Response sink for replay(): keeps status, headers and up to maxBodySize bytes of body
+class ReplayResponse extends Writable {
+    constructor(maxBodySize) {
+        super();
+        this.maxBodySize = maxBodySize;
+        this.statusCode = 200;
+        this.statusMessage = '';
+        this.headers = {};
+        this.headersSent = false;
+        this.chunks = [];
+        this.captured = 0;
+        this.bodySize = 0;
+    }
+
+    setHeader(name, value) {
+        this.headers[name.toLowerCase()] = value;
+    }
+
+    writeHead(statusCode, headers = {}) {
+        this.statusCode = statusCode;
+        for (const [name, value] of Object.entries(headers)) {
+            this.setHeader(name, value);
+        }
+        this.headersSent = true;
+        return this;
+    }
+
+    _write(chunk, encoding, callback) {
+        this.headersSent = true;
+        this.bodySize += chunk.length;
+        const room = this.maxBodySize - this.captured;
+        if (room > 0) {
+            const slice = chunk.subarray(0, room);
+            this.chunks.push(slice);
+            this.captured += slice.length;
+        }
+        callback();
+    }
+}
+
+const MAX_REPLAY_RESPONSE_BODY = 1024 * 1024;
+
+// visitor request bodies up to this size are kept, so the request can be sent again
+// when its tunnel socket turns out to be dead
+const MAX_RETRY_BODY = 64 * 1024;
+
+// errors of a tunnel socket that closed before the tunnel client answered
+function isSocketClosedError(err) {
+    return err.code === 'ECONNRESET' || err.code === 'EPIPE';
+}
+
 // A client encapsulates req/res handling using an agent
 //
 // If an agent is destroyed, the request handling will error
 // The caller is responsible for handling a failed request
+//
+// Events:
+//   online         - the first tunnel socket connected
+//   offline        - the last tunnel socket disconnected
+//   grace_started  - waiting for the tunnel client to (re)connect, with the grace period in ms
+//   grace_expired  - the grace period ended without a connection, the client is about to close
+//   response       - a response was sent to a visitor, with { statusCode, latency }
+//   close          - the client was closed
 class Client extends EventEmitter {
     constructor(options) {
         super();
@@ -156,22 +238,63 @@ class Client extends EventEmitter {
         this.debug = Debug(`localtunnel:client:[${this.id}]`);
         this.isOnline = false;
         this.originalIP = options.originalIP || null;
-        // Client identifier: { type: 'token'|'ip', value: string }
+        // Client identifier: { type: 'token'|'ip'|'subject', value: string }
         this.identifier = options.identifier || { type: 'ip', value: this.originalIP };
         this.createdAt = Date.now();
+        this.closed = false;
+        // per-tunnel grace period (ms), falls back to LT_GRACE_PERIOD when not set
+        this.gracePeriod = options.gracePeriod;
+        // arbitrary data supplied by the tunnel client at creation
+        this.metadata = options.metadata || null;
+        // when the current grace period started (ms), null when not in grace period
+        this.graceStartedAt = null;
+        // captures proxied requests for the admin API when request inspection is enabled
+        this.inspector = options.inspector || null;
+        // HTTP Basic credentials visitors must present (BasicAuth), null when the tunnel is public
+        this.basicAuth = options.basicAuth || null;
+        // visitor IP allowlist/denylist of this tunnel (IpFilter), null when any IP may connect
+        this.ipFilter = options.ipFilter || null;
+        // visitors are checked by the forward auth service (LT_FORWARD_AUTH_URL) before proxying
+        this.forwardAuth = options.forwardAuth === true;
+        // public TCP port of a raw TCP tunnel (TcpProxy), null for HTTP tunnels
+        this.tcpProxy = options.tcpProxy || null;
+        this.type = this.tcpProxy ? 'tcp' : 'http';
+
+        // visitor traffic counters, reported by stats()
+        this.traffic = {
+            requests: 0,              // http requests answered by the tunnel client
+            upgrades: 0,              // websocket upgrades piped to the tunnel client
+            bytesIn: 0,               // bytes received from visitors
+            bytesOut: 0,              // bytes sent to visitors
+            statusCodes: {},          // status code -> count of responses sent to visitors
+            unavailableResponses: 0,  // 503 responses sent on behalf of the tunnel
+            timeouts: 0,              // requests that timed out waiting for the tunnel client
+            retries: 0,               // requests sent again after their tunnel socket died
+            ipRejections: 0,          // visitors refused with 403 by an IP allowlist/denylist
+            lastRequestAt: null,      // last visitor request (ms)
+        };
 
         agent.on('online', () => {
+            if (this.closed) {
+                return;
+            }
             this.debug('client online %s', id);
             this.isOnline = true;
             this._clearGracePeriod();
+            this.emit('online');
         });
 
         agent.on('offline', () => {
+            // sockets torn down by close() must not restart the grace period
+            if (this.closed) {
+                return;
+            }
             this.debug('client offline %s', id);
             this.isOnline = false;
 
             // If there was a previous timeout set, we don't want to double trigger
             this._clearGracePeriod();
+            this.emit('offline');
 
             // Client is given a grace period in which they can re-connect before they are removed
             this._setGracePeriod();
@@ -189,7 +312,8 @@ class Client extends EventEmitter {
         // Use setImmediate to allow synchronous online events to be processed first
         setImmediate(() => {
             // Only set grace period if client hasn't gone online yet
-            if (!this.isOnline) {
+            // (or went offline already, which started its own grace period)
+            if (!this.isOnline && !this.closed && !this.graceTimeout) {
                 this._setGracePeriod();
             }
         });
@@ -200,38 +324,102 @@ class Client extends EventEmitter {
             clearTimeout(this.graceTimeout);
             this.graceTimeout = null;
         }
+        this.graceStartedAt = null;
+    }
+
+    _getGracePeriod() {
+        if (this.gracePeriod === undefined || this.gracePeriod === null) {
+            return getGracePeriodValue();
+        }
+        return Math.min(Math.max(this.gracePeriod, 0), MAX_GRACE_PERIOD);
     }
 
     _setGracePeriod() {
-        const gracePeriod = getGracePeriodValue();
+        const gracePeriod = this._getGracePeriod();
         this.debug('grace period started: %dms', gracePeriod);
+        this.graceStartedAt = Date.now();
         this.graceTimeout = setTimeout(() => {
             this.debug('grace period expired, removing client');
+            this.emit('grace_expired');
             this.close();
         }, gracePeriod).unref();
+        this.emit('grace_started', gracePeriod);
     }
 
     hasAvailableSockets() {
-        return this.agent &&
-               this.agent.availableSockets &&
-               this.agent.availableSockets.length > 0;
+        return !!this.agent && this.agent.hasAvailableSockets();
+    }
+
+    // 'online' while tunnel sockets are connected, otherwise 'grace'
+    // (waiting for the client to connect or reconnect before removal)
+    getState() {
+        return this.isOnline ? 'online' : 'grace';
     }
 
     getGracePeriodRemaining() {
-        if (!this.graceTimeout || !this.createdAt) {
+        if (!this.graceTimeout || !this.graceStartedAt) {
             return 0;
         }
-        const elapsed = Date.now() - this.createdAt;
-        const gracePeriod = getGracePeriodValue();
+        const elapsed = Date.now() - this.graceStartedAt;
+        const gracePeriod = this._getGracePeriod();
         return Math.max(0, gracePeriod - elapsed);
     }
 
+    // record a response sent to a visitor, including those the server sends
+    // on behalf of the tunnel (e.g. 503 while the client is offline)
+    // latency: ms spent waiting on the tunnel client, null when it was not involved
+    recordResponse(statusCode, latency = null) {
+        const traffic = this.traffic;
+        traffic.statusCodes[statusCode] = (traffic.statusCodes[statusCode] || 0) + 1;
+        if (statusCode === 503) {
+            traffic.unavailableResponses += 1;
+        }
+        this.emit('response', { statusCode, latency });
+    }
+
+    // record a visitor request arriving for this tunnel
+    recordRequest() {
+        this.traffic.lastRequestAt = Date.now();
+    }
+
+    // record a visitor refused by an IP allowlist/denylist (403)
+    recordIpRejection() {
+        this.traffic.ipRejections += 1;
+        this.recordResponse(403);
+    }
+
     stats() {
-        return this.agent.stats();
+        const traffic = this.traffic;
+        const tcp = this.tcpProxy ? this.tcpProxy.stats() : null;
+        return {
+            ...this.agent.stats(),
+            type: this.type,
+            state: this.getState(),
+            gracePeriodRemaining: this.getGracePeriodRemaining(),
+            requests: traffic.requests,
+            upgrades: traffic.upgrades,
+            // raw TCP tunnel connections count as visitor traffic
+            bytesIn: traffic.bytesIn + (tcp ? tcp.bytesIn : 0),
+            bytesOut: traffic.bytesOut + (tcp ? tcp.bytesOut : 0),
+            tcp: tcp,
+            statusCodes: { ...traffic.statusCodes },
+            unavailableResponses: traffic.unavailableResponses,
+            timeouts: traffic.timeouts,
+            retriedRequests: traffic.retries,
+            ipRejections: traffic.ipRejections,
+            lastRequestAt: traffic.lastRequestAt,
+        };
     }
 
     close() {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
         this._clearGracePeriod();
+        if (this.tcpProxy) {
+            this.tcpProxy.close();
+        }
         this.agent.destroy();
         this.emit('close');
     }
@@ -239,56 +427,170 @@ class Client extends EventEmitter {
     handleRequest(req, res) {
         const reqSocketInfo = getHttpSocketInfo(req);
         this.debug('> %s %s from %s', req.method, req.url, reqSocketInfo);
+        this.recordRequest();
+        const startedAt = Date.now();
+        const capture = this.inspector ? this.inspector.begin(req) : null;
+
+        const traffic = this.traffic;
+        // body kept for a retry, null once it is larger than MAX_RETRY_BODY
+        let body = [];
+        let bodySize = 0;
+        req.on('data', (chunk) => {
+            traffic.bytesIn += chunk.length;
+            if (capture) {
+                capture.requestChunk(chunk);
+            }
+            if (body) {
+                bodySize += chunk.length;
+                if (bodySize > MAX_RETRY_BODY) {
+                    body = null;
+                } else {
+                    body.push(chunk);
+                }
+            }
+        });
+
+        // stops waiting in the tunnel socket queue on timeout or when the visitor goes away
+        // (a request destroyed before it has a socket does not leave the queue by itself)
+        const acquire = new AbortController();
+        res.once('close', () => acquire.abort());
+
         const opt = {
             path: req.url,
             agent: this.agent,
             method: req.method,
-            headers: req.headers
+            headers: req.headers,
+            // passed to TunnelAgent.createConnection
+            acquireSignal: acquire.signal,
         };
 
-        const clientReq = http.request(opt, (clientRes) => {
+        const onResponse = (clientRes) => {
             this.debug('< %s %s from %s (status: %d)', req.method, req.url, reqSocketInfo, clientRes.statusCode);
+            traffic.requests += 1;
+            this.recordResponse(clientRes.statusCode, Date.now() - startedAt);
+            clientRes.on('data', (chunk) => {
+                traffic.bytesOut += chunk.length;
+            });
+            if (capture) {
+                capture.response(clientRes.statusCode, clientRes.headers);
+                clientRes.on('data', chunk => capture.responseChunk(chunk));
+                clientRes.once('end', () => capture.end());
+            }
+
             // write response code and headers
             res.writeHead(clientRes.statusCode, clientRes.headers);
 
             // using pump is deliberate - see the pump docs for why
             pump(clientRes, res);
-        });
+        };
+
+        let clientReq;
+        let timedOut = false;
 
         // Implement timeout for request
         const timeout = setTimeout(() => {
             this.debug('Request timeout after %dms for %s from %s - destroying request', REQUEST_TIMEOUT, req.url, reqSocketInfo);
+            traffic.timeouts += 1;
+            timedOut = true;
             clientReq.destroy(new Error('Request timeout'));
+            acquire.abort();
         }, REQUEST_TIMEOUT);
 
-        clientReq.once('error', (err) => {
+        const onError = (err) => {
             clearTimeout(timeout);
 
             // If headers already sent, cannot respond
             if (res.headersSent) {
                 this.debug('Request error after headers sent for %s from %s: %s', req.url, reqSocketInfo, err.message);
+                if (capture) {
+                    capture.fail(null, err.message);
+                }
                 return;
             }
 
+            if (capture) {
+                capture.fail(503, err.message);
+            }
+
             // Respond with 503 Service Unavailable
             this.debug('Request error for %s from %s: %s - responding 503', req.url, reqSocketInfo, err.message);
+            this.recordResponse(503, Date.now() - startedAt);
             res.statusCode = 503;
             res.statusMessage = 'Service Unavailable';
             res.setHeader('Retry-After', RETRY_AFTER.toString());
             res.end();
-        });
+        };
 
-        clientReq.once('response', () => {
-            clearTimeout(timeout);
-        });
+        // retried: the first tunnel socket closed before the tunnel client answered
+        const send = (retried) => {
+            clientReq = http.request(opt, onResponse);
+
+            clientReq.once('error', (err) => {
+                // e.g. a pooled socket whose client went away: the request is sent once more
+                // on another socket, when the whole body was received and kept
+                if (!retried && !timedOut && !this.closed && !res.headersSent && isSocketClosedError(err)
+                    && body && req.readableEnded) {
+                    this.debug('Tunnel socket closed before a response for %s from %s: %s - retrying on another socket',
+                               req.url, reqSocketInfo, err.message);
+                    traffic.retries += 1;
+                    send(true);
+                    return;
+                }
+                onError(err);
+            });
+
+            clientReq.once('response', () => {
+                clearTimeout(timeout);
+            });
+
+            if (retried) {
+                clientReq.end(Buffer.concat(body));
+            } else {
+                // using pump is deliberate - see the pump docs for why
+                pump(req, clientReq);
+            }
+        };
+        send(false);
+    }
 
-        // using pump is deliberate - see the pump docs for why
-        pump(req, clientReq);
+    // re-send a request through this tunnel using the same forwarding path as visitor requests
+    // request: { method, url, headers, body (Buffer), replayOf (captured request id) }
+    // resolves with the tunnel client's response (body capped at 1MB)
+    replay(request) {
+        const req = new ReplayRequest(request);
+        const res = new ReplayResponse(MAX_REPLAY_RESPONSE_BODY);
+        const startedAt = Date.now();
+        let requestId = null;
+
+        return new Promise((resolve) => {
+            res.once('close', () => {
+                resolve({
+                    requestId,
+                    statusCode: res.statusCode,
+                    headers: res.headers,
+                    body: Buffer.concat(res.chunks),
+                    bodySize: res.bodySize,
+                    bodyTruncated: res.bodySize > res.captured,
+                    duration: Date.now() - startedAt,
+                    // the tunnel client went away before the response was complete
+                    error: res.writableFinished ? null : 'Response interrupted',
+                });
+            });
+
+            this.debug('replaying request %s: %s %s', request.replayOf, request.method, request.url);
+            this.handleRequest(req, res);
+            // handleRequest captures synchronously, so the new capture is the latest one
+            if (this.inspector) {
+                requestId = this.inspector.lastId;
+            }
+        });
     }
 
     handleUpgrade(req, socket) {
         const socketInfo = getSocketInfo(socket);
         this.debug('> [up] %s from %s', req.url, socketInfo);
+        this.recordRequest();
+        const traffic = this.traffic;
 
         socket.once('error', (err) => {
             // These client side errors can happen if the client dies while we are reading
@@ -299,22 +601,12 @@ class Client extends EventEmitter {
             this.debug('WebSocket error from %s: %s', socketInfo, err.message);
         });
 
-        // Implement timeout for WebSocket upgrade
-        const timeout = setTimeout(() => {
-            this.debug('WebSocket upgrade timeout after %dms for %s from %s', WEBSOCKET_TIMEOUT, req.url, socketInfo);
-            socket.end();
-        }, WEBSOCKET_TIMEOUT);
-
-        this.agent.createConnection({}, (err, conn) => {
-            clearTimeout(timeout);
+        // waits in the tunnel socket queue, until the visitor goes away or WEBSOCKET_TIMEOUT
+        const acquire = new AbortController();
+        socket.once('close', () => acquire.abort());
 
+        this.agent.acquireSocket({ timeout: WEBSOCKET_TIMEOUT, signal: acquire.signal }).then((conn) => {
             this.debug('< [up] %s from %s', req.url, socketInfo);
-            // any errors getting a connection mean we cannot service this request
-            if (err) {
-                this.debug('WebSocket upgrade error for %s from %s: %s', req.url, socketInfo, err.message);
-                socket.end();
-                return;
-            }
 
             // socket may have disconnected while we waiting for a socket
             if (!socket.readable || !socket.writable) {
@@ -335,10 +627,34 @@ class Client extends EventEmitter {
             arr.push('');
             arr.push('');
 
+            traffic.upgrades += 1;
+            socket.on('data', (chunk) => {
+                traffic.bytesIn += chunk.length;
+            });
+            conn.on('data', (chunk) => {
+                traffic.bytesOut += chunk.length;
+            });
+
             // using pump is deliberate - see the pump docs for why
             pump(conn, socket);
             pump(socket, conn);
             conn.write(arr.join('\r\n'));
+        }, (err) => {
+            if (err.code === 'ABORT_ERR') {
+                this.debug('WebSocket socket %s closed while waiting', socketInfo);
+                return;
+            }
+            if (err.code === 'ETIMEDOUT') {
+                this.debug('WebSocket upgrade timeout after %dms for %s from %s - responding 503',
+                           WEBSOCKET_TIMEOUT, req.url, socketInfo);
+                traffic.timeouts += 1;
+                this.recordResponse(503);
+                socket.end(`HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\nRetry-After: ${RETRY_AFTER}\r\n\r\n`);
+                return;
+            }
+            // any other error getting a connection (the tunnel closed) means we cannot service this request
+            this.debug('WebSocket upgrade error for %s from %s: %s', req.url, socketInfo, err.message);
+            socket.end();
         });
     }
 }
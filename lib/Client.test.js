@@ -6,6 +6,8 @@ import net from 'net';
 import { EventEmitter } from 'events';
 
 import Client from './Client.js';
+import RequestInspector from './RequestInspector.js';
+import TunnelAgent from './TunnelAgent.js';
 
 class DummySocket extends Duplex {
     constructor(options) {
@@ -62,6 +64,31 @@ class DummyAgent extends http.Agent {
     }
 }
 
+// tunnel socket whose client went away: reset as soon as the request is written
+class DeadSocket extends Duplex {
+    _write(chunk, encoding, callback) {
+        const err = new Error('read ECONNRESET');
+        err.code = 'ECONNRESET';
+        callback(err);
+    }
+
+    _read(size) {}
+}
+
+// hands out the sockets returned by `sockets`, in order
+class SequenceAgent extends http.Agent {
+    constructor(sockets) {
+        super();
+        this.sockets = sockets;
+        this.created = 0;
+    }
+
+    createConnection(options, cb) {
+        this.created += 1;
+        cb(null, this.sockets.shift()());
+    }
+}
+
 describe('Client', () => {
     it('should handle request', async () => {
         const agent = new DummyAgent();
@@ -90,6 +117,58 @@ describe('Client', () => {
         server.close();
     });
 
+    it('should replay a request through handleRequest', async () => {
+        const agent = new DummyAgent();
+        const inspector = new RequestInspector();
+        const client = new Client({ agent, id: 'replay', inspector });
+
+        const result = await client.replay({
+            method: 'POST',
+            url: '/hook',
+            headers: { 'content-length': '4' },
+            body: Buffer.from('ping'),
+            replayOf: 1,
+        });
+
+        assert.equal(result.statusCode, 304);
+        assert.equal(result.headers['x-powered-by'], 'dummy');
+        assert.equal(result.error, null);
+        assert.equal(result.requestId, 1);
+        assert.equal(inspector.get(1).replayOf, 1);
+        assert.equal(inspector.get(1).request.body.toString(), 'ping');
+        client.close();
+    });
+
+    it('should retry a request once when its tunnel socket dies before responding', async () => {
+        const agent = new SequenceAgent([() => new DeadSocket(), () => new DummySocket()]);
+        const client = new Client({ agent, id: 'retry' });
+
+        const result = await client.replay({
+            method: 'POST',
+            url: '/hook',
+            headers: { 'content-length': '4' },
+            body: Buffer.from('ping'),
+            replayOf: 1,
+        });
+
+        assert.equal(result.statusCode, 304);
+        assert.equal(agent.created, 2);
+        assert.equal(client.traffic.retries, 1);
+        client.close();
+    });
+
+    it('should respond 503 when the retried request fails again', async () => {
+        const agent = new SequenceAgent([() => new DeadSocket(), () => new DeadSocket(), () => new DummySocket()]);
+        const client = new Client({ agent, id: 'retry' });
+
+        const result = await client.replay({ method: 'GET', url: '/', headers: {}, body: Buffer.alloc(0), replayOf: 1 });
+
+        assert.equal(result.statusCode, 503);
+        assert.equal(agent.created, 2);
+        assert.equal(client.traffic.retries, 1);
+        client.close();
+    });
+
     it('should handle upgrade', async () => {
         // need a websocket server and a socket for it
         class DummyWebsocketAgent extends http.Agent {
@@ -97,8 +176,8 @@ describe('Client', () => {
                 super();
             }
 
-            createConnection(options, cb) {
-                cb(null, new DummyWebsocket());
+            acquireSocket() {
+                return Promise.resolve(new DummyWebsocket());
             }
         }
 
@@ -156,6 +235,31 @@ describe('Client', () => {
         server.close();
     });
 
+    it('should leave the tunnel socket queue when the visitor goes away', async () => {
+        const agent = new TunnelAgent();
+        await agent.listen();
+        const client = new Client({ agent, id: 'queue', gracePeriod: 5000 });
+
+        const server = http.createServer((req, res) => client.handleRequest(req, res));
+        await new Promise(resolve => server.listen(0, resolve));
+
+        const waiting = async (count) => {
+            while (agent.stats().waitingRequests !== count) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+        };
+
+        // no tunnel socket is connected: the request waits in the queue
+        const visitor = net.connect(server.address().port, () => visitor.write('GET / HTTP/1.1\r\nHost: a\r\n\r\n'));
+        await waiting(1);
+
+        visitor.destroy();
+        await waiting(0);
+
+        client.close();
+        await new Promise(resolve => server.close(resolve));
+    });
+
     describe('Grace Period', () => {
         it('should cancel grace period when agent goes online', (done) => {
             const agent = new EventEmitter();
@@ -243,6 +347,26 @@ describe('Client', () => {
             }, 150);
         });
 
+        it('should emit lifecycle events', (done) => {
+            const agent = new EventEmitter();
+            agent.stats = () => ({});
+            agent.destroy = () => {};
+
+            const client = new Client({ agent, id: 'test-events', gracePeriod: 50 });
+            const seen = [];
+            for (const type of ['online', 'offline', 'grace_started', 'grace_expired', 'close']) {
+                client.on(type, (arg) => seen.push(arg === undefined ? type : `${type}:${arg}`));
+            }
+
+            agent.emit('online');
+            agent.emit('offline');
+
+            client.once('close', () => {
+                assert.deepEqual(seen, ['online', 'offline', 'grace_started:50', 'grace_expired', 'close']);
+                done();
+            });
+        });
+
         it('should clear grace period timeout on explicit close', (done) => {
             const agent = new EventEmitter();
             agent.stats = () => ({});
@@ -317,6 +441,47 @@ describe('Client', () => {
             }, 150);
         });
 
+        it('should use the per-client grace period when provided', (done) => {
+            const agent = new EventEmitter();
+            agent.stats = () => ({});
+            agent.destroy = () => {};
+
+            // LT_GRACE_PERIOD is 100ms in tests
+            const client = new Client({ agent, id: 'test-custom-grace', gracePeriod: 300 });
+            let closeCalled = false;
+
+            client.on('close', () => {
+                closeCalled = true;
+            });
+
+            setTimeout(() => {
+                assert(!closeCalled, 'Client should still be in its own grace period');
+                setTimeout(() => {
+                    assert(closeCalled, 'Client should be closed after its own grace period');
+                    done();
+                }, 250);
+            }, 150);
+        });
+
+        it('should measure grace period remaining from when the client went offline', (done) => {
+            const agent = new EventEmitter();
+            agent.stats = () => ({});
+            agent.destroy = () => {};
+
+            const client = new Client({ agent, id: 'test-remaining', gracePeriod: 200 });
+            agent.emit('online');
+            assert.equal(client.getGracePeriodRemaining(), 0);
+
+            setTimeout(() => {
+                agent.emit('offline');
+                const remaining = client.getGracePeriodRemaining();
+                assert(remaining > 150 && remaining <= 200, `unexpected remaining time: ${remaining}`);
+                assert.equal(client.stats().state, 'grace');
+                client.close();
+                done();
+            }, 100);
+        });
+
         it('should properly cleanup graceTimeout on close', (done) => {
             const agent = new EventEmitter();
             agent.stats = () => ({});
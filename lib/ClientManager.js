@@ -1,14 +1,45 @@
+import crypto from 'crypto';
 import { hri } from 'human-readable-ids';
 import Debug from 'debug';
+import EventEmitter from 'events';
 
 import Client from './Client.js';
 import TunnelAgent from './TunnelAgent.js';
+import TcpProxy from './TcpProxy.js';
+import RequestInspector from './RequestInspector.js';
+import BasicAuth from './BasicAuth.js';
+import IpFilter from './IpFilter.js';
+
+const DEFAULT_TCP_MAX_CONNECTIONS = 100;
+// ms a port that failed to bind (e.g. held by another process) stays out of its pool
+const PORT_QUARANTINE = 60000;
+
+// Read a non-negative integer from the environment, undefined when not set
+function getIntEnv(name) {
+    const parsed = parseInt(process.env[name], 10);
+    return isNaN(parsed) || parsed < 0 ? undefined : parsed;
+}
 
 // Manage sets of clients
 //
 // A client is a "user session" established to service a remote localtunnel client
-class ClientManager {
+//
+// Events (all receive the client as first argument):
+//   tunnel_created   - tunnel is listening for client sockets
+//   tunnel_online    - the first tunnel socket connected
+//   tunnel_offline   - the last tunnel socket disconnected
+//   grace_started    - waiting for the tunnel client to (re)connect, with the grace period in ms
+//   grace_expired    - the grace period ended without a connection (tunnel_removed follows)
+//   tunnel_replaced  - the same identifier reconnected, the old client is replaced (tunnel_removed precedes)
+//   tunnel_removed   - tunnel was removed and closed
+//   socket_rejected  - a client socket was refused because max sockets was reached
+//   socket_unauthorized - a client socket failed the connect handshake, with the reason
+//   socket_evicted   - a dead client socket was closed before being used, with the reason
+//   tcp_connection_rejected - a public connection to a raw TCP tunnel was refused, with the reason
+//   response         - a response was sent to a visitor, with { statusCode, latency }
+class ClientManager extends EventEmitter {
     constructor(opt) {
+        super();
         this.opt = opt || {};
 
         // id -> client instance
@@ -32,6 +63,19 @@ class ClientManager {
         this.availablePorts = [];
         this.usedPorts = new Set();
 
+        // Subdomains that cannot be claimed until a given time
+        // id -> expiry timestamp (ms)
+        this.blockedIds = new Map();
+
+        // Subdomain ownership (SubdomainPolicy), null when every subdomain is open
+        this.subdomainPolicy = this.opt.subdomainPolicy || null;
+
+        // Certificate of the tunnel socket servers (TunnelTls), null for plain TCP
+        this.tunnelTls = this.opt.tunnelTls || null;
+
+        // Visitor IP filter of every tunnel (IpFilter), checked here for raw TCP connections
+        this.visitorIpFilter = this.opt.visitorIpFilter || null;
+
         // Initialize port pool if range is specified
         if (this.portRangeStart && this.portRangeEnd) {
             for (let port = this.portRangeStart; port <= this.portRangeEnd; port++) {
@@ -40,13 +84,34 @@ class ClientManager {
             this.debug('initialized port pool: %d-%d (%d ports)',
                 this.portRangeStart, this.portRangeEnd, this.availablePorts.length);
         }
+
+        // Public ports of raw TCP tunnels (type 'tcp'), only available with a range
+        this.tcpPortRangeStart = this.opt.tcpPortRangeStart;
+        this.tcpPortRangeEnd = this.opt.tcpPortRangeEnd;
+        this.availableTcpPorts = [];
+        this.usedTcpPorts = new Set();
+
+        if (this.tcpTunnelsEnabled) {
+            for (let port = this.tcpPortRangeStart; port <= this.tcpPortRangeEnd; port++) {
+                this.availableTcpPorts.push(port);
+            }
+            this.debug('initialized public tcp port pool: %d-%d (%d ports)',
+                this.tcpPortRangeStart, this.tcpPortRangeEnd, this.availableTcpPorts.length);
+        }
+    }
+
+    // true when raw TCP tunnels can be created (a public TCP port range is configured)
+    get tcpTunnelsEnabled() {
+        return !!(this.tcpPortRangeStart && this.tcpPortRangeEnd);
     }
 
     // Get a port from the pool (if port range is configured)
     _getPort() {
         if (this.availablePorts.length === 0) {
             if (this.portRangeStart && this.portRangeEnd) {
-                throw new Error('No available ports in range');
+                const err = new Error('No available ports in range');
+                err.code = 'ports_exhausted';
+                throw err;
             }
             return undefined; // Let system assign random port
         }
@@ -68,9 +133,77 @@ class ClientManager {
         }
     }
 
+    // Keep a port that failed to bind out of the pool, so the next tunnels do not hit it again
+    _quarantinePort(port) {
+        if (!this.usedPorts.has(port)) {
+            return;
+        }
+        this.debug('port %d failed to bind, out of the pool for %dms', port, PORT_QUARANTINE);
+        setTimeout(() => this._releasePort(port), PORT_QUARANTINE).unref();
+    }
+
+    // Get a public port for a raw TCP tunnel
+    _getTcpPort() {
+        if (this.availableTcpPorts.length === 0) {
+            const err = new Error(this.tcpTunnelsEnabled
+                ? 'No available public TCP ports in range'
+                : 'TCP tunnels require a public TCP port range');
+            err.code = this.tcpTunnelsEnabled ? 'tcp_ports_exhausted' : 'tcp_tunnels_disabled';
+            throw err;
+        }
+        const port = this.availableTcpPorts.shift();
+        this.usedTcpPorts.add(port);
+        this.debug('assigned public tcp port %d (%d remaining)', port, this.availableTcpPorts.length);
+        return port;
+    }
+
+    // Return a public TCP port to the pool
+    _releaseTcpPort(port) {
+        if (this.usedTcpPorts.has(port)) {
+            this.usedTcpPorts.delete(port);
+            this.availableTcpPorts.push(port);
+            this.debug('released public tcp port %d (%d available)', port, this.availableTcpPorts.length);
+        }
+    }
+
+    // Same as _quarantinePort for the public TCP port pool
+    _quarantineTcpPort(port) {
+        if (!this.usedTcpPorts.has(port)) {
+            return;
+        }
+        this.debug('public tcp port %d failed to bind, out of the pool for %dms', port, PORT_QUARANTINE);
+        setTimeout(() => this._releaseTcpPort(port), PORT_QUARANTINE).unref();
+    }
+
+    // Prevent `id` from being claimed again for `duration` ms
+    blockId(id, duration) {
+        if (!duration || duration <= 0) {
+            return null;
+        }
+        const expiresAt = Date.now() + duration;
+        this.blockedIds.set(id, expiresAt);
+        this.debug('blocked subdomain %s for %dms', id, duration);
+        return expiresAt;
+    }
+
+    // Returns true while `id` is blocked, purging the entry once it expires
+    isBlocked(id) {
+        const expiresAt = this.blockedIds.get(id);
+        if (expiresAt === undefined) {
+            return false;
+        }
+        if (Date.now() >= expiresAt) {
+            this.blockedIds.delete(id);
+            return false;
+        }
+        return true;
+    }
+
     // create a new tunnel with `id`
     // if the id is already used, a random id is assigned
     // if the tunnel could not be created, throws an error
+    // options.credentials ({ keyId, clientToken, subject }) are checked against the subdomain policy,
+    // unless options.random says the id was generated rather than requested
     async newClient(id, options = {}) {
         const clients = this.clients;
         const stats = this.stats;
@@ -86,8 +219,31 @@ class ClientManager {
         this.debug('newClient called with: requestedId=%s, requestIP=%s, identifierType=%s',
                    id, requestIP, identifier.type);
         this.debug('Configuration: strictMode=%s, gracePeriod=%sms, trustProxy=%s', strictMode, gracePeriod, trustProxy);
+
+        // derived before the id checks below, which must not be separated from adding the client by an await
+        const basicAuth = options.basicAuth ? await BasicAuth.create(options.basicAuth) : null;
         this.debug('Existing client check: clientExists=%s', !!clients[id]);
 
+        // Subdomain owned by other credentials (throws subdomain_forbidden)
+        if (id && !options.random && this.subdomainPolicy) {
+            this.subdomainPolicy.check(id, options.credentials);
+        }
+
+        // Subdomain was blocked by an administrator (see removeClient)
+        if (id && this.isBlocked(id)) {
+            const remainingTime = Math.ceil((this.blockedIds.get(id) - Date.now()) / 1000);
+
+            if (strictMode) {
+                this.debug('Subdomain %s is blocked for %ds, rejecting (strict mode)', id, remainingTime);
+                const err = new Error(`Subdomain "${id}" is blocked. Try again in ${remainingTime}s or use a different subdomain.`);
+                err.code = 'subdomain_blocked';
+                throw err;
+            }
+
+            this.debug('Subdomain %s is blocked for %ds, assigning random ID (silent mode)', id, remainingTime);
+            id = hri.random();
+        }
+
         // Check if client ID already exists
         if (clients[id]) {
             const existingClient = clients[id];
@@ -112,6 +268,7 @@ class ClientManager {
 
                     // Remove client antigo (libera porta se necessário)
                     this.removeClient(id);
+                    this.emit('tunnel_replaced', existingClient);
 
                     // Continua para criar novo client com mesmo ID
                     // (código de criação abaixo)
@@ -125,7 +282,9 @@ class ClientManager {
                                    existingClient.identifier.type, existingClient.identifier.value,
                                    identifier.type, identifier.value);
                         const remainingTime = Math.ceil(existingClient.getGracePeriodRemaining() / 1000);
-                        throw new Error(`Subdomain "${id}" is reserved by another client. Try again in ${remainingTime}s or use a different subdomain.`);
+                        const err = new Error(`Subdomain "${id}" is reserved by another client. Try again in ${remainingTime}s or use a different subdomain.`);
+                        err.code = 'subdomain_reserved';
+                        throw err;
                     } else {
                         // Modo silencioso: atribui ID aleatório
                         this.debug('%s mismatch for %s (expected: %s=%s, got: %s=%s), assigning random ID (silent mode)',
@@ -152,6 +311,7 @@ class ClientManager {
 
                     // Remove old client (will close all sockets and free port)
                     this.removeClient(id);
+                    this.emit('tunnel_replaced', existingClient);
 
                     // Continue to create new client with same ID (code below)
                 } else {
@@ -164,43 +324,175 @@ class ClientManager {
             }
         }
 
-        const maxSockets = this.opt.max_tcp_sockets;
+        // clients may ask for fewer sockets than the server allows, never more
+        const serverMaxSockets = this.opt.max_tcp_sockets;
+        const maxSockets = options.maxSockets && serverMaxSockets
+            ? Math.min(options.maxSockets, serverMaxSockets)
+            : (options.maxSockets || serverMaxSockets);
 
         // Get port from pool if port range is configured
         const port = this._getPort();
 
+        // raw TCP tunnels also listen on a public port
+        let tcpPort = null;
+        if (options.type === 'tcp') {
+            try {
+                tcpPort = this._getTcpPort();
+            } catch (err) {
+                this._releasePort(port);
+                throw err;
+            }
+        }
+
+        // tunnel sockets must present this secret, unless legacy unauthenticated sockets are allowed
+        const connectSecret = process.env.LT_ALLOW_UNAUTHENTICATED_SOCKETS === 'true'
+            ? null
+            : crypto.randomBytes(32).toString('base64url');
+
         const agent = new TunnelAgent({
             clientId: id,
             maxTcpSockets: maxSockets,
             port: port,
+            connectSecret: connectSecret,
+            handshakeTimeout: parseInt(process.env.LT_SOCKET_HANDSHAKE_TIMEOUT, 10) || undefined,
+            keepAliveDelay: getIntEnv('LT_SOCKET_KEEPALIVE_DELAY'),
+            pingInterval: getIntEnv('LT_SOCKET_PING_INTERVAL'),
+            pingTimeout: getIntEnv('LT_SOCKET_PING_TIMEOUT'),
+            tls: this.tunnelTls,
+            transport: options.transport,
+        });
+
+        // request inspection: per tunnel option, or LT_INSPECT for every HTTP tunnel
+        const inspect = options.type !== 'tcp' && (options.inspect !== undefined
+            ? options.inspect
+            : process.env.LT_INSPECT === 'true');
+
+        // forward auth: per tunnel option, or LT_FORWARD_AUTH for every HTTP tunnel
+        const forwardAuth = options.type !== 'tcp' && (options.forwardAuth !== undefined
+            ? options.forwardAuth
+            : process.env.LT_FORWARD_AUTH === 'true');
+
+        const ipFilter = options.ipFilter ? new IpFilter(options.ipFilter) : null;
+
+        // raw TCP tunnels: public connections are piped to tunnel sockets
+        // clients may ask for fewer concurrent connections than LT_TCP_MAX_CONNECTIONS, never more
+        const serverMaxConnections = parseInt(process.env.LT_TCP_MAX_CONNECTIONS, 10) || DEFAULT_TCP_MAX_CONNECTIONS;
+        const tcpProxy = tcpPort === null ? null : new TcpProxy({
+            clientId: id,
+            agent,
+            port: tcpPort,
+            maxConnections: Math.min(options.maxConnections || serverMaxConnections, serverMaxConnections),
+            ipFilters: [this.visitorIpFilter, ipFilter].filter(Boolean),
         });
 
         const client = new Client({
             id,
             agent,
+            tcpProxy,
             originalIP: requestIP,
             identifier: identifier,
+            gracePeriod: options.gracePeriod,
+            metadata: options.metadata,
+            inspector: inspect ? new RequestInspector() : null,
+            basicAuth: basicAuth,
+            ipFilter: ipFilter,
+            forwardAuth: forwardAuth,
         });
 
         // add to clients map immediately
         // avoiding races with other clients requesting same id
         clients[id] = client;
 
+        client.on('response', (info) => {
+            this.emit('response', client, info);
+        });
+
+        client.on('online', () => {
+            this.emit('tunnel_online', client);
+        });
+
+        client.on('offline', () => {
+            this.emit('tunnel_offline', client);
+        });
+
+        client.on('grace_started', (gracePeriod) => {
+            this.emit('grace_started', client, gracePeriod);
+        });
+
+        client.on('grace_expired', () => {
+            this.emit('grace_expired', client);
+        });
+
+        agent.on('rejected', () => {
+            this.emit('socket_rejected', client);
+        });
+
+        agent.on('unauthorized', (socket, reason) => {
+            this.emit('socket_unauthorized', client, reason);
+        });
+
+        agent.on('evicted', (socket, reason) => {
+            this.emit('socket_evicted', client, reason);
+        });
+
+        if (tcpProxy) {
+            tcpProxy.on('rejected', (socket, reason) => {
+                this.emit('tcp_connection_rejected', client, reason);
+            });
+        }
+
         client.once('close', () => {
-            this.removeClient(id);
+            // the id may already belong to a newer client that replaced this one
+            if (clients[id] === client) {
+                this.removeClient(id);
+            }
         });
 
+        let info;
+        let tcpInfo = null;
+        try {
+            info = await agent.listen();
+        } catch (err) {
+            this.debug('tunnel port %d of %s failed to listen: %s', port, id, err.message);
+            this._discardClient(client, null, tcpPort);
+            this._quarantinePort(port);
+            throw err;
+        }
+        try {
+            tcpInfo = tcpProxy ? await tcpProxy.listen() : null;
+        } catch (err) {
+            this.debug('public tcp port %d of %s failed to listen: %s', tcpPort, id, err.message);
+            this._discardClient(client, port, null);
+            this._quarantineTcpPort(tcpPort);
+            throw err;
+        }
+
         // try/catch used here to remove client id
         try {
-            const info = await agent.listen();
             ++stats.tunnels;
             this.debug('Client created successfully: finalId=%s, assignedPort=%d, originalIP=%s, totalTunnels=%d',
                        id, info.port, requestIP, stats.tunnels);
-            return {
+            this.emit('tunnel_created', client);
+            const result = {
                 id: id,
                 port: info.port,
                 max_conn_count: maxSockets,
             };
+            if (connectSecret) {
+                result.connect_secret = connectSecret;
+            }
+            if (this.tunnelTls) {
+                result.tls = true;
+            }
+            if (agent.transport !== 'tcp') {
+                result.transport = agent.transport;
+            }
+            if (tcpProxy) {
+                result.type = 'tcp';
+                result.public_port = tcpInfo.port;
+                result.max_connections = tcpProxy.maxConnections;
+            }
+            return result;
         }
         catch (err) {
             this.removeClient(id);
@@ -209,20 +501,88 @@ class ClientManager {
         }
     }
 
-    removeClient(id) {
+    // undo a tunnel that failed to start listening: it was never counted nor announced,
+    // so unlike removeClient no stats change and no event is emitted
+    // ports: the tunnel port and public TCP port to give back to their pools (null: kept out)
+    _discardClient(client, port, tcpPort) {
+        if (this.clients[client.id] === client) {
+            delete this.clients[client.id];
+        }
+        if (port !== null) {
+            this._releasePort(port);
+        }
+        if (tcpPort !== null) {
+            this._releaseTcpPort(tcpPort);
+        }
+        // the close handler ignores a client that is no longer in the map
+        client.close();
+    }
+
+    // remove the tunnel with `id`, closing its agent and all tunnel sockets
+    // options.blockFor: keep the subdomain from being claimed again for this many ms
+    // returns false when no such tunnel exists
+    removeClient(id, options = {}) {
         this.debug('removing client: %s', id);
         const client = this.clients[id];
         if (!client) {
-            return;
+            return false;
         }
 
         // Release the port back to the pool
         const port = client.agent.port;
         this._releasePort(port);
+        if (client.tcpProxy) {
+            this._releaseTcpPort(client.tcpProxy.port);
+        }
 
         --this.stats.tunnels;
         delete this.clients[id];
         client.close();
+        this.emit('tunnel_removed', client);
+
+        if (options.blockFor) {
+            this.blockId(id, options.blockFor);
+        }
+
+        return true;
+    }
+
+    // list clients ordered by id
+    // filters: state ('online'|'grace'), identifierType ('token'|'ip'|'subject'), prefix (id prefix)
+    // pagination: `after` is the last id of the previous page, `limit` the page size
+    // returns { clients, nextId } where nextId is null on the last page
+    listClients(options = {}) {
+        const { state, identifierType, prefix, after } = options;
+        const limit = options.limit || 50;
+
+        const ids = Object.keys(this.clients).sort();
+        const clients = [];
+        let nextId = null;
+
+        for (const id of ids) {
+            if (after !== undefined && id <= after) {
+                continue;
+            }
+            if (prefix && !id.startsWith(prefix)) {
+                continue;
+            }
+
+            const client = this.clients[id];
+            if (state && client.getState() !== state) {
+                continue;
+            }
+            if (identifierType && client.identifier.type !== identifierType) {
+                continue;
+            }
+
+            if (clients.length === limit) {
+                nextId = clients[clients.length - 1].id;
+                break;
+            }
+            clients.push(client);
+        }
+
+        return { clients, nextId };
     }
 
     hasClient(id) {
@@ -42,6 +42,7 @@ describe('ClientManager', () => {
             const netClient = net.createConnection({ port: client.port }, () => {
                 resolve(netClient);
             });
+            netClient.write(`LT-AUTH ${client.connect_secret}\n`);
         });
 
         // Wait for connection to be established
@@ -65,6 +66,7 @@ describe('ClientManager', () => {
             const netClient = net.createConnection({ port: clientFoo.port }, () => {
                 resolve(netClient);
             });
+            netClient.write(`LT-AUTH ${clientFoo.connect_secret}\n`);
         });
 
         // Wait for connection to be established
@@ -169,6 +171,7 @@ describe('ClientManager', () => {
         } catch (err) {
             errorThrown = true;
             assert.equal(err.message, 'No available ports in range');
+            assert.equal(err.code, 'ports_exhausted');
         }
 
         assert.ok(errorThrown);
@@ -236,6 +239,216 @@ describe('ClientManager', () => {
         }
     });
 
+    it('should assign public ports to raw TCP tunnels and release them', async () => {
+        const manager = new ClientManager({
+            tcpPortRangeStart: 10070,
+            tcpPortRangeEnd: 10070, // Only 1 port
+        });
+        assert.equal(manager.tcpTunnelsEnabled, true);
+
+        const info = await manager.newClient('database', { type: 'tcp', maxConnections: 5 });
+        assert.equal(info.type, 'tcp');
+        assert.equal(info.public_port, 10070);
+        assert.equal(info.max_connections, 5);
+        assert.equal(manager.getClient('database').type, 'tcp');
+
+        await assert.rejects(manager.newClient('other', { type: 'tcp' }), { code: 'tcp_ports_exhausted' });
+        // the HTTP tunnel port of the failed tunnel is not kept either
+        assert.equal(manager.hasClient('other'), false);
+
+        manager.removeClient('database');
+        assert.equal(manager.availableTcpPorts.length, 1);
+        assert.equal(manager.usedTcpPorts.size, 0);
+
+        const again = await manager.newClient('database', { type: 'tcp' });
+        assert.equal(again.public_port, 10070);
+        manager.removeClient('database');
+    });
+
+    it('should keep a public TCP port that failed to bind out of the pool', async () => {
+        // another process holds the only port of the range
+        const occupier = net.createServer();
+        await new Promise(resolve => occupier.listen(10071, resolve));
+
+        const manager = new ClientManager({
+            tcpPortRangeStart: 10071,
+            tcpPortRangeEnd: 10071,
+        });
+        const events = [];
+        manager.on('tunnel_created', client => events.push(['created', client.id]));
+        manager.on('tunnel_removed', client => events.push(['removed', client.id]));
+
+        try {
+            await assert.rejects(manager.newClient('database', { type: 'tcp' }), { code: 'EADDRINUSE' });
+            assert.equal(manager.hasClient('database'), false);
+            assert.equal(manager.stats.tunnels, 0);
+            assert.deepEqual(events, []);
+
+            // the next tunnel does not get the same port again
+            assert.equal(manager.availableTcpPorts.length, 0);
+            await assert.rejects(manager.newClient('database', { type: 'tcp' }), /No available public TCP ports in range/);
+            assert.equal(manager.stats.tunnels, 0);
+        } finally {
+            await new Promise(resolve => occupier.close(resolve));
+        }
+    });
+
+    it('should keep a tunnel port that failed to bind out of the pool', async () => {
+        // another process holds the only port of the range
+        const occupier = net.createServer();
+        await new Promise(resolve => occupier.listen(10072, resolve));
+
+        const manager = new ClientManager({
+            portRangeStart: 10072,
+            portRangeEnd: 10072,
+        });
+        const events = [];
+        manager.on('tunnel_created', client => events.push(['created', client.id]));
+        manager.on('tunnel_removed', client => events.push(['removed', client.id]));
+
+        try {
+            await assert.rejects(manager.newClient('foo'), { code: 'EADDRINUSE' });
+            assert.equal(manager.hasClient('foo'), false);
+            assert.equal(manager.stats.tunnels, 0);
+            assert.deepEqual(events, []);
+
+            assert.equal(manager.availablePorts.length, 0);
+            await assert.rejects(manager.newClient('foo'), { code: 'ports_exhausted' });
+            assert.equal(manager.stats.tunnels, 0);
+        } finally {
+            await new Promise(resolve => occupier.close(resolve));
+        }
+    });
+
+    it('should refuse raw TCP tunnels without a public port range', async () => {
+        const manager = new ClientManager();
+        assert.equal(manager.tcpTunnelsEnabled, false);
+        await assert.rejects(manager.newClient('database', { type: 'tcp' }), /require a public TCP port range/);
+    });
+
+    it('should report whether a client was removed', async () => {
+        const manager = new ClientManager();
+        await manager.newClient('removable');
+        assert.equal(manager.removeClient('removable'), true);
+        assert.equal(manager.removeClient('removable'), false);
+    });
+
+    it('should block a removed subdomain for the requested period', async () => {
+        const manager = new ClientManager();
+        await manager.newClient('blockme');
+        manager.removeClient('blockme', { blockFor: 200 });
+        assert.ok(manager.isBlocked('blockme'));
+
+        const client = await manager.newClient('blockme');
+        assert.notEqual(client.id, 'blockme');
+        manager.removeClient(client.id);
+
+        await new Promise(resolve => setTimeout(resolve, 250));
+        assert.ok(!manager.isBlocked('blockme'));
+
+        const again = await manager.newClient('blockme');
+        assert.equal(again.id, 'blockme');
+        manager.removeClient('blockme');
+    });
+
+    it('should enforce the subdomain policy on requested ids only', async () => {
+        const checked = [];
+        const subdomainPolicy = {
+            check(id, credentials) {
+                checked.push([id, credentials]);
+                if (id === 'owned-name') {
+                    const err = new Error('Subdomain "owned-name" belongs to team-a');
+                    err.code = 'subdomain_forbidden';
+                    throw err;
+                }
+            },
+        };
+        const manager = new ClientManager({ subdomainPolicy });
+
+        await assert.rejects(manager.newClient('owned-name', { credentials: { clientToken: 'other' } }),
+            err => err.code === 'subdomain_forbidden');
+        assert.ok(!manager.hasClient('owned-name'));
+
+        const random = await manager.newClient('random-name', { random: true });
+        assert.deepEqual(checked, [['owned-name', { clientToken: 'other' }]]);
+        manager.removeClient(random.id);
+    });
+
+    it('should not remove a newer client when a replaced client closes', async () => {
+        const manager = new ClientManager();
+        await manager.newClient('replaced', { ip: '10.0.0.1', identifier: { type: 'token', value: 'abc' } });
+        const oldClient = manager.getClient('replaced');
+
+        await manager.newClient('replaced', { ip: '10.0.0.2', identifier: { type: 'token', value: 'abc' } });
+        const newClient = manager.getClient('replaced');
+        assert.notEqual(oldClient, newClient);
+
+        oldClient.emit('close');
+        assert.equal(manager.getClient('replaced'), newClient);
+        manager.removeClient('replaced');
+    });
+
+    it('should list clients ordered by id with pagination', async () => {
+        const manager = new ClientManager();
+        await manager.newClient('list-c');
+        await manager.newClient('list-a', { identifier: { type: 'token', value: 'abc' } });
+        await manager.newClient('list-b');
+
+        const first = manager.listClients({ limit: 2 });
+        assert.deepEqual(first.clients.map(c => c.id), ['list-a', 'list-b']);
+        assert.equal(first.nextId, 'list-b');
+
+        const second = manager.listClients({ limit: 2, after: first.nextId });
+        assert.deepEqual(second.clients.map(c => c.id), ['list-c']);
+        assert.equal(second.nextId, null);
+
+        const tokens = manager.listClients({ identifierType: 'token' });
+        assert.deepEqual(tokens.clients.map(c => c.id), ['list-a']);
+
+        const online = manager.listClients({ state: 'online' });
+        assert.equal(online.clients.length, 0);
+
+        manager.removeClient('list-a');
+        manager.removeClient('list-b');
+        manager.removeClient('list-c');
+    });
+
+    it('should emit tunnel_created and tunnel_removed events', async () => {
+        const manager = new ClientManager();
+        const events = [];
+        manager.on('tunnel_created', client => events.push(['created', client.id]));
+        manager.on('tunnel_removed', client => events.push(['removed', client.id]));
+
+        await manager.newClient('evented');
+        manager.removeClient('evented');
+        assert.deepEqual(events, [['created', 'evented'], ['removed', 'evented']]);
+    });
+
+    it('should forward client lifecycle events and report replacements', async () => {
+        const manager = new ClientManager();
+        const events = [];
+        for (const type of ['tunnel_online', 'tunnel_offline', 'grace_started', 'tunnel_replaced', 'tunnel_removed']) {
+            manager.on(type, client => events.push([type, client.id]));
+        }
+
+        const identifier = { type: 'token', value: 'lifecycle-token' };
+        await manager.newClient('lifecycle', { identifier });
+        const oldClient = manager.getClient('lifecycle');
+        oldClient.agent.emit('online');
+        oldClient.agent.emit('offline');
+
+        await manager.newClient('lifecycle', { identifier });
+        manager.removeClient('lifecycle');
+
+        assert.deepEqual(events.slice(0, 5), [
+            ['tunnel_online', 'lifecycle'],
+            ['tunnel_offline', 'lifecycle'],
+            ['grace_started', 'lifecycle'],
+            ['tunnel_removed', 'lifecycle'],
+            ['tunnel_replaced', 'lifecycle'],
+        ]);
+    });
+
     describe('IP-based subdomain reservation', () => {
         it('should allow same IP to reconnect with same subdomain during grace period', async () => {
             const manager = new ClientManager();
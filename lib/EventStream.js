@@ -0,0 +1,86 @@
+import Debug from 'debug';
+import EventEmitter from 'events';
+
+const DEFAULT_BUFFER_SIZE = 1000;
+
+/**
+ * In-memory stream of server events with sequential ids
+ * The most recent events are kept in a bounded buffer so subscribers can
+ * resume after a disconnection (SSE Last-Event-ID)
+ */
+class EventStream {
+    constructor(options = {}) {
+        this.debug = Debug('localtunnel:events');
+        this.bufferSize = options.bufferSize || DEFAULT_BUFFER_SIZE;
+
+        // oldest first, at most bufferSize entries
+        this.buffer = [];
+        this.lastId = 0;
+
+        this.emitter = new EventEmitter();
+        // one listener per connected subscriber
+        this.emitter.setMaxListeners(0);
+    }
+
+    /**
+     * Records an event and delivers it to every subscriber
+     * @param {string} type - Event type (e.g. 'tunnel_created')
+     * @param {Object} data - JSON serializable payload
+     * @returns {Object} { id, type, time, data }
+     */
+    publish(type, data = {}) {
+        const event = {
+            id: ++this.lastId,
+            type,
+            time: new Date().toISOString(),
+            data,
+        };
+
+        this.buffer.push(event);
+        if (this.buffer.length > this.bufferSize) {
+            this.buffer.shift();
+        }
+
+        this.debug('event %d: %s %o', event.id, type, data);
+        this.emitter.emit('event', event);
+        return event;
+    }
+
+    /**
+     * Buffered events published after `lastEventId`
+     * An id newer than the last published one (e.g. issued before a server
+     * restart) replays the whole buffer
+     */
+    since(lastEventId) {
+        if (!Number.isInteger(lastEventId) || lastEventId < 0) {
+            return [];
+        }
+        if (lastEventId > this.lastId) {
+            return [...this.buffer];
+        }
+        return this.buffer.filter(event => event.id > lastEventId);
+    }
+
+    /**
+     * Calls `listener(event)` for every new event
+     * @returns {Function} unsubscribe
+     */
+    subscribe(listener) {
+        this.emitter.on('event', listener);
+        return () => this.emitter.removeListener('event', listener);
+    }
+
+    subscriberCount() {
+        return this.emitter.listenerCount('event');
+    }
+
+    /**
+     * Formats an event as a Server-Sent Events message
+     */
+    static format(event) {
+        const payload = JSON.stringify({ ...event.data, time: event.time });
+        return `id: ${event.id}\nevent: ${event.type}\ndata: ${payload}\n\n`;
+    }
+}
+
+export default EventStream;
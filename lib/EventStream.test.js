@@ -0,0 +1,50 @@
+import assert from 'assert';
+
+import EventStream from './EventStream.js';
+
+describe('EventStream', () => {
+    it('should assign sequential ids and deliver events to subscribers', () => {
+        const events = new EventStream();
+        const received = [];
+        const unsubscribe = events.subscribe(event => received.push(event));
+
+        events.publish('tunnel_created', { id: 'foo' });
+        events.publish('tunnel_removed', { id: 'foo' });
+        unsubscribe();
+        events.publish('tunnel_created', { id: 'bar' });
+
+        assert.deepEqual(received.map(e => [e.id, e.type, e.data.id]), [
+            [1, 'tunnel_created', 'foo'],
+            [2, 'tunnel_removed', 'foo'],
+        ]);
+        assert.equal(events.subscriberCount(), 0);
+    });
+
+    it('should replay buffered events after a given id', () => {
+        const events = new EventStream({ bufferSize: 3 });
+        for (let i = 0; i < 5; i++) {
+            events.publish('tick', { i });
+        }
+
+        // only the last 3 events are kept
+        assert.deepEqual(events.since(0).map(e => e.id), [3, 4, 5]);
+        assert.deepEqual(events.since(3).map(e => e.id), [4, 5]);
+        assert.deepEqual(events.since(5), []);
+        // ids from a previous server run replay everything that is buffered
+        assert.deepEqual(events.since(42).map(e => e.id), [3, 4, 5]);
+        assert.deepEqual(events.since(NaN), []);
+    });
+
+    it('should format events as Server-Sent Events messages', () => {
+        const events = new EventStream();
+        const event = events.publish('tunnel_online', { id: 'foo' });
+
+        const message = EventStream.format(event);
+        assert.ok(message.startsWith('id: 1\nevent: tunnel_online\ndata: '));
+        assert.ok(message.endsWith('\n\n'));
+
+        const data = JSON.parse(message.split('\n')[2].slice('data: '.length));
+        assert.equal(data.id, 'foo');
+        assert.equal(data.time, event.time);
+    });
+});
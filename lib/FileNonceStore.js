@@ -0,0 +1,136 @@
+import fs from 'fs';
+import path from 'path';
+import Debug from 'debug';
+
+// Creates an error with a reasonCode, as returned by HmacAuthenticator validations
+function storeError(message) {
+    const err = new Error(message);
+    err.code = 'nonce_store_unavailable';
+    return err;
+}
+
+// Creates `file`, failing when it already exists (atomic across processes)
+async function createExclusive(file) {
+    const handle = await fs.promises.open(file, 'wx', 0o600);
+    await handle.close();
+}
+
+/**
+ * Nonce store shared by the server processes of one host
+ *
+ * Each nonce is an empty file in a directory, created with O_EXCL so only one process
+ * can claim it; its modification time is when it was used. Expired files are removed
+ * periodically (LT_NONCE_CLEANUP_INTERVAL, default 60s).
+ */
+class FileNonceStore {
+    constructor(dirPath, ttl = 7200, cleanupIntervalMs = null) {
+        this.debug = Debug('localtunnel:noncestore:file');
+        this.dirPath = dirPath;
+        this.ttl = ttl * 1000;
+
+        try {
+            fs.mkdirSync(dirPath, { recursive: true, mode: 0o700 });
+        } catch (err) {
+            throw new Error(`Failed to create nonce store directory ${dirPath}: ${err.message}`);
+        }
+
+        const interval = cleanupIntervalMs || parseInt(process.env.LT_NONCE_CLEANUP_INTERVAL, 10) || 60000;
+        this.cleaning = false;
+        this.cleanupInterval = setInterval(() => this.cleanup(), interval);
+        this.cleanupInterval.unref();
+
+        this.debug('FileNonceStore initialized: %s, TTL=%ds', dirPath, ttl);
+    }
+
+    /**
+     * Stores a nonce
+     * @param {number} nonce - Unix epoch in milliseconds
+     * @returns {Promise<boolean>} false when the nonce was already used
+     */
+    async add(nonce) {
+        const file = path.join(this.dirPath, String(Math.trunc(nonce)));
+        try {
+            await createExclusive(file);
+            return true;
+        } catch (err) {
+            if (err.code !== 'EEXIST') {
+                throw storeError(`Nonce store unavailable: ${err.message}`);
+            }
+        }
+
+        // used before: still within its TTL?
+        let stat = null;
+        try {
+            stat = await fs.promises.stat(file);
+        } catch (err) {
+            // removed by a cleanup in the meantime
+        }
+        if (stat && Date.now() - stat.mtimeMs < this.ttl) {
+            return false;
+        }
+
+        // expired but not cleaned up yet: claim it again
+        await fs.promises.unlink(file).catch(() => {});
+        try {
+            await createExclusive(file);
+            return true;
+        } catch (err) {
+            if (err.code === 'EEXIST') {
+                return false;
+            }
+            throw storeError(`Nonce store unavailable: ${err.message}`);
+        }
+    }
+
+    /**
+     * Removes expired nonces
+     */
+    async cleanup() {
+        if (this.cleaning) {
+            return;
+        }
+        this.cleaning = true;
+        let removed = 0;
+        try {
+            const now = Date.now();
+            for (const name of await fs.promises.readdir(this.dirPath)) {
+                const file = path.join(this.dirPath, name);
+                try {
+                    const stat = await fs.promises.stat(file);
+                    if (now - stat.mtimeMs >= this.ttl) {
+                        await fs.promises.unlink(file);
+                        removed++;
+                    }
+                } catch (err) {
+                    // removed by another process
+                }
+            }
+        } catch (err) {
+            this.debug('ERROR: cleanup of %s failed: %s', this.dirPath, err.message);
+        } finally {
+            this.cleaning = false;
+        }
+        if (removed > 0) {
+            this.debug('Cleanup: removed %d expired nonces', removed);
+        }
+    }
+
+    /**
+     * Unknown without listing the directory
+     */
+    size() {
+        return null;
+    }
+
+    /**
+     * Stops the cleanup interval (the files are kept for the other processes)
+     */
+    destroy() {
+        if (this.cleanupInterval) {
+            clearInterval(this.cleanupInterval);
+            this.cleanupInterval = null;
+        }
+    }
+}
+
+export default FileNonceStore;
@@ -0,0 +1,158 @@
+import http from 'http';
+import https from 'https';
+import Debug from 'debug';
+
+const DEFAULT_TIMEOUT = 5000;
+const MAX_RESPONSE_BODY = 64 * 1024;  // bytes of a refusal returned to the visitor
+
+// Visitor headers sent along with the subrequest, so the auth service can see the session
+const FORWARDED_REQUEST_HEADERS = ['cookie', 'authorization', 'user-agent', 'accept', 'accept-language'];
+
+// Headers of a refusal that are not passed on to the visitor
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'content-length', 'upgrade'];
+
+// Read a positive integer from the environment, or return the default
+function getPositiveInt(name, defaultValue) {
+    const parsed = parseInt(process.env[name], 10);
+    return isNaN(parsed) || parsed <= 0 ? defaultValue : parsed;
+}
+
+// Replaces headers of a visitor request in both req.headers and req.rawHeaders
+// (visitors must not be able to send their own values for headers set by the auth service)
+function replaceHeaders(req, headers) {
+    const names = Object.keys(headers);
+    const rawHeaders = [];
+    for (let i = 0; i < req.rawHeaders.length - 1; i += 2) {
+        if (!names.includes(req.rawHeaders[i].toLowerCase())) {
+            rawHeaders.push(req.rawHeaders[i], req.rawHeaders[i + 1]);
+        }
+    }
+    for (const name of names) {
+        delete req.headers[name];
+        if (headers[name] !== undefined) {
+            req.headers[name] = headers[name];
+            rawHeaders.push(name, headers[name]);
+        }
+    }
+    req.rawHeaders = rawHeaders;
+}
+
+/**
+ * Forward authentication of visitor requests (as in Traefik's ForwardAuth middleware)
+ *
+ * Before a visitor request or upgrade is proxied, a GET subrequest is sent to the auth
+ * URL with the original request in X-Forwarded-Method, X-Forwarded-Proto, X-Forwarded-Host,
+ * X-Forwarded-Uri and X-Forwarded-For, and the visitor's cookies and credentials.
+ * A 2xx response lets the request through, with the configured response headers copied
+ * onto it; any other response (e.g. a redirect to the login page) is returned to the visitor.
+ *
+ * Configuration (environment):
+ * - LT_FORWARD_AUTH_URL: auth service URL
+ * - LT_FORWARD_AUTH_RESPONSE_HEADERS: comma separated headers copied to the forwarded request
+ * - LT_FORWARD_AUTH_TIMEOUT: subrequest timeout in ms (default 5000)
+ */
+class ForwardAuth {
+    constructor(options = {}) {
+        this.debug = Debug('localtunnel:forward-auth');
+
+        const url = options.url || process.env.LT_FORWARD_AUTH_URL;
+        try {
+            this.url = new URL(url);
+        } catch (err) {
+            throw new Error(`Invalid forward auth URL: ${url}`);
+        }
+        if (this.url.protocol !== 'http:' && this.url.protocol !== 'https:') {
+            throw new Error('Forward auth URL must use http or https');
+        }
+
+        const responseHeaders = options.responseHeaders ||
+            (process.env.LT_FORWARD_AUTH_RESPONSE_HEADERS || '').split(',');
+        this.responseHeaders = responseHeaders.map(name => name.trim().toLowerCase()).filter(Boolean);
+        this.timeout = options.timeout || getPositiveInt('LT_FORWARD_AUTH_TIMEOUT', DEFAULT_TIMEOUT);
+
+        this.debug('Forward auth initialized: url=%s, responseHeaders=%s, timeout=%dms',
+            this.url.href, this.responseHeaders.join(',') || '(none)', this.timeout);
+    }
+
+    /**
+     * Returns true when a forward auth URL is configured
+     */
+    static isConfigured() {
+        return !!process.env.LT_FORWARD_AUTH_URL;
+    }
+
+    /**
+     * Asks the auth service about a visitor request
+     * @param {http.IncomingMessage} req - visitor request
+     * @param {Object} visitor - { ip, proto }
+     * @returns {Promise<Object>} { allowed: true } (the request headers were updated)
+     *   or { allowed: false, statusCode, headers, body } to be returned to the visitor
+     */
+    async check(req, { ip, proto }) {
+        const headers = {
+            'X-Forwarded-Method': req.method,
+            'X-Forwarded-Proto': proto,
+            'X-Forwarded-Host': req.headers.host,
+            'X-Forwarded-Uri': req.url,
+            'X-Forwarded-For': ip,
+        };
+        for (const name of FORWARDED_REQUEST_HEADERS) {
+            if (req.headers[name] !== undefined) {
+                headers[name] = req.headers[name];
+            }
+        }
+
+        let response;
+        try {
+            response = await this._get(headers);
+        } catch (err) {
+            this.debug('ERROR: auth request for %s %s failed: %s', req.method, req.url, err.message);
+            return { allowed: false, statusCode: 502, headers: {}, body: Buffer.from('Authentication service unavailable') };
+        }
+
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+            const copied = {};
+            for (const name of this.responseHeaders) {
+                copied[name] = response.headers[name];
+            }
+            replaceHeaders(req, copied);
+            return { allowed: true };
+        }
+
+        this.debug('auth service refused %s %s with %d', req.method, req.url, response.statusCode);
+        const refusal = {};
+        for (const [name, value] of Object.entries(response.headers)) {
+            if (!HOP_BY_HOP_HEADERS.includes(name)) {
+                refusal[name] = value;
+            }
+        }
+        return { allowed: false, statusCode: response.statusCode, headers: refusal, body: response.body };
+    }
+
+    // GET the auth URL, resolving with { statusCode, headers, body } (body truncated to MAX_RESPONSE_BODY)
+    _get(headers) {
+        const transport = this.url.protocol === 'https:' ? https : http;
+        return new Promise((resolve, reject) => {
+            const req = transport.request(this.url, { method: 'GET', headers, timeout: this.timeout }, (res) => {
+                const chunks = [];
+                let size = 0;
+                res.on('data', (chunk) => {
+                    if (size < MAX_RESPONSE_BODY) {
+                        chunks.push(chunk.subarray(0, MAX_RESPONSE_BODY - size));
+                        size += chunk.length;
+                    }
+                });
+                res.once('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+                res.once('error', reject);
+            });
+
+            req.once('timeout', () => {
+                req.destroy(new Error(`Timed out after ${this.timeout}ms`));
+            });
+            req.once('error', reject);
+            req.end();
+        });
+    }
+}
+
+export default ForwardAuth;
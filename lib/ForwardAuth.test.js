@@ -0,0 +1,85 @@
+import assert from 'assert';
+import http from 'http';
+
+import ForwardAuth from './ForwardAuth.js';
+
+// fake visitor request, as seen by the public server
+function visitorRequest(headers = {}) {
+    const all = { host: 'myapp.example.com', ...headers };
+    return {
+        method: 'POST',
+        url: '/orders?id=1',
+        headers: all,
+        rawHeaders: Object.entries(all).flat(),
+    };
+}
+
+describe('ForwardAuth', () => {
+    let authServer;
+    let received;
+    let url;
+
+    before(async () => {
+        authServer = http.createServer((req, res) => {
+            received = req;
+            if (req.headers.cookie === 'session=valid') {
+                res.setHeader('X-Auth-User', 'alice');
+                res.end();
+                return;
+            }
+            res.writeHead(302, { Location: 'https://sso.example.com/login', 'Set-Cookie': ['a=1', 'b=2'] });
+            res.end('redirecting');
+        });
+        await new Promise(resolve => authServer.listen(resolve));
+        url = `http://localhost:${authServer.address().port}/verify`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => authServer.close(resolve));
+    });
+
+    it('should let the request through and copy the configured response headers', async () => {
+        const auth = new ForwardAuth({ url, responseHeaders: ['X-Auth-User'] });
+        // a visitor cannot send its own X-Auth-User
+        const req = visitorRequest({ cookie: 'session=valid', 'x-auth-user': 'mallory' });
+        req.rawHeaders = ['Host', 'myapp.example.com', 'Cookie', 'session=valid', 'X-Auth-User', 'mallory'];
+
+        const result = await auth.check(req, { ip: '192.0.2.1', proto: 'https' });
+        assert.deepEqual(result, { allowed: true });
+        assert.equal(req.headers['x-auth-user'], 'alice');
+        assert.deepEqual(req.rawHeaders, ['Host', 'myapp.example.com', 'Cookie', 'session=valid', 'x-auth-user', 'alice']);
+
+        assert.equal(received.method, 'GET');
+        assert.equal(received.url, '/verify');
+        assert.equal(received.headers['x-forwarded-method'], 'POST');
+        assert.equal(received.headers['x-forwarded-proto'], 'https');
+        assert.equal(received.headers['x-forwarded-host'], 'myapp.example.com');
+        assert.equal(received.headers['x-forwarded-uri'], '/orders?id=1');
+        assert.equal(received.headers['x-forwarded-for'], '192.0.2.1');
+        assert.equal(received.headers.cookie, 'session=valid');
+    });
+
+    it('should return refusals to the visitor as they are', async () => {
+        const auth = new ForwardAuth({ url });
+        const result = await auth.check(visitorRequest(), { ip: '192.0.2.1', proto: 'http' });
+
+        assert.equal(result.allowed, false);
+        assert.equal(result.statusCode, 302);
+        assert.equal(result.headers.location, 'https://sso.example.com/login');
+        assert.deepEqual(result.headers['set-cookie'], ['a=1', 'b=2']);
+        assert.equal(result.headers['content-length'], undefined);
+        assert.equal(result.body.toString(), 'redirecting');
+    });
+
+    it('should refuse with 502 when the auth service is unreachable', async () => {
+        const auth = new ForwardAuth({ url: 'http://127.0.0.1:1/verify', timeout: 500 });
+        const result = await auth.check(visitorRequest(), { ip: '192.0.2.1', proto: 'http' });
+        assert.equal(result.allowed, false);
+        assert.equal(result.statusCode, 502);
+    });
+
+    it('should reject invalid URLs', () => {
+        assert.throws(() => new ForwardAuth({ url: 'not a url' }), /Invalid forward auth URL/);
+        assert.throws(() => new ForwardAuth({ url: 'ftp://auth.example.com' }), /http or https/);
+    });
+});
@@ -1,42 +1,73 @@
 import crypto from 'crypto';
 import fs from 'fs';
 import Debug from 'debug';
-import NonceCache from './NonceCache.js';
+import NonceStore from './NonceStore.js';
+import HmacKeyStore from './HmacKeyStore.js';
+
+// Último nonce emitido por signRequest (garante nonces únicos no mesmo milissegundo)
+let lastIssuedNonce = 0;
+
+// Headers que o esquema v2 sempre exige na assinatura (x-lt-client-token: quando enviado)
+const V2_REQUIRED_HEADERS = ['host'];
+const V2_REQUIRED_IF_PRESENT = ['x-lt-client-token'];
 
 /**
  * HMAC-SHA256 Authenticator with shared secret
  * Provides authentication using HMAC signatures with timestamp and numeric nonce
+ * Named keys (FILE_LT_HMAC_KEYS) are selected with "HMAC keyId=<id>,sha256=<hex>"
+ *
+ * Two signing schemes are accepted:
+ * - v1: "HMAC [keyId=<id>,]sha256=<hex>" over METHOD + PATH + TIMESTAMP + NONCE + BODY
+ * - v2: "HMAC-V2 [keyId=<id>,]signedHeaders=<h1;h2>,signature=<hex>" over a canonical
+ *   request that also covers the query string, the Host header and a SHA-256 of the body
+ *   (see buildCanonicalRequest). v1 can be turned off with the acceptV1 option
  */
 class HmacAuthenticator {
     constructor(options = {}) {
         // Initialize debug first before any other operations
         this.debug = Debug('localtunnel:authenticator:hmac');
 
-        this.secret = this.loadSecret();
+        // Nomes das variáveis de ambiente do segredo (permite segredos distintos, ex: API admin)
+        this.secretEnv = options.secretEnv || 'LT_HMAC_SECRET';
+        this.secretFileEnv = options.secretFileEnv || 'FILE_LT_HMAC_SECRET';
+        this.keysFileEnv = options.keysFileEnv || 'FILE_LT_HMAC_KEYS';
+
+        // Chaves nomeadas (keyId -> segredo), recarregadas sem restart
+        this.keyStore = options.keyStore || this.loadKeyStore();
+
+        // Segredo único (legado): opcional quando há chaves nomeadas
+        const hasSecret = process.env[this.secretEnv] || process.env[this.secretFileEnv];
+        this.secret = hasSecret || !this.keyStore ? this.loadSecret() : null;
         this.timestampTolerance = options.timestampTolerance || 60; // segundos
         this.nonceThreshold = options.nonceThreshold || 3600; // segundos
         const nonceCacheTTL = options.nonceCacheTTL || 7200; // segundos
-        this.nonceCache = new NonceCache(nonceCacheTTL);
-
-        this.debug('HMAC Authenticator initialized: timestampTolerance=%ds, nonceThreshold=%ds, cacheTTL=%ds',
-                  this.timestampTolerance, this.nonceThreshold, nonceCacheTTL);
+        // Nonces usados: em memória (padrão) ou compartilhados entre instâncias (LT_NONCE_STORE)
+        this.nonceStore = options.nonceStore || NonceStore.create({
+            ttl: nonceCacheTTL,
+            namespace: options.nonceNamespace || 'tunnel'
+        });
+        // Aceita o esquema v1 durante a migração para o v2
+        this.acceptV1 = options.acceptV1 !== false;
+
+        this.debug('HMAC Authenticator initialized: timestampTolerance=%ds, nonceThreshold=%ds, cacheTTL=%ds, acceptV1=%s',
+                  this.timestampTolerance, this.nonceThreshold, nonceCacheTTL, this.acceptV1);
     }
 
     /**
      * Carrega segredo de variável de ambiente ou arquivo
-     * Prioridade: LT_HMAC_SECRET > FILE_LT_HMAC_SECRET
+     * Prioridade: LT_HMAC_SECRET > FILE_LT_HMAC_SECRET (ou secretEnv > secretFileEnv)
      */
     loadSecret() {
         // Prioridade: LT_HMAC_SECRET > FILE_LT_HMAC_SECRET
-        if (process.env.LT_HMAC_SECRET) {
-            this.debug('Loading secret from LT_HMAC_SECRET');
-            const secret = process.env.LT_HMAC_SECRET.trim();
+        if (process.env[this.secretEnv]) {
+            this.debug('Loading secret from %s', this.secretEnv);
+            const secret = process.env[this.secretEnv].trim();
             this.validateSecret(secret);
             return secret;
         }
 
-        if (process.env.FILE_LT_HMAC_SECRET) {
-            const filePath = process.env.FILE_LT_HMAC_SECRET;
+        if (process.env[this.secretFileEnv]) {
+            const filePath = process.env[this.secretFileEnv];
             this.debug('Loading secret from file: %s', filePath);
 
             try {
@@ -48,7 +79,35 @@ class HmacAuthenticator {
             }
         }
 
-        throw new Error('HMAC secret not configured (LT_HMAC_SECRET or FILE_LT_HMAC_SECRET required)');
+        throw new Error(`HMAC secret not configured (${this.secretEnv}, ${this.secretFileEnv} or ${this.keysFileEnv} required)`);
+    }
+
+    /**
+     * Carrega as chaves nomeadas do arquivo indicado em FILE_LT_HMAC_KEYS (ou keysFileEnv)
+     * @returns {HmacKeyStore|null}
+     */
+    loadKeyStore() {
+        const filePath = process.env[this.keysFileEnv];
+        if (!filePath) {
+            return null;
+        }
+        this.debug('Loading named keys from file: %s', filePath);
+        return new HmacKeyStore(filePath);
+    }
+
+    /**
+     * Todos os segredos aceitos: o segredo único e os das chaves nomeadas
+     */
+    secrets() {
+        const secrets = this.keyStore ? this.keyStore.secrets() : [];
+        return this.secret ? [this.secret, ...secrets] : secrets;
+    }
+
+    /**
+     * Retorna true quando algum segredo ou arquivo de chaves está configurado
+     */
+    static isConfigured(secretEnv = 'LT_HMAC_SECRET', secretFileEnv = 'FILE_LT_HMAC_SECRET', keysFileEnv = 'FILE_LT_HMAC_KEYS') {
+        return !!(process.env[secretEnv] || process.env[secretFileEnv] || process.env[keysFileEnv]);
     }
 
     /**
@@ -72,23 +131,41 @@ class HmacAuthenticator {
             // 1. Extrai headers
             const { authorization, timestamp, nonce } = this.extractHeaders(req);
 
-            // 2. Valida formato do Authorization
-            const signature = this.parseAuthorizationHeader(authorization);
+            // 2. Valida formato do Authorization e seleciona o segredo (keyId ou segredo único)
+            const { version, keyId, signature, signedHeaders } = this.parseAuthorizationHeader(authorization);
+            const secret = this.resolveSecret(keyId);
+            if (version === 2) {
+                this.validateSignedHeaders(signedHeaders, req.headers);
+            }
 
             // 3. Valida timestamp
             this.validateTimestamp(timestamp);
 
-            // 4. Valida nonce (formato, threshold, replay)
-            this.validateNonce(nonce, timestamp);
+            // 4. Valida nonce (formato, threshold)
+            const parsedNonce = this.validateNonce(nonce, timestamp);
 
             // 5. Reconstrói mensagem
             const method = req.method;
             const path = req.path || req.url;
-            const body = req.body ? JSON.stringify(req.body) : '';
-            const message = this.buildMessage(method, path, timestamp, nonce, body);
+            // sign the exact bytes received when the raw body is available
+            const body = req.rawBody !== undefined
+                ? req.rawBody
+                : (req.body ? JSON.stringify(req.body) : '');
+            const message = version === 2
+                ? HmacAuthenticator.buildCanonicalRequest({
+                    method,
+                    path,
+                    query: req.querystring || '',
+                    headers: req.headers,
+                    signedHeaders,
+                    timestamp,
+                    nonce,
+                    body
+                })
+                : this.buildMessage(method, path, timestamp, nonce, body);
 
             // 6. Calcula HMAC esperado
-            const expectedSignature = this.calculateHmac(message);
+            const expectedSignature = HmacAuthenticator.calculateHmac(secret, message);
 
             // 7. Verifica signature (timing-safe)
             if (!this.verifySignature(signature, expectedSignature)) {
@@ -100,11 +177,16 @@ class HmacAuthenticator {
                 };
             }
 
-            // 8. Armazena nonce no cache
-            this.nonceCache.add(nonce);
+            // 8. Registra o nonce; falha se já foi usado (nesta ou em outra instância)
+            if (!(await this.nonceStore.add(parsedNonce))) {
+                const err = new Error('Nonce already used (replay attack detected)');
+                err.code = 'replay_detected';
+                err.details = `Nonce: ${parsedNonce}`;
+                throw err;
+            }
 
-            this.debug('Authentication successful for %s %s', method, path);
-            return { valid: true };
+            this.debug('Authentication successful for %s %s (key: %s, scheme: v%d)', method, path, keyId || 'default', version);
+            return { valid: true, keyId, version };
 
         } catch (err) {
             this.debug('Authentication failed: %s', err.message);
@@ -149,18 +231,97 @@ class HmacAuthenticator {
 
     /**
      * Faz parse do Authorization header
-     * Formato esperado: "HMAC sha256=abc123..."
+     * Formatos aceitos:
+     * - v1: "HMAC sha256=abc123..." ou "HMAC keyId=<id>,sha256=abc123..."
+     * - v2: "HMAC-V2 [keyId=<id>,]signedHeaders=host;x-lt-client-token,signature=abc123..."
+     * @returns {Object} { version: 1|2, keyId: string|null, signature: string, signedHeaders: string[]|null }
      */
     parseAuthorizationHeader(authorization) {
-        const match = authorization.match(/^HMAC\s+sha256=([a-f0-9]+)$/i);
+        if (/^HMAC-V2\s/i.test(authorization)) {
+            const match = authorization.match(
+                /^HMAC-V2\s+(?:keyId=([A-Za-z0-9._:-]{1,128})\s*,\s*)?signedHeaders=([A-Za-z0-9;-]+)\s*,\s*signature=([a-f0-9]+)$/i);
+
+            if (!match) {
+                const err = new Error('Invalid Authorization header format (expected: HMAC-V2 [keyId=<id>,]signedHeaders=<h1;h2>,signature=<hex>)');
+                err.code = 'invalid_auth_format';
+                throw err;
+            }
+
+            return {
+                version: 2,
+                keyId: match[1] || null,
+                signature: match[3],
+                signedHeaders: HmacAuthenticator.normalizeSignedHeaders(match[2].split(';'))
+            };
+        }
+
+        const match = authorization.match(/^HMAC\s+(?:keyId=([A-Za-z0-9._:-]{1,128})\s*,\s*)?sha256=([a-f0-9]+)$/i);
 
         if (!match) {
-            const err = new Error('Invalid Authorization header format (expected: HMAC sha256=<hex>)');
+            const err = new Error('Invalid Authorization header format (expected: HMAC [keyId=<id>,]sha256=<hex>)');
             err.code = 'invalid_auth_format';
             throw err;
         }
 
-        return match[1];
+        if (!this.acceptV1) {
+            const err = new Error('HMAC v1 signatures are no longer accepted (expected: HMAC-V2)');
+            err.code = 'v1_disabled';
+            throw err;
+        }
+
+        return { version: 1, keyId: match[1] || null, signature: match[2], signedHeaders: null };
+    }
+
+    /**
+     * Garante que o esquema v2 assina os headers obrigatórios
+     * - host sempre
+     * - x-lt-client-token quando enviado (o token identifica o túnel)
+     * - todo header assinado precisa estar presente na requisição
+     */
+    validateSignedHeaders(signedHeaders, headers) {
+        const required = [
+            ...V2_REQUIRED_HEADERS,
+            ...V2_REQUIRED_IF_PRESENT.filter(name => headers[name] !== undefined)
+        ];
+
+        for (const name of required) {
+            if (!signedHeaders.includes(name)) {
+                const err = new Error(`Header "${name}" must be signed`);
+                err.code = 'unsigned_header';
+                throw err;
+            }
+        }
+
+        for (const name of signedHeaders) {
+            if (headers[name] === undefined) {
+                const err = new Error(`Signed header "${name}" is missing from the request`);
+                err.code = 'missing_signed_header';
+                throw err;
+            }
+        }
+    }
+
+    /**
+     * Seleciona o segredo usado para verificar a assinatura
+     * - com keyId: chave nomeada válida (não revogada, dentro de not_before/not_after)
+     * - sem keyId: segredo único (LT_HMAC_SECRET / FILE_LT_HMAC_SECRET)
+     */
+    resolveSecret(keyId) {
+        if (keyId) {
+            if (!this.keyStore) {
+                const err = new Error(`Unknown HMAC key "${keyId}" (named keys are not configured)`);
+                err.code = 'unknown_key';
+                throw err;
+            }
+            return this.keyStore.getSecret(keyId);
+        }
+
+        if (!this.secret) {
+            const err = new Error('Missing keyId in Authorization header (expected: HMAC keyId=<id>,sha256=<hex>)');
+            err.code = 'missing_key_id';
+            throw err;
+        }
+        return this.secret;
     }
 
     /**
@@ -194,7 +355,9 @@ class HmacAuthenticator {
      * - Deve ser numérico (Unix epoch em milissegundos)
      * - Não pode ser muito antigo (anterior ao threshold)
      * - Não pode ser muito no futuro (além da tolerância do timestamp)
-     * - Não pode ter sido usado antes (replay check)
+     * O replay check é feito em validateRequest, ao registrar o nonce no store
+     * (só depois da assinatura, para que nonces de requisições inválidas não sejam consumidos)
+     * @returns {number} nonce numérico
      */
     validateNonce(nonceStr, timestampStr) {
         const nonce = parseInt(nonceStr, 10);
@@ -225,15 +388,8 @@ class HmacAuthenticator {
             throw err;
         }
 
-        // Verifica replay (nonce já usado)
-        if (this.nonceCache.has(nonce)) {
-            const err = new Error('Nonce already used (replay attack detected)');
-            err.code = 'replay_detected';
-            err.details = `Nonce: ${nonce}`;
-            throw err;
-        }
-
         this.debug('Nonce valid: %d', nonce);
+        return nonce;
     }
 
     /**
@@ -241,6 +397,10 @@ class HmacAuthenticator {
      * Formato: METHOD + PATH + TIMESTAMP + NONCE + BODY
      */
     buildMessage(method, path, timestamp, nonce, body = '') {
+        return HmacAuthenticator.buildMessage(method, path, timestamp, nonce, body);
+    }
+
+    static buildMessage(method, path, timestamp, nonce, body = '') {
         return `${method}${path}${timestamp}${nonce}${body}`;
     }
 
@@ -248,12 +408,160 @@ class HmacAuthenticator {
      * Calcula HMAC-SHA256 da mensagem
      */
     calculateHmac(message) {
+        return HmacAuthenticator.calculateHmac(this.secret, message);
+    }
+
+    static calculateHmac(secret, message) {
         return crypto
-            .createHmac('sha256', this.secret)
+            .createHmac('sha256', secret)
             .update(message)
             .digest('hex');
     }
 
+    /**
+     * Constrói o canonical request do esquema v2 (linhas separadas por \n):
+     *
+     *   METHOD
+     *   PATH
+     *   CANONICAL_QUERY            (pares codificados RFC 3986, ordenados; "?new" -> "new=")
+     *   name:value                 (um por header assinado, nomes em minúsculas, ordenados)
+     *   SIGNED_HEADERS             (nomes separados por ";")
+     *   TIMESTAMP
+     *   NONCE
+     *   SHA256_HEX(BODY)           (bytes exatos do corpo; corpo vazio em GET)
+     */
+    static buildCanonicalRequest({ method, path, query = '', headers = {}, signedHeaders, timestamp, nonce, body = '' }) {
+        const names = HmacAuthenticator.normalizeSignedHeaders(signedHeaders);
+        const lowerHeaders = {};
+        for (const [name, value] of Object.entries(headers)) {
+            lowerHeaders[name.toLowerCase()] = value;
+        }
+
+        const canonicalHeaders = names.map(name => {
+            const value = [].concat(lowerHeaders[name] ?? '').join(',');
+            return `${name}:${value.trim().replace(/\s+/g, ' ')}`;
+        });
+
+        return [
+            method.toUpperCase(),
+            path,
+            HmacAuthenticator.canonicalQuery(query),
+            ...canonicalHeaders,
+            names.join(';'),
+            timestamp,
+            nonce,
+            HmacAuthenticator.hashBody(body)
+        ].join('\n');
+    }
+
+    /**
+     * Query string canônica: cada par decodificado e recodificado (RFC 3986),
+     * ordenado por nome e depois por valor
+     */
+    static canonicalQuery(query) {
+        const encode = value => encodeURIComponent(value)
+            .replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+        const decode = value => {
+            try {
+                return decodeURIComponent(value.replace(/\+/g, ' '));
+            } catch (err) {
+                return value;
+            }
+        };
+
+        return query.replace(/^\?/, '')
+            .split('&')
+            .filter(Boolean)
+            .map(pair => {
+                const index = pair.indexOf('=');
+                const name = index === -1 ? pair : pair.slice(0, index);
+                const value = index === -1 ? '' : pair.slice(index + 1);
+                return [encode(decode(name)), encode(decode(value))];
+            })
+            .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0))
+            .map(([name, value]) => `${name}=${value}`)
+            .join('&');
+    }
+
+    /**
+     * Nomes de headers em minúsculas, sem repetição, ordenados
+     */
+    static normalizeSignedHeaders(names) {
+        return [...new Set(names.map(name => name.trim().toLowerCase()).filter(Boolean))].sort();
+    }
+
+    /**
+     * SHA-256 (hex) do corpo da requisição
+     */
+    static hashBody(body = '') {
+        return crypto.createHash('sha256').update(body).digest('hex');
+    }
+
+    /**
+     * Timestamp (segundos) e nonce (ms) para uma requisição de saída
+     * O nonce é sempre maior que o anterior, mesmo no mesmo milissegundo
+     */
+    static nextTimestampAndNonce() {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const nonce = Math.max(Date.now(), lastIssuedNonce + 1);
+        lastIssuedNonce = nonce;
+        return { timestamp, nonce };
+    }
+
+    /**
+     * Gera os headers de autenticação para uma requisição de saída (ex: webhooks)
+     * Mesmo esquema validado por validateRequest
+     * @returns {Object} { Authorization, X-Timestamp, X-Nonce }
+     */
+    static signRequest(secret, method, path, body = '', keyId = null) {
+        const { timestamp, nonce } = HmacAuthenticator.nextTimestampAndNonce();
+
+        const message = HmacAuthenticator.buildMessage(method, path, timestamp, nonce, body);
+        const signature = HmacAuthenticator.calculateHmac(secret, message);
+
+        return {
+            'Authorization': keyId ? `HMAC keyId=${keyId},sha256=${signature}` : `HMAC sha256=${signature}`,
+            'X-Timestamp': timestamp.toString(),
+            'X-Nonce': nonce.toString()
+        };
+    }
+
+    /**
+     * Gera os headers de autenticação do esquema v2
+     * Assina host, x-lt-client-token (quando presente em headers) e os extras de signedHeaders
+     * @param {Object} request - { method, path, query, headers, body, signedHeaders }
+     * @returns {Object} { Authorization, X-Timestamp, X-Nonce }
+     */
+    static signRequestV2(secret, request, keyId = null) {
+        const { timestamp, nonce } = HmacAuthenticator.nextTimestampAndNonce();
+        const headers = request.headers || {};
+        const present = Object.keys(headers).map(name => name.toLowerCase());
+        const signedHeaders = HmacAuthenticator.normalizeSignedHeaders([
+            ...V2_REQUIRED_HEADERS,
+            ...V2_REQUIRED_IF_PRESENT.filter(name => present.includes(name)),
+            ...(request.signedHeaders || [])
+        ]);
+
+        const message = HmacAuthenticator.buildCanonicalRequest({
+            method: request.method,
+            path: request.path,
+            query: request.query || '',
+            headers,
+            signedHeaders,
+            timestamp,
+            nonce,
+            body: request.body || ''
+        });
+        const signature = HmacAuthenticator.calculateHmac(secret, message);
+        const key = keyId ? `keyId=${keyId},` : '';
+
+        return {
+            'Authorization': `HMAC-V2 ${key}signedHeaders=${signedHeaders.join(';')},signature=${signature}`,
+            'X-Timestamp': timestamp.toString(),
+            'X-Nonce': nonce.toString()
+        };
+    }
+
     /**
      * Verifica assinatura usando comparação timing-safe
      */
@@ -274,7 +582,7 @@ class HmacAuthenticator {
      */
     getStats() {
         return {
-            cacheSize: this.nonceCache.size(),
+            cacheSize: this.nonceStore.size(),
             timestampTolerance: this.timestampTolerance,
             nonceThreshold: this.nonceThreshold
         };
@@ -284,7 +592,10 @@ class HmacAuthenticator {
      * Destroy o autenticador e libera recursos
      */
     destroy() {
-        this.nonceCache.destroy();
+        this.nonceStore.destroy();
+        if (this.keyStore) {
+            this.keyStore.close();
+        }
     }
 }
 
@@ -0,0 +1,212 @@
+import fs from 'fs';
+import path from 'path';
+import Debug from 'debug';
+import EventEmitter from 'events';
+
+const RELOAD_DEBOUNCE = 100;  // ms, editors often write a file in several steps
+
+// Creates an error with a reasonCode, as thrown by HmacAuthenticator validations
+function keyError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+function parseDate(value, keyId, field) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const time = Date.parse(value);
+    if (isNaN(time)) {
+        throw new Error(`Key "${keyId}" has an invalid ${field} date: ${value}`);
+    }
+    return time;
+}
+
+/**
+ * Named HMAC keys loaded from a JSON file, reloaded without a restart
+ *
+ * File format (keyId -> secret, or keyId -> key options):
+ * {
+ *   "2025-01": "secret-at-least-32-characters-long...",
+ *   "2025-06": { "secret": "...", "not_before": "2025-06-01T00:00:00Z", "not_after": "2026-01-01T00:00:00Z" },
+ *   "leaked":  { "secret": "...", "revoked": true }
+ * }
+ *
+ * Several keys can be valid at once, so clients can move to a new key before the
+ * old one expires. The file is reloaded on SIGHUP and when it changes; a file that
+ * fails to parse keeps the previous keys.
+ *
+ * Events:
+ *   reload        - keys were reloaded, with the number of keys
+ *   reload_error  - the file could not be reloaded (previous keys are kept), with the error
+ */
+class HmacKeyStore extends EventEmitter {
+    constructor(filePath, options = {}) {
+        super();
+        this.debug = Debug('localtunnel:keystore');
+        this.filePath = filePath;
+
+        // keyId -> { id, secret, notBefore, notAfter, revoked }
+        this.keys = this.load();
+
+        this.watcher = null;
+        this.reloadTimer = null;
+        this.onSignal = () => {
+            this.debug('SIGHUP received, reloading keys');
+            this.reload();
+        };
+
+        if (options.watch !== false) {
+            this.watch();
+        }
+    }
+
+    /**
+     * Reads and validates the key file
+     * @returns {Map} keyId -> key
+     */
+    load() {
+        let json;
+        try {
+            json = fs.readFileSync(this.filePath, 'utf8');
+        } catch (err) {
+            throw new Error(`Failed to read HMAC keys from file ${this.filePath}: ${err.message}`);
+        }
+
+        let entries;
+        try {
+            entries = JSON.parse(json);
+        } catch (err) {
+            throw new Error(`Invalid HMAC keys JSON in ${this.filePath}: ${err.message}`);
+        }
+        if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+            throw new Error(`HMAC keys in ${this.filePath} must be a JSON object of keyId -> secret`);
+        }
+
+        const keys = new Map();
+        for (const [id, entry] of Object.entries(entries)) {
+            const options = typeof entry === 'string' ? { secret: entry } : (entry || {});
+            const secret = typeof options.secret === 'string' ? options.secret.trim() : '';
+            if (secret.length < 32) {
+                throw new Error(`Key "${id}" secret must be at least 32 characters long`);
+            }
+            keys.set(id, {
+                id,
+                secret,
+                notBefore: parseDate(options.not_before, id, 'not_before'),
+                notAfter: parseDate(options.not_after, id, 'not_after'),
+                revoked: options.revoked === true,
+            });
+        }
+
+        this.debug('loaded %d keys from %s', keys.size, this.filePath);
+        return keys;
+    }
+
+    /**
+     * Reloads the key file, keeping the current keys if it is invalid
+     * @returns {boolean} true when the keys were replaced
+     */
+    reload() {
+        try {
+            this.keys = this.load();
+        } catch (err) {
+            this.debug('ERROR: keeping previous keys: %s', err.message);
+            this.emit('reload_error', err);
+            return false;
+        }
+        this.emit('reload', this.keys.size);
+        return true;
+    }
+
+    /**
+     * Reloads on SIGHUP and when the key file changes
+     * The directory is watched so files replaced by a rename (editors, Kubernetes secrets) are seen
+     */
+    watch() {
+        process.on('SIGHUP', this.onSignal);
+
+        const fileName = path.basename(this.filePath);
+        try {
+            this.watcher = fs.watch(path.dirname(this.filePath), (eventType, changed) => {
+                if (changed && changed !== fileName && !changed.startsWith('..')) {
+                    return;
+                }
+                clearTimeout(this.reloadTimer);
+                this.reloadTimer = setTimeout(() => {
+                    this.debug('%s changed, reloading keys', this.filePath);
+                    this.reload();
+                }, RELOAD_DEBOUNCE);
+                this.reloadTimer.unref();
+            });
+            this.watcher.on('error', (err) => {
+                // e.g. the directory was removed; SIGHUP still works
+                this.debug('WARN: stopped watching %s: %s', this.filePath, err.message);
+                this.watcher.close();
+                this.watcher = null;
+            });
+            this.watcher.unref();
+        } catch (err) {
+            // SIGHUP still works
+            this.debug('WARN: cannot watch %s: %s', this.filePath, err.message);
+        }
+    }
+
+    /**
+     * Returns the secret of a key that is valid at `now`
+     * Throws an error with code unknown_key, key_revoked, key_not_yet_valid or key_expired
+     */
+    getSecret(keyId, now = Date.now()) {
+        const key = this.keys.get(keyId);
+        if (!key) {
+            throw keyError(`Unknown HMAC key "${keyId}"`, 'unknown_key');
+        }
+        if (key.revoked) {
+            throw keyError(`HMAC key "${keyId}" has been revoked`, 'key_revoked');
+        }
+        if (key.notBefore !== null && now < key.notBefore) {
+            throw keyError(`HMAC key "${keyId}" is not valid before ${new Date(key.notBefore).toISOString()}`, 'key_not_yet_valid');
+        }
+        if (key.notAfter !== null && now >= key.notAfter) {
+            throw keyError(`HMAC key "${keyId}" expired at ${new Date(key.notAfter).toISOString()}`, 'key_expired');
+        }
+        return key.secret;
+    }
+
+    /**
+     * Secrets of every key, including revoked and inactive ones
+     */
+    secrets() {
+        return [...this.keys.values()].map(key => key.secret);
+    }
+
+    /**
+     * Key ids and validity, without secrets
+     */
+    list(now = Date.now()) {
+        return [...this.keys.values()].map(key => ({
+            id: key.id,
+            notBefore: key.notBefore,
+            notAfter: key.notAfter,
+            revoked: key.revoked,
+            active: !key.revoked &&
+                (key.notBefore === null || now >= key.notBefore) &&
+                (key.notAfter === null || now < key.notAfter),
+        }));
+    }
+
+    /**
+     * Stops watching the file and listening for SIGHUP
+     */
+    close() {
+        process.removeListener('SIGHUP', this.onSignal);
+        clearTimeout(this.reloadTimer);
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+}
+
+export default HmacKeyStore;
@@ -0,0 +1,113 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import HmacKeyStore from './HmacKeyStore.js';
+
+const SECRET_A = 'key-a-secret-at-least-32-chars-long-1234';
+const SECRET_B = 'key-b-secret-at-least-32-chars-long-1234';
+
+describe('HmacKeyStore', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lt-keys-'));
+        file = path.join(dir, 'keys.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function writeKeys(keys) {
+        fs.writeFileSync(file, JSON.stringify(keys));
+    }
+
+    it('should load plain secrets and keys with options', () => {
+        writeKeys({
+            a: SECRET_A,
+            b: { secret: SECRET_B, not_before: '2020-01-01T00:00:00Z', not_after: '2999-01-01T00:00:00Z' },
+        });
+        const store = new HmacKeyStore(file, { watch: false });
+
+        assert.equal(store.getSecret('a'), SECRET_A);
+        assert.equal(store.getSecret('b'), SECRET_B);
+        assert.deepEqual(store.list().map(key => [key.id, key.active]), [['a', true], ['b', true]]);
+    });
+
+    it('should reject unknown, revoked, not yet valid and expired keys', () => {
+        writeKeys({
+            revoked: { secret: SECRET_A, revoked: true },
+            future: { secret: SECRET_A, not_before: '2999-01-01T00:00:00Z' },
+            expired: { secret: SECRET_A, not_after: '2020-01-01T00:00:00Z' },
+        });
+        const store = new HmacKeyStore(file, { watch: false });
+
+        const codeOf = (keyId) => {
+            try {
+                store.getSecret(keyId);
+            } catch (err) {
+                return err.code;
+            }
+            return null;
+        };
+        assert.equal(codeOf('missing'), 'unknown_key');
+        assert.equal(codeOf('revoked'), 'key_revoked');
+        assert.equal(codeOf('future'), 'key_not_yet_valid');
+        assert.equal(codeOf('expired'), 'key_expired');
+    });
+
+    it('should refuse invalid files', () => {
+        writeKeys({ a: 'too-short' });
+        assert.throws(() => new HmacKeyStore(file, { watch: false }), /at least 32 characters/);
+
+        writeKeys({ a: { secret: SECRET_A, not_after: 'tomorrow' } });
+        assert.throws(() => new HmacKeyStore(file, { watch: false }), /invalid not_after/);
+
+        fs.writeFileSync(file, '[');
+        assert.throws(() => new HmacKeyStore(file, { watch: false }), /Invalid HMAC keys JSON/);
+    });
+
+    it('should reload on SIGHUP and keep the previous keys when the file is invalid', () => {
+        const listeners = process.listenerCount('SIGHUP');
+        writeKeys({ a: SECRET_A });
+        const store = new HmacKeyStore(file);
+
+        try {
+            writeKeys({ a: { secret: SECRET_A, revoked: true }, b: SECRET_B });
+            process.emit('SIGHUP');
+            assert.equal(store.getSecret('b'), SECRET_B);
+            assert.throws(() => store.getSecret('a'), /revoked/);
+
+            fs.writeFileSync(file, '{ not json');
+            let reloadError = null;
+            store.once('reload_error', err => reloadError = err);
+            process.emit('SIGHUP');
+            assert.ok(reloadError);
+            assert.equal(store.getSecret('b'), SECRET_B);
+        } finally {
+            store.close();
+        }
+        assert.equal(process.listenerCount('SIGHUP'), listeners);
+    });
+
+    it('should reload when the file changes', async () => {
+        writeKeys({ a: SECRET_A });
+        const store = new HmacKeyStore(file);
+
+        try {
+            const reloaded = new Promise(resolve => store.once('reload', resolve));
+            // replace the file like editors and secret managers do
+            const tmp = path.join(dir, 'keys.json.tmp');
+            fs.writeFileSync(tmp, JSON.stringify({ b: SECRET_B }));
+            fs.renameSync(tmp, file);
+
+            assert.equal(await reloaded, 1);
+            assert.equal(store.getSecret('b'), SECRET_B);
+        } finally {
+            store.close();
+        }
+    }).timeout(5000);
+});
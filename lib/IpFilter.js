@@ -0,0 +1,105 @@
+import net from 'net';
+
+const MAX_RULES = 100;
+
+// Creates an error with a code, as handled by the tunnel creation routes
+function filterError(message) {
+    const err = new Error(message);
+    err.code = 'invalid_ip_filter';
+    return err;
+}
+
+// "10.0.0.0/8", "2001:db8::/32" or a single address -> { address, prefix, family }
+function parseRule(rule) {
+    if (typeof rule !== 'string') {
+        throw filterError(`Invalid CIDR: ${rule}`);
+    }
+    const [address, prefix, ...rest] = rule.trim().split('/');
+    const version = net.isIP(address);
+    const bits = version === 4 ? 32 : 128;
+    const length = prefix === undefined ? bits : Number(prefix);
+    if (version === 0 || rest.length > 0 || !Number.isInteger(length) || length < 0 || length > bits ||
+        (prefix !== undefined && !/^\d+$/.test(prefix))) {
+        throw filterError(`Invalid CIDR: ${rule}`);
+    }
+    return { address, prefix: length, family: version === 4 ? 'ipv4' : 'ipv6' };
+}
+
+function buildList(rules) {
+    const list = new net.BlockList();
+    for (const rule of rules) {
+        const { address, prefix, family } = parseRule(rule);
+        list.addSubnet(address, prefix, family);
+    }
+    return list;
+}
+
+// "::ffff:192.0.2.1" (IPv4 client on a dual stack socket) -> "192.0.2.1"
+function normalizeAddress(ip) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+    return mapped ? mapped[1] : ip;
+}
+
+/**
+ * Visitor IP allowlist and denylist (IPv4 and IPv6 CIDRs)
+ *
+ * An address matching a deny rule is refused. When allow rules are set, an
+ * address must also match one of them.
+ */
+class IpFilter {
+    constructor({ allow = [], deny = [] } = {}) {
+        IpFilter.validate({ allow, deny });
+
+        this.allowRules = allow;
+        this.denyRules = deny;
+        this.allowList = allow.length > 0 ? buildList(allow) : null;
+        this.denyList = buildList(deny);
+    }
+
+    /**
+     * Builds the global filter from LT_VISITOR_IP_ALLOW / LT_VISITOR_IP_DENY (comma separated CIDRs)
+     * @returns {IpFilter|null} null when neither is set
+     */
+    static fromEnv() {
+        const split = value => (value || '').split(',').map(rule => rule.trim()).filter(Boolean);
+        const allow = split(process.env.LT_VISITOR_IP_ALLOW);
+        const deny = split(process.env.LT_VISITOR_IP_DENY);
+        if (allow.length === 0 && deny.length === 0) {
+            return null;
+        }
+        return new IpFilter({ allow, deny });
+    }
+
+    /**
+     * Throws an error with code invalid_ip_filter when the rules are not usable
+     */
+    static validate({ allow = [], deny = [] } = {}) {
+        for (const [name, rules] of Object.entries({ allow, deny })) {
+            if (!Array.isArray(rules)) {
+                throw filterError(`IP ${name} list must be an array of CIDRs`);
+            }
+            if (rules.length > MAX_RULES) {
+                throw filterError(`IP ${name} list must not have more than ${MAX_RULES} entries`);
+            }
+            rules.forEach(parseRule);
+        }
+    }
+
+    /**
+     * Returns true when a visitor from `ip` may reach the tunnel
+     */
+    allows(ip) {
+        const address = normalizeAddress(ip || '');
+        const version = net.isIP(address);
+        if (version === 0) {
+            return false;
+        }
+        const family = version === 4 ? 'ipv4' : 'ipv6';
+        if (this.denyList.check(address, family)) {
+            return false;
+        }
+        return this.allowList === null || this.allowList.check(address, family);
+    }
+}
+
+export default IpFilter;
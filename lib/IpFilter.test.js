@@ -0,0 +1,61 @@
+import assert from 'assert';
+
+import IpFilter from './IpFilter.js';
+
+describe('IpFilter', () => {
+    it('should only allow addresses in the allowlist', () => {
+        const filter = new IpFilter({ allow: ['192.0.2.0/24', '2001:db8::/32', '198.51.100.7'] });
+
+        assert.equal(filter.allows('192.0.2.10'), true);
+        assert.equal(filter.allows('::ffff:192.0.2.10'), true);
+        assert.equal(filter.allows('2001:db8:1::5'), true);
+        assert.equal(filter.allows('198.51.100.7'), true);
+
+        assert.equal(filter.allows('198.51.100.8'), false);
+        assert.equal(filter.allows('2001:db9::1'), false);
+        assert.equal(filter.allows(undefined), false);
+        assert.equal(filter.allows('not-an-ip'), false);
+    });
+
+    it('should refuse denied addresses, even when allowed', () => {
+        const filter = new IpFilter({ allow: ['10.0.0.0/8'], deny: ['10.1.0.0/16', '::1'] });
+
+        assert.equal(filter.allows('10.2.3.4'), true);
+        assert.equal(filter.allows('10.1.3.4'), false);
+        assert.equal(filter.allows('::1'), false);
+
+        const denyOnly = new IpFilter({ deny: ['203.0.113.0/24'] });
+        assert.equal(denyOnly.allows('203.0.113.9'), false);
+        assert.equal(denyOnly.allows('::1'), true);
+    });
+
+    it('should reject invalid rules', () => {
+        for (const rule of ['10.0.0.0/33', '2001:db8::/129', 'example.com', '10.0.0.0/8/1', '10.0.0.0/x', 42]) {
+            assert.throws(() => new IpFilter({ allow: [rule] }), /Invalid CIDR/, String(rule));
+        }
+        assert.throws(() => new IpFilter({ deny: '10.0.0.0/8' }), /IP deny list must be an array/);
+    });
+
+    it('should read the global lists from the environment', () => {
+        const original = { allow: process.env.LT_VISITOR_IP_ALLOW, deny: process.env.LT_VISITOR_IP_DENY };
+        try {
+            delete process.env.LT_VISITOR_IP_ALLOW;
+            delete process.env.LT_VISITOR_IP_DENY;
+            assert.equal(IpFilter.fromEnv(), null);
+
+            process.env.LT_VISITOR_IP_ALLOW = '192.0.2.0/24, 2001:db8::/32';
+            const filter = IpFilter.fromEnv();
+            assert.deepEqual(filter.allowRules, ['192.0.2.0/24', '2001:db8::/32']);
+            assert.equal(filter.allows('192.0.2.1'), true);
+            assert.equal(filter.allows('127.0.0.1'), false);
+        } finally {
+            for (const [name, value] of [['LT_VISITOR_IP_ALLOW', original.allow], ['LT_VISITOR_IP_DENY', original.deny]]) {
+                if (value === undefined) {
+                    delete process.env[name];
+                } else {
+                    process.env[name] = value;
+                }
+            }
+        }
+    });
+});
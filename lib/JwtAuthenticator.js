@@ -0,0 +1,272 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import Debug from 'debug';
+
+const DEFAULT_CLOCK_TOLERANCE = 60;  // seconds
+const MAX_TOKEN_LENGTH = 8192;
+const MAX_SUBJECT_LENGTH = 256;
+
+// Signature algorithms accepted, and the JWK types that can verify them
+const ALGORITHMS = {
+    RS256: { kty: 'RSA', verify: (data, key, signature) => crypto.verify('sha256', data, key, signature) },
+    ES256: {
+        kty: 'EC',
+        crv: ['P-256'],
+        verify: (data, key, signature) => crypto.verify('sha256', data, { key, dsaEncoding: 'ieee-p1363' }, signature),
+    },
+    EdDSA: { kty: 'OKP', crv: ['Ed25519', 'Ed448'], verify: (data, key, signature) => crypto.verify(null, data, key, signature) },
+};
+
+// Creates an error with a reasonCode, as returned by validateRequest
+function authError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+function decodeSegment(segment, name) {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (err) {
+        throw authError(`Invalid JWT ${name}`, 'invalid_token');
+    }
+}
+
+/**
+ * JWT bearer authenticator for tunnel creation
+ * Accepts "Authorization: Bearer <jwt>" signed with RS256, ES256 or EdDSA by a key
+ * of a local JWKS file, and checks exp, nbf, iss and aud.
+ *
+ * The subject claim identifies the tunnel owner (instead of X-LT-Client-Token or the IP)
+ * and the optional subdomains claim lists the subdomains the token may request.
+ *
+ * Configuration (environment, read at construction):
+ * - FILE_LT_JWT_JWKS: path to the JWKS file ({ "keys": [...] }, public keys only)
+ * - LT_JWT_ISSUER, LT_JWT_AUDIENCE: expected iss and aud (required)
+ * - LT_JWT_CLOCK_TOLERANCE: seconds of clock skew allowed on exp/nbf (default 60)
+ * - LT_JWT_SUBJECT_CLAIM, LT_JWT_SUBDOMAINS_CLAIM: claim names (default sub, subdomains)
+ */
+class JwtAuthenticator {
+    constructor(options = {}) {
+        this.debug = Debug('localtunnel:authenticator:jwt');
+
+        this.issuer = options.issuer || process.env.LT_JWT_ISSUER;
+        this.audience = options.audience || process.env.LT_JWT_AUDIENCE;
+        if (!this.issuer || !this.audience) {
+            throw new Error('JWT issuer and audience not configured (LT_JWT_ISSUER and LT_JWT_AUDIENCE required)');
+        }
+
+        const tolerance = parseInt(process.env.LT_JWT_CLOCK_TOLERANCE, 10);
+        this.clockTolerance = options.clockTolerance ?? (isNaN(tolerance) || tolerance < 0 ? DEFAULT_CLOCK_TOLERANCE : tolerance);
+        this.subjectClaim = options.subjectClaim || process.env.LT_JWT_SUBJECT_CLAIM || 'sub';
+        this.subdomainsClaim = options.subdomainsClaim || process.env.LT_JWT_SUBDOMAINS_CLAIM || 'subdomains';
+
+        this.keys = options.jwks ? this.parseJwks(options.jwks, 'options.jwks') : this.loadJwks();
+
+        this.debug('JWT authenticator initialized: %d keys, issuer=%s, audience=%s, clockTolerance=%ds',
+            this.keys.length, this.issuer, this.audience, this.clockTolerance);
+    }
+
+    /**
+     * Returns true when a JWKS file is configured
+     */
+    static isConfigured() {
+        return !!process.env.FILE_LT_JWT_JWKS;
+    }
+
+    /**
+     * Loads the JWKS file from FILE_LT_JWT_JWKS
+     */
+    loadJwks() {
+        const filePath = process.env.FILE_LT_JWT_JWKS;
+        if (!filePath) {
+            throw new Error('JWKS not configured (FILE_LT_JWT_JWKS required)');
+        }
+
+        let json;
+        try {
+            json = fs.readFileSync(filePath, 'utf8');
+        } catch (err) {
+            throw new Error(`Failed to read JWKS from file ${filePath}: ${err.message}`);
+        }
+
+        let jwks;
+        try {
+            jwks = JSON.parse(json);
+        } catch (err) {
+            throw new Error(`Invalid JWKS JSON in ${filePath}: ${err.message}`);
+        }
+        return this.parseJwks(jwks, filePath);
+    }
+
+    /**
+     * Imports the public keys of a JWKS
+     * @returns {Array} [{ kid, alg, kty, crv, key: KeyObject }]
+     */
+    parseJwks(jwks, source) {
+        if (!jwks || !Array.isArray(jwks.keys) || jwks.keys.length === 0) {
+            throw new Error(`JWKS in ${source} must have a non-empty "keys" array`);
+        }
+
+        return jwks.keys.map((jwk, index) => {
+            if (jwk.d !== undefined) {
+                throw new Error(`JWKS key #${index} in ${source} is a private key`);
+            }
+            if (jwk.use !== undefined && jwk.use !== 'sig') {
+                throw new Error(`JWKS key #${index} in ${source} is not a signing key (use: ${jwk.use})`);
+            }
+
+            let key;
+            try {
+                key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+            } catch (err) {
+                throw new Error(`Invalid JWKS key #${index} in ${source}: ${err.message}`);
+            }
+            return { kid: jwk.kid || null, alg: jwk.alg || null, kty: jwk.kty, crv: jwk.crv || null, key };
+        });
+    }
+
+    /**
+     * Validates the bearer token of a tunnel creation request
+     * @param {Object} req - Request object (Koa request)
+     * @returns {Object} { valid: true, subject, subdomains, claims } or { valid: false, reason, reasonCode }
+     */
+    async validateRequest(req) {
+        try {
+            const token = this.extractToken(req.headers['authorization']);
+            const claims = this.verifyToken(token);
+
+            const subject = claims[this.subjectClaim];
+            if (typeof subject !== 'string' || subject.length === 0 || subject.length > MAX_SUBJECT_LENGTH) {
+                throw authError(`Claim "${this.subjectClaim}" must be a string of 1-${MAX_SUBJECT_LENGTH} characters`, 'invalid_subject');
+            }
+
+            // absent: any subdomain may be requested
+            let subdomains = null;
+            if (claims[this.subdomainsClaim] !== undefined) {
+                subdomains = claims[this.subdomainsClaim];
+                if (!Array.isArray(subdomains) || !subdomains.every(name => typeof name === 'string')) {
+                    throw authError(`Claim "${this.subdomainsClaim}" must be an array of subdomains`, 'invalid_subdomains');
+                }
+            }
+
+            this.debug('Authentication successful for %s %s (subject: %s)', req.method, req.path, subject);
+            return { valid: true, subject, subdomains, claims };
+        } catch (err) {
+            this.debug('Authentication failed: %s', err.message);
+            return {
+                valid: false,
+                reason: err.message,
+                reasonCode: err.code || 'unknown'
+            };
+        }
+    }
+
+    extractToken(authorization) {
+        if (!authorization) {
+            throw authError('Missing Authorization header', 'missing_auth_header');
+        }
+
+        const match = authorization.match(/^Bearer\s+([A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+)\s*$/i);
+        if (!match) {
+            throw authError('Invalid Authorization header format (expected: Bearer <jwt>)', 'invalid_auth_format');
+        }
+        if (match[1].length > MAX_TOKEN_LENGTH) {
+            throw authError(`JWT too long (max ${MAX_TOKEN_LENGTH} characters)`, 'invalid_token');
+        }
+        return match[1];
+    }
+
+    /**
+     * Verifies the signature and the registered claims of a compact JWT
+     * @returns {Object} the JWT claims
+     */
+    verifyToken(token, now = Date.now()) {
+        const [headerSegment, payloadSegment, signatureSegment] = token.split('.');
+        const header = decodeSegment(headerSegment, 'header');
+        const claims = decodeSegment(payloadSegment, 'payload');
+        if (!claims || typeof claims !== 'object' || Array.isArray(claims)) {
+            throw authError('Invalid JWT payload', 'invalid_token');
+        }
+
+        const algorithm = ALGORITHMS[header.alg];
+        if (!algorithm) {
+            throw authError(`Unsupported JWT algorithm "${header.alg}" (expected: ${Object.keys(ALGORITHMS).join(', ')})`, 'unsupported_algorithm');
+        }
+
+        const key = this.selectKey(header, algorithm);
+        const data = Buffer.from(`${headerSegment}.${payloadSegment}`);
+        const signature = Buffer.from(signatureSegment, 'base64url');
+        let verified;
+        try {
+            verified = algorithm.verify(data, key.key, signature);
+        } catch (err) {
+            verified = false;
+        }
+        if (!verified) {
+            throw authError('Invalid JWT signature', 'invalid_signature');
+        }
+
+        this.validateClaims(claims, Math.floor(now / 1000));
+        return claims;
+    }
+
+    /**
+     * Selects the JWKS key for a token: by kid, or the only key that can verify its alg
+     */
+    selectKey(header, algorithm) {
+        const candidates = this.keys.filter(key =>
+            key.kty === algorithm.kty &&
+            (!algorithm.crv || algorithm.crv.includes(key.crv)) &&
+            (!key.alg || key.alg === header.alg) &&
+            (header.kid === undefined || key.kid === header.kid));
+
+        if (candidates.length === 0) {
+            throw authError(header.kid !== undefined
+                ? `Unknown JWT key "${header.kid}" for ${header.alg}`
+                : `No JWKS key can verify ${header.alg}`, 'unknown_key');
+        }
+        if (candidates.length > 1) {
+            throw authError(`Several JWKS keys can verify ${header.alg}, the token must have a kid`, 'unknown_key');
+        }
+        return candidates[0];
+    }
+
+    /**
+     * Checks exp (required), nbf, iss and aud
+     */
+    validateClaims(claims, now) {
+        if (typeof claims.exp !== 'number') {
+            throw authError('JWT has no exp claim', 'missing_exp');
+        }
+        if (now - this.clockTolerance >= claims.exp) {
+            throw authError(`JWT expired at ${new Date(claims.exp * 1000).toISOString()}`, 'token_expired');
+        }
+        if (claims.nbf !== undefined) {
+            if (typeof claims.nbf !== 'number') {
+                throw authError('Invalid JWT nbf claim', 'invalid_token');
+            }
+            if (now + this.clockTolerance < claims.nbf) {
+                throw authError(`JWT not valid before ${new Date(claims.nbf * 1000).toISOString()}`, 'token_not_yet_valid');
+            }
+        }
+
+        if (claims.iss !== this.issuer) {
+            throw authError(`Unexpected JWT issuer "${claims.iss}"`, 'invalid_issuer');
+        }
+
+        const audiences = [].concat(claims.aud ?? []);
+        if (!audiences.includes(this.audience)) {
+            throw authError(`JWT audience does not include "${this.audience}"`, 'invalid_audience');
+        }
+    }
+
+    /**
+     * Returns true when `subdomain` may be requested with the given subdomains claim
+     */
+    static allowsSubdomain(subdomains, subdomain) {
+        return subdomains === null || subdomains.includes(subdomain);
+    }
+}
+
+export default JwtAuthenticator;
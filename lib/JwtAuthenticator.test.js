@@ -0,0 +1,118 @@
+import assert from 'assert';
+import crypto from 'crypto';
+
+import JwtAuthenticator from './JwtAuthenticator.js';
+
+const ISSUER = 'https://id.example.com';
+const AUDIENCE = 'localtunnel';
+
+const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const ed = crypto.generateKeyPairSync('ed25519');
+
+function jwk(keyPair, kid) {
+    return { ...keyPair.publicKey.export({ format: 'jwk' }), kid, use: 'sig' };
+}
+
+function sign(alg, privateKey, claims, header = {}) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const data = `${encode({ alg, typ: 'JWT', ...header })}.${encode(claims)}`;
+    const signature = alg === 'EdDSA'
+        ? crypto.sign(null, Buffer.from(data), privateKey)
+        : crypto.sign('sha256', Buffer.from(data), alg === 'ES256' ? { key: privateKey, dsaEncoding: 'ieee-p1363' } : privateKey);
+    return `${data}.${signature.toString('base64url')}`;
+}
+
+// a token with an arbitrary alg and a dummy signature
+function unsigned(alg, payload) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return `${encode({ alg, typ: 'JWT' })}.${encode(payload)}.c2ln`;
+}
+
+function claims(overrides = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    return { iss: ISSUER, aud: AUDIENCE, sub: 'alice', exp: now + 300, ...overrides };
+}
+
+function request(token) {
+    return { method: 'GET', path: '/myapp', headers: token ? { authorization: `Bearer ${token}` } : {} };
+}
+
+describe('JwtAuthenticator', () => {
+    const auth = new JwtAuthenticator({
+        issuer: ISSUER,
+        audience: AUDIENCE,
+        jwks: { keys: [jwk(rsa, 'rsa-1'), jwk(ec, 'ec-1'), jwk(ed, 'ed-1')] },
+    });
+
+    it('should accept RS256, ES256 and EdDSA tokens', async () => {
+        const tokens = [
+            sign('RS256', rsa.privateKey, claims(), { kid: 'rsa-1' }),
+            sign('ES256', ec.privateKey, claims(), { kid: 'ec-1' }),
+            // the only Ed25519 key is selected without a kid
+            sign('EdDSA', ed.privateKey, claims({ subdomains: ['myapp'] })),
+        ];
+
+        for (const token of tokens) {
+            const result = await auth.validateRequest(request(token));
+            assert.equal(result.valid, true, result.reason);
+            assert.equal(result.subject, 'alice');
+        }
+
+        const result = await auth.validateRequest(request(tokens[2]));
+        assert.deepEqual(result.subdomains, ['myapp']);
+    });
+
+    it('should reject bad signatures, keys and algorithms', async () => {
+        const cases = [
+            [undefined, 'missing_auth_header'],
+            ['not-a-jwt', 'invalid_auth_format'],
+            [sign('RS256', rsa.privateKey, claims(), { kid: 'ec-1' }), 'unknown_key'],
+            [sign('RS256', crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey, claims(), { kid: 'rsa-1' }), 'invalid_signature'],
+            [unsigned('HS256', claims()), 'unsupported_algorithm'],
+            [unsigned('none', claims()), 'unsupported_algorithm'],
+        ];
+
+        for (const [token, reasonCode] of cases) {
+            const result = await auth.validateRequest(request(token));
+            assert.equal(result.valid, false);
+            assert.equal(result.reasonCode, reasonCode, result.reason);
+        }
+    });
+
+    it('should check exp, nbf, iss, aud and the subject', async () => {
+        const now = Math.floor(Date.now() / 1000);
+        const cases = [
+            [claims({ exp: undefined }), 'missing_exp'],
+            [claims({ exp: now - 120 }), 'token_expired'],
+            [claims({ nbf: now + 120 }), 'token_not_yet_valid'],
+            [claims({ iss: 'https://other.example.com' }), 'invalid_issuer'],
+            [claims({ aud: ['other'] }), 'invalid_audience'],
+            [claims({ sub: undefined }), 'invalid_subject'],
+            [claims({ subdomains: 'myapp' }), 'invalid_subdomains'],
+        ];
+
+        for (const [payload, reasonCode] of cases) {
+            const result = await auth.validateRequest(request(sign('ES256', ec.privateKey, payload, { kid: 'ec-1' })));
+            assert.equal(result.valid, false);
+            assert.equal(result.reasonCode, reasonCode, result.reason);
+        }
+
+        // within the clock tolerance (60s)
+        const skewed = sign('ES256', ec.privateKey, claims({ exp: now - 30, nbf: now + 30, aud: ['other', AUDIENCE] }), { kid: 'ec-1' });
+        assert.equal((await auth.validateRequest(request(skewed))).valid, true);
+    });
+
+    it('should refuse private keys and missing configuration', () => {
+        assert.throws(() => new JwtAuthenticator({ issuer: ISSUER, audience: AUDIENCE, jwks: { keys: [ec.privateKey.export({ format: 'jwk' })] } }),
+            /private key/);
+        assert.throws(() => new JwtAuthenticator({ issuer: ISSUER, jwks: { keys: [jwk(ec)] } }), /LT_JWT_AUDIENCE/);
+        assert.throws(() => new JwtAuthenticator({ issuer: ISSUER, audience: AUDIENCE }), /FILE_LT_JWT_JWKS/);
+    });
+
+    it('should allow any subdomain without a subdomains claim', () => {
+        assert.equal(JwtAuthenticator.allowsSubdomain(null, 'anything'), true);
+        assert.equal(JwtAuthenticator.allowsSubdomain(['myapp'], 'myapp'), true);
+        assert.equal(JwtAuthenticator.allowsSubdomain(['myapp'], 'other'), false);
+    });
+});
@@ -0,0 +1,202 @@
+import Debug from 'debug';
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Escape a label value for the Prometheus text format
+function escapeLabelValue(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n');
+}
+
+// Render a label set as {a="1",b="2"}, or an empty string when there are no labels
+function formatLabels(labels) {
+    const names = Object.keys(labels);
+    if (names.length === 0) {
+        return '';
+    }
+    const pairs = names.map(name => `${name}="${escapeLabelValue(labels[name])}"`);
+    return `{${pairs.join(',')}}`;
+}
+
+// Key used to store a series for a given label set
+function seriesKey(labelNames, labels) {
+    return labelNames.map(name => String(labels[name] ?? '')).join('\u0000');
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    return String(value);
+}
+
+// Base class for a metric family: a name, help text and a set of labelled series
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        // key -> { labels, value }
+        this.series = new Map();
+    }
+
+    _getSeries(labels = {}) {
+        const key = seriesKey(this.labelNames, labels);
+        let series = this.series.get(key);
+        if (!series) {
+            const seriesLabels = {};
+            for (const name of this.labelNames) {
+                seriesLabels[name] = labels[name] ?? '';
+            }
+            series = { labels: seriesLabels, value: 0 };
+            this.series.set(key, series);
+        }
+        return series;
+    }
+
+    _renderSamples() {
+        const lines = [];
+        for (const series of this.series.values()) {
+            lines.push(`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+        }
+        return lines;
+    }
+
+    render() {
+        return [
+            `# HELP ${this.name} ${this.help}`,
+            `# TYPE ${this.name} ${this.type}`,
+            ...this._renderSamples(),
+        ].join('\n');
+    }
+}
+
+// Monotonically increasing value
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+        if (this.labelNames.length === 0) {
+            this._getSeries();
+        }
+    }
+
+    inc(labels = {}, amount = 1) {
+        this._getSeries(labels).value += amount;
+    }
+}
+
+// Value that can go up and down
+// An optional collect(gauge) callback refreshes the value(s) at render time
+class Gauge extends Metric {
+    constructor(name, help, labelNames, collect) {
+        super('gauge', name, help, labelNames);
+        this.collect = collect;
+    }
+
+    set(labels, value) {
+        this._getSeries(labels).value = value;
+    }
+
+    render() {
+        if (this.collect) {
+            this.series.clear();
+            this.collect(this);
+        }
+        return super.render();
+    }
+}
+
+// Distribution of observed values in cumulative buckets
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    _getSeries(labels = {}) {
+        const series = super._getSeries(labels);
+        if (!series.counts) {
+            series.counts = this.buckets.map(() => 0);
+            series.sum = 0;
+            series.count = 0;
+        }
+        return series;
+    }
+
+    observe(labels, value) {
+        const series = this._getSeries(labels);
+        for (let i = 0; i < this.buckets.length; i++) {
+            if (value <= this.buckets[i]) {
+                series.counts[i] += 1;
+            }
+        }
+        series.sum += value;
+        series.count += 1;
+    }
+
+    _renderSamples() {
+        const lines = [];
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bucket, i) => {
+                const labels = formatLabels({ ...series.labels, le: formatValue(bucket) });
+                lines.push(`${this.name}_bucket${labels} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * Registry of metrics rendered in the Prometheus text format
+ * Minimal implementation (counter, gauge, histogram) without external dependencies
+ */
+class Metrics {
+    constructor() {
+        this.debug = Debug('localtunnel:metrics');
+        // name -> metric, in registration order
+        this.metrics = new Map();
+    }
+
+    _register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        this.debug('registered %s %s', metric.type, metric.name);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this._register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames, collect) {
+        return this._register(new Gauge(name, help, labelNames, collect));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this._register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    /**
+     * Renders every registered metric
+     * @returns {string} Prometheus text exposition format (version 0.0.4)
+     */
+    render() {
+        const blocks = [];
+        for (const metric of this.metrics.values()) {
+            blocks.push(metric.render());
+        }
+        return blocks.join('\n') + '\n';
+    }
+}
+
+Metrics.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export default Metrics;
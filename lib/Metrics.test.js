@@ -0,0 +1,64 @@
+import assert from 'assert';
+
+import Metrics from './Metrics.js';
+
+describe('Metrics', () => {
+    it('should render counters with and without labels', () => {
+        const metrics = new Metrics();
+        const total = metrics.counter('test_total', 'Total things');
+        const byReason = metrics.counter('test_failures_total', 'Failures by reason', ['reason']);
+
+        total.inc();
+        total.inc({}, 2);
+        byReason.inc({ reason: 'expired_timestamp' });
+        byReason.inc({ reason: 'expired_timestamp' });
+        byReason.inc({ reason: 'invalid_signature' });
+
+        const output = metrics.render();
+        assert.ok(output.includes('# HELP test_total Total things\n# TYPE test_total counter\ntest_total 3\n'));
+        assert.ok(output.includes('test_failures_total{reason="expired_timestamp"} 2\n'));
+        assert.ok(output.includes('test_failures_total{reason="invalid_signature"} 1\n'));
+    });
+
+    it('should refresh collected gauges on every render', () => {
+        const metrics = new Metrics();
+        let value = 1;
+        metrics.gauge('test_gauge', 'A gauge', ['state'], (gauge) => {
+            gauge.set({ state: 'online' }, value);
+        });
+
+        assert.ok(metrics.render().includes('test_gauge{state="online"} 1\n'));
+        value = 5;
+        assert.ok(metrics.render().includes('test_gauge{state="online"} 5\n'));
+    });
+
+    it('should render cumulative histogram buckets', () => {
+        const metrics = new Metrics();
+        const histogram = metrics.histogram('test_seconds', 'Durations', [], [0.1, 1]);
+
+        histogram.observe({}, 0.05);
+        histogram.observe({}, 0.5);
+        histogram.observe({}, 3);
+
+        const output = metrics.render();
+        assert.ok(output.includes('# TYPE test_seconds histogram\n'));
+        assert.ok(output.includes('test_seconds_bucket{le="0.1"} 1\n'));
+        assert.ok(output.includes('test_seconds_bucket{le="1"} 2\n'));
+        assert.ok(output.includes('test_seconds_bucket{le="+Inf"} 3\n'));
+        assert.ok(output.includes('test_seconds_sum 3.55\n'));
+        assert.ok(output.includes('test_seconds_count 3\n'));
+    });
+
+    it('should escape label values', () => {
+        const metrics = new Metrics();
+        const counter = metrics.counter('test_escape_total', 'Escaping', ['value']);
+        counter.inc({ value: 'a"b\\c\nd' });
+        assert.ok(metrics.render().includes('test_escape_total{value="a\\"b\\\\c\\nd"} 1\n'));
+    });
+
+    it('should not register the same metric twice', () => {
+        const metrics = new Metrics();
+        metrics.counter('test_total', 'Total');
+        assert.throws(() => metrics.counter('test_total', 'Total'), /already registered/);
+    });
+});
@@ -0,0 +1,414 @@
+import { Duplex } from 'stream';
+import EventEmitter from 'events';
+import Debug from 'debug';
+
+// Framing of the multiplexed transport: yamux (https://github.com/hashicorp/yamux/blob/master/spec.md)
+//
+// Every frame starts with a 12 byte header:
+//   version (uint8, 0) | type (uint8) | flags (uint16) | stream id (uint32) | length (uint32)
+// DATA frames are followed by `length` bytes; for the other types `length` is the value itself
+// (window delta, ping payload or go away code). Integers are big endian.
+const VERSION = 0;
+const HEADER_LENGTH = 12;
+
+const TYPE_DATA = 0;
+const TYPE_WINDOW_UPDATE = 1;
+const TYPE_PING = 2;
+const TYPE_GO_AWAY = 3;
+
+const FLAG_SYN = 0x1;
+const FLAG_ACK = 0x2;
+const FLAG_FIN = 0x4;
+const FLAG_RST = 0x8;
+
+const GO_AWAY_NORMAL = 0;
+const GO_AWAY_PROTOCOL_ERROR = 1;
+
+// bytes a peer may send on a stream before it is granted more with a window update
+const INITIAL_WINDOW = 256 * 1024;
+const MAX_FRAME_PAYLOAD = 64 * 1024;
+
+function encodeHeader(type, flags, streamId, length) {
+    const header = Buffer.alloc(HEADER_LENGTH);
+    header.writeUInt8(VERSION, 0);
+    header.writeUInt8(type, 1);
+    header.writeUInt16BE(flags, 2);
+    header.writeUInt32BE(streamId, 4);
+    header.writeUInt32BE(length, 8);
+    return header;
+}
+
+function resetError(message) {
+    const err = new Error(message);
+    err.code = 'ECONNRESET';
+    return err;
+}
+
+// A logical connection inside a MuxSession, usable wherever a tunnel socket is
+// (http.Agent, pipes): a Duplex with the socket methods the http client calls
+class MuxStream extends Duplex {
+    constructor(session, id) {
+        super();
+        this.session = session;
+        this.id = id;
+
+        // bytes we may still send / the peer may still send before a window update
+        this.sendWindow = INITIAL_WINDOW;
+        this.recvWindow = INITIAL_WINDOW;
+        // bytes received since the last window update we sent
+        this.pendingCredit = 0;
+        // push() returned false: the reader is behind, hold window updates until _read
+        this.readPaused = false;
+        // write waiting for a window update: { chunk, callback }
+        this.blockedWrite = null;
+
+        this.localClosed = false;   // FIN sent
+        this.remoteClosed = false;  // FIN received
+        this.reset = false;         // RST sent or received
+
+        this.idleTimeout = 0;
+        this.idleTimer = null;
+    }
+
+    get remoteAddress() {
+        return this.session.socket.remoteAddress;
+    }
+
+    get remotePort() {
+        return this.session.socket.remotePort;
+    }
+
+    get localAddress() {
+        return this.session.socket.localAddress;
+    }
+
+    get localPort() {
+        return this.session.socket.localPort;
+    }
+
+    // keep-alive and Nagle are properties of the session connection
+    setKeepAlive() {
+        return this;
+    }
+
+    setNoDelay() {
+        return this;
+    }
+
+    ref() {
+        return this;
+    }
+
+    unref() {
+        return this;
+    }
+
+    // emits 'timeout' after `ms` without data in either direction, as net.Socket does
+    setTimeout(ms, callback) {
+        this.idleTimeout = ms;
+        if (callback) {
+            this.once('timeout', callback);
+        }
+        this._touch();
+        return this;
+    }
+
+    _touch() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+        if (this.idleTimeout > 0 && !this.destroyed) {
+            this.idleTimer = setTimeout(() => this.emit('timeout'), this.idleTimeout);
+            this.idleTimer.unref();
+        }
+    }
+
+    _write(chunk, encoding, callback) {
+        this._touch();
+        this._send(chunk, callback);
+    }
+
+    // sends as much of `chunk` as the window allows, the rest once the peer grants more
+    _send(chunk, callback) {
+        while (chunk.length > 0 && this.sendWindow > 0) {
+            const size = Math.min(chunk.length, this.sendWindow, MAX_FRAME_PAYLOAD);
+            this.session._sendFrame(TYPE_DATA, 0, this.id, chunk.subarray(0, size));
+            this.sendWindow -= size;
+            chunk = chunk.subarray(size);
+        }
+        if (chunk.length > 0) {
+            this.blockedWrite = { chunk, callback };
+            return;
+        }
+        callback();
+    }
+
+    _final(callback) {
+        this.localClosed = true;
+        this.session._sendFrame(TYPE_DATA, FLAG_FIN, this.id, 0);
+        callback();
+    }
+
+    _read() {
+        if (this.readPaused) {
+            this.readPaused = false;
+            this._sendCredit();
+        }
+    }
+
+    _destroy(err, callback) {
+        clearTimeout(this.idleTimer);
+        if (!this.reset && !(this.localClosed && this.remoteClosed)) {
+            this.reset = true;
+            this.session._sendFrame(TYPE_WINDOW_UPDATE, FLAG_RST, this.id, 0);
+        }
+        this.blockedWrite = null;
+        this.session._removeStream(this);
+        callback(err);
+    }
+
+    // grants the peer the window consumed by the reader
+    // (updates are batched: the peer keeps at least half the window meanwhile)
+    _sendCredit() {
+        if (this.readPaused || this.pendingCredit < INITIAL_WINDOW / 2 || this.destroyed) {
+            return;
+        }
+        this.session._sendFrame(TYPE_WINDOW_UPDATE, 0, this.id, this.pendingCredit);
+        this.recvWindow += this.pendingCredit;
+        this.pendingCredit = 0;
+    }
+
+    _onWindowUpdate(delta) {
+        this.sendWindow += delta;
+        const blocked = this.blockedWrite;
+        if (blocked && this.sendWindow > 0) {
+            this.blockedWrite = null;
+            this._send(blocked.chunk, blocked.callback);
+        }
+    }
+
+    // returns false when the peer sent more than its window
+    _onData(payload) {
+        if (payload.length > this.recvWindow) {
+            return false;
+        }
+        if (payload.length > 0 && !this.remoteClosed) {
+            this._touch();
+            this.recvWindow -= payload.length;
+            this.pendingCredit += payload.length;
+            if (!this.push(payload)) {
+                this.readPaused = true;
+            }
+            this._sendCredit();
+        }
+        return true;
+    }
+
+    _onFin() {
+        if (this.remoteClosed) {
+            return;
+        }
+        this.remoteClosed = true;
+        this.push(null);
+    }
+
+    _onReset() {
+        this.reset = true;
+        this.destroy(resetError('Stream reset by the tunnel client'));
+    }
+}
+
+// Many logical streams over one tunnel connection (the multiplexed transport)
+//
+// The tunnel client opens a single connection to the tunnel port; the server opens
+// a stream per visitor connection with openStream(). Each stream has its own flow
+// control window, so a slow visitor does not hold up the others. The client is the
+// yamux "client" side: server streams have even ids, and streams opened by the
+// client are refused.
+//
+// Events:
+//   stream_closed - a stream was closed, with the stream
+//   pong          - a ping was answered, with its payload
+//   close         - the connection closed (every stream is reset)
+class MuxSession extends EventEmitter {
+    constructor(socket, options = {}) {
+        super();
+        this.debug = options.debug || Debug('localtunnel:mux');
+        this.socket = socket;
+
+        // stream id -> MuxStream
+        this.streams = new Map();
+        this.nextStreamId = 2;
+        this.buffer = Buffer.alloc(0);
+        this.closed = false;
+        // the client sent GO_AWAY: no new streams, close once the open ones are done
+        this.goingAway = false;
+
+        socket.on('data', (chunk) => this._onData(chunk));
+        socket.once('close', () => this._onClose());
+        socket.on('error', (err) => {
+            // close follows; clients drop connections for many reasons
+            this.debug('session error: %s', err.message);
+        });
+    }
+
+    // true while new streams can be opened
+    get open() {
+        return !this.closed && !this.goingAway;
+    }
+
+    // opens a stream to the tunnel client
+    openStream() {
+        if (!this.open) {
+            throw new Error('Tunnel connection is closed');
+        }
+        const id = this.nextStreamId;
+        this.nextStreamId += 2;
+
+        const stream = new MuxStream(this, id);
+        this.streams.set(id, stream);
+        this._sendFrame(TYPE_WINDOW_UPDATE, FLAG_SYN, id, 0);
+        this.debug('opened stream %d (open: %d)', id, this.streams.size);
+        return stream;
+    }
+
+    // sends a ping; the answer is emitted as 'pong'
+    ping(payload) {
+        this._sendFrame(TYPE_PING, FLAG_SYN, 0, payload >>> 0);
+    }
+
+    // sends GO_AWAY and closes the connection once it is flushed
+    close(code = GO_AWAY_NORMAL) {
+        if (this.closed) {
+            return;
+        }
+        this._sendFrame(TYPE_GO_AWAY, 0, 0, code);
+        this.socket.destroySoon();
+    }
+
+    // payload: Buffer for DATA frames, otherwise the header length value
+    _sendFrame(type, flags, streamId, payload) {
+        if (this.closed || this.socket.destroyed) {
+            return;
+        }
+        if (Buffer.isBuffer(payload)) {
+            this.socket.write(Buffer.concat([encodeHeader(type, flags, streamId, payload.length), payload]));
+        } else {
+            this.socket.write(encodeHeader(type, flags, streamId, payload));
+        }
+    }
+
+    _onData(chunk) {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        while (this.buffer.length >= HEADER_LENGTH && !this.closed) {
+            const version = this.buffer.readUInt8(0);
+            const type = this.buffer.readUInt8(1);
+            const flags = this.buffer.readUInt16BE(2);
+            const streamId = this.buffer.readUInt32BE(4);
+            const length = this.buffer.readUInt32BE(8);
+
+            if (version !== VERSION) {
+                return this._protocolError(`unsupported version ${version}`);
+            }
+
+            let payload = null;
+            if (type === TYPE_DATA) {
+                if (length > INITIAL_WINDOW) {
+                    return this._protocolError(`data frame of ${length} bytes`);
+                }
+                if (this.buffer.length < HEADER_LENGTH + length) {
+                    return;
+                }
+                payload = this.buffer.subarray(HEADER_LENGTH, HEADER_LENGTH + length);
+                this.buffer = this.buffer.subarray(HEADER_LENGTH + length);
+            } else {
+                this.buffer = this.buffer.subarray(HEADER_LENGTH);
+            }
+
+            this._onFrame(type, flags, streamId, length, payload);
+        }
+    }
+
+    _onFrame(type, flags, streamId, length, payload) {
+        switch (type) {
+        case TYPE_PING:
+            if (flags & FLAG_SYN) {
+                this._sendFrame(TYPE_PING, FLAG_ACK, 0, length);
+            } else if (flags & FLAG_ACK) {
+                this.emit('pong', length);
+            }
+            return;
+        case TYPE_GO_AWAY:
+            this.debug('client going away (code: %d, open streams: %d)', length, this.streams.size);
+            this.goingAway = true;
+            if (this.streams.size === 0) {
+                this.close();
+            }
+            return;
+        case TYPE_DATA:
+        case TYPE_WINDOW_UPDATE:
+            break;
+        default:
+            return this._protocolError(`unknown frame type ${type}`);
+        }
+
+        if (flags & FLAG_SYN) {
+            // only the server opens streams
+            this._sendFrame(TYPE_WINDOW_UPDATE, FLAG_RST, streamId, 0);
+            return;
+        }
+
+        const stream = this.streams.get(streamId);
+        if (!stream) {
+            // already closed on our side
+            return;
+        }
+
+        if (flags & FLAG_RST) {
+            stream._onReset();
+            return;
+        }
+        if (type === TYPE_WINDOW_UPDATE) {
+            stream._onWindowUpdate(length);
+        } else if (!stream._onData(payload)) {
+            return this._protocolError(`stream ${streamId} exceeded its window`);
+        }
+        if (flags & FLAG_FIN) {
+            stream._onFin();
+        }
+    }
+
+    _protocolError(reason) {
+        this.debug('protocol error: %s', reason);
+        this.close(GO_AWAY_PROTOCOL_ERROR);
+        this._onClose();
+    }
+
+    _removeStream(stream) {
+        if (this.streams.get(stream.id) !== stream) {
+            return;
+        }
+        this.streams.delete(stream.id);
+        this.emit('stream_closed', stream);
+        if (this.goingAway && this.streams.size === 0) {
+            this.close();
+        }
+    }
+
+    _onClose() {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        this.debug('session closed (open streams: %d)', this.streams.size);
+        for (const stream of [...this.streams.values()]) {
+            stream.reset = true;
+            stream.destroy(resetError('Tunnel connection closed'));
+        }
+        this.streams.clear();
+        this.socket.destroy();
+        this.emit('close');
+    }
+}
+
+export default MuxSession;
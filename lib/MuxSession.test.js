@@ -0,0 +1,328 @@
+import assert from 'assert';
+import http from 'http';
+import net from 'net';
+
+import MuxSession from './MuxSession.js';
+import TunnelAgent from './TunnelAgent.js';
+
+const DATA = 0;
+const WINDOW_UPDATE = 1;
+const PING = 2;
+const GO_AWAY = 3;
+const SYN = 0x1;
+const ACK = 0x2;
+const FIN = 0x4;
+const RST = 0x8;
+
+function frame(type, flags, streamId, length, payload = Buffer.alloc(0)) {
+    const header = Buffer.alloc(12);
+    header.writeUInt8(0, 0);
+    header.writeUInt8(type, 1);
+    header.writeUInt16BE(flags, 2);
+    header.writeUInt32BE(streamId, 4);
+    header.writeUInt32BE(length, 8);
+    return Buffer.concat([header, payload]);
+}
+
+function dataFrame(streamId, data, flags = 0) {
+    const payload = Buffer.from(data);
+    return frame(DATA, flags, streamId, payload.length, payload);
+}
+
+// Tunnel client side of a session: parses the frames sent by the server
+function readFrames(socket, onFrame) {
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        while (buffer.length >= 12) {
+            const type = buffer.readUInt8(1);
+            const length = buffer.readUInt32BE(8);
+            const size = type === DATA ? 12 + length : 12;
+            if (buffer.length < size) {
+                return;
+            }
+            onFrame({
+                type,
+                flags: buffer.readUInt16BE(2),
+                streamId: buffer.readUInt32BE(4),
+                length,
+                payload: type === DATA ? buffer.subarray(12, size) : null,
+            });
+            buffer = buffer.subarray(size);
+        }
+    });
+}
+
+function nextFrame(frames, predicate = () => true) {
+    return new Promise((resolve) => {
+        const check = () => {
+            const index = frames.findIndex(predicate);
+            if (index === -1) {
+                return setTimeout(check, 5);
+            }
+            resolve(frames.splice(index, 1)[0]);
+        };
+        check();
+    });
+}
+
+describe('MuxSession', () => {
+    let server;
+    let session;
+    let client;
+    let frames;
+
+    beforeEach(async () => {
+        server = net.createServer();
+        await new Promise(resolve => server.listen(0, resolve));
+        const accepted = new Promise(resolve => server.once('connection', resolve));
+        client = net.connect(server.address().port);
+        session = new MuxSession(await accepted);
+        frames = [];
+        readFrames(client, f => frames.push(f));
+    });
+
+    afterEach(async () => {
+        // streams left open are reset with the connection
+        for (const stream of session.streams.values()) {
+            stream.on('error', () => {});
+        }
+        client.destroy();
+        session.socket.destroy();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should open streams and carry data both ways', async () => {
+        const stream = session.openStream();
+        const syn = await nextFrame(frames);
+        assert.deepEqual([syn.type, syn.flags, syn.streamId], [WINDOW_UPDATE, SYN, 2]);
+        assert.equal(session.openStream().on('error', () => {}).id, 4);
+
+        stream.write('request');
+        const data = await nextFrame(frames, f => f.type === DATA);
+        assert.equal(data.streamId, 2);
+        assert.equal(data.payload.toString(), 'request');
+
+        client.write(frame(WINDOW_UPDATE, ACK, 2, 0));
+        client.write(dataFrame(2, 'response', FIN));
+        const received = [];
+        stream.on('data', chunk => received.push(chunk));
+        await new Promise(resolve => stream.once('end', resolve));
+        assert.equal(Buffer.concat(received).toString(), 'response');
+        assert.equal(stream.remoteAddress, session.socket.remoteAddress);
+
+        // closing our side completes the stream
+        const closed = new Promise(resolve => stream.once('close', resolve));
+        stream.end();
+        const fin = await nextFrame(frames, f => f.flags & FIN);
+        assert.equal(fin.streamId, 2);
+        await closed;
+        assert.equal(session.streams.has(2), false);
+    });
+
+    it('should stop sending when the window is used up until it is updated', async () => {
+        const stream = session.openStream();
+        const payload = Buffer.alloc(300 * 1024, 'x');
+        let written = false;
+        stream.write(payload, () => {
+            written = true;
+        });
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+        const sent = () => frames.filter(f => f.type === DATA).reduce((total, f) => total + f.length, 0);
+        assert.equal(sent(), 256 * 1024);
+        assert.equal(written, false);
+
+        client.write(frame(WINDOW_UPDATE, 0, 2, 64 * 1024));
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(sent(), 300 * 1024);
+        assert.equal(written, true);
+    });
+
+    it('should grant window to the client as data is read', async () => {
+        const stream = session.openStream();
+        stream.on('error', () => {});
+        const received = [];
+        stream.on('data', chunk => received.push(chunk));
+
+        const chunk = Buffer.alloc(64 * 1024, 'y');
+        for (let i = 0; i < 3; i++) {
+            client.write(frame(DATA, 0, 2, chunk.length, chunk));
+        }
+        const update = await nextFrame(frames, f => f.type === WINDOW_UPDATE && f.flags === 0);
+        assert.equal(update.streamId, 2);
+        assert.ok(update.length >= 128 * 1024);
+
+        // more than the window is a protocol error
+        const closed = new Promise(resolve => session.once('close', resolve));
+        const oversized = Buffer.alloc(256 * 1024, 'z');
+        client.write(frame(DATA, 0, 2, oversized.length, oversized));
+        client.write(frame(DATA, 0, 2, oversized.length, oversized));
+        await closed;
+        const goAway = await nextFrame(frames, f => f.type === GO_AWAY);
+        assert.equal(goAway.length, 1);
+    });
+
+    it('should answer pings and report pongs', async () => {
+        client.write(frame(PING, SYN, 0, 42));
+        const pong = await nextFrame(frames, f => f.type === PING);
+        assert.deepEqual([pong.flags, pong.length], [ACK, 42]);
+
+        const received = new Promise(resolve => session.once('pong', resolve));
+        session.ping(7);
+        const ping = await nextFrame(frames, f => f.type === PING);
+        client.write(frame(PING, ACK, 0, ping.length));
+        assert.equal(await received, 7);
+    });
+
+    it('should refuse streams opened by the client', async () => {
+        client.write(frame(WINDOW_UPDATE, SYN, 1, 0));
+        const reset = await nextFrame(frames);
+        assert.deepEqual([reset.flags, reset.streamId], [RST, 1]);
+        assert.equal(session.streams.size, 0);
+    });
+
+    it('should reset streams reset by the client or when the connection closes', async () => {
+        const first = session.openStream();
+        const second = session.openStream();
+        const firstError = new Promise(resolve => first.once('error', resolve));
+        const secondError = new Promise(resolve => second.once('error', resolve));
+
+        client.write(frame(WINDOW_UPDATE, RST, first.id, 0));
+        assert.equal((await firstError).code, 'ECONNRESET');
+        assert.equal(session.streams.size, 1);
+
+        const closed = new Promise(resolve => session.once('close', resolve));
+        client.destroy();
+        await closed;
+        assert.equal((await secondError).code, 'ECONNRESET');
+        assert.throws(() => session.openStream(), /closed/);
+    });
+
+    it('should stop opening streams after GO_AWAY and close once they are done', async () => {
+        const stream = session.openStream();
+        client.write(frame(GO_AWAY, 0, 0, 0));
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.equal(session.open, false);
+
+        const closed = new Promise(resolve => session.once('close', resolve));
+        stream.destroy();
+        await closed;
+    });
+
+    it('should close on frames of an unknown version', async () => {
+        const closed = new Promise(resolve => session.once('close', resolve));
+        const bad = frame(PING, SYN, 0, 1);
+        bad.writeUInt8(1, 0);
+        client.write(bad);
+        await closed;
+    });
+});
+
+describe('TunnelAgent with the mux transport', () => {
+    // serves "HTTP/1.1 200" with the request path on every stream the server opens
+    function serveHttp(socket) {
+        const requests = new Map();  // stream id -> buffered request
+        readFrames(socket, ({ type, flags, streamId, payload }) => {
+            if (flags & SYN) {
+                socket.write(frame(WINDOW_UPDATE, ACK, streamId, 0));
+                requests.set(streamId, '');
+            }
+            if (type !== DATA || !requests.has(streamId)) {
+                return;
+            }
+            const request = requests.get(streamId) + payload.toString();
+            requests.set(streamId, request);
+            if (request.includes('\r\n\r\n')) {
+                requests.set(streamId, '');
+                const path = request.split(' ')[1];
+                const body = `stream ${streamId} ${path}`;
+                socket.write(dataFrame(streamId, `HTTP/1.1 200 OK\r\nContent-Length: ${body.length}\r\n\r\n${body}`));
+            }
+        });
+    }
+
+    function get(agent, path) {
+        return new Promise((resolve, reject) => {
+            const req = http.get({ agent, path, host: 'localhost' }, (res) => {
+                let body = '';
+                res.on('data', chunk => body += chunk);
+                res.on('end', () => resolve({ statusCode: res.statusCode, body }));
+            });
+            req.on('error', reject);
+        });
+    }
+
+    it('should serve concurrent requests over one connection', async () => {
+        const agent = new TunnelAgent({ transport: 'mux', maxTcpSockets: 2, connectSecret: 'secret' });
+        const { port } = await agent.listen();
+        assert.equal(agent.hasAvailableSockets(), false);
+
+        const online = new Promise(resolve => agent.once('online', resolve));
+        const socket = net.connect(port, () => socket.write('LT-AUTH secret\n'));
+        serveHttp(socket);
+        await online;
+        assert.equal(agent.stats().connectedSockets, 1);
+        assert.equal(agent.stats().availableSockets, 2);
+
+        // more requests than streams: the rest wait for a stream to close
+        const responses = await Promise.all(['/a', '/b', '/c', '/d'].map(path => get(agent, path)));
+        assert.deepEqual(responses.map(res => res.statusCode), [200, 200, 200, 200]);
+        assert.deepEqual(responses.map(res => res.body.split(' ')[2]), ['/a', '/b', '/c', '/d']);
+        assert.equal(agent.stats().transport, 'mux');
+
+        const offline = new Promise(resolve => agent.once('offline', resolve));
+        socket.destroy();
+        await offline;
+        assert.equal(agent.stats().connectedSockets, 0);
+        agent.destroy();
+    });
+
+    it('should close the session when pings are not answered', async () => {
+        const agent = new TunnelAgent({ transport: 'mux', pingInterval: 30, pingTimeout: 30 });
+        const { port } = await agent.listen();
+
+        const online = new Promise(resolve => agent.once('online', resolve));
+        const socket = net.connect(port);
+        const pings = [];
+        readFrames(socket, f => pings.push(f));
+        await online;
+
+        const evicted = new Promise(resolve => agent.once('evicted', (sock, reason) => resolve(reason)));
+        const offline = new Promise(resolve => agent.once('offline', resolve));
+        const ping = await nextFrame(pings, f => f.type === PING);
+        assert.equal(ping.flags, SYN);
+        assert.equal(await evicted, 'ping_timeout');
+        await offline;
+        assert.equal(agent.stats().evictedSockets, 1);
+
+        socket.destroy();
+        agent.destroy();
+    });
+
+    it('should replace the session when the client connects again', async () => {
+        const agent = new TunnelAgent({ transport: 'mux' });
+        const { port } = await agent.listen();
+
+        const online = new Promise(resolve => agent.once('online', resolve));
+        const first = net.connect(port);
+        first.resume();
+        await online;
+
+        let offline = false;
+        agent.on('offline', () => {
+            offline = true;
+        });
+        const firstClosed = new Promise(resolve => first.once('close', resolve));
+        const second = net.connect(port);
+        serveHttp(second);
+        await firstClosed;
+
+        const res = await get(agent, '/after');
+        assert.equal(res.body, 'stream 2 /after');
+        assert.equal(offline, false);
+
+        second.destroy();
+        agent.destroy();
+    });
+});
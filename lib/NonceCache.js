@@ -46,13 +46,19 @@ class NonceCache {
     /**
      * Adiciona nonce ao cache com TTL
      * @param {number} nonce - Unix epoch em milissegundos
+     * @returns {boolean} false quando o nonce já foi usado (não é adicionado de novo)
      */
     add(nonce) {
+        if (this.has(nonce)) {
+            return false;
+        }
+
         const nonceStr = nonce.toString();
         const expiryTime = Date.now() + this.ttl;
 
         this.cache.set(nonceStr, expiryTime);
         this.debug('Nonce added: %s (expires at: %d)', nonceStr, expiryTime);
+        return true;
     }
 
     /**
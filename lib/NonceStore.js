@@ -0,0 +1,64 @@
+import Debug from 'debug';
+
+import NonceCache from './NonceCache.js';
+import FileNonceStore from './FileNonceStore.js';
+import RedisNonceStore from './RedisNonceStore.js';
+
+const debug = Debug('localtunnel:noncestore');
+
+const DEFAULT_REDIS_PREFIX = 'lt:nonce:';
+
+/**
+ * Nonce stores used by HmacAuthenticator to detect replayed requests
+ *
+ * A nonce store implements:
+ * - add(nonce): stores a nonce for the store's TTL; returns (or resolves to) true when the
+ *   nonce was not used before and false when it was. Must be atomic, so two instances
+ *   sharing a store never both accept the same nonce.
+ * - size(): number of stored nonces, or null when the store cannot tell cheaply
+ * - destroy(): releases timers and connections
+ *
+ * Stores (LT_NONCE_STORE):
+ * - memory (default): NonceCache, per process
+ * - file: FileNonceStore in LT_NONCE_STORE_PATH, shared by the processes of one host
+ * - redis: RedisNonceStore at LT_NONCE_STORE_URL, shared by every instance
+ *   (SET NX EX, keys prefixed with LT_NONCE_STORE_PREFIX, default "lt:nonce:")
+ *
+ * Tunnel creation and admin API nonces are kept apart by `namespace`.
+ */
+class NonceStore {
+    /**
+     * Creates the configured nonce store
+     * @param {Object} options - { ttl (seconds), namespace }
+     */
+    static create(options = {}) {
+        const ttl = options.ttl || 7200;
+        const namespace = options.namespace || 'tunnel';
+        const type = (process.env.LT_NONCE_STORE || 'memory').toLowerCase();
+
+        debug('creating %s nonce store (namespace: %s, ttl: %ds)', type, namespace, ttl);
+        switch (type) {
+        case 'memory':
+            return new NonceCache(ttl);
+        case 'file': {
+            const dirPath = process.env.LT_NONCE_STORE_PATH;
+            if (!dirPath) {
+                throw new Error('File nonce store requires LT_NONCE_STORE_PATH');
+            }
+            return new FileNonceStore(`${dirPath}/${namespace}`, ttl);
+        }
+        case 'redis': {
+            const url = process.env.LT_NONCE_STORE_URL;
+            if (!url) {
+                throw new Error('Redis nonce store requires LT_NONCE_STORE_URL');
+            }
+            const prefix = process.env.LT_NONCE_STORE_PREFIX || DEFAULT_REDIS_PREFIX;
+            return new RedisNonceStore(url, { ttl, prefix: `${prefix}${namespace}:` });
+        }
+        default:
+            throw new Error(`Invalid LT_NONCE_STORE "${process.env.LT_NONCE_STORE}" (expected: memory, file or redis)`);
+        }
+    }
+}
+
+export default NonceStore;
@@ -0,0 +1,335 @@
+import assert from 'assert';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+
+import NonceStore from './NonceStore.js';
+import NonceCache from './NonceCache.js';
+import FileNonceStore from './FileNonceStore.js';
+import RedisNonceStore from './RedisNonceStore.js';
+import HmacAuthenticator from './HmacAuthenticator.js';
+
+const SECRET = 'nonce-store-secret-at-least-32-chars-long';
+
+// Minimal Redis stand-in: SET (NX, EX), AUTH and SELECT over RESP
+function startRedisStandIn({ password = null } = {}) {
+    const keys = new Map();  // key -> expiry (ms)
+    const commands = [];
+
+    const server = net.createServer((socket) => {
+        let buffer = '';
+        let authenticated = password === null;
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString();
+            let match;
+            // one complete command: *<n>\r\n followed by n bulk strings
+            while ((match = /^\*(\d+)\r\n/.exec(buffer))) {
+                const args = [];
+                let offset = match[0].length;
+                for (let i = 0; i < Number(match[1]); i++) {
+                    const header = /^\$(\d+)\r\n/.exec(buffer.slice(offset));
+                    if (!header || buffer.length < offset + header[0].length + Number(header[1]) + 2) {
+                        return;
+                    }
+                    offset += header[0].length;
+                    args.push(buffer.slice(offset, offset + Number(header[1])));
+                    offset += Number(header[1]) + 2;
+                }
+                buffer = buffer.slice(offset);
+                commands.push(args);
+                socket.write(reply(args));
+            }
+        });
+
+        function reply([name, ...args]) {
+            switch (name.toUpperCase()) {
+            case 'AUTH':
+                authenticated = args[args.length - 1] === password;
+                return authenticated ? '+OK\r\n' : '-WRONGPASS invalid password\r\n';
+            case 'SELECT':
+                return '+OK\r\n';
+            case 'SET': {
+                if (!authenticated) {
+                    return '-NOAUTH Authentication required.\r\n';
+                }
+                const [key, , ...flags] = args;
+                const ex = flags.findIndex(flag => flag.toUpperCase() === 'EX');
+                const expiry = Date.now() + (ex === -1 ? Infinity : Number(flags[ex + 1]) * 1000);
+                const existing = keys.get(key);
+                if (flags.some(flag => flag.toUpperCase() === 'NX') && existing !== undefined && existing > Date.now()) {
+                    return '$-1\r\n';
+                }
+                keys.set(key, expiry);
+                return '+OK\r\n';
+            }
+            default:
+                return `-ERR unknown command '${name}'\r\n`;
+            }
+        }
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, keys, commands, port: server.address().port }));
+    });
+}
+
+function signedRequest() {
+    return {
+        method: 'POST',
+        path: '/api/tunnels',
+        headers: HmacAuthenticator.signRequest(SECRET, 'POST', '/api/tunnels', ''),
+    };
+}
+
+// HmacAuthenticator reads lowercase header names, as received by Koa
+function lowercaseHeaders(req) {
+    const headers = {};
+    for (const [name, value] of Object.entries(req.headers)) {
+        headers[name.toLowerCase()] = value;
+    }
+    return { ...req, headers };
+}
+
+describe('NonceStore', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        for (const name of ['LT_NONCE_STORE', 'LT_NONCE_STORE_PATH', 'LT_NONCE_STORE_URL', 'LT_NONCE_STORE_PREFIX', 'LT_HMAC_SECRET']) {
+            if (originalEnv[name] === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = originalEnv[name];
+            }
+        }
+    });
+
+    describe('create', () => {
+        it('should default to the in-memory cache', () => {
+            delete process.env.LT_NONCE_STORE;
+            const store = NonceStore.create({ ttl: 60 });
+            assert.ok(store instanceof NonceCache);
+            store.destroy();
+        });
+
+        it('should create a file store per namespace', () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lt-nonces-'));
+            try {
+                process.env.LT_NONCE_STORE = 'file';
+                process.env.LT_NONCE_STORE_PATH = dir;
+                const store = NonceStore.create({ ttl: 60, namespace: 'admin' });
+                assert.ok(store instanceof FileNonceStore);
+                assert.equal(store.dirPath, `${dir}/admin`);
+                assert.ok(fs.statSync(store.dirPath).isDirectory());
+                store.destroy();
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        it('should create a redis store with a prefix per namespace', () => {
+            process.env.LT_NONCE_STORE = 'redis';
+            process.env.LT_NONCE_STORE_URL = 'redis://:pass@redis.internal:6380/2';
+            const store = NonceStore.create({ ttl: 60 });
+            assert.ok(store instanceof RedisNonceStore);
+            assert.equal(store.prefix, 'lt:nonce:tunnel:');
+            assert.equal(store.host, 'redis.internal');
+            assert.equal(store.port, 6380);
+            assert.equal(store.db, '2');
+            assert.equal(store.password, 'pass');
+            store.destroy();
+        });
+
+        it('should reject missing settings and unknown stores', () => {
+            process.env.LT_NONCE_STORE = 'file';
+            assert.throws(() => NonceStore.create(), /LT_NONCE_STORE_PATH/);
+            process.env.LT_NONCE_STORE = 'redis';
+            assert.throws(() => NonceStore.create(), /LT_NONCE_STORE_URL/);
+            process.env.LT_NONCE_STORE = 'sqlite';
+            assert.throws(() => NonceStore.create(), /Invalid LT_NONCE_STORE/);
+        });
+    });
+
+    describe('NonceCache', () => {
+        it('should report whether a nonce was new', () => {
+            const cache = new NonceCache(60);
+            assert.equal(cache.add(1000), true);
+            assert.equal(cache.add(1000), false);
+            assert.equal(cache.add(1001), true);
+            assert.equal(cache.size(), 2);
+            cache.destroy();
+        });
+    });
+
+    describe('FileNonceStore', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lt-nonces-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should accept a nonce once across stores sharing a directory', async () => {
+            const a = new FileNonceStore(dir, 60);
+            const b = new FileNonceStore(dir, 60);
+            try {
+                const results = await Promise.all([a.add(1700000000000), b.add(1700000000000)]);
+                assert.deepEqual(results.sort(), [false, true]);
+                assert.equal(await a.add(1700000000000), false);
+                assert.equal(await b.add(1700000000001), true);
+                assert.equal(a.size(), null);
+            } finally {
+                a.destroy();
+                b.destroy();
+            }
+        });
+
+        it('should accept an expired nonce again and clean up expired files', async () => {
+            const store = new FileNonceStore(dir, 60);
+            try {
+                assert.equal(await store.add(1000), true);
+                assert.equal(await store.add(2000), true);
+                const past = new Date(Date.now() - 120 * 1000);
+                fs.utimesSync(path.join(dir, '1000'), past, past);
+
+                assert.equal(await store.add(1000), true);
+
+                fs.utimesSync(path.join(dir, '2000'), past, past);
+                await store.cleanup();
+                assert.deepEqual(fs.readdirSync(dir), ['1000']);
+            } finally {
+                store.destroy();
+            }
+        });
+    });
+
+    describe('RedisNonceStore', () => {
+        let standIn;
+
+        afterEach((done) => {
+            if (standIn && standIn.server.listening) {
+                standIn.server.close(() => done());
+            } else {
+                done();
+            }
+        });
+
+        it('should claim nonces with SET NX EX', async () => {
+            standIn = await startRedisStandIn();
+            const store = new RedisNonceStore(`redis://127.0.0.1:${standIn.port}`, { ttl: 90, prefix: 'lt:nonce:tunnel:' });
+            try {
+                assert.equal(await store.add(1700000000000), true);
+                assert.equal(await store.add(1700000000000), false);
+                assert.deepEqual(standIn.commands[0], ['SET', 'lt:nonce:tunnel:1700000000000', '1', 'NX', 'EX', '90']);
+                assert.ok(standIn.keys.has('lt:nonce:tunnel:1700000000000'));
+            } finally {
+                store.destroy();
+            }
+        });
+
+        it('should authenticate and select the database first', async () => {
+            standIn = await startRedisStandIn({ password: 's3cret' });
+            const store = new RedisNonceStore(`redis://:s3cret@127.0.0.1:${standIn.port}/3`);
+            try {
+                assert.equal(await store.add(1), true);
+                assert.deepEqual(standIn.commands.map(args => args[0]), ['AUTH', 'SELECT', 'SET']);
+                assert.deepEqual(standIn.commands[1], ['SELECT', '3']);
+            } finally {
+                store.destroy();
+            }
+        });
+
+        it('should fail with nonce_store_unavailable on a wrong password', async () => {
+            standIn = await startRedisStandIn({ password: 's3cret' });
+            const store = new RedisNonceStore(`redis://:wrong@127.0.0.1:${standIn.port}`);
+            try {
+                await assert.rejects(store.add(1), { code: 'nonce_store_unavailable' });
+            } finally {
+                store.destroy();
+            }
+        });
+
+        it('should fail with nonce_store_unavailable when the server is down', async () => {
+            standIn = await startRedisStandIn();
+            const port = standIn.port;
+            await new Promise(resolve => standIn.server.close(resolve));
+
+            const store = new RedisNonceStore(`redis://127.0.0.1:${port}`);
+            try {
+                await assert.rejects(store.add(1), { code: 'nonce_store_unavailable' });
+            } finally {
+                store.destroy();
+            }
+        });
+
+        it('should reject invalid URLs', () => {
+            assert.throws(() => new RedisNonceStore('not a url'), /Invalid nonce store URL/);
+            assert.throws(() => new RedisNonceStore('http://127.0.0.1:6379'), /redis:\/\//);
+            assert.throws(() => new RedisNonceStore('redis://127.0.0.1:6379/db'), /Invalid nonce store database/);
+        });
+    });
+
+    describe('HmacAuthenticator with a shared store', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lt-nonces-'));
+            process.env.LT_HMAC_SECRET = SECRET;
+            process.env.LT_NONCE_STORE = 'file';
+            process.env.LT_NONCE_STORE_PATH = dir;
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should reject a request replayed on another instance', async () => {
+            const first = new HmacAuthenticator();
+            const second = new HmacAuthenticator();
+            try {
+                const req = lowercaseHeaders(signedRequest());
+                assert.equal((await first.validateRequest(req)).valid, true);
+
+                const replayed = await second.validateRequest(req);
+                assert.equal(replayed.valid, false);
+                assert.equal(replayed.reasonCode, 'replay_detected');
+
+                assert.equal((await second.validateRequest(lowercaseHeaders(signedRequest()))).valid, true);
+                assert.equal(second.getStats().cacheSize, null);
+            } finally {
+                first.destroy();
+                second.destroy();
+            }
+        });
+
+        it('should not consume the nonce of a request with a bad signature', async () => {
+            const auth = new HmacAuthenticator();
+            try {
+                const req = lowercaseHeaders(signedRequest());
+                const forged = { ...req, headers: { ...req.headers, authorization: `HMAC sha256=${'0'.repeat(64)}` } };
+                assert.equal((await auth.validateRequest(forged)).reasonCode, 'invalid_signature');
+                assert.equal((await auth.validateRequest(req)).valid, true);
+            } finally {
+                auth.destroy();
+            }
+        });
+
+        it('should report an unavailable store with its own reason code, not as bad credentials', async () => {
+            const auth = new HmacAuthenticator({
+                nonceStore: { add: async () => { throw Object.assign(new Error('Nonce store unavailable: down'), { code: 'nonce_store_unavailable' }); }, size: () => null, destroy() {} },
+            });
+            try {
+                const result = await auth.validateRequest(lowercaseHeaders(signedRequest()));
+                // the server answers this reason with 503 instead of 401
+                assert.equal(result.valid, false);
+                assert.equal(result.reasonCode, 'nonce_store_unavailable');
+                assert.match(result.reason, /Nonce store unavailable/);
+            } finally {
+                auth.destroy();
+            }
+        });
+    });
+});
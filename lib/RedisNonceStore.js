@@ -0,0 +1,243 @@
+import net from 'net';
+import tls from 'tls';
+import Debug from 'debug';
+
+const DEFAULT_TIMEOUT = 2000;  // ms per command
+
+// Creates an error with a reasonCode, as returned by HmacAuthenticator validations
+function storeError(message) {
+    const err = new Error(message);
+    err.code = 'nonce_store_unavailable';
+    return err;
+}
+
+// Encodes a command as a RESP array of bulk strings
+function encodeCommand(args) {
+    const parts = [`*${args.length}\r\n`];
+    for (const arg of args) {
+        parts.push(`$${Buffer.byteLength(arg)}\r\n${arg}\r\n`);
+    }
+    return parts.join('');
+}
+
+// Parses one RESP reply at `offset`
+// Returns { value, offset } or null when `buffer` does not hold a complete reply yet
+function parseReply(buffer, offset = 0) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) {
+        return null;
+    }
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+    case '+':
+        return { value: line, offset: next };
+    case '-':
+        return { value: new Error(line), offset: next };
+    case ':':
+        return { value: parseInt(line, 10), offset: next };
+    case '$': {
+        const length = parseInt(line, 10);
+        if (length === -1) {
+            return { value: null, offset: next };
+        }
+        if (buffer.length < next + length + 2) {
+            return null;
+        }
+        return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+        const count = parseInt(line, 10);
+        if (count === -1) {
+            return { value: null, offset: next };
+        }
+        const values = [];
+        let position = next;
+        for (let i = 0; i < count; i++) {
+            const item = parseReply(buffer, position);
+            if (!item) {
+                return null;
+            }
+            values.push(item.value);
+            position = item.offset;
+        }
+        return { value: values, offset: position };
+    }
+    default:
+        throw new Error(`Unexpected RESP reply type "${type}"`);
+    }
+}
+
+/**
+ * Nonce store shared by every server instance, on a Redis compatible server
+ *
+ * Nonces are claimed with "SET <prefix><nonce> 1 NX EX <ttl>", which only one
+ * instance can win. Speaks RESP directly (no client library); the connection is
+ * opened on first use and again after it is lost.
+ *
+ * URL: redis://[[user]:password@]host[:port][/db], or rediss:// for TLS
+ */
+class RedisNonceStore {
+    constructor(url, options = {}) {
+        this.debug = Debug('localtunnel:noncestore:redis');
+
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (err) {
+            throw new Error('Invalid nonce store URL');
+        }
+        if (parsed.protocol !== 'redis:' && parsed.protocol !== 'rediss:') {
+            throw new Error('Nonce store URL must use redis:// or rediss://');
+        }
+
+        this.host = parsed.hostname;
+        this.port = parseInt(parsed.port, 10) || 6379;
+        this.tls = parsed.protocol === 'rediss:';
+        this.username = decodeURIComponent(parsed.username);
+        this.password = decodeURIComponent(parsed.password);
+        this.db = parsed.pathname.length > 1 ? parsed.pathname.slice(1) : null;
+        if (this.db !== null && !/^\d+$/.test(this.db)) {
+            throw new Error(`Invalid nonce store database "${this.db}"`);
+        }
+
+        this.ttl = options.ttl || 7200;  // seconds
+        this.prefix = options.prefix || '';
+        this.timeout = options.timeout || DEFAULT_TIMEOUT;
+
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        // callbacks of the commands sent, in order: { resolve, reject, timer }
+        this.pending = [];
+
+        this.debug('RedisNonceStore initialized: %s:%d (db: %s, tls: %s), prefix=%s, TTL=%ds',
+            this.host, this.port, this.db || 0, this.tls, this.prefix, this.ttl);
+    }
+
+    /**
+     * Stores a nonce
+     * @param {number} nonce - Unix epoch in milliseconds
+     * @returns {Promise<boolean>} false when the nonce was already used (by any instance)
+     */
+    async add(nonce) {
+        const reply = await this.command(['SET', `${this.prefix}${Math.trunc(nonce)}`, '1', 'NX', 'EX', String(this.ttl)]);
+        return reply === 'OK';
+    }
+
+    /**
+     * Unknown: the keys are shared with the other instances
+     */
+    size() {
+        return null;
+    }
+
+    /**
+     * Sends a command, resolving with its reply
+     */
+    command(args) {
+        if (!this.socket) {
+            this._connect();
+        }
+        return this._send(args);
+    }
+
+    _send(args) {
+        return new Promise((resolve, reject) => {
+            const entry = { resolve, reject, timer: null };
+            entry.timer = setTimeout(() => {
+                this._fail(storeError(`Nonce store timed out after ${this.timeout}ms`));
+            }, this.timeout);
+            this.pending.push(entry);
+            this.socket.write(encodeCommand(args));
+        });
+    }
+
+    _connect() {
+        const options = { host: this.host, port: this.port };
+        const socket = this.tls
+            ? tls.connect({ ...options, servername: this.host })
+            : net.connect(options);
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+
+        // events of a connection that was already dropped must not affect the next one
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => {
+            if (this.socket === socket) {
+                this._onData(chunk);
+            }
+        });
+        socket.on('error', (err) => {
+            this.debug('ERROR: connection to %s:%d: %s', this.host, this.port, err.message);
+            if (this.socket === socket) {
+                this._fail(storeError(`Nonce store unavailable: ${err.message}`));
+            }
+        });
+        socket.on('close', () => {
+            if (this.socket === socket) {
+                this._fail(storeError('Nonce store connection closed'));
+            }
+        });
+
+        // queued before any other command of this connection; a failure is reported to that command
+        const setup = [];
+        if (this.password) {
+            setup.push(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+        }
+        if (this.db !== null) {
+            setup.push(['SELECT', this.db]);
+        }
+        for (const args of setup) {
+            this._send(args).catch(() => {});
+        }
+    }
+
+    _onData(chunk) {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        let reply;
+        try {
+            while (this.pending.length > 0 && (reply = parseReply(this.buffer))) {
+                this.buffer = this.buffer.subarray(reply.offset);
+                const entry = this.pending.shift();
+                clearTimeout(entry.timer);
+                if (reply.value instanceof Error) {
+                    this.debug('ERROR: reply: %s', reply.value.message);
+                    // AUTH/SELECT failed: later commands of this connection cannot be trusted
+                    this._fail(storeError(`Nonce store error: ${reply.value.message}`));
+                    entry.reject(storeError(`Nonce store error: ${reply.value.message}`));
+                    return;
+                }
+                entry.resolve(reply.value);
+            }
+        } catch (err) {
+            this._fail(storeError(`Nonce store protocol error: ${err.message}`));
+        }
+    }
+
+    // Rejects every pending command and drops the connection (reopened by the next command)
+    _fail(err) {
+        const socket = this.socket;
+        this.socket = null;
+        const pending = this.pending;
+        this.pending = [];
+        for (const entry of pending) {
+            clearTimeout(entry.timer);
+            entry.reject(err);
+        }
+        if (socket) {
+            socket.destroy();
+        }
+    }
+
+    /**
+     * Closes the connection
+     */
+    destroy() {
+        this._fail(storeError('Nonce store closed'));
+    }
+}
+
+export default RedisNonceStore;
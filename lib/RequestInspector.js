@@ -0,0 +1,206 @@
+import { isUtf8 } from 'buffer';
+import Debug from 'debug';
+
+const DEFAULT_HISTORY = 20;
+const DEFAULT_MAX_BODY = 16 * 1024;
+const DEFAULT_RESPONSE_PREVIEW = 2 * 1024;
+const DEFAULT_REDACT_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-lt-client-token'];
+const REDACTED = '[REDACTED]';
+
+// Read a non-negative integer from the environment, or return the default
+function getIntEnv(name, defaultValue) {
+    const parsed = parseInt(process.env[name], 10);
+    return isNaN(parsed) || parsed < 0 ? defaultValue : parsed;
+}
+
+function getRedactHeaders() {
+    const envValue = process.env.LT_INSPECT_REDACT_HEADERS;
+    if (envValue === undefined) {
+        return DEFAULT_REDACT_HEADERS;
+    }
+    return envValue.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+}
+
+// Accumulates up to `limit` bytes, counting everything that was offered
+class BodyCapture {
+    constructor(limit) {
+        this.limit = limit;
+        this.chunks = [];
+        this.captured = 0;
+        this.size = 0;
+    }
+
+    push(chunk) {
+        this.size += chunk.length;
+        const room = this.limit - this.captured;
+        if (room <= 0) {
+            return;
+        }
+        const slice = chunk.length > room ? chunk.subarray(0, room) : chunk;
+        this.chunks.push(Buffer.from(slice));
+        this.captured += slice.length;
+    }
+
+    toBuffer() {
+        return Buffer.concat(this.chunks);
+    }
+
+    get truncated() {
+        return this.size > this.captured;
+    }
+}
+
+/**
+ * History of the last requests proxied through a tunnel
+ *
+ * Keeps a ring buffer of captured exchanges (request line, headers, body up to
+ * a size cap, response status, headers, body preview and timing) for debugging.
+ * Header values listed in the redaction rules are never stored.
+ *
+ * Configuration (environment, read at construction):
+ * - LT_INSPECT_HISTORY: requests kept per tunnel (default 20)
+ * - LT_INSPECT_MAX_BODY: request body bytes captured (default 16KB)
+ * - LT_INSPECT_RESPONSE_PREVIEW: response body bytes captured (default 2KB)
+ * - LT_INSPECT_REDACT_HEADERS: comma separated header names to redact
+ */
+class RequestInspector {
+    constructor(options = {}) {
+        this.debug = Debug('localtunnel:inspector');
+        this.capacity = options.capacity || getIntEnv('LT_INSPECT_HISTORY', DEFAULT_HISTORY) || DEFAULT_HISTORY;
+        this.maxBodySize = options.maxBodySize ?? getIntEnv('LT_INSPECT_MAX_BODY', DEFAULT_MAX_BODY);
+        this.responsePreviewSize = options.responsePreviewSize ?? getIntEnv('LT_INSPECT_RESPONSE_PREVIEW', DEFAULT_RESPONSE_PREVIEW);
+        this.redactHeaders = new Set((options.redactHeaders || getRedactHeaders()).map(name => name.toLowerCase()));
+
+        // oldest first, at most `capacity` entries
+        this.records = [];
+        this.lastId = 0;
+    }
+
+    /**
+     * Starts capturing a visitor request
+     * @returns {Object} capture with requestChunk/response/responseChunk/end/fail methods
+     */
+    begin(req) {
+        const record = {
+            id: ++this.lastId,
+            startedAt: Date.now(),
+            method: req.method,
+            url: req.url,
+            httpVersion: req.httpVersion,
+            remoteAddress: req.socket ? req.socket.remoteAddress : null,
+            // id of the captured request this one replays (see Client.replay)
+            replayOf: req.replayOf || null,
+            request: {
+                headers: this.redact(req.headers),
+                body: null,
+                bodySize: 0,
+                bodyTruncated: false,
+            },
+            response: null,
+            error: null,
+            // ms from request start to response headers, and to the end of the response
+            latency: null,
+            duration: null,
+        };
+
+        this.debug('capturing request %d: %s %s', record.id, record.method, record.url);
+        this.records.push(record);
+        if (this.records.length > this.capacity) {
+            this.records.shift();
+        }
+
+        const requestBody = new BodyCapture(this.maxBodySize);
+        const responseBody = new BodyCapture(this.responsePreviewSize);
+        const syncRequestBody = () => {
+            record.request.body = requestBody.toBuffer();
+            record.request.bodySize = requestBody.size;
+            record.request.bodyTruncated = requestBody.truncated;
+        };
+
+        return {
+            requestChunk: (chunk) => {
+                requestBody.push(chunk);
+            },
+            response: (statusCode, headers) => {
+                syncRequestBody();
+                record.latency = Date.now() - record.startedAt;
+                record.response = {
+                    statusCode,
+                    headers: this.redact(headers),
+                    bodyPreview: null,
+                    bodySize: 0,
+                    bodyTruncated: false,
+                };
+            },
+            responseChunk: (chunk) => {
+                responseBody.push(chunk);
+            },
+            end: () => {
+                syncRequestBody();
+                record.duration = Date.now() - record.startedAt;
+                if (record.response) {
+                    record.response.bodyPreview = responseBody.toBuffer();
+                    record.response.bodySize = responseBody.size;
+                    record.response.bodyTruncated = responseBody.truncated;
+                }
+            },
+            fail: (statusCode, message) => {
+                syncRequestBody();
+                record.error = message;
+                record.duration = Date.now() - record.startedAt;
+                if (!record.response && statusCode) {
+                    record.response = {
+                        statusCode,
+                        headers: {},
+                        bodyPreview: Buffer.alloc(0),
+                        bodySize: 0,
+                        bodyTruncated: false,
+                    };
+                }
+            },
+        };
+    }
+
+    /**
+     * Copy of `headers` with the values of redacted headers replaced
+     */
+    redact(headers) {
+        const result = {};
+        for (const [name, value] of Object.entries(headers || {})) {
+            result[name] = this.redactHeaders.has(name.toLowerCase()) ? REDACTED : value;
+        }
+        return result;
+    }
+
+    /**
+     * Captured requests, most recent first
+     */
+    list() {
+        return [...this.records].reverse();
+    }
+
+    get(id) {
+        return this.records.find(record => record.id === id) || null;
+    }
+
+    clear() {
+        this.records = [];
+    }
+
+    /**
+     * Encodes a captured body for JSON output: utf8 text when possible, base64 otherwise
+     */
+    static encodeBody(buffer) {
+        if (!buffer) {
+            return null;
+        }
+        if (isUtf8(buffer)) {
+            return { encoding: 'utf8', data: buffer.toString('utf8') };
+        }
+        return { encoding: 'base64', data: buffer.toString('base64') };
+    }
+}
+
+RequestInspector.REDACTED = REDACTED;
+
+export default RequestInspector;
@@ -0,0 +1,73 @@
+import assert from 'assert';
+
+import RequestInspector from './RequestInspector.js';
+
+function fakeRequest(url, headers = {}) {
+    return { method: 'POST', url, httpVersion: '1.1', headers, socket: { remoteAddress: '127.0.0.1' } };
+}
+
+describe('RequestInspector', () => {
+    it('should keep the last N requests, most recent first', () => {
+        const inspector = new RequestInspector({ capacity: 2 });
+        for (const url of ['/a', '/b', '/c']) {
+            inspector.begin(fakeRequest(url)).end();
+        }
+
+        assert.deepEqual(inspector.list().map(r => r.url), ['/c', '/b']);
+        assert.equal(inspector.get(1), null);
+        assert.equal(inspector.get(3).url, '/c');
+    });
+
+    it('should redact configured headers', () => {
+        const inspector = new RequestInspector({ redactHeaders: ['Authorization', 'cookie'] });
+        const capture = inspector.begin(fakeRequest('/', {
+            authorization: 'Bearer abc',
+            cookie: 'a=b',
+            'content-type': 'text/plain',
+        }));
+        capture.response(200, { 'set-cookie': ['x=y'], 'content-type': 'text/plain' });
+        capture.end();
+
+        const [record] = inspector.list();
+        assert.deepEqual(record.request.headers, {
+            authorization: '[REDACTED]',
+            cookie: '[REDACTED]',
+            'content-type': 'text/plain',
+        });
+        // set-cookie is not in this inspector's rules
+        assert.deepEqual(record.response.headers['set-cookie'], ['x=y']);
+    });
+
+    it('should cap captured bodies and record their full size', () => {
+        const inspector = new RequestInspector({ maxBodySize: 4, responsePreviewSize: 2 });
+        const capture = inspector.begin(fakeRequest('/'));
+        capture.requestChunk(Buffer.from('abc'));
+        capture.requestChunk(Buffer.from('defg'));
+        capture.response(200, {});
+        capture.responseChunk(Buffer.from('hello'));
+        capture.end();
+
+        const [record] = inspector.list();
+        assert.equal(record.request.body.toString(), 'abcd');
+        assert.equal(record.request.bodySize, 7);
+        assert.equal(record.request.bodyTruncated, true);
+        assert.equal(record.response.bodyPreview.toString(), 'he');
+        assert.equal(record.response.bodySize, 5);
+        assert.ok(record.duration >= record.latency);
+    });
+
+    it('should record failed requests', () => {
+        const inspector = new RequestInspector();
+        inspector.begin(fakeRequest('/')).fail(503, 'Request timeout');
+
+        const [record] = inspector.list();
+        assert.equal(record.error, 'Request timeout');
+        assert.equal(record.response.statusCode, 503);
+    });
+
+    it('should encode text bodies as utf8 and binary bodies as base64', () => {
+        assert.deepEqual(RequestInspector.encodeBody(Buffer.from('olá')), { encoding: 'utf8', data: 'olá' });
+        assert.deepEqual(RequestInspector.encodeBody(Buffer.from([0xff, 0x00])), { encoding: 'base64', data: '/wA=' });
+        assert.equal(RequestInspector.encodeBody(null), null);
+    });
+});
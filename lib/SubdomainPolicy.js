@@ -0,0 +1,161 @@
+import fs from 'fs';
+import Debug from 'debug';
+
+const PATTERN_FORMAT = /^[a-z0-9*-]+$/;
+const CREDENTIAL_FIELDS = {
+    key_ids: 'keyId',
+    client_tokens: 'clientToken',
+    subjects: 'subject',
+};
+
+// Creates an error with a code, as handled by the tunnel creation routes
+function policyError(message) {
+    const err = new Error(message);
+    err.code = 'subdomain_forbidden';
+    return err;
+}
+
+// Converts a subdomain pattern ("team-a-*") to an anchored regular expression
+function compilePattern(pattern) {
+    const source = pattern.split('*').map(part => part.replace(/-/g, '\\-')).join('[a-z0-9-]*');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Subdomain ownership policy loaded from a JSON file
+ *
+ * File format (owner name -> subdomain patterns and the credentials that own them):
+ * {
+ *   "team-a": {
+ *     "subdomains": ["team-a-*", "hooks-a"],
+ *     "key_ids": ["team-a-2025"],
+ *     "client_tokens": ["team-a-ci"],
+ *     "subjects": ["alice@example.com"]
+ *   }
+ * }
+ *
+ * Credentials are HMAC key ids, client tokens (X-LT-Client-Token or client_token) and
+ * JWT subjects. A subdomain matched by an owner's patterns can only be claimed with one
+ * of that owner's credentials, and a listed credential can only claim its owner's
+ * subdomains. Other credentials can claim any subdomain that no owner matches.
+ * The file is reloaded on SIGHUP; a file that fails to parse keeps the previous policy.
+ */
+class SubdomainPolicy {
+    constructor(filePath, options = {}) {
+        this.debug = Debug('localtunnel:policy');
+        this.filePath = filePath;
+
+        // [{ name, patterns, regexps, keyId: Set, clientToken: Set, subject: Set }]
+        this.owners = this.load();
+
+        this.onSignal = () => {
+            this.debug('SIGHUP received, reloading policy');
+            this.reload();
+        };
+        if (options.watch !== false) {
+            process.on('SIGHUP', this.onSignal);
+        }
+    }
+
+    /**
+     * Returns true when a policy file is configured
+     */
+    static isConfigured() {
+        return !!process.env.FILE_LT_SUBDOMAIN_POLICY;
+    }
+
+    /**
+     * Reads and validates the policy file
+     */
+    load() {
+        let json;
+        try {
+            json = fs.readFileSync(this.filePath, 'utf8');
+        } catch (err) {
+            throw new Error(`Failed to read subdomain policy from file ${this.filePath}: ${err.message}`);
+        }
+
+        let entries;
+        try {
+            entries = JSON.parse(json);
+        } catch (err) {
+            throw new Error(`Invalid subdomain policy JSON in ${this.filePath}: ${err.message}`);
+        }
+        if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+            throw new Error(`Subdomain policy in ${this.filePath} must be a JSON object of owner -> rules`);
+        }
+
+        const owners = Object.entries(entries).map(([name, entry]) => {
+            const isList = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0);
+
+            if (!entry || !isList(entry.subdomains) || entry.subdomains.length === 0) {
+                throw new Error(`Owner "${name}" must have a non-empty "subdomains" array`);
+            }
+            for (const pattern of entry.subdomains) {
+                if (!PATTERN_FORMAT.test(pattern)) {
+                    throw new Error(`Owner "${name}" has an invalid subdomain pattern: ${pattern}`);
+                }
+            }
+
+            const owner = { name, patterns: entry.subdomains, regexps: entry.subdomains.map(compilePattern) };
+            for (const [field, credential] of Object.entries(CREDENTIAL_FIELDS)) {
+                if (entry[field] !== undefined && !isList(entry[field])) {
+                    throw new Error(`Owner "${name}" ${field} must be an array of strings`);
+                }
+                owner[credential] = new Set(entry[field] || []);
+            }
+            return owner;
+        });
+
+        this.debug('loaded %d owners from %s', owners.length, this.filePath);
+        return owners;
+    }
+
+    /**
+     * Reloads the policy file, keeping the current policy if it is invalid
+     * @returns {boolean} true when the policy was replaced
+     */
+    reload() {
+        try {
+            this.owners = this.load();
+        } catch (err) {
+            this.debug('ERROR: keeping previous policy: %s', err.message);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Throws an error with code subdomain_forbidden when `credentials` may not claim `subdomain`
+     * @param {Object} credentials - { keyId, clientToken, subject } (any may be missing)
+     */
+    check(subdomain, credentials = {}) {
+        const holds = owner => Object.values(CREDENTIAL_FIELDS)
+            .some(credential => credentials[credential] && owner[credential].has(credentials[credential]));
+
+        const owners = this.owners.filter(owner => owner.regexps.some(regexp => regexp.test(subdomain)));
+        if (owners.length > 0) {
+            if (!owners.some(holds)) {
+                this.debug('%s belongs to %s, rejecting', subdomain, owners.map(owner => owner.name).join(', '));
+                throw policyError(`Subdomain "${subdomain}" belongs to ${owners.map(owner => owner.name).join(', ')}`);
+            }
+            return;
+        }
+
+        const held = this.owners.filter(holds);
+        if (held.length > 0) {
+            const patterns = held.flatMap(owner => owner.patterns);
+            this.debug('%s is outside the subdomains of %s, rejecting', subdomain, held.map(owner => owner.name).join(', '));
+            throw policyError(`Credentials of ${held.map(owner => owner.name).join(', ')} may only claim: ${patterns.join(', ')}`);
+        }
+    }
+
+    /**
+     * Stops listening for SIGHUP
+     */
+    close() {
+        process.removeListener('SIGHUP', this.onSignal);
+    }
+}
+
+export default SubdomainPolicy;
@@ -0,0 +1,90 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import SubdomainPolicy from './SubdomainPolicy.js';
+
+describe('SubdomainPolicy', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lt-policy-'));
+        file = path.join(dir, 'policy.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function writePolicy(policy) {
+        fs.writeFileSync(file, JSON.stringify(policy));
+    }
+
+    const POLICY = {
+        'team-a': { subdomains: ['team-a-*', 'hooks-a'], key_ids: ['team-a-2025'], client_tokens: ['team-a-ci'] },
+        'team-b': { subdomains: ['team-b-*'], subjects: ['bob@example.com'] },
+    };
+
+    it('should only let owners claim their subdomains', () => {
+        writePolicy(POLICY);
+        const policy = new SubdomainPolicy(file, { watch: false });
+
+        policy.check('team-a-web', { keyId: 'team-a-2025' });
+        policy.check('hooks-a', { clientToken: 'team-a-ci' });
+        policy.check('team-b-api', { subject: 'bob@example.com' });
+
+        assert.throws(() => policy.check('hooks-a', { clientToken: 'someone-else' }),
+            err => err.code === 'subdomain_forbidden' && /belongs to team-a/.test(err.message));
+        assert.throws(() => policy.check('team-a-web', { subject: 'bob@example.com' }),
+            err => err.code === 'subdomain_forbidden');
+        // patterns match whole names
+        assert.throws(() => policy.check('team-a-', {}), /belongs to team-a/);
+        policy.check('xteam-a-web', {});
+    });
+
+    it('should restrict listed credentials to their own subdomains', () => {
+        writePolicy(POLICY);
+        const policy = new SubdomainPolicy(file, { watch: false });
+
+        // unlisted credentials can claim unowned subdomains
+        policy.check('free-name', { clientToken: 'anyone' });
+        policy.check('free-name', {});
+
+        assert.throws(() => policy.check('free-name', { keyId: 'team-a-2025' }),
+            err => err.code === 'subdomain_forbidden' && /may only claim: team-a-\*, hooks-a/.test(err.message));
+    });
+
+    it('should reject invalid files and keep the previous policy on reload', () => {
+        writePolicy({ broken: { subdomains: ['Team-A'] } });
+        assert.throws(() => new SubdomainPolicy(file, { watch: false }), /invalid subdomain pattern/);
+        writePolicy({ broken: { subdomains: ['ok-*'], key_ids: 'not-a-list' } });
+        assert.throws(() => new SubdomainPolicy(file, { watch: false }), /key_ids must be an array/);
+
+        writePolicy(POLICY);
+        const policy = new SubdomainPolicy(file, { watch: false });
+
+        fs.writeFileSync(file, '{not json');
+        assert.equal(policy.reload(), false);
+        assert.throws(() => policy.check('hooks-a', {}), /belongs to team-a/);
+
+        writePolicy({});
+        assert.equal(policy.reload(), true);
+        policy.check('hooks-a', {});
+    });
+
+    it('should reload on SIGHUP until closed', () => {
+        writePolicy(POLICY);
+        const before = process.listenerCount('SIGHUP');
+        const policy = new SubdomainPolicy(file);
+        assert.equal(process.listenerCount('SIGHUP'), before + 1);
+
+        writePolicy({});
+        process.emit('SIGHUP');
+        policy.check('hooks-a', {});
+
+        policy.close();
+        assert.equal(process.listenerCount('SIGHUP'), before);
+    });
+});
@@ -0,0 +1,129 @@
+import net from 'net';
+import pump from 'pump';
+import Debug from 'debug';
+import EventEmitter from 'events';
+
+const DEFAULT_MAX_CONNECTIONS = 100;
+const DEFAULT_CONNECT_TIMEOUT = 10000;  // ms a public connection waits for a tunnel socket
+
+// Public port of a raw TCP tunnel (type "tcp"), for services that are not HTTP
+// (databases, SSH, MQTT brokers)
+//
+// Every connection to the port is piped to a tunnel socket taken from the TunnelAgent,
+// which the tunnel client pipes to its local service. Tunnel sockets are not given back
+// to the pool: they close with the public connection.
+//
+// Events:
+//   connection - a public connection was piped to a tunnel socket, with the public socket
+//   rejected   - a public connection was refused, with the socket and the reason
+//                ('max_connections', 'ip_filter' or 'no_tunnel_socket')
+class TcpProxy extends EventEmitter {
+    constructor(options) {
+        super();
+        this.agent = options.agent;
+        // port from the public TCP port range (ClientManager)
+        this.port = options.port;
+        this.maxConnections = options.maxConnections || DEFAULT_MAX_CONNECTIONS;
+        // IpFilters the address of a public connection must pass (the global and the tunnel one)
+        this.ipFilters = options.ipFilters || [];
+        this.connectTimeout = options.connectTimeout || DEFAULT_CONNECT_TIMEOUT;
+        this.debug = Debug(`localtunnel:tcpproxy:[${options.clientId}]`);
+
+        // public sockets, piped or waiting for a tunnel socket
+        this.sockets = new Set();
+
+        this.connections = 0;          // public connections piped to the tunnel client
+        this.rejectedConnections = 0;  // public connections refused
+        this.bytesIn = 0;              // bytes received from public connections
+        this.bytesOut = 0;             // bytes sent to public connections
+
+        this.server = net.createServer(socket => this._onConnection(socket));
+        this.server.on('error', (err) => {
+            this.debug('ERROR: %s', err.message);
+        });
+    }
+
+    listen() {
+        return new Promise((resolve, reject) => {
+            const onError = (err) => reject(err);
+            this.server.once('error', onError);
+            this.server.listen(this.port, () => {
+                this.server.removeListener('error', onError);
+                const port = this.server.address().port;
+                this.debug('public tcp port listening: %d', port);
+                resolve({ port });
+            });
+        });
+    }
+
+    stats() {
+        return {
+            maxConnections: this.maxConnections,
+            activeConnections: this.sockets.size,
+            connections: this.connections,
+            rejectedConnections: this.rejectedConnections,
+            bytesIn: this.bytesIn,
+            bytesOut: this.bytesOut,
+        };
+    }
+
+    _reject(socket, reason) {
+        this.rejectedConnections++;
+        this.sockets.delete(socket);
+        this.debug('rejected %s:%d (%s)', socket.remoteAddress, socket.remotePort, reason);
+        this.emit('rejected', socket, reason);
+        socket.destroy();
+    }
+
+    _onConnection(socket) {
+        if (this.sockets.size >= this.maxConnections) {
+            return this._reject(socket, 'max_connections');
+        }
+        if (!this.ipFilters.every(filter => filter.allows(socket.remoteAddress))) {
+            return this._reject(socket, 'ip_filter');
+        }
+
+        const socketInfo = `${socket.remoteAddress}:${socket.remotePort}`;
+        // a closed public connection leaves the agent queue
+        const acquire = new AbortController();
+
+        this.sockets.add(socket);
+        socket.once('close', () => {
+            this.sockets.delete(socket);
+            acquire.abort();
+        });
+        // close follows; public clients drop connections for many reasons
+        socket.on('error', () => {});
+
+        // waits in the agent queue while every tunnel socket is in use
+        this.agent.acquireSocket({ timeout: this.connectTimeout, signal: acquire.signal }).then((tunnelSocket) => {
+            this.connections++;
+            this.debug('piping %s to the tunnel client', socketInfo);
+            socket.on('data', (chunk) => {
+                this.bytesIn += chunk.length;
+            });
+            tunnelSocket.on('data', (chunk) => {
+                this.bytesOut += chunk.length;
+            });
+            // a public connection closed meanwhile closes the tunnel socket (it cannot be reused)
+            pump(socket, tunnelSocket, socket, () => {
+                this.debug('closed %s', socketInfo);
+            });
+            this.emit('connection', socket);
+        }, (err) => {
+            if (err.code !== 'ABORT_ERR') {
+                this._reject(socket, 'no_tunnel_socket');
+            }
+        });
+    }
+
+    // stops listening and closes the public connections
+    close() {
+        this.server.close();
+        for (const socket of this.sockets) {
+            socket.destroy();
+        }
+    }
+}
+
+export default TcpProxy;
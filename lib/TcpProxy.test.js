@@ -0,0 +1,122 @@
+import assert from 'assert';
+import net from 'net';
+
+import IpFilter from './IpFilter.js';
+import TcpProxy from './TcpProxy.js';
+import TunnelAgent from './TunnelAgent.js';
+
+describe('TcpProxy', () => {
+    let agent;
+    let proxy;
+    let tunnelSockets;
+
+    beforeEach(async () => {
+        agent = new TunnelAgent();
+        const { port } = await agent.listen();
+        tunnelSockets = [];
+        // tunnel client: echoes every tunnel socket in upper case
+        agent.connectTunnelSocket = () => new Promise((resolve) => {
+            const socket = net.connect(port, () => resolve(socket));
+            socket.on('data', chunk => socket.write(chunk.toString().toUpperCase()));
+            socket.on('error', () => {});
+            tunnelSockets.push(socket);
+        });
+    });
+
+    afterEach(() => {
+        proxy.close();
+        tunnelSockets.forEach(socket => socket.destroy());
+        agent.destroy();
+    });
+
+    function connect(port) {
+        return new Promise((resolve, reject) => {
+            const socket = net.connect(port, '127.0.0.1', () => resolve(socket));
+            socket.once('error', reject);
+        });
+    }
+
+    function nextData(socket) {
+        return new Promise(resolve => socket.once('data', chunk => resolve(chunk.toString())));
+    }
+
+    it('should pipe public connections to tunnel sockets and count bytes', async () => {
+        proxy = new TcpProxy({ agent, port: 0 });
+        const { port } = await proxy.listen();
+        await agent.connectTunnelSocket();
+
+        const socket = await connect(port);
+        const reply = nextData(socket);
+        socket.write('select 1');
+        assert.equal(await reply, 'SELECT 1');
+
+        const stats = proxy.stats();
+        assert.equal(stats.activeConnections, 1);
+        assert.equal(stats.connections, 1);
+        assert.equal(stats.bytesIn, 8);
+        assert.equal(stats.bytesOut, 8);
+
+        // the tunnel socket closes with the public connection
+        const closed = new Promise(resolve => tunnelSockets[0].once('close', resolve));
+        socket.end();
+        await closed;
+        assert.equal(proxy.stats().activeConnections, 0);
+        assert.equal(agent.stats().connectedSockets, 0);
+    });
+
+    it('should refuse connections over the limit', async () => {
+        proxy = new TcpProxy({ agent, port: 0, maxConnections: 1 });
+        const { port } = await proxy.listen();
+        await agent.connectTunnelSocket();
+        await agent.connectTunnelSocket();
+
+        const first = await connect(port);
+        const reply = nextData(first);
+        first.write('a');
+        await reply;
+
+        const rejected = new Promise(resolve => proxy.once('rejected', (socket, reason) => resolve(reason)));
+        const second = await connect(port);
+        const closed = new Promise(resolve => second.once('close', resolve));
+        assert.equal(await rejected, 'max_connections');
+        await closed;
+        assert.equal(proxy.stats().rejectedConnections, 1);
+        first.destroy();
+    });
+
+    it('should refuse connections from addresses outside the IP filters', async () => {
+        const allowLoopback = new IpFilter({ allow: ['127.0.0.0/8'] });
+        const denyLoopback = new IpFilter({ deny: ['127.0.0.1'] });
+        proxy = new TcpProxy({ agent, port: 0, ipFilters: [allowLoopback, denyLoopback] });
+        const { port } = await proxy.listen();
+        await agent.connectTunnelSocket();
+
+        const rejected = new Promise(resolve => proxy.once('rejected', (socket, reason) => resolve(reason)));
+        const socket = await connect(port);
+        const closed = new Promise(resolve => socket.once('close', resolve));
+        assert.equal(await rejected, 'ip_filter');
+        await closed;
+        assert.equal(proxy.stats().rejectedConnections, 1);
+        // the tunnel socket was not used
+        assert.equal(agent.stats().availableSockets, 1);
+    });
+
+    it('should close connections that get no tunnel socket in time', async () => {
+        proxy = new TcpProxy({ agent, port: 0, connectTimeout: 50 });
+        const { port } = await proxy.listen();
+
+        const rejected = new Promise(resolve => proxy.once('rejected', (socket, reason) => resolve(reason)));
+        const socket = await connect(port);
+        const closed = new Promise(resolve => socket.once('close', resolve));
+        assert.equal(await rejected, 'no_tunnel_socket');
+        await closed;
+        assert.equal(proxy.stats().activeConnections, 0);
+
+        // the connection left the agent queue: a tunnel socket that arrives late is pooled
+        assert.equal(agent.stats().waitingRequests, 0);
+        await agent.connectTunnelSocket();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.equal(proxy.stats().connections, 0);
+        assert.equal(agent.stats().availableSockets, 1);
+    });
+});
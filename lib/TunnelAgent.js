@@ -1,10 +1,31 @@
 import { Agent } from 'http';
+import crypto from 'crypto';
 import net from 'net';
+import tls from 'tls';
 import assert from 'assert';
 import log from 'book';
 import Debug from 'debug';
 
+import MuxSession from './MuxSession.js';
+
 const DEFAULT_MAX_SOCKETS = 10;
+const DEFAULT_HANDSHAKE_TIMEOUT = 5000;  // ms
+const MAX_HANDSHAKE_LENGTH = 512;       // bytes, including the newline
+// "LT-AUTH <secret>", optionally followed by the protocol features the client supports
+const HANDSHAKE_PATTERN = /^LT-AUTH (\S+)((?: \S+)*)$/;
+
+const DEFAULT_KEEPALIVE_DELAY = 30000;  // ms of inactivity before the first TCP keepalive probe
+const DEFAULT_PING_INTERVAL = 30000;    // ms between liveness checks of idle pooled sockets
+const DEFAULT_PING_TIMEOUT = 5000;      // ms to answer a liveness check
+const PING_LINE = 'LT-PING\n';
+const PONG_LINE = 'LT-PONG';
+
+// Hashes hide the secret length from the timing-safe comparison
+function secretsEqual(provided, expected) {
+    const providedHash = crypto.createHash('sha256').update(provided).digest();
+    const expectedHash = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(providedHash, expectedHash);
+}
 
 // Helper function to get TCP socket information for logging
 function getTcpSocketInfo(socket) {
@@ -20,9 +41,45 @@ function getTcpSocketInfo(socket) {
     return `${remoteIP}:${remotePort} -> ${localIP}:${localPort}`;
 }
 
+function abortError() {
+    const err = new Error('Waiting for a tunnel socket was aborted');
+    err.code = 'ABORT_ERR';
+    return err;
+}
+
+// false once the socket was closed or ended, even if its 'close' event is still pending
+function isUsable(socket) {
+    return !socket.destroyed && socket.writable && !socket.readableEnded;
+}
+
 // Implements an http.Agent interface to a pool of tunnel sockets
 // A tunnel socket is a connection _from_ a client that will
 // service http requests. This agent is usable wherever one can use an http.Agent
+//
+// With a connectSecret, a socket must first send the handshake line "LT-AUTH <secret>\n"
+// within handshakeTimeout ms; otherwise "LT-ERROR <reason>\n" is written and it is closed
+//
+// With a TunnelTls, the server accepts TLS connections only (the handshake is sent inside TLS)
+// and switches to a reloaded certificate without closing the connected sockets
+//
+// With the 'mux' transport the client opens a single connection (after the handshake) and
+// createConnection hands out streams of a MuxSession over it, up to maxTcpSockets at once.
+// A new connection replaces the previous one.
+//
+// acceptConnection() takes tunnel sockets that did not come through the tunnel port,
+// such as WebSockets on the public server.
+//
+// Tunnel sockets use TCP keepalive. Every pingInterval ms the idle pooled sockets are checked:
+// "LT-PING\n" must be answered with "LT-PONG\n" within pingTimeout ms, for clients that sent the
+// "ping" feature in their handshake ("LT-AUTH <secret> ping"); WebSocket sockets get a WebSocket
+// ping and mux sessions a yamux ping. Sockets that fail the check, or that closed while pooled,
+// are evicted rather than handed out by createConnection.
+//
+// acquireSocket() hands out sockets in request order, with a timeout and an AbortSignal;
+// createConnection (the http.Agent interface) uses it.
+//
+// Events: online, offline, end, rejected (socket), unauthorized (socket, reason),
+//         evicted (socket, reason)
 class TunnelAgent extends Agent {
     constructor(options = {}) {
         super({
@@ -35,8 +92,12 @@ class TunnelAgent extends Agent {
         // sockets we can hand out via createConnection
         this.availableSockets = [];
 
-        // when a createConnection cannot return a socket, it goes into a queue
-        // once a socket is available it is handed out to the next callback
+        // every connected tunnel socket, including those handed out
+        // used to tear down all sockets when the agent is destroyed
+        this.sockets = new Set();
+
+        // callers of acquireSocket (and createConnection) waiting for a socket, in arrival order
+        // once a socket is available it is handed out to the first one
         this.waitingCreateConn = [];
 
         this.debug = Debug(`localtunnel:tunnelagent:[${options.clientId}]`);
@@ -45,12 +106,46 @@ class TunnelAgent extends Agent {
         this.connectedSockets = 0;
         this.maxTcpSockets = options.maxTcpSockets || DEFAULT_MAX_SOCKETS;
         this.rejectedConnections = 0; // track rejected connections for monitoring
+        this.lastSocketConnectedAt = null; // last accepted tunnel socket (ms)
+
+        // per tunnel secret required in the socket handshake (null: sockets are not authenticated)
+        this.connectSecret = options.connectSecret || null;
+        this.handshakeTimeout = options.handshakeTimeout || DEFAULT_HANDSHAKE_TIMEOUT;
+        // sockets that have not completed the handshake yet
+        this.handshakingSockets = new Set();
+        this.unauthorizedConnections = 0;
+
+        // liveness of tunnel sockets (0 disables TCP keepalive / the liveness checks)
+        this.keepAliveDelay = options.keepAliveDelay ?? DEFAULT_KEEPALIVE_DELAY;
+        this.pingInterval = options.pingInterval ?? DEFAULT_PING_INTERVAL;
+        this.pingTimeout = options.pingTimeout || DEFAULT_PING_TIMEOUT;
+        this.pingTimer = null;
+        // sockets that announced the "ping" feature in their handshake
+        this.pingableSockets = new WeakSet();
+        // pooled sockets taken out of the pool while their liveness check runs
+        this.pingingSockets = new Set();
+        // ends the mux session check waiting for its pong, null when none is pending
+        this.sessionPing = null;
+        this.evictedSockets = 0;
 
         // specific port for this tunnel (optional)
         this.port = options.port;
 
+        // 'tcp': a tunnel socket per connection, 'mux': streams over one connection
+        this.transport = options.transport || 'tcp';
+        this.session = null;
+
+        // tunnel sockets use TLS when a certificate is configured (TunnelTls)
+        this.tunnelTls = options.tls || null;
+        this.onTlsReload = () => {
+            this.debug('using reloaded tls certificate');
+            this.server.setSecureContext(this.tunnelTls.secureContextOptions());
+        };
+
         // new tcp server to service requests for this client
-        this.server = net.createServer();
+        this.server = this.tunnelTls
+            ? tls.createServer(this.tunnelTls.serverOptions())
+            : net.createServer();
 
         // flag to avoid double starts
         this.started = false;
@@ -59,13 +154,32 @@ class TunnelAgent extends Agent {
 
     stats() {
         return {
+            transport: this.transport,
             connectedSockets: this.connectedSockets,
+            openStreams: this.session ? this.session.streams.size : 0,
             rejectedConnections: this.rejectedConnections,
-            availableSockets: this.availableSockets.length,
+            unauthorizedConnections: this.unauthorizedConnections,
+            availableSockets: this._availableCount(),
             waitingRequests: this.waitingCreateConn.length,
+            evictedSockets: this.evictedSockets,
+            lastSocketConnectedAt: this.lastSocketConnectedAt,
         };
     }
 
+    // true when createConnection can hand out a connection right away
+    hasAvailableSockets() {
+        return this._availableCount() > 0;
+    }
+
+    _availableCount() {
+        if (this.transport === 'mux') {
+            return this.session && this.session.open
+                ? Math.max(0, this.maxTcpSockets - this.session.streams.size)
+                : 0;
+        }
+        return this.availableSockets.length;
+    }
+
     listen() {
         const server = this.server;
         if (this.started) {
@@ -73,18 +187,43 @@ class TunnelAgent extends Agent {
         }
         this.started = true;
 
+        if (this.pingInterval > 0) {
+            this.pingTimer = setInterval(() => this._checkSockets(), this.pingInterval);
+            this.pingTimer.unref();
+        }
+
         server.on('close', this._onClose.bind(this));
-        server.on('connection', this._onConnection.bind(this));
+        if (this.tunnelTls) {
+            // 'connection' is the raw tcp socket, sockets are usable once the tls handshake completed
+            server.on('secureConnection', this._onConnection.bind(this));
+            server.on('tlsClientError', (err, socket) => {
+                this.unauthorizedConnections++;
+                this.debug('tls handshake failed for %s: %s', getTcpSocketInfo(socket), err.message);
+                this.emit('unauthorized', socket, 'tls_handshake_failed');
+            });
+            this.tunnelTls.on('reload', this.onTlsReload);
+        } else {
+            server.on('connection', this._onConnection.bind(this));
+        }
         server.on('error', (err) => {
             // These errors happen from killed connections, we don't worry about them
             if (err.code == 'ECONNRESET' || err.code == 'ETIMEDOUT') {
                 return;
             }
+            // bind errors reject listen()
+            if (!server.listening) {
+                return;
+            }
             log.error(err);
         });
 
         return new Promise((resolve, reject) => {
+            // e.g. EADDRINUSE when the port of the range is held by another process
+            const onError = (err) => reject(err);
+            server.once('error', onError);
+
             const listenHandler = () => {
+                server.removeListener('error', onError);
                 const port = server.address().port;
                 this.debug('tcp server listening on port: %d', port);
 
@@ -106,6 +245,7 @@ class TunnelAgent extends Agent {
 
     _onClose() {
         this.closed = true;
+        clearInterval(this.pingTimer);
         this.debug('closed tcp socket');
         // flush any waiting connections
         for (const conn of this.waitingCreateConn) {
@@ -115,11 +255,113 @@ class TunnelAgent extends Agent {
         this.emit('end');
     }
 
+    // tunnel socket connected some other way than the tunnel port (e.g. a WebSocketStream
+    // on the public server), with the same handshake and limits
+    acceptConnection(socket) {
+        if (this.closed) {
+            socket.destroy();
+            return;
+        }
+        this._onConnection(socket);
+    }
+
     // new socket connection from client for tunneling requests to client
     _onConnection(socket) {
+        if (this.keepAliveDelay > 0) {
+            socket.setKeepAlive(true, this.keepAliveDelay);
+        }
+        if (!this.connectSecret) {
+            return this._acceptSocket(socket);
+        }
+        this._authenticate(socket);
+    }
+
+    // reads the "LT-AUTH <secret>" handshake line, then accepts the socket
+    _authenticate(socket) {
+        const socketInfo = getTcpSocketInfo(socket);
+        let buffered = Buffer.alloc(0);
+
+        this.handshakingSockets.add(socket);
+
+        const cleanup = () => {
+            clearTimeout(timer);
+            this.handshakingSockets.delete(socket);
+            // without a 'readable' listener the socket goes back to its initial state,
+            // so whoever uses it next (http client, pipe) starts the flow of data
+            socket.removeListener('readable', onReadable);
+            socket.removeListener('close', cleanup);
+            socket.removeListener('error', onError);
+        };
+
+        const fail = (reason) => {
+            cleanup();
+            this.unauthorizedConnections++;
+            this.debug('unauthorized socket %s: %s', socketInfo, reason);
+            this.emit('unauthorized', socket, reason);
+            socket.on('error', () => {});
+            socket.end(`LT-ERROR ${reason}\n`, () => socket.destroy());
+        };
+
+        const onReadable = () => {
+            let chunk;
+            while ((chunk = socket.read()) !== null) {
+                buffered = Buffer.concat([buffered, chunk]);
+
+                const newline = buffered.indexOf(0x0a);
+                if (newline === -1) {
+                    if (buffered.length >= MAX_HANDSHAKE_LENGTH) {
+                        return fail('invalid_handshake');
+                    }
+                    continue;
+                }
+
+                const line = buffered.subarray(0, newline).toString('utf8').replace(/\r$/, '');
+                const match = line.match(HANDSHAKE_PATTERN);
+                if (!match) {
+                    return fail('invalid_handshake');
+                }
+                if (!secretsEqual(match[1], this.connectSecret)) {
+                    return fail('invalid_secret');
+                }
+                // unknown features are ignored, for clients newer than the server
+                const features = match[2].trim().split(' ');
+                if (features.includes('ping')) {
+                    this.pingableSockets.add(socket);
+                }
+
+                cleanup();
+                // bytes sent after the handshake belong to the tunnel
+                const rest = buffered.subarray(newline + 1);
+                if (rest.length > 0) {
+                    socket.unshift(rest);
+                }
+                this.debug('socket %s authenticated', socketInfo);
+                this._acceptSocket(socket);
+                return;
+            }
+        };
+
+        const onError = () => {
+            cleanup();
+            socket.destroy();
+        };
+
+        const timer = setTimeout(() => fail('handshake_timeout'), this.handshakeTimeout);
+        socket.on('readable', onReadable);
+        socket.once('close', cleanup);
+        socket.once('error', onError);
+    }
+
+    // adds an (authenticated) tunnel socket to the pool
+    _acceptSocket(socket) {
+        if (this.transport === 'mux') {
+            return this._acceptSession(socket);
+        }
+
         // no more socket connections allowed
         if (this.connectedSockets >= this.maxTcpSockets) {
             this.rejectedConnections++;
+            this.emit('rejected', socket);
 
             // Log every 10 rejections to avoid spam, but always log the first one
             if (this.rejectedConnections === 1 || this.rejectedConnections % 10 === 0) {
@@ -166,6 +408,7 @@ class TunnelAgent extends Agent {
         socket.once('close', (hadError) => {
             this.debug('closed socket %s (error: %s)', socketInfo, hadError);
             this.connectedSockets -= 1;
+            this.sockets.delete(socket);
             // remove the socket from available list
             const idx = this.availableSockets.indexOf(socket);
             if (idx >= 0) {
@@ -183,6 +426,10 @@ class TunnelAgent extends Agent {
         socket.once('error', (err) => {
             // we do not log these errors, sessions can drop from clients for many reasons
             // these are not actionable errors for our server
+            if (err.code === 'ETIMEDOUT' && this.availableSockets.includes(socket)) {
+                // TCP keepalive found the client gone while the socket was pooled
+                return this._evict(socket, 'keepalive_timeout');
+            }
             socket.destroy();
         });
 
@@ -191,7 +438,15 @@ class TunnelAgent extends Agent {
         }
 
         this.connectedSockets += 1;
+        this.sockets.add(socket);
+        this.lastSocketConnectedAt = Date.now();
         this.debug('new connection: %s', socketInfo);
+        this._makeAvailable(socket);
+    }
+
+    // gives the socket to the next queued connection request, or adds it to the pool
+    _makeAvailable(socket) {
+        const socketInfo = getTcpSocketInfo(socket);
 
         // if there are queued callbacks, give this socket now and don't queue into available
         const fn = this.waitingCreateConn.shift();
@@ -208,36 +463,300 @@ class TunnelAgent extends Agent {
         this.debug('socket %s added to available pool (total: %d)', socketInfo, this.availableSockets.length);
     }
 
-    // fetch a socket from the available socket pool for the agent
-    // if no socket is available, queue
-    // cb(err, socket)
-    createConnection(options, cb) {
-        if (this.closed) {
-            cb(new Error('closed'));
+    // closes a dead tunnel socket (or mux session connection) instead of handing it out
+    _evict(socket, reason) {
+        const idx = this.availableSockets.indexOf(socket);
+        if (idx >= 0) {
+            this.availableSockets.splice(idx, 1);
+        }
+        this.evictedSockets++;
+        this.debug('evicted socket %s (%s)', getTcpSocketInfo(socket), reason);
+        this.emit('evicted', socket, reason);
+        socket.destroy();
+    }
+
+    // liveness checks, every pingInterval ms
+    _checkSockets() {
+        if (this.transport === 'mux') {
+            if (this.session) {
+                this._pingSession(this.session);
+            }
             return;
         }
+        for (const socket of [...this.availableSockets]) {
+            if (!isUsable(socket)) {
+                this._evict(socket, 'closed');
+            } else if (typeof socket.ping === 'function' || this.pingableSockets.has(socket)) {
+                this._pingSocket(socket);
+            }
+        }
+    }
 
-        this.debug('create connection requested');
+    // checks an idle pooled socket, which is not handed out until it answers
+    // sockets without a ping of their own (WebSocketStream) use the LT-PING line
+    _pingSocket(socket) {
+        this.availableSockets.splice(this.availableSockets.indexOf(socket), 1);
+        this.pingingSockets.add(socket);
+        let buffered = '';
+
+        const done = (alive) => {
+            clearTimeout(timer);
+            this.pingingSockets.delete(socket);
+            socket.removeListener('pong', onPong);
+            // without a 'readable' listener the socket goes back to its initial state (see _authenticate)
+            socket.removeListener('readable', onReadable);
+            socket.removeListener('close', onClose);
+            if (socket.destroyed) {
+                // closed by the client meanwhile, the close handler already removed it
+                return;
+            }
+            if (!alive) {
+                return this._evict(socket, 'ping_timeout');
+            }
+            this._makeAvailable(socket);
+        };
 
-        // socket is a tcp connection back to the user hosting the site
-        const sock = this.availableSockets.shift();
+        const onPong = () => done(true);
+        const onClose = () => done(false);
+        const onReadable = () => {
+            let chunk;
+            while ((chunk = socket.read()) !== null) {
+                buffered += chunk.toString('latin1');
+                const newline = buffered.indexOf('\n');
+                if (newline === -1) {
+                    if (buffered.length >= MAX_HANDSHAKE_LENGTH) {
+                        return done(false);
+                    }
+                    continue;
+                }
+                const rest = buffered.slice(newline + 1);
+                if (rest.length > 0) {
+                    socket.unshift(Buffer.from(rest, 'latin1'));
+                }
+                return done(buffered.slice(0, newline).replace(/\r$/, '') === PONG_LINE);
+            }
+        };
 
-        // no available sockets
-        // wait until we have one
-        if (!sock) {
-            this.waitingCreateConn.push(cb);
-            this.debug('no socket available - queuing request (connected: %d, available: %d, waiting: %d)',
-                       this.connectedSockets, this.availableSockets.length, this.waitingCreateConn.length);
+        const timer = setTimeout(() => done(false), this.pingTimeout);
+        socket.once('close', onClose);
+        if (typeof socket.ping === 'function') {
+            socket.once('pong', onPong);
+            socket.ping();
+        } else {
+            socket.on('readable', onReadable);
+            socket.write(PING_LINE);
+        }
+    }
+
+    // a yamux ping on the session connection, which is closed when it is not answered
+    _pingSession(session) {
+        if (this.sessionPing) {
+            // the previous check is still waiting
             return;
         }
+        const payload = Date.now() >>> 0;
+
+        const done = () => {
+            clearTimeout(timer);
+            session.removeListener('pong', onPong);
+            session.removeListener('close', done);
+            this.sessionPing = null;
+        };
+        const onPong = (value) => {
+            if (value === payload) {
+                done();
+            }
+        };
+
+        const timer = setTimeout(() => {
+            done();
+            this._evict(session.socket, 'ping_timeout');
+        }, this.pingTimeout);
+        this.sessionPing = done;
+        session.on('pong', onPong);
+        session.once('close', done);
+        session.ping(payload);
+    }
 
-        const sockInfo = getTcpSocketInfo(sock);
-        this.debug('socket %s given from pool (remaining: %d)', sockInfo, this.availableSockets.length);
-        cb(null, sock);
+    // multiplexed transport: the connection carries every stream
+    // a new one replaces the previous (e.g. a mobile client reconnecting before the old one timed out)
+    _acceptSession(socket) {
+        const socketInfo = getTcpSocketInfo(socket);
+        const previous = this.session;
+        const session = new MuxSession(socket, { debug: this.debug });
+        this.session = session;
+        this.sockets.add(socket);
+        this.lastSocketConnectedAt = Date.now();
+
+        session.on('stream_closed', () => this._serveWaiting());
+        session.once('close', () => {
+            this.debug('closed session %s', socketInfo);
+            this.sockets.delete(socket);
+            if (this.session !== session) {
+                return;
+            }
+            this.session = null;
+            this.connectedSockets = 0;
+            this.emit('offline');
+        });
+
+        this.debug('new session: %s', socketInfo);
+        if (previous) {
+            this.debug('session %s replaces the previous one', socketInfo);
+            previous.close();
+        } else {
+            this.connectedSockets = 1;
+            this.emit('online');
+        }
+        this._serveWaiting();
+    }
+
+    // opens a stream for queued connection requests while streams are available
+    _serveWaiting() {
+        while (this.waitingCreateConn.length > 0 && this._availableCount() > 0) {
+            const fn = this.waitingCreateConn.shift();
+            const stream = this.session.openStream();
+            this.debug('giving stream %d to queued conn request', stream.id);
+            setTimeout(() => {
+                fn(null, stream);
+            }, 0);
+        }
+    }
+
+    // takes a socket from the pool (or opens a stream of the session), undefined when none is available
+    _takeSocket() {
+        if (this.transport === 'mux') {
+            return this._availableCount() > 0 ? this.session.openStream() : undefined;
+        }
+        let sock = this.availableSockets.shift();
+        // sockets that died while pooled are not handed out
+        while (sock && !isUsable(sock)) {
+            this._evict(sock, 'closed');
+            sock = this.availableSockets.shift();
+        }
+        return sock;
+    }
+
+    // a socket handed to a waiter that gave up meanwhile
+    _release(socket) {
+        if (this.transport === 'mux') {
+            // closing the stream frees its slot for the next waiter
+            socket.destroy();
+        } else if (isUsable(socket)) {
+            this._makeAvailable(socket);
+        }
+    }
+
+    // resolves with a tunnel socket (a stream of the session for 'mux')
+    // without an available socket the caller waits in a FIFO queue, served as sockets
+    // connect, come back to the pool or streams close
+    // options.timeout: ms to wait, then rejects with err.code 'ETIMEDOUT' (0: no limit)
+    // options.signal: AbortSignal to stop waiting, rejects with err.code 'ABORT_ERR'
+    acquireSocket(options = {}) {
+        const { timeout = 0, signal = null } = options;
+
+        return new Promise((resolve, reject) => {
+            if (this.closed) {
+                reject(new Error('closed'));
+                return;
+            }
+            if (signal && signal.aborted) {
+                reject(abortError());
+                return;
+            }
+
+            const sock = this._takeSocket();
+            if (sock) {
+                this.debug('socket %s given from pool (remaining: %d)', getTcpSocketInfo(sock), this._availableCount());
+                resolve(sock);
+                return;
+            }
+
+            // true once resolved, rejected or given up
+            let settled = false;
+            let timer = null;
+
+            const settle = () => {
+                settled = true;
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            };
+
+            // called by _makeAvailable / _serveWaiting, or with an error when the agent closes
+            const waiter = (err, socket) => {
+                if (settled) {
+                    // gave up while the socket was on its way
+                    if (socket) {
+                        this._release(socket);
+                    }
+                    return;
+                }
+                settle();
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(socket);
+            };
+
+            const giveUp = (err) => {
+                const idx = this.waitingCreateConn.indexOf(waiter);
+                if (idx >= 0) {
+                    this.waitingCreateConn.splice(idx, 1);
+                }
+                settle();
+                reject(err);
+            };
+
+            const onAbort = () => giveUp(abortError());
+
+            if (timeout > 0) {
+                timer = setTimeout(() => {
+                    this.debug('no socket within %dms (waiting: %d)', timeout, this.waitingCreateConn.length - 1);
+                    const err = new Error(`No tunnel socket available within ${timeout}ms`);
+                    err.code = 'ETIMEDOUT';
+                    giveUp(err);
+                }, timeout);
+            }
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
+
+            this.waitingCreateConn.push(waiter);
+            this.debug('no socket available - queuing request (connected: %d, available: %d, waiting: %d)',
+                       this.connectedSockets, this.availableSockets.length, this.waitingCreateConn.length);
+        });
+    }
+
+    // http.Agent interface: a socket from acquireSocket
+    // options.acquireSignal (an http.request option passed through by the Agent) stops waiting
+    // cb(err, socket)
+    createConnection(options, cb) {
+        this.debug('create connection requested');
+        this.acquireSocket({ signal: options.acquireSignal }).then(socket => cb(null, socket), cb);
     }
 
     destroy() {
         this.server.close();
+        clearInterval(this.pingTimer);
+        if (this.sessionPing) {
+            this.sessionPing();
+        }
+        if (this.tunnelTls) {
+            this.tunnelTls.removeListener('reload', this.onTlsReload);
+        }
+
+        // server.close() only stops accepting, existing tunnel sockets must be closed explicitly
+        for (const socket of this.sockets) {
+            socket.destroy();
+        }
+        for (const socket of this.handshakingSockets) {
+            socket.destroy();
+        }
+        this.availableSockets = [];
+
         super.destroy();
     }
 }
@@ -126,6 +126,62 @@ describe('TunnelAgent', () => {
         sock.destroy();
     });
 
+    it('should hand out sockets to waiters in arrival order', async () => {
+        const agent = new TunnelAgent({ pingInterval: 0 });
+        const info = await agent.listen();
+
+        const order = [];
+        const waiters = [1, 2, 3].map(n => agent.acquireSocket().then((sock) => {
+            order.push(n);
+            return sock;
+        }));
+        assert.equal(agent.stats().waitingRequests, 3);
+
+        const clients = [];
+        for (let i = 0; i < 3; i++) {
+            const sock = net.createConnection({ port: info.port });
+            await new Promise(resolve => sock.once('connect', resolve));
+            clients.push(sock);
+        }
+
+        const sockets = await Promise.all(waiters);
+        assert.deepEqual(order, [1, 2, 3]);
+        // the first socket to connect went to the first waiter
+        assert.deepEqual(sockets.map(sock => sock.remotePort), clients.map(sock => sock.localPort));
+        assert.equal(agent.stats().waitingRequests, 0);
+
+        agent.destroy();
+        clients.forEach(sock => sock.destroy());
+    });
+
+    it('should stop waiting for a socket on timeout or abort', async () => {
+        const agent = new TunnelAgent({ pingInterval: 0 });
+        const info = await agent.listen();
+
+        const timedOut = agent.acquireSocket({ timeout: 20 });
+        const controller = new AbortController();
+        const aborted = agent.acquireSocket({ signal: controller.signal });
+        const pending = agent.acquireSocket();
+        assert.equal(agent.stats().waitingRequests, 3);
+
+        controller.abort();
+        await assert.rejects(aborted, { code: 'ABORT_ERR' });
+        await assert.rejects(timedOut, { code: 'ETIMEDOUT' });
+        assert.equal(agent.stats().waitingRequests, 1);
+
+        // the socket goes to the waiter that is left
+        const sock = net.createConnection({ port: info.port });
+        await new Promise(resolve => sock.once('connect', resolve));
+        assert.equal((await pending).remotePort, sock.localPort);
+
+        // waiters still queued when the agent closes are rejected
+        const last = agent.acquireSocket();
+        agent.destroy();
+        await assert.rejects(last, /closed/);
+        await assert.rejects(agent.acquireSocket(), /closed/);
+        sock.destroy();
+    });
+
     it('should should emit a online event when a socket connects', async () => {
         const agent = new TunnelAgent();
         const info = await agent.listen();
@@ -177,6 +233,21 @@ describe('TunnelAgent', () => {
         agent.destroy();
     });
 
+    it('should close connected sockets when destroyed', async () => {
+        const agent = new TunnelAgent();
+        const info = await agent.listen();
+        const onlinePromise = new Promise(resolve => agent.once('online', resolve));
+
+        const sock = net.createConnection({ port: info.port });
+        await new Promise(resolve => sock.once('connect', resolve));
+        await onlinePromise;
+
+        const closed = new Promise(resolve => sock.once('close', resolve));
+        agent.destroy();
+        await closed;
+        assert.equal(agent.availableSockets.length, 0);
+    });
+
     it('should error an http request', async () => {
         class ErrorAgent extends http.Agent {
             constructor() {
@@ -207,11 +278,142 @@ describe('TunnelAgent', () => {
     it('should return stats', async () => {
         const agent = new TunnelAgent();
         assert.deepEqual(agent.stats(), {
+            transport: 'tcp',
             connectedSockets: 0,
+            openStreams: 0,
             rejectedConnections: 0,
+            unauthorizedConnections: 0,
             availableSockets: 0,
             waitingRequests: 0,
+            evictedSockets: 0,
+            lastSocketConnectedAt: null,
+        });
+    });
+
+    it('should accept sockets that send the connect secret', async () => {
+        const agent = new TunnelAgent({ connectSecret: 's3cret' });
+        const info = await agent.listen();
+
+        const sock = net.createConnection({ port: info.port });
+        await new Promise(resolve => sock.once('connect', resolve));
+        // data sent right after the handshake belongs to the tunnel
+        sock.write('LT-AUTH s3cret\nfoo');
+
+        const agentSock = await new Promise((resolve, reject) => {
+            agent.createConnection({}, (err, sock) => err ? reject(err) : resolve(sock));
         });
+        const data = await new Promise(resolve => agentSock.once('data', resolve));
+        assert.equal(data.toString(), 'foo');
+        assert.equal(agent.stats().connectedSockets, 1);
+
+        agent.destroy();
+        sock.destroy();
+    });
+
+    it('should close sockets with a wrong secret or no handshake', async () => {
+        const agent = new TunnelAgent({ connectSecret: 's3cret', handshakeTimeout: 100 });
+        const info = await agent.listen();
+
+        const reasons = [];
+        agent.on('unauthorized', (socket, reason) => reasons.push(reason));
+
+        const attempt = async (handshake) => {
+            const sock = net.createConnection({ port: info.port });
+            await new Promise(resolve => sock.once('connect', resolve));
+            if (handshake) {
+                sock.write(handshake);
+            }
+            let reply = '';
+            sock.on('data', chunk => reply += chunk);
+            await new Promise(resolve => sock.once('close', resolve));
+            return reply;
+        };
+
+        assert.equal(await attempt('LT-AUTH wrong\n'), 'LT-ERROR invalid_secret\n');
+        assert.equal(await attempt('GET / HTTP/1.1\r\n'), 'LT-ERROR invalid_handshake\n');
+        assert.equal(await attempt(null), 'LT-ERROR handshake_timeout\n');
+
+        assert.deepEqual(reasons, ['invalid_secret', 'invalid_handshake', 'handshake_timeout']);
+        assert.equal(agent.stats().unauthorizedConnections, 3);
+        assert.equal(agent.stats().connectedSockets, 0);
+        agent.destroy();
+    });
+
+    it('should evict pooled sockets that do not answer the liveness check', async () => {
+        const agent = new TunnelAgent({ connectSecret: 's3cret', pingInterval: 50, pingTimeout: 50 });
+        const info = await agent.listen();
+        const evicted = new Promise(resolve => agent.once('evicted', (socket, reason) => resolve(reason)));
+
+        const connect = async (handshake) => {
+            const sock = net.createConnection({ port: info.port });
+            await new Promise(resolve => sock.once('connect', resolve));
+            sock.write(handshake);
+            return sock;
+        };
+        // answers pings, like a client that announced the "ping" feature
+        const alive = await connect('LT-AUTH s3cret ping\n');
+        alive.on('data', (chunk) => {
+            if (chunk.toString() === 'LT-PING\n') {
+                alive.write('LT-PONG\n');
+            }
+        });
+        // a client whose network dropped: never answers
+        const dead = await connect('LT-AUTH s3cret ping\n');
+        dead.resume();
+        const deadClosed = new Promise(resolve => dead.once('close', resolve));
+        // no "ping" feature: only TCP keepalive applies
+        const legacy = await connect('LT-AUTH s3cret\n');
+        let legacyData = '';
+        legacy.on('data', chunk => legacyData += chunk);
+
+        assert.equal(await evicted, 'ping_timeout');
+        await deadClosed;
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(agent.stats().evictedSockets, 1);
+        assert.equal(agent.stats().connectedSockets, 2);
+        assert.equal(legacyData, '');
+
+        // checked sockets are handed out as usual, with nothing left of the check
+        const agentSocks = await Promise.all([0, 1].map(() => new Promise((resolve, reject) => {
+            agent.createConnection({}, (err, sock) => err ? reject(err) : resolve(sock));
+        })));
+        const received = new Promise(resolve => alive.once('data', resolve));
+        agentSocks.forEach(sock => sock.write('foo'));
+        assert.equal((await received).toString(), 'foo');
+
+        agent.destroy();
+        alive.destroy();
+        legacy.destroy();
+    });
+
+    it('should not hand out pooled sockets that closed', async () => {
+        const agent = new TunnelAgent({ pingInterval: 0 });
+        const info = await agent.listen();
+
+        const online = new Promise(resolve => agent.once('online', resolve));
+        const first = net.createConnection({ port: info.port });
+        await online;
+        const second = net.createConnection({ port: info.port });
+        while (agent.stats().availableSockets < 2) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+
+        const reasons = [];
+        agent.on('evicted', (socket, reason) => reasons.push(reason));
+        // closed, its 'close' event has not run yet
+        const closed = agent.availableSockets[0];
+        closed.destroy();
+
+        const agentSock = await new Promise((resolve, reject) => {
+            agent.createConnection({}, (err, sock) => err ? reject(err) : resolve(sock));
+        });
+        assert.notEqual(agentSock, closed);
+        assert.deepEqual(reasons, ['closed']);
+        assert.equal(agent.stats().evictedSockets, 1);
+
+        agent.destroy();
+        first.destroy();
+        second.destroy();
     });
 
     // New tests for specific port functionality
@@ -226,6 +428,21 @@ describe('TunnelAgent', () => {
         agent.destroy();
     });
 
+    it('should fail to listen on a port held by another process', async () => {
+        const occupier = net.createServer();
+        await new Promise(resolve => occupier.listen(9001, resolve));
+
+        const agent = new TunnelAgent({
+            port: 9001,
+        });
+        try {
+            await assert.rejects(agent.listen(), { code: 'EADDRINUSE' });
+        } finally {
+            agent.destroy();
+            await new Promise(resolve => occupier.close(resolve));
+        }
+    });
+
     it('should listen on random port when no port is provided', async () => {
         const agent = new TunnelAgent();
         const info = await agent.listen();
@@ -0,0 +1,185 @@
+import fs from 'fs';
+import path from 'path';
+import tls from 'tls';
+import Debug from 'debug';
+import EventEmitter from 'events';
+
+const RELOAD_DEBOUNCE = 100;  // ms, certificates are often replaced in several steps
+
+/**
+ * TLS certificate for the tunnel socket servers (TunnelAgent), reloaded without a restart
+ *
+ * Tunnel clients connect to the tunnel port with TLS instead of plain TCP. With a CA
+ * file, clients must also present a certificate signed by that CA.
+ *
+ * Configuration (environment):
+ * - FILE_LT_TUNNEL_TLS_CERT: certificate chain (PEM)
+ * - FILE_LT_TUNNEL_TLS_KEY: private key (PEM)
+ * - FILE_LT_TUNNEL_TLS_CA: CA of the client certificates (PEM, optional)
+ *
+ * The files are reloaded on SIGHUP and when they change; files that fail to load keep
+ * the previous certificate. Listening servers pick up the new certificate on 'reload'.
+ *
+ * Events:
+ *   reload        - the certificate was reloaded
+ *   reload_error  - the files could not be reloaded (previous certificate is kept), with the error
+ */
+class TunnelTls extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.debug = Debug('localtunnel:tunnel-tls');
+        // one 'reload' listener per tunnel server
+        this.setMaxListeners(0);
+
+        this.certFile = options.certFile || process.env.FILE_LT_TUNNEL_TLS_CERT;
+        this.keyFile = options.keyFile || process.env.FILE_LT_TUNNEL_TLS_KEY;
+        this.caFile = options.caFile || process.env.FILE_LT_TUNNEL_TLS_CA || null;
+        if (!this.certFile || !this.keyFile) {
+            throw new Error('Tunnel TLS requires both FILE_LT_TUNNEL_TLS_CERT and FILE_LT_TUNNEL_TLS_KEY');
+        }
+
+        // { cert, key, ca }
+        this.credentials = this.load();
+
+        this.watchers = [];
+        this.reloadTimer = null;
+        this.onSignal = () => {
+            this.debug('SIGHUP received, reloading certificate');
+            this.reload();
+        };
+
+        if (options.watch !== false) {
+            this.watch();
+        }
+    }
+
+    /**
+     * Returns true when a tunnel certificate is configured
+     */
+    static isConfigured() {
+        return !!(process.env.FILE_LT_TUNNEL_TLS_CERT || process.env.FILE_LT_TUNNEL_TLS_KEY);
+    }
+
+    /**
+     * Reads the PEM files and checks that the key matches the certificate
+     * @returns {Object} { cert, key, ca }
+     */
+    load() {
+        const read = (file, name) => {
+            try {
+                return fs.readFileSync(file);
+            } catch (err) {
+                throw new Error(`Failed to read tunnel TLS ${name} from file ${file}: ${err.message}`);
+            }
+        };
+
+        const credentials = {
+            cert: read(this.certFile, 'certificate'),
+            key: read(this.keyFile, 'key'),
+            ca: this.caFile ? read(this.caFile, 'CA') : undefined,
+        };
+
+        try {
+            tls.createSecureContext(credentials);
+        } catch (err) {
+            throw new Error(`Invalid tunnel TLS certificate: ${err.message}`);
+        }
+
+        this.debug('loaded certificate %s (client CA: %s)', this.certFile, this.caFile || 'none');
+        return credentials;
+    }
+
+    /**
+     * Whether tunnel clients must present a certificate signed by the CA
+     */
+    get verifyClients() {
+        return !!this.caFile;
+    }
+
+    /**
+     * Options of tls.createServer for a tunnel socket server
+     */
+    serverOptions() {
+        return {
+            ...this.secureContextOptions(),
+            requestCert: this.verifyClients,
+            rejectUnauthorized: this.verifyClients,
+        };
+    }
+
+    /**
+     * Options of server.setSecureContext, with the current certificate
+     */
+    secureContextOptions() {
+        const { cert, key, ca } = this.credentials;
+        return ca ? { cert, key, ca } : { cert, key };
+    }
+
+    /**
+     * Reloads the files, keeping the current certificate if they are invalid
+     * @returns {boolean} true when the certificate was replaced
+     */
+    reload() {
+        try {
+            this.credentials = this.load();
+        } catch (err) {
+            this.debug('ERROR: keeping previous certificate: %s', err.message);
+            this.emit('reload_error', err);
+            return false;
+        }
+        this.emit('reload');
+        return true;
+    }
+
+    /**
+     * Reloads on SIGHUP and when a certificate file changes
+     * The directories are watched so files replaced by a rename (certbot, Kubernetes secrets) are seen
+     */
+    watch() {
+        process.on('SIGHUP', this.onSignal);
+
+        const files = [this.certFile, this.keyFile, this.caFile].filter(Boolean);
+        const directories = [...new Set(files.map(file => path.dirname(file)))];
+        for (const directory of directories) {
+            const names = files.filter(file => path.dirname(file) === directory).map(file => path.basename(file));
+            try {
+                const watcher = fs.watch(directory, (eventType, changed) => {
+                    if (changed && !names.includes(changed) && !changed.startsWith('..')) {
+                        return;
+                    }
+                    clearTimeout(this.reloadTimer);
+                    this.reloadTimer = setTimeout(() => {
+                        this.debug('%s changed, reloading certificate', directory);
+                        this.reload();
+                    }, RELOAD_DEBOUNCE);
+                    this.reloadTimer.unref();
+                });
+                watcher.on('error', (err) => {
+                    // e.g. the directory was removed; SIGHUP still works
+                    this.debug('WARN: stopped watching %s: %s', directory, err.message);
+                    watcher.close();
+                    this.watchers = this.watchers.filter(other => other !== watcher);
+                });
+                watcher.unref();
+                this.watchers.push(watcher);
+            } catch (err) {
+                // SIGHUP still works
+                this.debug('WARN: cannot watch %s: %s', directory, err.message);
+            }
+        }
+    }
+
+    /**
+     * Stops watching the files and listening for SIGHUP
+     */
+    close() {
+        process.removeListener('SIGHUP', this.onSignal);
+        for (const watcher of this.watchers) {
+            watcher.close();
+        }
+        this.watchers = [];
+        clearTimeout(this.reloadTimer);
+    }
+}
+
+export default TunnelTls;
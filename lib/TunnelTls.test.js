@@ -0,0 +1,212 @@
+import assert from 'assert';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import net from 'net';
+import tls from 'tls';
+
+import TunnelTls from './TunnelTls.js';
+import TunnelAgent from './TunnelAgent.js';
+import ClientManager from './ClientManager.js';
+
+// Creates a CA, two server certificates for localhost and a client certificate in `dir`
+function generateCertificates(dir) {
+    const openssl = (...args) => execFileSync('openssl', args, { cwd: dir, stdio: 'pipe' });
+    const newKey = name => openssl('genpkey', '-algorithm', 'EC', '-pkeyopt', 'ec_paramgen_curve:P-256', '-out', `${name}.key`);
+
+    newKey('ca');
+    openssl('req', '-x509', '-new', '-key', 'ca.key', '-subj', '/CN=Test CA', '-days', '1', '-out', 'ca.crt');
+
+    fs.writeFileSync(path.join(dir, 'server.ext'), 'subjectAltName=DNS:localhost,IP:127.0.0.1\n');
+    for (const name of ['server', 'server2', 'client']) {
+        newKey(name);
+        openssl('req', '-new', '-key', `${name}.key`, '-subj', `/CN=${name}`, '-out', `${name}.csr`);
+        const ext = name === 'client' ? [] : ['-extfile', 'server.ext'];
+        openssl('x509', '-req', '-in', `${name}.csr`, '-CA', 'ca.crt', '-CAkey', 'ca.key', '-CAcreateserial',
+            '-days', '1', ...ext, '-out', `${name}.crt`);
+    }
+}
+
+// Opens a TLS tunnel socket, resolving once the TLS handshake completed
+function connectTls(port, options = {}) {
+    return new Promise((resolve, reject) => {
+        const socket = tls.connect({ host: '127.0.0.1', port, servername: 'localhost', ...options }, () => resolve(socket));
+        socket.once('error', reject);
+    });
+}
+
+describe('TunnelTls', function() {
+    let certDir;
+    let dir;
+    const file = name => path.join(dir, name);
+    const ca = () => fs.readFileSync(file('ca.crt'));
+
+    before(function() {
+        this.timeout(20000);
+        certDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lt-tls-certs-'));
+        try {
+            generateCertificates(certDir);
+        } catch (err) {
+            // openssl is not installed
+            this.skip();
+        }
+    });
+
+    after(() => {
+        fs.rmSync(certDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lt-tls-'));
+        for (const name of fs.readdirSync(certDir)) {
+            fs.copyFileSync(path.join(certDir, name), file(name));
+        }
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should load the certificate and require client certificates with a CA', () => {
+        const plain = new TunnelTls({ certFile: file('server.crt'), keyFile: file('server.key'), watch: false });
+        assert.equal(plain.verifyClients, false);
+        assert.equal(plain.serverOptions().requestCert, false);
+        assert.equal(plain.secureContextOptions().ca, undefined);
+
+        const mutual = new TunnelTls({ certFile: file('server.crt'), keyFile: file('server.key'), caFile: file('ca.crt'), watch: false });
+        assert.equal(mutual.verifyClients, true);
+        assert.equal(mutual.serverOptions().rejectUnauthorized, true);
+        assert.ok(mutual.secureContextOptions().ca);
+    });
+
+    it('should reject missing files and keys that do not match the certificate', () => {
+        assert.throws(() => new TunnelTls({ certFile: file('server.crt'), watch: false }), /requires both/);
+        assert.throws(() => new TunnelTls({ certFile: file('missing.crt'), keyFile: file('server.key'), watch: false }),
+            /Failed to read tunnel TLS certificate/);
+        assert.throws(() => new TunnelTls({ certFile: file('server.crt'), keyFile: file('client.key'), watch: false }),
+            /Invalid tunnel TLS certificate/);
+    });
+
+    it('should reload on SIGHUP and keep the previous certificate when the files are invalid', () => {
+        const listeners = process.listenerCount('SIGHUP');
+        const tunnelTls = new TunnelTls({ certFile: file('server.crt'), keyFile: file('server.key') });
+        try {
+            assert.equal(process.listenerCount('SIGHUP'), listeners + 1);
+            const errors = [];
+            tunnelTls.on('reload_error', err => errors.push(err));
+
+            fs.copyFileSync(file('server2.crt'), file('server.crt'));
+            fs.copyFileSync(file('server2.key'), file('server.key'));
+            process.emit('SIGHUP');
+            assert.deepEqual(tunnelTls.credentials.cert, fs.readFileSync(file('server2.crt')));
+
+            fs.writeFileSync(file('server.key'), 'not a key');
+            process.emit('SIGHUP');
+            assert.equal(errors.length, 1);
+            assert.deepEqual(tunnelTls.credentials.key, fs.readFileSync(file('server2.key')));
+        } finally {
+            tunnelTls.close();
+        }
+        assert.equal(process.listenerCount('SIGHUP'), listeners);
+    });
+
+    describe('with TunnelAgent', () => {
+        it('should accept TLS tunnel sockets with the connect handshake', async () => {
+            const tunnelTls = new TunnelTls({ certFile: file('server.crt'), keyFile: file('server.key'), watch: false });
+            const agent = new TunnelAgent({ tls: tunnelTls, connectSecret: 'secret' });
+            const { port } = await agent.listen();
+
+            const socket = await connectTls(port, { ca: ca() });
+            socket.write('LT-AUTH secret\n');
+
+            const agentSock = await new Promise((resolve, reject) => {
+                agent.createConnection({}, (err, sock) => (err ? reject(err) : resolve(sock)));
+            });
+            assert.ok(agentSock instanceof tls.TLSSocket);
+            agentSock.write('foo');
+            await new Promise(resolve => socket.once('readable', resolve));
+            assert.equal(socket.read().toString(), 'foo');
+
+            socket.destroy();
+            agent.destroy();
+            assert.equal(tunnelTls.listenerCount('reload'), 0);
+        });
+
+        it('should reject plain TCP sockets', async () => {
+            const tunnelTls = new TunnelTls({ certFile: file('server.crt'), keyFile: file('server.key'), watch: false });
+            const agent = new TunnelAgent({ tls: tunnelTls });
+            const { port } = await agent.listen();
+
+            const unauthorized = new Promise(resolve => agent.once('unauthorized', (socket, reason) => resolve(reason)));
+            const socket = net.connect({ port }, () => socket.write('GET / HTTP/1.1\r\n\r\n'));
+            socket.on('error', () => {});
+
+            assert.equal(await unauthorized, 'tls_handshake_failed');
+            assert.equal(agent.stats().connectedSockets, 0);
+            assert.equal(agent.stats().unauthorizedConnections, 1);
+
+            socket.destroy();
+            agent.destroy();
+        });
+
+        it('should require a client certificate signed by the CA', async () => {
+            const tunnelTls = new TunnelTls({
+                certFile: file('server.crt'), keyFile: file('server.key'), caFile: file('ca.crt'), watch: false,
+            });
+            const agent = new TunnelAgent({ tls: tunnelTls });
+            const { port } = await agent.listen();
+
+            const unauthorized = new Promise(resolve => agent.once('unauthorized', (socket, reason) => resolve(reason)));
+            // TLS 1.3 clients only learn about the refusal after the handshake
+            const anonymous = tls.connect({ host: '127.0.0.1', port, servername: 'localhost', ca: ca() });
+            anonymous.on('error', () => {});
+            assert.equal(await unauthorized, 'tls_handshake_failed');
+            anonymous.destroy();
+
+            const online = new Promise(resolve => agent.once('online', resolve));
+            const socket = await connectTls(port, { ca: ca(), cert: fs.readFileSync(file('client.crt')), key: fs.readFileSync(file('client.key')) });
+            await online;
+            assert.equal(agent.stats().connectedSockets, 1);
+
+            socket.destroy();
+            agent.destroy();
+        });
+
+        it('should use a reloaded certificate for new connections', async () => {
+            const tunnelTls = new TunnelTls({ certFile: file('server.crt'), keyFile: file('server.key'), watch: false });
+            const agent = new TunnelAgent({ tls: tunnelTls });
+            const { port } = await agent.listen();
+
+            const first = await connectTls(port, { ca: ca() });
+            assert.equal(first.getPeerCertificate().subject.CN, 'server');
+
+            fs.copyFileSync(file('server2.crt'), file('server.crt'));
+            fs.copyFileSync(file('server2.key'), file('server.key'));
+            assert.equal(tunnelTls.reload(), true);
+
+            const second = await connectTls(port, { ca: ca() });
+            assert.equal(second.getPeerCertificate().subject.CN, 'server2');
+            // sockets connected before the reload are kept
+            assert.equal(first.destroyed, false);
+
+            first.destroy();
+            second.destroy();
+            agent.destroy();
+        });
+    });
+
+    it('should advertise TLS in the tunnel creation response', async () => {
+        const tunnelTls = new TunnelTls({ certFile: file('server.crt'), keyFile: file('server.key'), watch: false });
+        const manager = new ClientManager({ tunnelTls });
+
+        const info = await manager.newClient('tls-tunnel');
+        assert.equal(info.tls, true);
+        manager.removeClient('tls-tunnel');
+
+        const plainManager = new ClientManager();
+        const plain = await plainManager.newClient('plain-tunnel');
+        assert.equal(plain.tls, undefined);
+        plainManager.removeClient('plain-tunnel');
+    });
+});
@@ -0,0 +1,130 @@
+import { Duplex } from 'stream';
+import WebSocket from 'ws';
+
+// A tunnel socket carried by a WebSocket on the public server (for clients that can only
+// reach outbound HTTPS): a Duplex with the socket methods the http client calls, so
+// TunnelAgent uses it like a TCP socket from the tunnel port
+//
+// The messages (binary or text) are the byte stream. A WebSocket cannot be half closed:
+// ending the stream closes the WebSocket, and a closed WebSocket ends both directions.
+class WebSocketStream extends Duplex {
+    constructor(ws, req) {
+        super({ allowHalfOpen: false });
+        this.ws = ws;
+        // the upgraded connection, for the socket addresses
+        this.connection = req.socket;
+
+        this.idleTimeout = 0;
+        this.idleTimer = null;
+
+        ws.on('message', (data) => {
+            this._touch();
+            if (!this.push(data)) {
+                // resumed by _read
+                ws.pause();
+            }
+        });
+        ws.once('close', () => {
+            this.push(null);
+            // data still buffered is delivered before the stream closes
+            if (this.readableLength === 0) {
+                this.destroy();
+            } else {
+                this.once('end', () => this.destroy());
+            }
+        });
+        ws.on('error', (err) => this.destroy(err));
+        ws.on('pong', () => this.emit('pong'));
+    }
+
+    get remoteAddress() {
+        return this.connection.remoteAddress;
+    }
+
+    get remotePort() {
+        return this.connection.remotePort;
+    }
+
+    get localAddress() {
+        return this.connection.localAddress;
+    }
+
+    get localPort() {
+        return this.connection.localPort;
+    }
+
+    // keep-alive and Nagle are properties of the upgraded connection
+    setKeepAlive() {
+        return this;
+    }
+
+    setNoDelay() {
+        return this;
+    }
+
+    ref() {
+        return this;
+    }
+
+    unref() {
+        return this;
+    }
+
+    // WebSocket ping, answered by every WebSocket client (TunnelAgent liveness checks)
+    // the answer is emitted as 'pong'
+    ping() {
+        if (this.ws.readyState === WebSocket.OPEN) {
+            this.ws.ping();
+        }
+    }
+
+    // emits 'timeout' after `ms` without data in either direction, as net.Socket does
+    setTimeout(ms, callback) {
+        this.idleTimeout = ms;
+        if (callback) {
+            this.once('timeout', callback);
+        }
+        this._touch();
+        return this;
+    }
+
+    _touch() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+        if (this.idleTimeout > 0 && !this.destroyed) {
+            this.idleTimer = setTimeout(() => this.emit('timeout'), this.idleTimeout);
+            this.idleTimer.unref();
+        }
+    }
+
+    _write(chunk, encoding, callback) {
+        if (this.ws.readyState !== WebSocket.OPEN) {
+            callback(new Error('WebSocket is closed'));
+            return;
+        }
+        this._touch();
+        // the callback runs once the frame is written, which applies the connection backpressure
+        this.ws.send(chunk, { binary: true }, callback);
+    }
+
+    _final(callback) {
+        this.ws.close(1000);
+        callback();
+    }
+
+    _read() {
+        if (this.ws.isPaused) {
+            this.ws.resume();
+        }
+    }
+
+    _destroy(err, callback) {
+        clearTimeout(this.idleTimer);
+        if (this.ws.readyState === WebSocket.OPEN || this.ws.readyState === WebSocket.CONNECTING) {
+            this.ws.terminate();
+        }
+        callback(err);
+    }
+}
+
+export default WebSocketStream;
@@ -0,0 +1,148 @@
+import assert from 'assert';
+import http from 'http';
+import WebSocket, { WebSocketServer } from 'ws';
+
+import WebSocketStream from './WebSocketStream.js';
+import TunnelAgent from './TunnelAgent.js';
+
+describe('WebSocketStream', () => {
+    let server;
+    let wss;
+    let streams;
+
+    beforeEach(async () => {
+        streams = [];
+        wss = new WebSocketServer({ noServer: true });
+        server = http.createServer();
+        server.on('upgrade', (req, socket, head) => {
+            wss.handleUpgrade(req, socket, head, ws => streams.push(new WebSocketStream(ws, req)));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterEach(async () => {
+        streams.forEach(stream => stream.destroy());
+        wss.close();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    function connect() {
+        return new Promise((resolve, reject) => {
+            const ws = new WebSocket(`ws://127.0.0.1:${server.address().port}/`);
+            ws.once('open', () => resolve(ws));
+            ws.once('error', reject);
+        });
+    }
+
+    async function accepted() {
+        while (streams.length === 0) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        return streams[streams.length - 1];
+    }
+
+    it('should carry bytes both ways with the connection addresses', async () => {
+        const ws = await connect();
+        const stream = await accepted();
+        assert.equal(stream.remoteAddress, '127.0.0.1');
+        assert.equal(stream.localPort, server.address().port);
+
+        ws.send('hello');
+        await new Promise(resolve => stream.once('readable', resolve));
+        assert.equal(stream.read().toString(), 'hello');
+
+        const message = new Promise(resolve => ws.once('message', (data, isBinary) => resolve({ data, isBinary })));
+        stream.write('world');
+        const { data, isBinary } = await message;
+        assert.equal(data.toString(), 'world');
+        assert.equal(isBinary, true);
+
+        ws.close();
+    });
+
+    it('should end and close when the WebSocket is closed', async () => {
+        const ws = await connect();
+        const stream = await accepted();
+        const received = [];
+        stream.on('data', chunk => received.push(chunk));
+
+        ws.send('last');
+        ws.close();
+        await new Promise(resolve => stream.once('close', resolve));
+        assert.equal(Buffer.concat(received).toString(), 'last');
+        assert.equal(stream.readableEnded, true);
+    });
+
+    it('should close the WebSocket when the stream is ended', async () => {
+        const ws = await connect();
+        const stream = await accepted();
+
+        const closed = new Promise(resolve => ws.once('close', code => resolve(code)));
+        stream.end('bye');
+        assert.equal(await closed, 1000);
+    });
+
+    it('should emit timeout when idle', async () => {
+        await connect();
+        const stream = await accepted();
+        await new Promise(resolve => stream.setTimeout(20, resolve));
+    });
+
+    it('should emit pong when the client answers a ping', async () => {
+        await connect();
+        const stream = await accepted();
+        const pong = new Promise(resolve => stream.once('pong', resolve));
+        stream.ping();
+        await pong;
+    });
+
+    it('should be usable as a tunnel socket', async () => {
+        const agent = new TunnelAgent({ connectSecret: 'secret' });
+        await agent.listen();
+
+        const ws = await connect();
+        const online = new Promise(resolve => agent.once('online', resolve));
+        agent.acceptConnection(await accepted());
+        ws.send('LT-AUTH secret\n');
+        await online;
+        assert.equal(agent.stats().connectedSockets, 1);
+
+        // answer the request sent through the agent
+        ws.on('message', (data) => {
+            if (data.toString().startsWith('GET /ws')) {
+                ws.send('HTTP/1.1 200 OK\r\nContent-Length: 2\r\n\r\nok');
+            }
+        });
+        const body = await new Promise((resolve, reject) => {
+            http.get({ agent, path: '/ws', host: 'localhost' }, (res) => {
+                let data = '';
+                res.on('data', chunk => data += chunk);
+                res.on('end', () => resolve(data));
+            }).on('error', reject);
+        });
+        assert.equal(body, 'ok');
+
+        const offline = new Promise(resolve => agent.once('offline', resolve));
+        ws.close();
+        await offline;
+        agent.destroy();
+    });
+
+    it('should reject a wrong connect secret', async () => {
+        const agent = new TunnelAgent({ connectSecret: 'secret' });
+        await agent.listen();
+
+        const ws = await connect();
+        const unauthorized = new Promise(resolve => agent.once('unauthorized', (socket, reason) => resolve(reason)));
+        const messages = [];
+        ws.on('message', data => messages.push(data.toString()));
+        const closed = new Promise(resolve => ws.once('close', resolve));
+
+        agent.acceptConnection(await accepted());
+        ws.send('LT-AUTH wrong\n');
+        assert.equal(await unauthorized, 'invalid_secret');
+        await closed;
+        assert.deepEqual(messages, ['LT-ERROR invalid_secret\n']);
+        agent.destroy();
+    });
+});
@@ -0,0 +1,308 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import Debug from 'debug';
+import EventEmitter from 'events';
+
+import HmacAuthenticator from './HmacAuthenticator.js';
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BACKOFF = 1000;       // delay before the first retry (ms), doubled on each retry
+const MAX_BACKOFF = 5 * 60 * 1000;  // never wait more than 5 minutes between attempts
+const DEFAULT_TIMEOUT = 5000;
+const DELIVERY_LOG_SIZE = 500;
+
+// Read a positive integer from the environment, or return the default
+function getPositiveInt(name, defaultValue) {
+    const parsed = parseInt(process.env[name], 10);
+    return isNaN(parsed) || parsed <= 0 ? defaultValue : parsed;
+}
+
+// Status codes worth retrying; other 4xx responses will not change on retry
+function isRetryableStatus(statusCode) {
+    return statusCode >= 500 || statusCode === 408 || statusCode === 429;
+}
+
+/**
+ * Delivers lifecycle events to outgoing webhooks
+ *
+ * Each event is POSTed as JSON to every webhook whose `events` filter matches it,
+ * signed with the HMAC scheme used for tunnel creation (Authorization, X-Timestamp
+ * and X-Nonce headers) so receivers can verify it with the same code.
+ * Failed deliveries are retried with exponential backoff; the most recent
+ * deliveries are kept in a bounded log.
+ *
+ * Configuration (environment):
+ * - LT_WEBHOOKS or FILE_LT_WEBHOOKS: JSON array of { url, events?, secret? }
+ * - LT_WEBHOOK_SECRET or FILE_LT_WEBHOOK_SECRET: default signing secret
+ * - LT_WEBHOOK_MAX_ATTEMPTS, LT_WEBHOOK_BACKOFF, LT_WEBHOOK_TIMEOUT
+ *
+ * Events:
+ *   delivered (delivery) - the webhook answered with a 2xx status
+ *   failed (delivery)    - no attempts left, or a non-retryable status
+ */
+class WebhookNotifier extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.debug = Debug('localtunnel:webhooks');
+
+        this.maxAttempts = options.maxAttempts || getPositiveInt('LT_WEBHOOK_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS);
+        this.backoff = options.backoff || getPositiveInt('LT_WEBHOOK_BACKOFF', DEFAULT_BACKOFF);
+        this.timeout = options.timeout || getPositiveInt('LT_WEBHOOK_TIMEOUT', DEFAULT_TIMEOUT);
+        this.logSize = options.logSize || DELIVERY_LOG_SIZE;
+
+        const defaultSecret = options.secret !== undefined ? options.secret : this.loadSecret();
+        const webhooks = options.webhooks || this.loadWebhooks();
+        this.webhooks = webhooks.map((webhook, index) => this.validateWebhook(webhook, index, defaultSecret));
+
+        // most recent last, at most logSize entries
+        this.deliveries = [];
+        // retry timers, cleared by destroy()
+        this.timers = new Set();
+
+        this.debug('Webhook notifier initialized: %d webhooks, maxAttempts=%d, backoff=%dms, timeout=%dms',
+            this.webhooks.length, this.maxAttempts, this.backoff, this.timeout);
+    }
+
+    /**
+     * Returns true when webhooks are configured
+     */
+    static isConfigured() {
+        return !!(process.env.LT_WEBHOOKS || process.env.FILE_LT_WEBHOOKS);
+    }
+
+    /**
+     * Loads the webhook list from LT_WEBHOOKS or FILE_LT_WEBHOOKS (JSON array)
+     */
+    loadWebhooks() {
+        let json = process.env.LT_WEBHOOKS;
+        let source = 'LT_WEBHOOKS';
+
+        if (!json && process.env.FILE_LT_WEBHOOKS) {
+            source = process.env.FILE_LT_WEBHOOKS;
+            try {
+                json = fs.readFileSync(source, 'utf8');
+            } catch (err) {
+                throw new Error(`Failed to read webhooks from file ${source}: ${err.message}`);
+            }
+        }
+
+        if (!json) {
+            throw new Error('Webhooks not configured (LT_WEBHOOKS or FILE_LT_WEBHOOKS required)');
+        }
+
+        let webhooks;
+        try {
+            webhooks = JSON.parse(json);
+        } catch (err) {
+            throw new Error(`Invalid webhooks JSON in ${source}: ${err.message}`);
+        }
+        if (!Array.isArray(webhooks)) {
+            throw new Error(`Webhooks in ${source} must be a JSON array`);
+        }
+        return webhooks;
+    }
+
+    /**
+     * Loads the default signing secret from LT_WEBHOOK_SECRET or FILE_LT_WEBHOOK_SECRET
+     * Priority: LT_WEBHOOK_SECRET > FILE_LT_WEBHOOK_SECRET
+     */
+    loadSecret() {
+        if (process.env.LT_WEBHOOK_SECRET) {
+            return process.env.LT_WEBHOOK_SECRET.trim();
+        }
+
+        if (process.env.FILE_LT_WEBHOOK_SECRET) {
+            const filePath = process.env.FILE_LT_WEBHOOK_SECRET;
+            try {
+                return fs.readFileSync(filePath, 'utf8').trim().split('\n')[0];
+            } catch (err) {
+                throw new Error(`Failed to read webhook secret from file ${filePath}: ${err.message}`);
+            }
+        }
+
+        return null;
+    }
+
+    validateWebhook(webhook, index, defaultSecret) {
+        if (!webhook || typeof webhook.url !== 'string') {
+            throw new Error(`Webhook #${index} must have a url`);
+        }
+
+        let url;
+        try {
+            url = new URL(webhook.url);
+        } catch (err) {
+            throw new Error(`Webhook #${index} has an invalid url: ${webhook.url}`);
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw new Error(`Webhook #${index} url must use http or https`);
+        }
+
+        const events = webhook.events === undefined ? ['*'] : webhook.events;
+        if (!Array.isArray(events) || !events.every(event => typeof event === 'string')) {
+            throw new Error(`Webhook #${index} events must be an array of event types`);
+        }
+
+        const secret = webhook.secret || defaultSecret;
+        if (!secret || secret.length < 32) {
+            throw new Error(`Webhook #${index} needs a signing secret of at least 32 characters (secret or LT_WEBHOOK_SECRET)`);
+        }
+
+        return { url, events, secret };
+    }
+
+    /**
+     * Webhooks without secrets, for the admin API
+     */
+    list() {
+        return this.webhooks.map(webhook => ({
+            url: webhook.url.href,
+            events: webhook.events,
+        }));
+    }
+
+    /**
+     * Queues the delivery of an event (from EventStream) to matching webhooks
+     */
+    notify(event) {
+        for (const webhook of this.webhooks) {
+            if (!webhook.events.includes('*') && !webhook.events.includes(event.type)) {
+                continue;
+            }
+
+            const delivery = {
+                id: crypto.randomUUID(),
+                url: webhook.url.href,
+                event: event.type,
+                eventId: event.id,
+                status: 'pending',
+                attempts: [],
+                createdAt: Date.now(),
+                nextAttemptAt: Date.now(),
+            };
+            this._log(delivery);
+            this._attempt(webhook, delivery, event);
+        }
+    }
+
+    /**
+     * Most recent deliveries first
+     * filters: status ('pending'|'delivered'|'failed'), limit
+     */
+    listDeliveries(options = {}) {
+        const limit = options.limit || 50;
+        const deliveries = [];
+        for (let i = this.deliveries.length - 1; i >= 0 && deliveries.length < limit; i--) {
+            const delivery = this.deliveries[i];
+            if (options.status && delivery.status !== options.status) {
+                continue;
+            }
+            deliveries.push(delivery);
+        }
+        return deliveries;
+    }
+
+    _log(delivery) {
+        this.deliveries.push(delivery);
+        if (this.deliveries.length > this.logSize) {
+            this.deliveries.shift();
+        }
+    }
+
+    _attempt(webhook, delivery, event) {
+        const body = JSON.stringify({
+            id: event.id,
+            type: event.type,
+            time: event.time,
+            data: event.data,
+        });
+        const path = webhook.url.pathname;
+        const startedAt = Date.now();
+
+        this._post(webhook.url, {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            'User-Agent': 'localtunnel-server',
+            'X-LT-Event': event.type,
+            'X-LT-Delivery': delivery.id,
+            ...HmacAuthenticator.signRequest(webhook.secret, 'POST', path, body),
+        }, body, (err, statusCode) => {
+            const attempt = {
+                at: startedAt,
+                duration: Date.now() - startedAt,
+                statusCode: statusCode || null,
+                error: err ? err.message : null,
+            };
+            delivery.attempts.push(attempt);
+
+            if (!err && statusCode >= 200 && statusCode < 300) {
+                this.debug('delivered %s (event %d) to %s', event.type, event.id, delivery.url);
+                delivery.status = 'delivered';
+                delivery.nextAttemptAt = null;
+                this.emit('delivered', delivery);
+                return;
+            }
+
+            const retryable = err || isRetryableStatus(statusCode);
+            if (!retryable || delivery.attempts.length >= this.maxAttempts) {
+                this.debug('failed to deliver %s (event %d) to %s after %d attempts: %s',
+                    event.type, event.id, delivery.url, delivery.attempts.length, attempt.error || statusCode);
+                delivery.status = 'failed';
+                delivery.nextAttemptAt = null;
+                this.emit('failed', delivery);
+                return;
+            }
+
+            const delay = Math.min(this.backoff * 2 ** (delivery.attempts.length - 1), MAX_BACKOFF);
+            delivery.nextAttemptAt = Date.now() + delay;
+            this.debug('retrying %s (event %d) to %s in %dms (attempt %d: %s)',
+                event.type, event.id, delivery.url, delay, delivery.attempts.length, attempt.error || statusCode);
+
+            const timer = setTimeout(() => {
+                this.timers.delete(timer);
+                this._attempt(webhook, delivery, event);
+            }, delay);
+            timer.unref();
+            this.timers.add(timer);
+        });
+    }
+
+    // POST `body` to `url`, calling done(err, statusCode) once
+    _post(url, headers, body, done) {
+        const transport = url.protocol === 'https:' ? https : http;
+        let finished = false;
+        const finish = (err, statusCode) => {
+            if (!finished) {
+                finished = true;
+                done(err, statusCode);
+            }
+        };
+
+        const req = transport.request(url, { method: 'POST', headers, timeout: this.timeout }, (res) => {
+            // drain the response, only the status matters
+            res.resume();
+            res.once('end', () => finish(null, res.statusCode));
+            res.once('error', err => finish(err, res.statusCode));
+        });
+
+        req.once('timeout', () => {
+            req.destroy(new Error(`Timed out after ${this.timeout}ms`));
+        });
+        req.once('error', err => finish(err));
+        req.end(body);
+    }
+
+    /**
+     * Cancels pending retries
+     */
+    destroy() {
+        for (const timer of this.timers) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+    }
+}
+
+export default WebhookNotifier;
@@ -0,0 +1,142 @@
+import assert from 'assert';
+import http from 'http';
+
+import WebhookNotifier from './WebhookNotifier.js';
+import HmacAuthenticator from './HmacAuthenticator.js';
+
+const SECRET = 'webhook-secret-at-least-32-chars-long-12';
+
+// local stand-in for a webhook receiver
+// `respond(req, body)` returns the status code for each request
+async function createReceiver(respond) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            requests.push({ req, body });
+            res.statusCode = respond(req, body, requests.length);
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, 'localhost', resolve));
+    const url = `http://localhost:${server.address().port}/hooks/lt`;
+    return { server, requests, url };
+}
+
+function event(id, type, data = { id: 'my-tunnel' }) {
+    return { id, type, time: new Date().toISOString(), data };
+}
+
+describe('WebhookNotifier', () => {
+    it('should POST signed events to matching webhooks', async () => {
+        const receiver = await createReceiver(() => 204);
+        const notifier = new WebhookNotifier({
+            secret: SECRET,
+            webhooks: [{ url: receiver.url, events: ['tunnel_offline'] }],
+        });
+
+        const delivered = new Promise(resolve => notifier.once('delivered', resolve));
+        notifier.notify(event(1, 'tunnel_created'));
+        notifier.notify(event(2, 'tunnel_offline'));
+        const delivery = await delivered;
+
+        assert.equal(delivery.status, 'delivered');
+        assert.equal(receiver.requests.length, 1);
+
+        const { req, body } = receiver.requests[0];
+        assert.equal(req.method, 'POST');
+        assert.equal(req.headers['x-lt-event'], 'tunnel_offline');
+        assert.equal(req.headers['x-lt-delivery'], delivery.id);
+        assert.deepEqual(JSON.parse(body).data, { id: 'my-tunnel' });
+
+        // the receiver can verify the request with the tunnel creation HMAC scheme
+        const message = HmacAuthenticator.buildMessage('POST', '/hooks/lt',
+            req.headers['x-timestamp'], req.headers['x-nonce'], body);
+        const signature = HmacAuthenticator.calculateHmac(SECRET, message);
+        assert.equal(req.headers['authorization'], `HMAC sha256=${signature}`);
+
+        notifier.destroy();
+        await new Promise(resolve => receiver.server.close(resolve));
+    });
+
+    it('should retry failed deliveries with backoff', async () => {
+        const receiver = await createReceiver((req, body, count) => count < 3 ? 503 : 200);
+        const notifier = new WebhookNotifier({
+            secret: SECRET,
+            backoff: 10,
+            webhooks: [{ url: receiver.url }],
+        });
+
+        const delivered = new Promise(resolve => notifier.once('delivered', resolve));
+        notifier.notify(event(1, 'grace_expired'));
+        const delivery = await delivered;
+
+        assert.deepEqual(delivery.attempts.map(a => a.statusCode), [503, 503, 200]);
+        // every attempt is signed with a fresh nonce
+        const nonces = new Set(receiver.requests.map(r => r.req.headers['x-nonce']));
+        assert.equal(nonces.size, 3);
+
+        notifier.destroy();
+        await new Promise(resolve => receiver.server.close(resolve));
+    });
+
+    it('should give up after maxAttempts or on a non-retryable status', async () => {
+        const receiver = await createReceiver(req => req.url === '/gone' ? 410 : 500);
+        const notifier = new WebhookNotifier({
+            secret: SECRET,
+            backoff: 5,
+            maxAttempts: 3,
+            webhooks: [{ url: receiver.url }, { url: receiver.url.replace('/hooks/lt', '/gone') }],
+        });
+
+        const failures = [];
+        const failed = new Promise((resolve) => {
+            notifier.on('failed', (delivery) => {
+                failures.push(delivery);
+                if (failures.length === 2) {
+                    resolve();
+                }
+            });
+        });
+        notifier.notify(event(1, 'tunnel_removed'));
+        await failed;
+
+        const byUrl = Object.fromEntries(failures.map(d => [new URL(d.url).pathname, d.attempts.length]));
+        assert.deepEqual(byUrl, { '/gone': 1, '/hooks/lt': 3 });
+        assert.equal(notifier.listDeliveries({ status: 'failed' }).length, 2);
+        assert.equal(notifier.listDeliveries({ status: 'delivered' }).length, 0);
+
+        notifier.destroy();
+        await new Promise(resolve => receiver.server.close(resolve));
+    });
+
+    it('should record connection errors as failed attempts', async () => {
+        const notifier = new WebhookNotifier({
+            secret: SECRET,
+            maxAttempts: 1,
+            // nothing listens on port 1
+            webhooks: [{ url: 'http://127.0.0.1:1/hook' }],
+        });
+
+        const failed = new Promise(resolve => notifier.once('failed', resolve));
+        notifier.notify(event(1, 'tunnel_offline'));
+        const delivery = await failed;
+
+        assert.equal(delivery.attempts[0].statusCode, null);
+        assert.ok(delivery.attempts[0].error);
+        notifier.destroy();
+    });
+
+    it('should validate the configuration', () => {
+        assert.throws(() => new WebhookNotifier({ secret: SECRET, webhooks: [{ url: 'ftp://example.com' }] }), /http or https/);
+        assert.throws(() => new WebhookNotifier({ secret: 'short', webhooks: [{ url: 'http://example.com' }] }), /signing secret/);
+        assert.throws(() => new WebhookNotifier({ secret: SECRET, webhooks: [{ url: 'http://example.com', events: 'all' }] }), /events/);
+
+        const notifier = new WebhookNotifier({
+            secret: null,
+            webhooks: [{ url: 'http://example.com/hook', secret: SECRET, events: ['grace_expired'] }],
+        });
+        assert.deepEqual(notifier.list(), [{ url: 'http://example.com/hook', events: ['grace_expired'] }]);
+    });
+});
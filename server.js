@@ -2,19 +2,62 @@ import Koa from 'koa';
 import tldjs from 'tldjs';
 import Debug from 'debug';
 import http from 'http';
+import { PassThrough } from 'stream';
 import { hri } from 'human-readable-ids';
 import Router from 'koa-router';
+import { WebSocketServer } from 'ws';
 
 import ClientManager from './lib/ClientManager.js';
 import HmacAuthenticator from './lib/HmacAuthenticator.js';
+import JwtAuthenticator from './lib/JwtAuthenticator.js';
+import AdminAuthenticator from './lib/AdminAuthenticator.js';
+import Metrics from './lib/Metrics.js';
+import EventStream from './lib/EventStream.js';
+import WebhookNotifier from './lib/WebhookNotifier.js';
+import RequestInspector from './lib/RequestInspector.js';
+import SubdomainPolicy from './lib/SubdomainPolicy.js';
+import BasicAuth from './lib/BasicAuth.js';
+import IpFilter from './lib/IpFilter.js';
+import ForwardAuth from './lib/ForwardAuth.js';
+import TunnelTls from './lib/TunnelTls.js';
+import WebSocketStream from './lib/WebSocketStream.js';
 
 const publicDebug = Debug('localtunnel:server:public');
 const adminDebug = Debug('localtunnel:server:admin');
 
 // Timeout Configuration
 const WEBSOCKET_TIMEOUT = parseInt(process.env.LT_WEBSOCKET_TIMEOUT || '10000', 10);
-const SOCKET_CHECK_INTERVAL = parseInt(process.env.LT_SOCKET_CHECK_INTERVAL || '100', 10);
-publicDebug('Timeout configuration: WEBSOCKET_TIMEOUT=%dms, SOCKET_CHECK_INTERVAL=%dms', WEBSOCKET_TIMEOUT, SOCKET_CHECK_INTERVAL);
+publicDebug('Timeout configuration: WEBSOCKET_TIMEOUT=%dms', WEBSOCKET_TIMEOUT);
+
+// Subdomain validation (limit requested hostnames to 63 characters)
+const SUBDOMAIN_PATTERN = /^(?:[a-z0-9][a-z0-9\-]{4,63}[a-z0-9]|[a-z0-9]{4,63})$/;
+const INVALID_SUBDOMAIN_MESSAGE = 'Invalid subdomain. Subdomains must be lowercase and between 4 and 63 alphanumeric characters.';
+
+// Limits for JSON request bodies (POST /api/tunnels)
+const MAX_JSON_BODY_SIZE = 16 * 1024;
+const MAX_METADATA_SIZE = 4 * 1024;
+
+// Tunnel socket transports: a TCP socket per connection, or streams multiplexed over one (yamux)
+const TUNNEL_TRANSPORTS = ['tcp', 'mux'];
+
+// Tunnel types: HTTP tunnels served on a subdomain, or raw TCP tunnels on a public port
+const TUNNEL_TYPES = ['http', 'tcp'];
+
+// Tunnel sockets opened as WebSockets on the public server: /_lt/connect/<tunnel id>
+const CONNECT_PATH = '/_lt/connect/';
+const CONNECT_PATH_PATTERN = /^\/_lt\/connect\/([^/?]+)\/?(?:\?.*)?$/;
+const MAX_CONNECT_MESSAGE_SIZE = 1024 * 1024;
+
+// Server-Sent Events (GET /api/events)
+const EVENTS_HEARTBEAT_INTERVAL = parseInt(process.env.LT_EVENTS_HEARTBEAT_INTERVAL || '15000', 10);
+const EVENTS_RETRY = 3000;  // reconnection delay suggested to EventSource clients (ms)
+
+// Block period applied to subdomains removed through the admin API (ms)
+// Read on each request so it can be changed at runtime (useful for testing)
+function getBlockPeriod() {
+    const parsed = parseInt(process.env.LT_BLOCK_PERIOD || '0', 10);
+    return isNaN(parsed) || parsed < 0 ? 0 : parsed;
+}
 
 // Helper function to extract real client IP
 function getClientIP(req) {
@@ -31,8 +74,14 @@ function getClientIP(req) {
     }
 }
 
+// Client tokens: 1-256 chars, alphanumeric + hyphens + underscores
+function isValidClientToken(token) {
+    return token.length > 0 && token.length <= 256 && /^[a-zA-Z0-9_-]+$/.test(token);
+}
+
 // Helper function to extract client identifier (token or IP)
 // Returns { type: 'token'|'ip', value: string }
+// (tunnels created with a JWT are identified by its subject instead: { type: 'subject', value })
 function getClientIdentifier(req) {
     const clientToken = req.headers['x-lt-client-token'];
 
@@ -61,6 +110,93 @@ function getClientIdentifier(req) {
     return { type: 'ip', value: clientIP };
 }
 
+// Reads the request body into ctx.request.rawBody (once)
+// Returns false and responds 413 when the body exceeds MAX_JSON_BODY_SIZE
+async function readRawBody(ctx) {
+    if (ctx.request.rawBody !== undefined) {
+        return true;
+    }
+
+    const req = ctx.req;
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    await new Promise((resolve, reject) => {
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_JSON_BODY_SIZE) {
+                tooLarge = true;
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.once('end', resolve);
+        req.once('error', reject);
+    });
+
+    if (tooLarge) {
+        ctx.status = 413;
+        ctx.body = {
+            error: 'Payload too large',
+            message: `Request body must not exceed ${MAX_JSON_BODY_SIZE} bytes`
+        };
+        return false;
+    }
+
+    ctx.request.rawBody = Buffer.concat(chunks).toString('utf8');
+    return true;
+}
+
+// Koa middleware that reads a JSON request body
+// Keeps the exact bytes in ctx.request.rawBody so they can be signed (HMAC)
+// and the parsed value in ctx.request.body
+async function parseJsonBody(ctx, next) {
+    if (!await readRawBody(ctx)) {
+        return;
+    }
+
+    const rawBody = ctx.request.rawBody;
+
+    if (rawBody.length === 0) {
+        ctx.request.body = {};
+        return await next();
+    }
+
+    if (!ctx.request.is('application/json')) {
+        ctx.status = 415;
+        ctx.body = {
+            error: 'Unsupported media type',
+            message: 'Request body must be application/json'
+        };
+        return;
+    }
+
+    try {
+        ctx.request.body = JSON.parse(rawBody);
+    } catch (err) {
+        ctx.status = 400;
+        ctx.body = {
+            error: 'Invalid JSON',
+            message: err.message
+        };
+        return;
+    }
+
+    await next();
+}
+
+// Writes an HTTP response to a socket that was not upgraded, then closes it
+function writeRawResponse(socket, statusCode, headers, body) {
+    const lines = [`HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode] || ''}`];
+    for (const [name, value] of Object.entries(headers)) {
+        for (const item of [].concat(value)) {
+            lines.push(`${name}: ${item}`);
+        }
+    }
+    lines.push(`Content-Length: ${body.length}`, 'Connection: close', '', '');
+    socket.end(Buffer.concat([Buffer.from(lines.join('\r\n')), body]));
+}
+
 // Helper function to get complete socket information for logging
 // Always shows socket IP:port, and real IP from headers when available
 function getSocketInfo(req) {
@@ -103,33 +239,6 @@ function waitForClientOnline(client, timeoutMs) {
     });
 }
 
-// Helper to wait for socket to become available
-function waitForAvailableSocket(client, timeoutMs) {
-    return new Promise((resolve) => {
-        if (client.hasAvailableSockets()) {
-            resolve(true);
-            return;
-        }
-
-        const timeout = setTimeout(() => {
-            cleanup();
-            resolve(false);
-        }, timeoutMs);
-
-        const checkInterval = setInterval(() => {
-            if (client.hasAvailableSockets()) {
-                cleanup();
-                resolve(true);
-            }
-        }, SOCKET_CHECK_INTERVAL);
-
-        const cleanup = () => {
-            clearTimeout(timeout);
-            clearInterval(checkInterval);
-        };
-    });
-}
-
 export default function(opt) {
     opt = opt || {};
 
@@ -142,16 +251,83 @@ export default function(opt) {
         return myTldjs.getSubdomain(hostname);
     }
 
-    const manager = new ClientManager(opt);
+    // Subdomain ownership policy (if configured)
+    let subdomainPolicy = null;
+    if (SubdomainPolicy.isConfigured()) {
+        try {
+            subdomainPolicy = new SubdomainPolicy(process.env.FILE_LT_SUBDOMAIN_POLICY);
+            adminDebug('Subdomain policy enabled: %d owners', subdomainPolicy.owners.length);
+        } catch (err) {
+            console.error('FATAL: Failed to load subdomain policy:', err.message);
+            process.exit(1);
+        }
+    }
+
+    // TLS certificate of the tunnel socket servers (if configured)
+    let tunnelTls = null;
+    if (TunnelTls.isConfigured()) {
+        try {
+            tunnelTls = new TunnelTls();
+            adminDebug('Tunnel socket TLS enabled: %s (client certificates: %s)',
+                       tunnelTls.certFile, tunnelTls.verifyClients ? 'required' : 'not requested');
+        } catch (err) {
+            console.error('FATAL: Failed to load tunnel TLS certificate:', err.message);
+            process.exit(1);
+        }
+        tunnelTls.on('reload', () => adminDebug('Tunnel TLS certificate reloaded'));
+        tunnelTls.on('reload_error', (err) => adminDebug('ERROR: Tunnel TLS certificate reload failed: %s', err.message));
+    }
+
+    // Visitor IP allowlist/denylist for every tunnel (if configured)
+    // raw TCP tunnels check it on their public port (ClientManager)
+    let visitorIpFilter = null;
+    try {
+        visitorIpFilter = IpFilter.fromEnv();
+    } catch (err) {
+        console.error('FATAL: Failed to load visitor IP filter:', err.message);
+        process.exit(1);
+    }
+    if (visitorIpFilter) {
+        adminDebug('Visitor IP filter enabled: %d allow rules, %d deny rules',
+                   visitorIpFilter.allowRules.length, visitorIpFilter.denyRules.length);
+    }
+
+    const manager = new ClientManager({ ...opt, subdomainPolicy, tunnelTls, visitorIpFilter });
+
+    // Tunnel sockets over WebSocket on the public server (LT_WEBSOCKET_TUNNELS=false to disable)
+    const websocketTunnels = process.env.LT_WEBSOCKET_TUNNELS !== 'false';
+    const tunnelWss = websocketTunnels
+        ? new WebSocketServer({ noServer: true, maxPayload: MAX_CONNECT_MESSAGE_SIZE })
+        : null;
+
+    // Forward auth service for visitor requests (if configured)
+    let forwardAuth = null;
+    if (ForwardAuth.isConfigured()) {
+        try {
+            forwardAuth = new ForwardAuth();
+            adminDebug('Forward auth enabled: %s', forwardAuth.url.href);
+        } catch (err) {
+            console.error('FATAL: Failed to initialize forward auth:', err.message);
+            process.exit(1);
+        }
+    }
+
+    // Tunnel creation authentication: LT_AUTH_MODE=hmac (default, when a secret is configured) or jwt
+    const authMode = (process.env.LT_AUTH_MODE || 'hmac').toLowerCase();
+    if (authMode !== 'hmac' && authMode !== 'jwt') {
+        console.error(`FATAL: Invalid LT_AUTH_MODE "${process.env.LT_AUTH_MODE}" (expected: hmac or jwt)`);
+        process.exit(1);
+    }
 
     // Initialize HMAC authentication (if secret configured)
     let hmacAuth = null;
-    if (process.env.LT_HMAC_SECRET || process.env.FILE_LT_HMAC_SECRET) {
+    if (authMode === 'hmac' && HmacAuthenticator.isConfigured()) {
         try {
             hmacAuth = new HmacAuthenticator({
                 timestampTolerance: parseInt(process.env.LT_HMAC_TIMESTAMP_TOLERANCE || '60', 10),
                 nonceThreshold: parseInt(process.env.LT_HMAC_NONCE_THRESHOLD || '3600', 10),
-                nonceCacheTTL: parseInt(process.env.LT_HMAC_NONCE_CACHE_TTL || '7200', 10)
+                nonceCacheTTL: parseInt(process.env.LT_HMAC_NONCE_CACHE_TTL || '7200', 10),
+                acceptV1: process.env.LT_HMAC_ACCEPT_V1 !== 'false'
             });
             adminDebug('HMAC authentication enabled');
         } catch (err) {
@@ -160,7 +336,184 @@ export default function(opt) {
         }
     }
 
+    // Initialize JWT authentication (required in jwt mode)
+    let jwtAuth = null;
+    if (authMode === 'jwt') {
+        try {
+            jwtAuth = new JwtAuthenticator();
+            adminDebug('JWT authentication enabled');
+        } catch (err) {
+            console.error('FATAL: Failed to initialize JWT authenticator:', err.message);
+            process.exit(1);
+        }
+    }
+
+    // Initialize admin API authentication (if an admin credential is configured)
+    let adminAuth = null;
+    if (AdminAuthenticator.isConfigured()) {
+        try {
+            adminAuth = new AdminAuthenticator({
+                timestampTolerance: parseInt(process.env.LT_HMAC_TIMESTAMP_TOLERANCE || '60', 10),
+                nonceThreshold: parseInt(process.env.LT_HMAC_NONCE_THRESHOLD || '3600', 10),
+                nonceCacheTTL: parseInt(process.env.LT_HMAC_NONCE_CACHE_TTL || '7200', 10),
+                acceptV1: process.env.LT_HMAC_ACCEPT_V1 !== 'false'
+            });
+            if (hmacAuth && adminAuth.usesAnySecret(hmacAuth.secrets())) {
+                throw new Error('admin credentials must be different from the tunnel creation HMAC secret and keys');
+            }
+            adminDebug('Admin API authentication enabled');
+        } catch (err) {
+            console.error('FATAL: Failed to initialize admin authenticator:', err.message);
+            process.exit(1);
+        }
+    } else {
+        // bin/server.mjs warns once at startup
+        adminDebug('WARNING: No admin credential configured: ' +
+                   'the admin routes are served without authentication on the admin port only');
+    }
+
+    // Prometheus metrics (served by GET /metrics on the admin server)
+    const metrics = new Metrics();
+
+    metrics.gauge('localtunnel_tunnels', 'Tunnels by state', ['state'], (gauge) => {
+        const counts = { online: 0, grace: 0 };
+        for (const client of Object.values(manager.clients)) {
+            counts[client.getState()] += 1;
+        }
+        gauge.set({ state: 'online' }, counts.online);
+        gauge.set({ state: 'grace' }, counts.grace);
+    });
+    const tunnelsCreated = metrics.counter('localtunnel_tunnels_created_total', 'Tunnels created');
+    const tunnelsRemoved = metrics.counter('localtunnel_tunnels_removed_total', 'Tunnels removed');
+    const authFailures = metrics.counter('localtunnel_hmac_auth_failures_total',
+        'HMAC authentication failures by reason code', ['reason']);
+    const jwtAuthFailures = metrics.counter('localtunnel_jwt_auth_failures_total',
+        'JWT authentication failures by reason code', ['reason']);
+    const authSuccesses = metrics.counter('localtunnel_hmac_auth_success_total',
+        'Successful HMAC authentications by signing scheme version', ['version']);
+    const proxiedRequests = metrics.counter('localtunnel_proxied_requests_total',
+        'Responses sent to visitors by status class', ['status_class']);
+    const proxyLatency = metrics.histogram('localtunnel_proxy_latency_seconds',
+        'Time from visitor request to tunnel client response headers');
+    // socket pool totals across all tunnel agents
+    const sumAgentStats = (field) => {
+        let total = 0;
+        for (const client of Object.values(manager.clients)) {
+            total += client.agent.stats()[field];
+        }
+        return total;
+    };
+    metrics.gauge('localtunnel_tunnel_sockets', 'Tunnel sockets across all tunnels by state', ['state'], (gauge) => {
+        gauge.set({ state: 'connected' }, sumAgentStats('connectedSockets'));
+        gauge.set({ state: 'available' }, sumAgentStats('availableSockets'));
+    });
+    metrics.gauge('localtunnel_tunnel_waiting_requests', 'Requests waiting for a tunnel socket across all tunnels', [], (gauge) => {
+        gauge.set({}, sumAgentStats('waitingRequests'));
+    });
+    const socketRejections = metrics.counter('localtunnel_socket_rejections_total',
+        'Tunnel sockets refused with 429 because max sockets was reached');
+    const visitorIpRejections = metrics.counter('localtunnel_visitor_ip_rejections_total',
+        'Visitor requests (403) and raw TCP connections refused by an IP allowlist/denylist');
+    const visitorAuthFailures = metrics.counter('localtunnel_visitor_auth_failures_total',
+        'Visitor requests refused with 401 by tunnel basic auth');
+    const socketAuthFailures = metrics.counter('localtunnel_socket_auth_failures_total',
+        'Tunnel sockets closed because the connect handshake failed, by reason', ['reason']);
+    const socketEvictions = metrics.counter('localtunnel_socket_evictions_total',
+        'Dead tunnel sockets closed before being handed out, by reason', ['reason']);
+    metrics.gauge('localtunnel_port_pool_ports', 'Ports in the client port pool by state', ['state'], (gauge) => {
+        gauge.set({ state: 'available' }, manager.availablePorts.length);
+        gauge.set({ state: 'used' }, manager.usedPorts.size);
+    });
+    metrics.gauge('localtunnel_tcp_port_pool_ports', 'Public ports for raw TCP tunnels by state', ['state'], (gauge) => {
+        gauge.set({ state: 'available' }, manager.availableTcpPorts.length);
+        gauge.set({ state: 'used' }, manager.usedTcpPorts.size);
+    });
+    metrics.gauge('localtunnel_nonce_cache_size', 'HMAC nonces held in the replay cache', [], (gauge) => {
+        // shared nonce stores (file, redis) do not report a size
+        const size = hmacAuth ? hmacAuth.getStats().cacheSize : 0;
+        if (size !== null) {
+            gauge.set({}, size);
+        }
+    });
+
+    manager.on('tunnel_created', () => tunnelsCreated.inc());
+    manager.on('tunnel_removed', () => tunnelsRemoved.inc());
+    manager.on('socket_rejected', () => socketRejections.inc());
+    manager.on('tcp_connection_rejected', (client, reason) => {
+        if (reason === 'ip_filter') {
+            visitorIpRejections.inc();
+        }
+    });
+    manager.on('socket_unauthorized', (client, reason) => socketAuthFailures.inc({ reason }));
+    manager.on('socket_evicted', (client, reason) => socketEvictions.inc({ reason }));
+    manager.on('response', (client, info) => {
+        proxiedRequests.inc({ status_class: `${Math.floor(info.statusCode / 100)}xx` });
+        if (info.latency !== null) {
+            proxyLatency.observe({}, info.latency / 1000);
+        }
+    });
+
+    // Lifecycle events (streamed by GET /api/events on the admin server)
+    const events = new EventStream({
+        bufferSize: parseInt(process.env.LT_EVENTS_BUFFER_SIZE || '1000', 10),
+    });
+
+    const tunnelEventData = (client) => ({
+        id: client.id,
+        state: client.getState(),
+        identifier_type: client.identifier.type,
+    });
+    for (const type of ['tunnel_created', 'tunnel_online', 'tunnel_offline', 'grace_expired',
+        'tunnel_replaced', 'tunnel_removed']) {
+        manager.on(type, (client) => events.publish(type, tunnelEventData(client)));
+    }
+    manager.on('grace_started', (client, gracePeriod) => {
+        events.publish('grace_started', { ...tunnelEventData(client), grace_period: gracePeriod });
+    });
+    manager.on('socket_rejected', (client) => {
+        events.publish('socket_rejected', {
+            ...tunnelEventData(client),
+            max_sockets: client.agent.maxTcpSockets,
+        });
+    });
+
+    // Outgoing webhooks (if configured), fed from the event stream
+    let webhooks = null;
+    if (WebhookNotifier.isConfigured()) {
+        try {
+            webhooks = new WebhookNotifier();
+            events.subscribe(event => webhooks.notify(event));
+            adminDebug('Webhooks enabled: %d webhooks', webhooks.webhooks.length);
+        } catch (err) {
+            console.error('FATAL: Failed to initialize webhooks:', err.message);
+            process.exit(1);
+        }
+    }
+
+    // realm: 'tunnel' (tunnel creation credential) or 'admin'
+    const publishAuthFailure = (ctx, realm, reasonCode) => {
+        events.publish('auth_failed', {
+            realm,
+            reason: reasonCode || 'error',
+            method: ctx.method,
+            path: ctx.path,
+            ip: ctx.request.ip,
+        });
+    };
+
     // Middleware de autenticação HMAC
+    // The shared nonce store (LT_NONCE_STORE) could not be reached: the credentials were not
+    // checked, so this is answered as an outage the client can retry, not an authentication failure
+    function respondNonceStoreUnavailable(ctx, reason) {
+        adminDebug('HMAC authentication unavailable for %s %s: %s', ctx.method, ctx.path, reason);
+        ctx.status = 503;
+        ctx.set('Retry-After', retryAfter.toString());
+        ctx.body = {
+            error: 'Authentication unavailable',
+            message: 'Replay protection is temporarily unavailable, retry later'
+        };
+    }
+
     async function requireHmacAuth(ctx, next) {
         if (!hmacAuth) {
             // HMAC não configurado, permite requisição
@@ -170,8 +523,14 @@ export default function(opt) {
         try {
             const result = await hmacAuth.validateRequest(ctx.request);
 
+            if (!result.valid && result.reasonCode === 'nonce_store_unavailable') {
+                return respondNonceStoreUnavailable(ctx, result.reason);
+            }
+
             if (!result.valid) {
                 adminDebug('HMAC authentication failed: %s', result.reason);
+                authFailures.inc({ reason: result.reasonCode });
+                publishAuthFailure(ctx, 'tunnel', result.reasonCode);
 
                 let message = result.debugMode ? result.reason : 'Invalid or expired authentication';
 
@@ -189,9 +548,13 @@ export default function(opt) {
             }
 
             // Autenticação OK, continua
+            authSuccesses.inc({ version: `v${result.version}` });
+            ctx.state.hmac = { keyId: result.keyId };
             await next();
         } catch (err) {
             adminDebug('HMAC authentication error: %s', err.message);
+            authFailures.inc({ reason: 'error' });
+            publishAuthFailure(ctx, 'tunnel', 'error');
             ctx.status = 401;
             ctx.body = {
                 error: 'Authentication failed',
@@ -200,6 +563,128 @@ export default function(opt) {
         }
     }
 
+    // Middleware de autenticação JWT (LT_AUTH_MODE=jwt)
+    // Exposes the subject and allowed subdomains of the token in ctx.state.jwt
+    async function requireJwtAuth(ctx, next) {
+        const result = await jwtAuth.validateRequest(ctx.request);
+
+        if (!result.valid) {
+            adminDebug('JWT authentication failed: %s', result.reason);
+            jwtAuthFailures.inc({ reason: result.reasonCode });
+            publishAuthFailure(ctx, 'tunnel', result.reasonCode);
+            ctx.status = 401;
+            ctx.set('WWW-Authenticate', 'Bearer');
+            ctx.body = {
+                error: 'Authentication failed',
+                message: 'Invalid or expired token'
+            };
+            return;
+        }
+
+        ctx.state.jwt = { subject: result.subject, subdomains: result.subdomains };
+        await next();
+    }
+
+    const requireTunnelAuth = jwtAuth ? requireJwtAuth : requireHmacAuth;
+
+    // Tunnel owner: the JWT subject when authenticated with a JWT, else the client token or IP
+    function getTunnelIdentifier(ctx) {
+        if (ctx.state.jwt) {
+            return { type: 'subject', value: ctx.state.jwt.subject };
+        }
+        return getClientIdentifier(ctx.request);
+    }
+
+    // Credentials checked against the subdomain policy: HMAC key id, client token and JWT subject
+    function getCredentials(ctx, identifier) {
+        return {
+            keyId: ctx.state.hmac ? ctx.state.hmac.keyId : null,
+            clientToken: identifier.type === 'token' ? identifier.value : null,
+            subject: ctx.state.jwt ? ctx.state.jwt.subject : null,
+        };
+    }
+
+    // Responds 403 when the JWT subdomains claim does not list the requested subdomain
+    function checkAllowedSubdomain(ctx, reqId, route) {
+        if (!ctx.state.jwt || JwtAuthenticator.allowsSubdomain(ctx.state.jwt.subdomains, reqId)) {
+            return true;
+        }
+        adminDebug('%s - Subdomain %s not allowed for subject %s', route, reqId, ctx.state.jwt.subject);
+        ctx.status = 403;
+        ctx.body = {
+            error: 'Subdomain not allowed',
+            message: `Token does not allow subdomain "${reqId}"`
+        };
+        return false;
+    }
+
+    // Admin API routes (/api/* and /metrics) require the admin credential
+    // POST /api/tunnels creates tunnels and uses the tunnel creation credential instead
+    function isAdminRoute(ctx) {
+        if (ctx.method === 'POST' && ctx.path === '/api/tunnels') {
+            return false;
+        }
+        return ctx.path === '/metrics' || /^\/api(\/|$)/.test(ctx.path);
+    }
+
+    // requests handed to the admin app by the public server (no tunnel in the hostname)
+    const publicAdminRequests = new WeakSet();
+
+    async function requireAdminAuth(ctx, next) {
+        if (!isAdminRoute(ctx)) {
+            return await next();
+        }
+        if (!adminAuth) {
+            // anyone can reach the public server: without a credential the admin routes
+            // are left to the admin port (LT_ADMIN_PORT), which can be firewalled
+            if (publicAdminRequests.has(ctx.req)) {
+                adminDebug('Admin route %s %s refused on the public server: no admin credential configured', ctx.method, ctx.path);
+                ctx.status = 403;
+                ctx.body = {
+                    error: 'Admin API unavailable',
+                    message: 'Configure an admin credential to use the admin API on the public server'
+                };
+                return;
+            }
+            return await next();
+        }
+
+        // the request body is part of the HMAC signature
+        if (['POST', 'PUT', 'PATCH'].includes(ctx.method) && !await readRawBody(ctx)) {
+            return;
+        }
+
+        let result;
+        try {
+            result = await adminAuth.validateRequest(ctx.request);
+        } catch (err) {
+            adminDebug('Admin authentication error: %s', err.message);
+            result = { valid: false, status: 403, reason: 'Invalid authentication', reasonCode: 'error' };
+        }
+
+        if (!result.valid && result.reasonCode === 'nonce_store_unavailable') {
+            return respondNonceStoreUnavailable(ctx, result.reason);
+        }
+
+        if (!result.valid) {
+            adminDebug('Admin authentication failed for %s %s: %s', ctx.method, ctx.path, result.reason);
+            publishAuthFailure(ctx, 'admin', result.reasonCode);
+            if (result.status === 401) {
+                ctx.set('WWW-Authenticate', adminAuth.token ? 'Bearer realm="localtunnel-admin"' : 'HMAC');
+            }
+            ctx.status = result.status;
+            ctx.body = {
+                error: 'Authentication failed',
+                message: result.status === 401
+                    ? 'Admin credentials required'
+                    : 'Invalid or expired admin credentials'
+            };
+            return;
+        }
+
+        await next();
+    }
+
     const schema = opt.secure ? 'https' : 'http';
 
     // Determina porta pública para URLs geradas
@@ -241,6 +726,29 @@ export default function(opt) {
         return url;
     }
 
+    // WebSocket URL for tunnel sockets, on the server host rather than the tunnel subdomain
+    function buildConnectUrl(tunnelId, requestHost) {
+        const hostname = requestHost.split(':')[0];
+        let url = (opt.secure ? 'wss' : 'ws') + '://' + hostname;
+        if (publicUrlPort !== defaultPort) {
+            url += ':' + publicUrlPort;
+        }
+        return url + CONNECT_PATH + tunnelId;
+    }
+
+    // Address of the public port of a raw TCP tunnel, on the server host
+    function buildTcpUrl(publicPort, requestHost) {
+        return 'tcp://' + requestHost.split(':')[0] + ':' + publicPort;
+    }
+
+    // URL visitors use to reach a tunnel
+    function buildTunnelUrl(client, requestHost) {
+        if (client.tcpProxy) {
+            return buildTcpUrl(client.tcpProxy.port, requestHost);
+        }
+        return buildPublicUrl(client.id, requestHost);
+    }
+
     // Admin API app (for tunnel creation and management)
     const adminApp = new Koa();
     const adminRouter = new Router();
@@ -256,6 +764,178 @@ export default function(opt) {
         adminDebug('GET /api/status - Response: %d tunnels, %d MB memory', stats.tunnels, Math.round(process.memoryUsage().heapUsed / 1024 / 1024));
     });
 
+    adminRouter.get('/metrics', async (ctx) => {
+        adminDebug('GET /metrics - Request received from %s', ctx.request.ip);
+        ctx.type = Metrics.CONTENT_TYPE;
+        ctx.body = metrics.render();
+    });
+
+    // stream lifecycle events as Server-Sent Events
+    // a Last-Event-ID header (or ?last_event_id=) replays the buffered events after that id
+    adminRouter.get('/api/events', async (ctx) => {
+        const lastEventIdParam = ctx.get('Last-Event-ID') || ctx.query.last_event_id;
+        adminDebug('GET /api/events - Subscriber connected from %s (last event id: %s)',
+            ctx.request.ip, lastEventIdParam || 'none');
+
+        const stream = new PassThrough();
+        const send = (event) => stream.write(EventStream.format(event));
+
+        ctx.req.socket.setTimeout(0);
+        ctx.req.socket.setNoDelay(true);
+        ctx.status = 200;
+        ctx.type = 'text/event-stream';
+        ctx.set('Cache-Control', 'no-cache');
+        ctx.set('Connection', 'keep-alive');
+        ctx.set('X-Accel-Buffering', 'no');
+        ctx.body = stream;
+
+        stream.write(`retry: ${EVENTS_RETRY}\n\n`);
+        if (lastEventIdParam !== undefined && lastEventIdParam !== '') {
+            for (const event of events.since(parseInt(lastEventIdParam, 10))) {
+                send(event);
+            }
+        }
+
+        const unsubscribe = events.subscribe(send);
+        // comment lines keep proxies from closing an idle stream
+        const heartbeat = setInterval(() => stream.write(': ping\n\n'), EVENTS_HEARTBEAT_INTERVAL);
+        heartbeat.unref();
+
+        ctx.res.once('close', () => {
+            adminDebug('GET /api/events - Subscriber disconnected from %s', ctx.request.ip);
+            clearInterval(heartbeat);
+            unsubscribe();
+            stream.end();
+        });
+    });
+
+    // configured webhooks (without secrets)
+    adminRouter.get('/api/webhooks', async (ctx) => {
+        adminDebug('GET /api/webhooks - Request received');
+        ctx.body = {
+            webhooks: webhooks ? webhooks.list() : [],
+        };
+    });
+
+    // webhook delivery log, most recent first
+    // ?status=pending|delivered|failed &limit=<1-500>
+    adminRouter.get('/api/webhooks/deliveries', async (ctx) => {
+        adminDebug('GET /api/webhooks/deliveries - Request received: %o', ctx.query);
+        const { status } = ctx.query;
+
+        if (status !== undefined && !['pending', 'delivered', 'failed'].includes(status)) {
+            ctx.status = 400;
+            ctx.body = {
+                error: 'Invalid query',
+                message: 'status must be "pending", "delivered" or "failed"'
+            };
+            return;
+        }
+
+        let limit = 50;
+        if (ctx.query.limit !== undefined) {
+            limit = Number(ctx.query.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+                ctx.status = 400;
+                ctx.body = {
+                    error: 'Invalid query',
+                    message: 'limit must be an integer between 1 and 500'
+                };
+                return;
+            }
+        }
+
+        const deliveries = webhooks ? webhooks.listDeliveries({ status, limit }) : [];
+        const toIso = (time) => time === null ? null : new Date(time).toISOString();
+        ctx.body = {
+            deliveries: deliveries.map(delivery => ({
+                id: delivery.id,
+                url: delivery.url,
+                event: delivery.event,
+                event_id: delivery.eventId,
+                status: delivery.status,
+                created_at: toIso(delivery.createdAt),
+                next_attempt_at: toIso(delivery.nextAttemptAt),
+                attempts: delivery.attempts.map(attempt => ({
+                    at: toIso(attempt.at),
+                    duration_ms: attempt.duration,
+                    status_code: attempt.statusCode,
+                    error: attempt.error,
+                })),
+            })),
+        };
+    });
+
+    // list tunnels with optional filters and cursor pagination
+    // ?state=online|grace &identifier=token|ip &prefix=<id prefix> &limit=<1-500> &cursor=<next_cursor>
+    adminRouter.get('/api/tunnels', async (ctx) => {
+        adminDebug('GET /api/tunnels - Request received: %o', ctx.query);
+        const { state, identifier, prefix, cursor } = ctx.query;
+
+        const invalid = (message) => {
+            adminDebug('GET /api/tunnels - Invalid query: %s', message);
+            ctx.status = 400;
+            ctx.body = {
+                error: 'Invalid query',
+                message: message
+            };
+        };
+
+        if (state !== undefined && state !== 'online' && state !== 'grace') {
+            return invalid('state must be "online" or "grace"');
+        }
+        if (identifier !== undefined && !['token', 'ip', 'subject'].includes(identifier)) {
+            return invalid('identifier must be "token", "ip" or "subject"');
+        }
+
+        let limit = 50;
+        if (ctx.query.limit !== undefined) {
+            limit = parseInt(ctx.query.limit, 10);
+            if (isNaN(limit) || limit < 1 || limit > 500) {
+                return invalid('limit must be between 1 and 500');
+            }
+        }
+
+        // cursors are opaque to callers, they encode the last id of the previous page
+        let after;
+        if (cursor !== undefined) {
+            after = Buffer.from(cursor, 'base64url').toString('utf8');
+            if (!after) {
+                return invalid('invalid cursor');
+            }
+        }
+
+        const page = manager.listClients({
+            state,
+            identifierType: identifier,
+            prefix,
+            after,
+            limit,
+        });
+
+        ctx.body = {
+            tunnels: page.clients.map((client) => {
+                const stats = client.stats();
+                const address = client.agent.server.address();
+                return {
+                    id: client.id,
+                    url: buildTunnelUrl(client, ctx.request.host),
+                    type: client.type,
+                    port: address ? address.port : client.agent.port,
+                    identifier_type: client.identifier.type,
+                    state: client.getState(),
+                    created_at: new Date(client.createdAt).toISOString(),
+                    connected_sockets: stats.connectedSockets,
+                    available_sockets: stats.availableSockets,
+                    waiting_requests: stats.waitingRequests,
+                    metadata: client.metadata,
+                };
+            }),
+            next_cursor: page.nextId ? Buffer.from(page.nextId, 'utf8').toString('base64url') : null,
+        };
+        adminDebug('GET /api/tunnels - Response: %d tunnels (more: %s)', page.clients.length, !!page.nextId);
+    });
+
     adminRouter.get('/api/tunnels/:id/status', async (ctx) => {
         const clientId = ctx.params.id;
         adminDebug('GET /api/tunnels/%s/status - Request received', clientId);
@@ -267,14 +947,502 @@ export default function(opt) {
         }
 
         const stats = client.stats();
+        const toISOString = (time) => time ? new Date(time).toISOString() : null;
         ctx.body = {
+            state: stats.state,
+            type: stats.type,
+            created_at: toISOString(client.createdAt),
+            grace_period_remaining: stats.state === 'grace' ? stats.gracePeriodRemaining : null,
+            transport: stats.transport,
             connected_sockets: stats.connectedSockets,
+            open_streams: stats.openStreams,
+            available_sockets: stats.availableSockets,
+            waiting_requests: stats.waitingRequests,
+            rejected_connections: stats.rejectedConnections,
+            unauthorized_connections: stats.unauthorizedConnections,
+            evicted_sockets: stats.evictedSockets,
+            requests: stats.requests,
+            upgrades: stats.upgrades,
+            bytes_in: stats.bytesIn,
+            bytes_out: stats.bytesOut,
+            status_codes: stats.statusCodes,
+            unavailable_responses: stats.unavailableResponses,
+            timeouts: stats.timeouts,
+            retried_requests: stats.retriedRequests,
+            ip_rejections: stats.ipRejections,
+            last_request_at: toISOString(stats.lastRequestAt),
+            last_socket_connected_at: toISOString(stats.lastSocketConnectedAt),
+        };
+        if (stats.tcp) {
+            Object.assign(ctx.body, {
+                public_port: client.tcpProxy.port,
+                max_connections: stats.tcp.maxConnections,
+                active_connections: stats.tcp.activeConnections,
+                tcp_connections: stats.tcp.connections,
+                rejected_tcp_connections: stats.tcp.rejectedConnections,
+            });
+        }
+        adminDebug('GET /api/tunnels/%s/status - Response: state=%s, %d connected sockets, %d requests',
+                  clientId, stats.state, stats.connectedSockets, stats.requests);
+    });
+
+    // captured request/response exchange, as returned by the request inspector routes
+    const serializeCapturedRequest = (record, includeBodies) => {
+        const toISOString = (time) => time ? new Date(time).toISOString() : null;
+        const result = {
+            id: record.id,
+            started_at: toISOString(record.startedAt),
+            method: record.method,
+            url: record.url,
+            remote_address: record.remoteAddress,
+            replay_of: record.replayOf,
+            status_code: record.response ? record.response.statusCode : null,
+            latency_ms: record.latency,
+            duration_ms: record.duration,
+            error: record.error,
+        };
+        if (!includeBodies) {
+            return result;
+        }
+
+        result.http_version = record.httpVersion;
+        result.request = {
+            headers: record.request.headers,
+            body: RequestInspector.encodeBody(record.request.body),
+            body_size: record.request.bodySize,
+            body_truncated: record.request.bodyTruncated,
+        };
+        result.response = record.response && {
+            headers: record.response.headers,
+            body_preview: RequestInspector.encodeBody(record.response.bodyPreview),
+            body_size: record.response.bodySize,
+            body_truncated: record.response.bodyTruncated,
+        };
+        return result;
+    };
+
+    // requests captured by the tunnel's request inspector, most recent first
+    adminRouter.get('/api/tunnels/:id/requests', async (ctx) => {
+        const clientId = ctx.params.id;
+        adminDebug('GET /api/tunnels/%s/requests - Request received', clientId);
+        const client = manager.getClient(clientId);
+        if (!client) {
+            ctx.status = 404;
+            ctx.body = {
+                error: 'Tunnel not found',
+                message: `Tunnel "${clientId}" does not exist`
+            };
+            return;
+        }
+
+        const inspector = client.inspector;
+        ctx.body = {
+            id: clientId,
+            inspect: !!inspector,
+            requests: inspector ? inspector.list().map(record => serializeCapturedRequest(record, false)) : [],
+        };
+    });
+
+    adminRouter.get('/api/tunnels/:id/requests/:reqId', async (ctx) => {
+        const { id: clientId, reqId } = ctx.params;
+        adminDebug('GET /api/tunnels/%s/requests/%s - Request received', clientId, reqId);
+        const client = manager.getClient(clientId);
+        if (!client) {
+            ctx.status = 404;
+            ctx.body = {
+                error: 'Tunnel not found',
+                message: `Tunnel "${clientId}" does not exist`
+            };
+            return;
+        }
+
+        const record = client.inspector && /^\d+$/.test(reqId)
+            ? client.inspector.get(parseInt(reqId, 10))
+            : null;
+        if (!record) {
+            ctx.status = 404;
+            ctx.body = {
+                error: 'Request not found',
+                message: `Request "${reqId}" is not in the history of tunnel "${clientId}"`
+            };
+            return;
+        }
+
+        ctx.body = serializeCapturedRequest(record, true);
+    });
+
+    // re-send a captured request through the tunnel and return the new response
+    // Body (all fields optional): { headers: { name: value|null }, body, body_encoding: 'utf8'|'base64' }
+    // headers are merged into the captured ones (null removes a header); body replaces the captured body
+    adminRouter.post('/api/tunnels/:id/requests/:reqId/replay', parseJsonBody, async (ctx) => {
+        const { id: clientId, reqId } = ctx.params;
+        const route = `POST /api/tunnels/${clientId}/requests/${reqId}/replay`;
+        adminDebug('%s - Request received from %s', route, ctx.request.ip);
+
+        const fail = (status, error, message) => {
+            adminDebug('%s - %s: %s', route, error, message);
+            ctx.status = status;
+            ctx.body = {
+                error: error,
+                message: message
+            };
+        };
+
+        const client = manager.getClient(clientId);
+        if (!client) {
+            return fail(404, 'Tunnel not found', `Tunnel "${clientId}" does not exist`);
+        }
+
+        const record = client.inspector && /^\d+$/.test(reqId)
+            ? client.inspector.get(parseInt(reqId, 10))
+            : null;
+        if (!record) {
+            return fail(404, 'Request not found', `Request "${reqId}" is not in the history of tunnel "${clientId}"`);
+        }
+
+        const edits = ctx.request.body;
+        if (typeof edits !== 'object' || Array.isArray(edits) || edits === null) {
+            return fail(400, 'Invalid request body', 'Request body must be a JSON object');
+        }
+
+        const { headers: headerEdits, body: bodyEdit, body_encoding: bodyEncoding = 'utf8' } = edits;
+        if (headerEdits !== undefined) {
+            const valid = headerEdits !== null && typeof headerEdits === 'object' && !Array.isArray(headerEdits) &&
+                Object.values(headerEdits).every(value => value === null || typeof value === 'string');
+            if (!valid) {
+                return fail(400, 'Invalid headers', 'headers must be an object of string (or null) values');
+            }
+        }
+        if (bodyEdit !== undefined && typeof bodyEdit !== 'string') {
+            return fail(400, 'Invalid body', 'body must be a string');
+        }
+        if (bodyEncoding !== 'utf8' && bodyEncoding !== 'base64') {
+            return fail(400, 'Invalid body_encoding', 'body_encoding must be "utf8" or "base64"');
+        }
+
+        let body;
+        if (bodyEdit !== undefined) {
+            body = Buffer.from(bodyEdit, bodyEncoding);
+        } else if (record.request.bodyTruncated) {
+            return fail(409, 'Request body truncated',
+                'The captured body exceeded LT_INSPECT_MAX_BODY; provide the body to replay this request');
+        } else {
+            body = record.request.body || Buffer.alloc(0);
+        }
+
+        // redacted values were never stored, they must be provided again to be sent
+        const headers = {};
+        for (const [name, value] of Object.entries(record.request.headers)) {
+            if (value !== RequestInspector.REDACTED) {
+                headers[name] = value;
+            }
+        }
+        for (const [name, value] of Object.entries(headerEdits || {})) {
+            if (value === null) {
+                delete headers[name.toLowerCase()];
+            } else {
+                headers[name.toLowerCase()] = value;
+            }
+        }
+        delete headers['transfer-encoding'];
+        if (body.length > 0 || headers['content-length'] !== undefined) {
+            headers['content-length'] = String(body.length);
+        }
+
+        if (!client.isOnline) {
+            return fail(409, 'Tunnel offline', `Tunnel "${clientId}" has no connected client`);
+        }
+
+        const result = await client.replay({
+            method: record.method,
+            url: record.url,
+            headers: headers,
+            body: body,
+            replayOf: record.id,
+        });
+
+        adminDebug('%s - Response: %d in %dms', route, result.statusCode, result.duration);
+        ctx.body = {
+            request_id: result.requestId,
+            replay_of: record.id,
+            status_code: result.statusCode,
+            headers: result.headers,
+            body: RequestInspector.encodeBody(result.body),
+            body_size: result.bodySize,
+            body_truncated: result.bodyTruncated,
+            duration_ms: result.duration,
+            error: result.error,
+        };
+    });
+
+    // forcibly close a tunnel, e.g. a misbehaving or abusive client
+    // ?block=<ms> keeps the subdomain from being claimed again (default: LT_BLOCK_PERIOD)
+    adminRouter.delete('/api/tunnels/:id', async (ctx) => {
+        const clientId = ctx.params.id;
+        adminDebug('DELETE /api/tunnels/%s - Request received from %s', clientId, ctx.request.ip);
+
+        let blockFor = getBlockPeriod();
+        if (ctx.query.block !== undefined) {
+            blockFor = parseInt(ctx.query.block, 10);
+            if (isNaN(blockFor) || blockFor < 0) {
+                adminDebug('DELETE /api/tunnels/%s - Invalid block period: %s', clientId, ctx.query.block);
+                ctx.status = 400;
+                ctx.body = {
+                    error: 'Invalid block period',
+                    message: 'block must be a non-negative number of milliseconds'
+                };
+                return;
+            }
+        }
+
+        const client = manager.getClient(clientId);
+        if (!client) {
+            adminDebug('DELETE /api/tunnels/%s - Client not found', clientId);
+            ctx.status = 404;
+            ctx.body = {
+                error: 'Tunnel not found',
+                message: `Tunnel "${clientId}" does not exist`
+            };
+            return;
+        }
+
+        const address = client.agent.server.address();
+        const port = address ? address.port : client.agent.port;
+        const stats = client.stats();
+        manager.removeClient(clientId, { blockFor });
+
+        const blockedUntil = manager.blockedIds.get(clientId);
+        ctx.body = {
+            id: clientId,
+            removed: true,
+            port: port,
+            closed_sockets: stats.connectedSockets,
+            blocked_until: blockFor > 0 ? new Date(blockedUntil).toISOString() : null,
+        };
+        adminDebug('DELETE /api/tunnels/%s - Tunnel removed (port: %d, sockets: %d, blocked for: %dms)',
+                  clientId, port, stats.connectedSockets, blockFor);
+    });
+
+    // Creates a tunnel and responds with its info
+    // Shared by the legacy GET routes and POST /api/tunnels
+    // Returns false when the request was rejected (response already set)
+    async function respondWithNewClient(ctx, reqId, options, route) {
+        try {
+            const info = await manager.newClient(reqId, options);
+
+            let url;
+            if (info.type === 'tcp') {
+                // raw TCP tunnels are reached on their public port, not on a subdomain
+                url = buildTcpUrl(info.public_port, ctx.request.host);
+                info.public_host = ctx.request.host.split(':')[0];
+            } else {
+                url = buildPublicUrl(info.id, ctx.request.host);
+            }
+            info.url = url;
+            if (websocketTunnels) {
+                info.connect_url = buildConnectUrl(info.id, ctx.request.host);
+            }
+            adminDebug('%s - Tunnel created: %s (port: %d)', route, url, info.port);
+            ctx.body = info;
+            return true;
+        } catch (err) {
+            // Handle IP mismatch error in strict mode
+            if (err.code === 'subdomain_reserved') {
+                adminDebug('%s - Subdomain %s reserved for different identifier', route, reqId);
+                ctx.status = 409;  // Conflict
+                ctx.body = {
+                    error: 'Subdomain reserved',
+                    message: err.message
+                };
+                return false;
+            }
+            // Subdomain owned by other credentials (subdomain policy)
+            if (err.code === 'subdomain_forbidden') {
+                adminDebug('%s - Subdomain %s forbidden by policy: %s', route, reqId, err.message);
+                ctx.status = 403;
+                ctx.body = {
+                    error: 'Subdomain forbidden',
+                    message: err.message
+                };
+                return false;
+            }
+            // Subdomain blocked by an administrator (strict mode)
+            if (err.code === 'subdomain_blocked') {
+                adminDebug('%s - Subdomain %s is blocked', route, reqId);
+                ctx.status = 403;
+                ctx.body = {
+                    error: 'Subdomain blocked',
+                    message: err.message
+                };
+                return false;
+            }
+            // Every port of the tunnel or public TCP port range is in use
+            if (err.code === 'ports_exhausted' || err.code === 'tcp_ports_exhausted') {
+                adminDebug('%s - No port available for %s: %s', route, reqId, err.message);
+                ctx.status = 503;
+                ctx.set('Retry-After', retryAfter.toString());
+                ctx.body = {
+                    error: 'No ports available',
+                    message: err.message
+                };
+                return false;
+            }
+            throw err;
+        }
+    }
+
+    // JSON tunnel creation endpoint
+    // Body (all fields optional):
+    // { subdomain, client_token, max_sockets, grace_period, metadata, inspect, basic_auth, ip_allow, ip_deny, forward_auth,
+    //   transport, type, max_connections }
+    adminRouter.post('/api/tunnels', parseJsonBody, requireTunnelAuth, async (ctx) => {
+        const body = ctx.request.body || {};
+        const clientIP = getClientIP(ctx.request);
+        adminDebug('POST /api/tunnels - Request received from %s (IP: %s)', ctx.request.ip, clientIP);
+
+        const invalid = (error, message) => {
+            adminDebug('POST /api/tunnels - %s: %s', error, message);
+            ctx.status = 400;
+            ctx.body = {
+                error: error,
+                message: message
+            };
         };
-        adminDebug('GET /api/tunnels/%s/status - Response: %d connected sockets', clientId, stats.connectedSockets);
+
+        if (typeof body !== 'object' || Array.isArray(body)) {
+            return invalid('Invalid request body', 'Request body must be a JSON object');
+        }
+
+        const { subdomain, client_token: clientToken, max_sockets: maxSockets,
+                grace_period: gracePeriod, metadata, inspect, basic_auth: basicAuth,
+                ip_allow: ipAllow, ip_deny: ipDeny, forward_auth: useForwardAuth, transport,
+                type, max_connections: maxConnections } = body;
+
+        if (subdomain !== undefined && (typeof subdomain !== 'string' || !SUBDOMAIN_PATTERN.test(subdomain))) {
+            return invalid('Invalid subdomain', INVALID_SUBDOMAIN_MESSAGE);
+        }
+
+        // client_token in the body takes precedence over the X-LT-Client-Token header
+        // (a JWT subject takes precedence over both)
+        let identifier;
+        if (clientToken !== undefined) {
+            if (typeof clientToken !== 'string' || !isValidClientToken(clientToken.trim())) {
+                return invalid('Invalid client token', 'client_token must be 1-256 alphanumeric, hyphen or underscore characters');
+            }
+        }
+        if (clientToken !== undefined && !ctx.state.jwt) {
+            identifier = { type: 'token', value: clientToken.trim() };
+        } else {
+            identifier = getTunnelIdentifier(ctx);
+        }
+
+        if (maxSockets !== undefined && (!Number.isInteger(maxSockets) || maxSockets < 1)) {
+            return invalid('Invalid max_sockets', 'max_sockets must be a positive integer');
+        }
+
+        if (gracePeriod !== undefined && (!Number.isInteger(gracePeriod) || gracePeriod < 0)) {
+            return invalid('Invalid grace_period', 'grace_period must be a non-negative integer (milliseconds)');
+        }
+
+        if (metadata !== undefined) {
+            if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+                return invalid('Invalid metadata', 'metadata must be a JSON object');
+            }
+            if (Buffer.byteLength(JSON.stringify(metadata)) > MAX_METADATA_SIZE) {
+                return invalid('Invalid metadata', `metadata must not exceed ${MAX_METADATA_SIZE} bytes`);
+            }
+        }
+
+        if (inspect !== undefined && typeof inspect !== 'boolean') {
+            return invalid('Invalid inspect', 'inspect must be a boolean');
+        }
+
+        if (basicAuth !== undefined) {
+            if (basicAuth === null || typeof basicAuth !== 'object' || Array.isArray(basicAuth)) {
+                return invalid('Invalid basic_auth', 'basic_auth must be a JSON object with username and password');
+            }
+            try {
+                BasicAuth.validate(basicAuth);
+            } catch (err) {
+                return invalid('Invalid basic_auth', err.message);
+            }
+        }
+
+        let ipFilter;
+        if (ipAllow !== undefined || ipDeny !== undefined) {
+            ipFilter = { allow: ipAllow || [], deny: ipDeny || [] };
+            try {
+                IpFilter.validate(ipFilter);
+            } catch (err) {
+                return invalid('Invalid IP filter', err.message);
+            }
+        }
+
+        if (useForwardAuth !== undefined && typeof useForwardAuth !== 'boolean') {
+            return invalid('Invalid forward_auth', 'forward_auth must be a boolean');
+        }
+        if (useForwardAuth === true && !forwardAuth) {
+            return invalid('Invalid forward_auth', 'Forward auth is not configured on this server (LT_FORWARD_AUTH_URL)');
+        }
+
+        if (transport !== undefined && !TUNNEL_TRANSPORTS.includes(transport)) {
+            return invalid('Invalid transport', `transport must be one of: ${TUNNEL_TRANSPORTS.join(', ')}`);
+        }
+
+        if (type !== undefined && !TUNNEL_TYPES.includes(type)) {
+            return invalid('Invalid type', `type must be one of: ${TUNNEL_TYPES.join(', ')}`);
+        }
+
+        if (type === 'tcp' && !manager.tcpTunnelsEnabled) {
+            return invalid('Invalid type', 'TCP tunnels are not enabled on this server');
+        }
+
+        // HTTP features: raw TCP tunnels only support the IP filter
+        if (type === 'tcp') {
+            const httpOnly = [['basic_auth', basicAuth], ['forward_auth', useForwardAuth], ['inspect', inspect]]
+                .filter(([, value]) => value !== undefined && value !== false)
+                .map(([name]) => name);
+            if (httpOnly.length > 0) {
+                return invalid('Invalid type', `${httpOnly.join(', ')} cannot be used with TCP tunnels`);
+            }
+        }
+
+        if (maxConnections !== undefined && (!Number.isInteger(maxConnections) || maxConnections < 1)) {
+            return invalid('Invalid max_connections', 'max_connections must be a positive integer');
+        }
+
+        if (subdomain !== undefined && !checkAllowedSubdomain(ctx, subdomain, 'POST /api/tunnels')) {
+            return;
+        }
+
+        const reqId = subdomain || hri.random();
+        adminDebug('POST /api/tunnels - Making new client with id: %s (identifier: %s=%s)',
+                  reqId, identifier.type, identifier.value);
+
+        const created = await respondWithNewClient(ctx, reqId, {
+            ip: clientIP,
+            identifier: identifier,
+            credentials: getCredentials(ctx, identifier),
+            random: subdomain === undefined,
+            maxSockets: maxSockets,
+            gracePeriod: gracePeriod,
+            metadata: metadata,
+            inspect: inspect,
+            basicAuth: basicAuth,
+            ipFilter: ipFilter,
+            forwardAuth: useForwardAuth,
+            transport: transport,
+            type: type,
+            maxConnections: maxConnections,
+        }, 'POST /api/tunnels');
+
+        if (created) {
+            ctx.status = 201;
+        }
     });
 
     // root endpoint for tunnel creation
-    adminRouter.get('/', requireHmacAuth, async (ctx, next) => {
+    adminRouter.get('/', requireTunnelAuth, async (ctx, next) => {
         const path = ctx.request.path;
         adminDebug('GET / - Request received from %s, path: %s', ctx.request.ip, path);
 
@@ -289,15 +1457,15 @@ export default function(opt) {
         if (isNewClientRequest) {
             const reqId = hri.random();
             const clientIP = getClientIP(ctx.request);
-            const identifier = getClientIdentifier(ctx.request);
+            const identifier = getTunnelIdentifier(ctx);
             adminDebug('GET / - Making new client with random id: %s from IP: %s (identifier: %s=%s)',
                       reqId, clientIP, identifier.type, identifier.value);
-            const info = await manager.newClient(reqId, { ip: clientIP, identifier: identifier });
-
-            const url = buildPublicUrl(info.id, ctx.request.host);
-            info.url = url;
-            adminDebug('GET / - New tunnel created: %s (port: %d)', url, info.port);
-            ctx.body = info;
+            await respondWithNewClient(ctx, reqId, {
+                ip: clientIP,
+                identifier: identifier,
+                credentials: getCredentials(ctx, identifier),
+                random: true,
+            }, 'GET /');
             return;
         }
 
@@ -308,50 +1476,38 @@ export default function(opt) {
 
     // anything after the / path is a request for a specific client name
     // This is a backwards compat feature
-    adminRouter.get('/:id', requireHmacAuth, async (ctx) => {
+    adminRouter.get('/:id', requireTunnelAuth, async (ctx) => {
         const reqId = ctx.params.id;
         const clientIP = getClientIP(ctx.request);
-        const identifier = getClientIdentifier(ctx.request);
+        const identifier = getTunnelIdentifier(ctx);
         adminDebug('GET /%s - Request received from %s (IP: %s, identifier: %s=%s) for custom subdomain',
                   reqId, ctx.request.ip, clientIP, identifier.type, identifier.value);
 
         // limit requested hostnames to 63 characters
-        if (! /^(?:[a-z0-9][a-z0-9\-]{4,63}[a-z0-9]|[a-z0-9]{4,63})$/.test(reqId)) {
-            const msg = 'Invalid subdomain. Subdomains must be lowercase and between 4 and 63 alphanumeric characters.';
+        if (!SUBDOMAIN_PATTERN.test(reqId)) {
             adminDebug('GET /%s - Invalid subdomain format, rejecting request', reqId);
             ctx.status = 403;
             ctx.body = {
-                message: msg,
+                message: INVALID_SUBDOMAIN_MESSAGE,
             };
             return;
         }
 
+        if (!checkAllowedSubdomain(ctx, reqId, `GET /${reqId}`)) {
+            return;
+        }
+
         adminDebug('GET /%s - Making new client with custom id from IP: %s (identifier: %s=%s)',
                   reqId, clientIP, identifier.type, identifier.value);
 
-        try {
-            const info = await manager.newClient(reqId, { ip: clientIP, identifier: identifier });
-
-            const url = buildPublicUrl(info.id, ctx.request.host);
-            info.url = url;
-            adminDebug('GET /%s - Custom tunnel created: %s (port: %d)', reqId, url, info.port);
-            ctx.body = info;
-            return;
-        } catch (err) {
-            // Handle IP mismatch error in strict mode
-            if (err.message.includes('reserved by another client')) {
-                adminDebug('GET /%s - Subdomain reserved for different IP', reqId);
-                ctx.status = 409;  // Conflict
-                ctx.body = {
-                    error: 'Subdomain reserved',
-                    message: err.message
-                };
-                return;
-            }
-            throw err;
-        }
+        await respondWithNewClient(ctx, reqId, {
+            ip: clientIP,
+            identifier: identifier,
+            credentials: getCredentials(ctx, identifier),
+        }, `GET /${reqId}`);
     });
 
+    adminApp.use(requireAdminAuth);
     adminApp.use(adminRouter.routes());
     adminApp.use(adminRouter.allowedMethods());
 
@@ -365,10 +1521,45 @@ export default function(opt) {
         adminCallback(req, res);
     });
 
+    // Checks the visitor IP against the global and the tunnel IP filters
+    // A refused visitor is counted in the tunnel stats
+    function isVisitorAllowed(client, req) {
+        const ip = getClientIP(req);
+        if ((visitorIpFilter && !visitorIpFilter.allows(ip)) || (client.ipFilter && !client.ipFilter.allows(ip))) {
+            client.recordRequest();
+            client.recordIpRejection();
+            visitorIpRejections.inc();
+            return false;
+        }
+        return true;
+    }
+
+    // Upgrades a tunnel client WebSocket (/_lt/connect/<id>) into a tunnel socket
+    // The stream goes through the same handshake as a socket on the tunnel port
+    function acceptTunnelWebSocket(req, socket, head, tunnelId) {
+        const client = manager.getClient(tunnelId);
+        if (!client) {
+            publicDebug('Tunnel WebSocket - Client not found: %s - Responding 404 Tunnel Not Found', tunnelId);
+            writeRawResponse(socket, 404, {}, Buffer.from('Tunnel Not Found'));
+            return;
+        }
+        // client certificates can only be checked on the tunnel port
+        if (tunnelTls && tunnelTls.verifyClients) {
+            publicDebug('Tunnel WebSocket - Client %s: client certificates are required - Responding 403 Forbidden', tunnelId);
+            writeRawResponse(socket, 403, {}, Buffer.from('Tunnel sockets require a client certificate'));
+            return;
+        }
+
+        tunnelWss.handleUpgrade(req, socket, head, (ws) => {
+            publicDebug('Tunnel WebSocket - Client %s: tunnel socket from %s', tunnelId, getSocketInfo(req));
+            client.agent.acceptConnection(new WebSocketStream(ws, req));
+        });
+    }
+
     // Create main public server (for tunnel traffic)
     const server = http.createServer();
 
-    server.on('request', (req, res) => {
+    server.on('request', async (req, res) => {
         // do not log healthz to prevent flooding console logs
         if (req.url === '/healthz') {
           res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -392,6 +1583,7 @@ export default function(opt) {
             // If no clientId, this might be an admin request on the main server
             // (when admin port is not specified separately)
             publicDebug('No clientId found, treating as admin request');
+            publicAdminRequests.add(req);
             adminCallback(req, res);
             return;
         }
@@ -408,11 +1600,55 @@ export default function(opt) {
             return;
         }
 
+        // Raw TCP tunnels are only reachable on their public port
+        if (client.type === 'tcp') {
+            publicDebug('Client %s is a raw TCP tunnel - Responding 404 Tunnel Not Found', clientId);
+            res.statusCode = 404;
+            res.statusMessage = 'Tunnel Not Found';
+            res.end();
+            return;
+        }
+
+        if (!isVisitorAllowed(client, req)) {
+            publicDebug('Client %s does not accept visitors from %s - Responding 403 Forbidden', clientId, getClientIP(req));
+            res.statusCode = 403;
+            res.end('Forbidden');
+            return;
+        }
+
+        // Protected tunnel: visitors authenticate before the tunnel state is revealed
+        if (client.basicAuth) {
+            if (!(await client.basicAuth.verify(req.headers.authorization))) {
+                publicDebug('Client %s requires basic auth - Responding 401 Unauthorized', clientId);
+                visitorAuthFailures.inc();
+                res.statusCode = 401;
+                res.setHeader('WWW-Authenticate', `Basic realm="${clientId}", charset="UTF-8"`);
+                res.end('Authentication required');
+                return;
+            }
+            // the credentials are for this server, not for the tunneled app
+            BasicAuth.stripAuthorization(req);
+        }
+
+        if (forwardAuth && client.forwardAuth) {
+            const result = await forwardAuth.check(req, { ip: getClientIP(req), proto: schema });
+            if (!result.allowed) {
+                publicDebug('Client %s forward auth refused the request - Responding %d', clientId, result.statusCode);
+                client.recordRequest();
+                client.recordResponse(result.statusCode);
+                res.writeHead(result.statusCode, result.headers);
+                res.end(result.body);
+                return;
+            }
+        }
+
         // CASE 2: Client exists but is offline (grace period)
         if (!client.isOnline && client.graceTimeout) {
             const remaining = Math.ceil(client.getGracePeriodRemaining() / 1000);
             publicDebug('Client %s offline (grace period: %ds remaining) - Responding 503 Service Temporarily Unavailable, Retry-After: %d',
                   clientId, remaining, remaining);
+            client.recordRequest();
+            client.recordResponse(503);
             res.statusCode = 503;
             res.statusMessage = 'Service Temporarily Unavailable';
             res.setHeader('Retry-After', remaining.toString());
@@ -420,14 +1656,10 @@ export default function(opt) {
             return;
         }
 
-        // CASE 3: Client online but no sockets available
+        // CASE 3: Client online but no sockets available - handleRequest waits in the tunnel socket queue
+        // (served in arrival order, 503 after LT_REQUEST_TIMEOUT)
         if (client.isOnline && !client.hasAvailableSockets()) {
-            publicDebug('Client %s busy (0 available sockets) - Responding 503 Service Unavailable, Retry-After: %d', clientId, retryAfter);
-            res.statusCode = 503;
-            res.statusMessage = 'Service Unavailable';
-            res.setHeader('Retry-After', retryAfter.toString());
-            res.end();
-            return;
+            publicDebug('Client %s busy (0 available sockets) - queuing request', clientId);
         }
 
         // CASE 4: Client online with sockets - process normally
@@ -461,6 +1693,11 @@ export default function(opt) {
 
         const clientId = GetClientIdFromHostname(hostname);
         if (!clientId) {
+            const connectMatch = CONNECT_PATH_PATTERN.exec(req.url);
+            if (connectMatch && tunnelWss) {
+                acceptTunnelWebSocket(req, socket, head, connectMatch[1]);
+                return;
+            }
             publicDebug('WebSocket upgrade: No clientId found, destroying socket');
             socket.destroy();
             return;
@@ -476,6 +1713,48 @@ export default function(opt) {
             return;
         }
 
+        if (client.type === 'tcp') {
+            publicDebug('WebSocket upgrade - Client %s is a raw TCP tunnel - Responding 404 Tunnel Not Found', clientId);
+            respondAndClose(404, 'Tunnel Not Found');
+            return;
+        }
+
+        if (!isVisitorAllowed(client, req)) {
+            publicDebug('WebSocket upgrade - Client %s does not accept visitors from %s - Responding 403 Forbidden',
+                  clientId, getClientIP(req));
+            respondAndClose(403, 'Forbidden');
+            return;
+        }
+
+        // Protected tunnel: same check as for HTTP requests
+        if (client.basicAuth) {
+            if (!(await client.basicAuth.verify(req.headers.authorization))) {
+                publicDebug('WebSocket upgrade - Client %s requires basic auth - Responding 401 Unauthorized', clientId);
+                visitorAuthFailures.inc();
+                socket.write([
+                    'HTTP/1.1 401 Unauthorized',
+                    `WWW-Authenticate: Basic realm="${clientId}", charset="UTF-8"`,
+                    'Connection: close',
+                    '', '',
+                ].join('\r\n'));
+                socket.end();
+                return;
+            }
+            BasicAuth.stripAuthorization(req);
+        }
+
+        if (forwardAuth && client.forwardAuth) {
+            const result = await forwardAuth.check(req, { ip: getClientIP(req), proto: schema });
+            if (!result.allowed) {
+                publicDebug('WebSocket upgrade - Client %s forward auth refused the upgrade - Responding %d',
+                      clientId, result.statusCode);
+                client.recordRequest();
+                client.recordResponse(result.statusCode);
+                writeRawResponse(socket, result.statusCode, result.headers, result.body);
+                return;
+            }
+        }
+
         // CASE 6: Client offline (grace period) - WAIT for reconnection
         if (!client.isOnline && client.graceTimeout) {
             const gracePeriodRemaining = client.getGracePeriodRemaining();
@@ -493,26 +1772,17 @@ export default function(opt) {
                 const remaining = Math.ceil(client.getGracePeriodRemaining() / 1000);
                 publicDebug('WebSocket upgrade - Client %s timeout (%dms), Responding 503 Service Temporarily Unavailable, Retry-After: %d',
                       clientId, waitTime, remaining);
+                client.recordRequest();
+                client.recordResponse(503);
                 respondAndClose(503, 'Service Temporarily Unavailable', remaining.toString());
                 return;
             }
         }
 
-        // CASE 7: Client online but no sockets - WAIT for socket
+        // CASE 7: Client online but no sockets - handleUpgrade waits in the tunnel socket queue
+        // (served in arrival order, 503 after WEBSOCKET_TIMEOUT)
         if (client.isOnline && !client.hasAvailableSockets()) {
-            publicDebug('WebSocket upgrade - Client %s has no available sockets, waiting up to %dms', clientId, WEBSOCKET_TIMEOUT);
-
-            const socketAvailable = await waitForAvailableSocket(client, WEBSOCKET_TIMEOUT);
-
-            if (socketAvailable) {
-                publicDebug('WebSocket upgrade - Client %s socket available, proceeding with upgrade', clientId);
-                // Continue to normal processing below
-            } else {
-                publicDebug('WebSocket upgrade - Client %s timeout (%dms), Responding 503 Service Unavailable, Retry-After: %d',
-                      clientId, WEBSOCKET_TIMEOUT, retryAfter);
-                respondAndClose(503, 'Service Unavailable', retryAfter.toString());
-                return;
-            }
+            publicDebug('WebSocket upgrade - Client %s has no available sockets, queuing for up to %dms', clientId, WEBSOCKET_TIMEOUT);
         }
 
         // Process upgrade normally
@@ -520,6 +1790,12 @@ export default function(opt) {
         client.handleUpgrade(req, socket);
     });
 
+    // stop reloading the subdomain policy on SIGHUP once either server is closed
+    if (subdomainPolicy) {
+        server.on('close', () => subdomainPolicy.close());
+        adminServer.on('close', () => subdomainPolicy.close());
+    }
+
     // Return both servers
     // - server: main public server for tunnel traffic
     // - adminServer: administrative server for tunnel creation and management
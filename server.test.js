@@ -7,6 +7,7 @@ import crypto from 'crypto';
 import fs from 'fs';
 
 import createServer from './server.js';
+import HmacAuthenticator from './lib/HmacAuthenticator.js';
 
 // Helper function to make HTTP requests
 function makeRequest(server, path, options = {}) {
@@ -43,6 +44,19 @@ function makeRequest(server, path, options = {}) {
     });
 }
 
+// Helper function to open a tunnel socket, sending the connect handshake
+function connectTunnel(createRes) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ port: createRes.body.port }, () => {
+            if (createRes.body.connect_secret) {
+                socket.write(`LT-AUTH ${createRes.body.connect_secret}\n`);
+            }
+            resolve(socket);
+        });
+        socket.once('error', reject);
+    });
+}
+
 describe('Server', () => {
     it('server starts and stops', async () => {
         const { server, adminServer } = createServer();
@@ -98,7 +112,6 @@ describe('Server', () => {
         await new Promise(resolve => adminServer.listen(resolve));
 
         const res = await makeRequest(adminServer, '/websocket-test');
-        const localTunnelPort = res.body.port;
 
         const wss = await new Promise((resolve) => {
             const wsServer = new WebSocketServer({ port: 0 }, () => {
@@ -108,7 +121,7 @@ describe('Server', () => {
 
         const websocketServerPort = wss.address().port;
 
-        const ltSocket = net.createConnection({ port: localTunnelPort });
+        const ltSocket = await connectTunnel(res);
         const wsSocket = net.createConnection({ port: websocketServerPort });
         ltSocket.pipe(wsSocket).pipe(ltSocket);
 
@@ -159,9 +172,14 @@ describe('Server', () => {
         // check status
         const res2 = await makeRequest(adminServer, '/api/tunnels/foobar-test/status');
         assert.equal(res2.statusCode, 200);
-        assert.deepEqual(res2.body, {
-            connected_sockets: 0,
-        });
+        assert.equal(res2.body.state, 'grace');
+        assert.ok(res2.body.grace_period_remaining > 0);
+        assert.ok(res2.body.grace_period_remaining <= 5000);
+        assert.equal(res2.body.connected_sockets, 0);
+        assert.equal(res2.body.requests, 0);
+        assert.deepEqual(res2.body.status_codes, {});
+        assert.equal(res2.body.last_request_at, null);
+        assert.equal(res2.body.last_socket_connected_at, null);
 
         await new Promise(resolve => server.close(resolve));
         await new Promise(resolve => adminServer.close(resolve));
@@ -174,6 +192,813 @@ describe('Server', () => {
         }
     });
 
+    describe('POST /api/tunnels', () => {
+        const jsonHeaders = { 'Content-Type': 'application/json' };
+
+        it('should create a tunnel with a random subdomain', async () => {
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const res = await makeRequest(adminServer, '/api/tunnels', { method: 'POST' });
+            assert.equal(res.statusCode, 201);
+            assert.ok(res.body.id);
+            assert.ok(res.body.port > 0);
+            assert.ok(res.body.url.includes(res.body.id));
+
+            await makeRequest(adminServer, `/api/tunnels/${res.body.id}`, { method: 'DELETE' });
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should create a tunnel from a JSON body', async () => {
+            const { adminServer } = createServer({ max_tcp_sockets: 10 });
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const res = await makeRequest(adminServer, '/api/tunnels', {
+                method: 'POST',
+                headers: jsonHeaders,
+                body: {
+                    subdomain: 'json-tunnel',
+                    client_token: 'json-token',
+                    max_sockets: 4,
+                    grace_period: 5000,
+                    metadata: { owner: 'team-a' },
+                },
+            });
+            assert.equal(res.statusCode, 201);
+            assert.equal(res.body.id, 'json-tunnel');
+            assert.equal(res.body.max_conn_count, 4);
+            assert.ok(res.body.url.startsWith('http://json-tunnel.'));
+
+            const list = await makeRequest(adminServer, '/api/tunnels?prefix=json-tunnel');
+            assert.equal(list.body.tunnels[0].identifier_type, 'token');
+            assert.deepEqual(list.body.tunnels[0].metadata, { owner: 'team-a' });
+
+            await makeRequest(adminServer, '/api/tunnels/json-tunnel', { method: 'DELETE' });
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should never grant more sockets than the server allows', async () => {
+            const { adminServer } = createServer({ max_tcp_sockets: 5 });
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const res = await makeRequest(adminServer, '/api/tunnels', {
+                method: 'POST',
+                headers: jsonHeaders,
+                body: { subdomain: 'greedy-tunnel', max_sockets: 50 },
+            });
+            assert.equal(res.statusCode, 201);
+            assert.equal(res.body.max_conn_count, 5);
+
+            await makeRequest(adminServer, '/api/tunnels/greedy-tunnel', { method: 'DELETE' });
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should serve visitors over the multiplexed transport', async function() {
+            this.timeout(5000);
+            const { server, adminServer } = createServer({ domain: 'example.com' });
+            await new Promise(resolve => server.listen(resolve));
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const createRes = await makeRequest(adminServer, '/api/tunnels', {
+                method: 'POST',
+                headers: jsonHeaders,
+                body: { subdomain: 'mux-tunnel', transport: 'mux' },
+            });
+            assert.equal(createRes.statusCode, 201);
+            assert.equal(createRes.body.transport, 'mux');
+
+            // one connection for every visitor: answer each stream the server opens
+            const frame = (type, flags, streamId, length, payload = Buffer.alloc(0)) => {
+                const header = Buffer.alloc(12);
+                header.writeUInt8(type, 1);
+                header.writeUInt16BE(flags, 2);
+                header.writeUInt32BE(streamId, 4);
+                header.writeUInt32BE(length, 8);
+                return Buffer.concat([header, payload]);
+            };
+            const socket = await connectTunnel(createRes);
+            let buffer = Buffer.alloc(0);
+            socket.on('data', (chunk) => {
+                buffer = Buffer.concat([buffer, chunk]);
+                while (buffer.length >= 12) {
+                    const [type, flags, streamId, length] = [buffer.readUInt8(1), buffer.readUInt16BE(2), buffer.readUInt32BE(4), buffer.readUInt32BE(8)];
+                    const size = type === 0 ? 12 + length : 12;
+                    if (buffer.length < size) {
+                        return;
+                    }
+                    buffer = buffer.subarray(size);
+                    if (flags & 0x1) {
+                        socket.write(frame(1, 0x2, streamId, 0));
+                    } else if (type === 0 && length > 0) {
+                        const response = Buffer.from(`HTTP/1.1 200 OK\r\nContent-Length: 8\r\n\r\nstream ${streamId}`);
+                        socket.write(frame(0, 0x4, streamId, response.length, response));
+                    }
+                }
+            });
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            const headers = { Host: 'mux-tunnel.example.com' };
+            const responses = await Promise.all([makeRequest(server, '/', { headers }), makeRequest(server, '/', { headers })]);
+            assert.deepEqual(responses.map(res => res.body).sort(), ['stream 2', 'stream 4']);
+
+            const status = await makeRequest(adminServer, '/api/tunnels/mux-tunnel/status');
+            assert.equal(status.body.transport, 'mux');
+            assert.equal(status.body.connected_sockets, 1);
+
+            socket.destroy();
+            await makeRequest(adminServer, '/api/tunnels/mux-tunnel', { method: 'DELETE' });
+            await new Promise(resolve => server.close(resolve));
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should pipe connections to the public port of a raw TCP tunnel', async function() {
+            this.timeout(5000);
+            const { server, adminServer } = createServer({
+                domain: 'example.com',
+                tcpPortRangeStart: 10110,
+                tcpPortRangeEnd: 10119,
+            });
+            await new Promise(resolve => server.listen(resolve));
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const createRes = await makeRequest(adminServer, '/api/tunnels', {
+                method: 'POST',
+                headers: jsonHeaders,
+                body: { subdomain: 'database', type: 'tcp', max_connections: 2 },
+            });
+            assert.equal(createRes.statusCode, 201);
+            assert.equal(createRes.body.type, 'tcp');
+            assert.equal(createRes.body.public_port, 10110);
+            assert.equal(createRes.body.public_host, 'localhost');
+            assert.equal(createRes.body.url, 'tcp://localhost:10110');
+            assert.equal(createRes.body.max_connections, 2);
+
+            // the tunnel client answers every line it receives
+            const socket = await connectTunnel(createRes);
+            socket.on('data', chunk => socket.write(`pong ${chunk}`));
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            const visitor = net.connect(createRes.body.public_port);
+            const reply = new Promise(resolve => visitor.once('data', chunk => resolve(chunk.toString())));
+            visitor.write('ping\n');
+            assert.equal(await reply, 'pong ping\n');
+
+            const status = await makeRequest(adminServer, '/api/tunnels/database/status');
+            assert.equal(status.body.type, 'tcp');
+            assert.equal(status.body.public_port, 10110);
+            assert.equal(status.body.active_connections, 1);
+            assert.equal(status.body.tcp_connections, 1);
+            assert.equal(status.body.bytes_in, 5);
+            assert.equal(status.body.bytes_out, 10);
+
+            // not reachable over HTTP on its subdomain
+            const httpRes = await makeRequest(server, '/', { headers: { Host: 'database.example.com' } });
+            assert.equal(httpRes.statusCode, 404);
+
+            visitor.destroy();
+            await makeRequest(adminServer, '/api/tunnels/database', { method: 'DELETE' });
+            await new Promise(resolve => server.close(resolve));
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should refuse HTTP options and enforce the IP filter on raw TCP tunnels', async () => {
+            const { adminServer } = createServer({
+                tcpPortRangeStart: 10121,
+                tcpPortRangeEnd: 10121,
+            });
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const create = body => makeRequest(adminServer, '/api/tunnels', {
+                method: 'POST',
+                headers: jsonHeaders,
+                body: { subdomain: 'filtered-db', type: 'tcp', ...body },
+            });
+            for (const body of [{ basic_auth: { username: 'user', password: 'secret-password' } }, { inspect: true }]) {
+                const res = await create(body);
+                assert.equal(res.statusCode, 400, JSON.stringify(body));
+                assert.match(res.body.message, /cannot be used with TCP tunnels/);
+            }
+
+            const created = await create({ ip_allow: ['192.0.2.0/24'] });
+            assert.equal(created.statusCode, 201);
+
+            // connections from outside the allowlist are closed before reaching the tunnel client
+            const visitor = net.connect(created.body.public_port, '127.0.0.1');
+            visitor.on('error', () => {});
+            await new Promise(resolve => visitor.once('close', resolve));
+
+            const status = await makeRequest(adminServer, '/api/tunnels/filtered-db/status');
+            assert.equal(status.body.rejected_tcp_connections, 1);
+            assert.equal(status.body.tcp_connections, 0);
+            const metrics = await makeRequest(adminServer, '/metrics');
+            assert.match(metrics.body, /localtunnel_visitor_ip_rejections_total 1/);
+
+            await makeRequest(adminServer, '/api/tunnels/filtered-db', { method: 'DELETE' });
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should answer 503 with Retry-After when the public TCP port range is exhausted', async () => {
+            const { adminServer } = createServer({
+                tcpPortRangeStart: 10120,
+                tcpPortRangeEnd: 10120,
+            });
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const create = subdomain => makeRequest(adminServer, '/api/tunnels', {
+                method: 'POST',
+                headers: jsonHeaders,
+                body: { subdomain, type: 'tcp' },
+            });
+            assert.equal((await create('database')).statusCode, 201);
+
+            const res = await create('other-database');
+            assert.equal(res.statusCode, 503);
+            assert.equal(res.headers['retry-after'], '5');
+            assert.equal(res.body.error, 'No ports available');
+            assert.equal(res.body.message, 'No available public TCP ports in range');
+
+            await makeRequest(adminServer, '/api/tunnels/database', { method: 'DELETE' });
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should reject invalid fields with 400', async () => {
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const cases = [
+                [{ subdomain: 'NO' }, 'Invalid subdomain'],
+                [{ client_token: 'bad token!' }, 'Invalid client token'],
+                [{ max_sockets: 0 }, 'Invalid max_sockets'],
+                [{ grace_period: -1 }, 'Invalid grace_period'],
+                [{ metadata: 'text' }, 'Invalid metadata'],
+                [{ transport: 'bogus' }, 'Invalid transport'],
+                [{ type: 'udp' }, 'Invalid type'],
+                // no public TCP port range
+                [{ type: 'tcp' }, 'Invalid type'],
+                [{ max_connections: 0 }, 'Invalid max_connections'],
+                [[1, 2], 'Invalid request body'],
+            ];
+
+            for (const [body, error] of cases) {
+                const res = await makeRequest(adminServer, '/api/tunnels', {
+                    method: 'POST',
+                    headers: jsonHeaders,
+                    body,
+                });
+                assert.equal(res.statusCode, 400, error);
+                assert.equal(res.body.error, error);
+            }
+
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should reject malformed JSON and other content types', async () => {
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const port = adminServer.address().port;
+            const send = (contentType, payload) => new Promise((resolve, reject) => {
+                const req = http.request({
+                    port,
+                    path: '/api/tunnels',
+                    method: 'POST',
+                    headers: { 'Content-Type': contentType },
+                }, (res) => {
+                    res.resume();
+                    res.on('end', () => resolve(res));
+                });
+                req.on('error', reject);
+                req.end(payload);
+            });
+
+            const malformed = await send('application/json', '{"subdomain":');
+            assert.equal(malformed.statusCode, 400);
+
+            const wrongType = await send('text/plain', 'subdomain=abcd');
+            assert.equal(wrongType.statusCode, 415);
+
+            const tooLarge = await send('application/json', JSON.stringify({ metadata: { x: 'a'.repeat(20000) } }));
+            assert.equal(tooLarge.statusCode, 413);
+
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should require a signature over the body when HMAC is enabled', async () => {
+            const secret = 'test-secret-at-least-32-chars-long-12345';
+            const originalSecret = process.env.LT_HMAC_SECRET;
+            process.env.LT_HMAC_SECRET = secret;
+
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const sign = (body) => {
+                const timestamp = Math.floor(Date.now() / 1000).toString();
+                const nonce = (Date.now() + Math.floor(Math.random() * 1000)).toString();
+                const message = `POST/api/tunnels${timestamp}${nonce}${body}`;
+                const signature = crypto.createHmac('sha256', secret).update(message).digest('hex');
+                return {
+                    'Content-Type': 'application/json',
+                    'Authorization': `HMAC sha256=${signature}`,
+                    'X-Timestamp': timestamp,
+                    'X-Nonce': nonce,
+                };
+            };
+
+            try {
+                const body = { subdomain: 'signed-tunnel' };
+                const res = await makeRequest(adminServer, '/api/tunnels', {
+                    method: 'POST',
+                    headers: sign(JSON.stringify(body)),
+                    body,
+                });
+                assert.equal(res.statusCode, 201);
+                assert.equal(res.body.id, 'signed-tunnel');
+
+                // signature computed for a different body must be rejected
+                const tampered = await makeRequest(adminServer, '/api/tunnels', {
+                    method: 'POST',
+                    headers: sign(JSON.stringify({ subdomain: 'other-tunnel' })),
+                    body: { subdomain: 'evil-tunnel' },
+                });
+                assert.equal(tampered.statusCode, 401);
+            } finally {
+                await new Promise(resolve => adminServer.close(resolve));
+                if (originalSecret === undefined) {
+                    delete process.env.LT_HMAC_SECRET;
+                } else {
+                    process.env.LT_HMAC_SECRET = originalSecret;
+                }
+            }
+        });
+    });
+
+    describe('GET /api/tunnels', () => {
+        it('should list tunnels with their details', async () => {
+            const { adminServer } = createServer({ domain: 'example.com' });
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            await makeRequest(adminServer, '/list-alpha');
+            await makeRequest(adminServer, '/list-beta', {
+                headers: { 'X-LT-Client-Token': 'list-token' }
+            });
+
+            const res = await makeRequest(adminServer, '/api/tunnels');
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.tunnels.length, 2);
+            assert.equal(res.body.next_cursor, null);
+
+            const [alpha, beta] = res.body.tunnels;
+            assert.equal(alpha.id, 'list-alpha');
+            assert.equal(alpha.identifier_type, 'ip');
+            assert.equal(alpha.state, 'grace');
+            assert.ok(alpha.port > 0);
+            assert.ok(alpha.url.startsWith('http://list-alpha.localhost'));
+            assert.ok(!isNaN(Date.parse(alpha.created_at)));
+            assert.equal(alpha.connected_sockets, 0);
+            assert.equal(alpha.available_sockets, 0);
+            assert.equal(alpha.waiting_requests, 0);
+            assert.equal(beta.identifier_type, 'token');
+
+            await makeRequest(adminServer, '/api/tunnels/list-alpha', { method: 'DELETE' });
+            await makeRequest(adminServer, '/api/tunnels/list-beta', { method: 'DELETE' });
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should filter by state, identifier and id prefix', async () => {
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const online = await makeRequest(adminServer, '/filter-online');
+            await makeRequest(adminServer, '/filter-grace', {
+                headers: { 'X-LT-Client-Token': 'filter-token' }
+            });
+            await makeRequest(adminServer, '/other-tunnel');
+
+            const sock = await connectTunnel(online);
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            const byState = await makeRequest(adminServer, '/api/tunnels?state=online');
+            assert.deepEqual(byState.body.tunnels.map(t => t.id), ['filter-online']);
+
+            const byIdentifier = await makeRequest(adminServer, '/api/tunnels?identifier=token');
+            assert.deepEqual(byIdentifier.body.tunnels.map(t => t.id), ['filter-grace']);
+
+            const byPrefix = await makeRequest(adminServer, '/api/tunnels?prefix=filter-');
+            assert.deepEqual(byPrefix.body.tunnels.map(t => t.id), ['filter-grace', 'filter-online']);
+
+            const invalid = await makeRequest(adminServer, '/api/tunnels?state=offline');
+            assert.equal(invalid.statusCode, 400);
+
+            sock.destroy();
+            for (const id of ['filter-online', 'filter-grace', 'other-tunnel']) {
+                await makeRequest(adminServer, `/api/tunnels/${id}`, { method: 'DELETE' });
+            }
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should paginate with a cursor', async () => {
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const ids = ['page-aaaa', 'page-bbbb', 'page-cccc'];
+            for (const id of ids) {
+                await makeRequest(adminServer, `/${id}`);
+            }
+
+            const first = await makeRequest(adminServer, '/api/tunnels?limit=2');
+            assert.deepEqual(first.body.tunnels.map(t => t.id), ['page-aaaa', 'page-bbbb']);
+            assert.ok(first.body.next_cursor);
+
+            const second = await makeRequest(adminServer, `/api/tunnels?limit=2&cursor=${first.body.next_cursor}`);
+            assert.deepEqual(second.body.tunnels.map(t => t.id), ['page-cccc']);
+            assert.equal(second.body.next_cursor, null);
+
+            const invalid = await makeRequest(adminServer, '/api/tunnels?limit=0');
+            assert.equal(invalid.statusCode, 400);
+
+            for (const id of ids) {
+                await makeRequest(adminServer, `/api/tunnels/${id}`, { method: 'DELETE' });
+            }
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+    });
+
+    it('should report traffic counters in the tunnel status', async function() {
+        this.timeout(5000);
+        const { server, adminServer } = createServer({ domain: 'example.com' });
+        await new Promise(resolve => server.listen(resolve));
+        await new Promise(resolve => adminServer.listen(resolve));
+
+        // local app behind the tunnel
+        const localServer = http.createServer((req, res) => {
+            req.resume();
+            req.on('end', () => {
+                res.statusCode = req.url === '/missing' ? 404 : 200;
+                res.end('hello');
+            });
+        });
+        await new Promise(resolve => localServer.listen(resolve));
+
+        const createRes = await makeRequest(adminServer, '/traffic-test');
+
+        // connect tunnel sockets and pipe them to the local app
+        const sockets = [];
+        for (let i = 0; i < 2; i++) {
+            const tunnelSocket = await connectTunnel(createRes);
+            const localSocket = net.createConnection({ port: localServer.address().port });
+            await new Promise(resolve => localSocket.once('connect', resolve));
+            tunnelSocket.pipe(localSocket).pipe(tunnelSocket);
+            sockets.push(tunnelSocket, localSocket);
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const headers = { Host: 'traffic-test.example.com' };
+        const ok = await makeRequest(server, '/', { method: 'POST', headers, body: 'ping' });
+        assert.equal(ok.statusCode, 200);
+        const missing = await makeRequest(server, '/missing', { headers });
+        assert.equal(missing.statusCode, 404);
+
+        const res = await makeRequest(adminServer, '/api/tunnels/traffic-test/status');
+        assert.equal(res.body.state, 'online');
+        assert.equal(res.body.grace_period_remaining, null);
+        assert.equal(res.body.connected_sockets, 2);
+        assert.equal(res.body.requests, 2);
+        assert.deepEqual(res.body.status_codes, { 200: 1, 404: 1 });
+        assert.equal(res.body.bytes_in, JSON.stringify('ping').length);
+        assert.equal(res.body.bytes_out, 'hello'.length * 2);
+        assert.equal(res.body.retried_requests, 0);
+        assert.equal(res.body.evicted_sockets, 0);
+        assert.ok(Date.parse(res.body.last_request_at) <= Date.now());
+        assert.ok(Date.parse(res.body.last_socket_connected_at) <= Date.now());
+
+        sockets.forEach(socket => socket.destroy());
+        await makeRequest(adminServer, '/api/tunnels/traffic-test', { method: 'DELETE' });
+        await new Promise(resolve => localServer.close(resolve));
+        await new Promise(resolve => server.close(resolve));
+        await new Promise(resolve => adminServer.close(resolve));
+    });
+
+    it('should attach tunnel sockets over WebSocket on the public server', async function() {
+        this.timeout(5000);
+        const { server, adminServer } = createServer({ domain: 'example.com' });
+        await new Promise(resolve => server.listen(resolve));
+        await new Promise(resolve => adminServer.listen(resolve));
+
+        const createRes = await makeRequest(adminServer, '/ws-tunnel');
+        assert.ok(createRes.body.connect_url.endsWith('/_lt/connect/ws-tunnel'));
+
+        // the connect path is only served on the server host, not on tunnel subdomains
+        const port = server.address().port;
+        const missing = new WebSocket(`ws://localhost:${port}/_lt/connect/missing-tunnel`);
+        const status = await new Promise(resolve => missing.once('unexpected-response', (req, res) => resolve(res.statusCode)));
+        assert.equal(status, 404);
+
+        const ws = new WebSocket(`ws://localhost:${port}/_lt/connect/ws-tunnel`);
+        await new Promise(resolve => ws.once('open', resolve));
+        ws.send(`LT-AUTH ${createRes.body.connect_secret}\n`);
+        ws.on('message', (data) => {
+            if (data.toString().startsWith('GET /over-ws')) {
+                ws.send('HTTP/1.1 200 OK\r\nContent-Length: 7\r\n\r\nover ws');
+            }
+        });
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const res = await makeRequest(server, '/over-ws', { headers: { Host: 'ws-tunnel.example.com' } });
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body, 'over ws');
+
+        ws.close();
+        await makeRequest(adminServer, '/api/tunnels/ws-tunnel', { method: 'DELETE' });
+        await new Promise(resolve => server.close(resolve));
+        await new Promise(resolve => adminServer.close(resolve));
+    });
+
+    it('should capture requests when inspection is enabled', async function() {
+        this.timeout(5000);
+        const { server, adminServer } = createServer({ domain: 'example.com' });
+        await new Promise(resolve => server.listen(resolve));
+        await new Promise(resolve => adminServer.listen(resolve));
+
+        const localServer = http.createServer((req, res) => {
+            req.resume();
+            req.on('end', () => {
+                res.setHeader('Set-Cookie', 'session=secret');
+                res.statusCode = 201;
+                res.end('{"ok":true}');
+            });
+        });
+        await new Promise(resolve => localServer.listen(resolve));
+
+        const createRes = await makeRequest(adminServer, '/api/tunnels', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: { subdomain: 'inspect-test', inspect: true },
+        });
+        assert.equal(createRes.statusCode, 201);
+
+        const sockets = [];
+        for (let i = 0; i < 2; i++) {
+            const tunnelSocket = await connectTunnel(createRes);
+            const localSocket = net.createConnection({ port: localServer.address().port });
+            await new Promise(resolve => localSocket.once('connect', resolve));
+            tunnelSocket.pipe(localSocket).pipe(tunnelSocket);
+            sockets.push(tunnelSocket, localSocket);
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const headers = {
+            Host: 'inspect-test.example.com',
+            Authorization: 'Bearer visitor-secret',
+            'X-Webhook-Event': 'push',
+        };
+        const res = await makeRequest(server, '/hook?x=1', { method: 'POST', headers, body: { event: 'push' } });
+        assert.equal(res.statusCode, 201);
+
+        const list = await makeRequest(adminServer, '/api/tunnels/inspect-test/requests');
+        assert.equal(list.body.inspect, true);
+        assert.equal(list.body.requests.length, 1);
+        const summary = list.body.requests[0];
+        assert.equal(summary.method, 'POST');
+        assert.equal(summary.url, '/hook?x=1');
+        assert.equal(summary.status_code, 201);
+        assert.equal(summary.request, undefined);
+
+        const detail = await makeRequest(adminServer, `/api/tunnels/inspect-test/requests/${summary.id}`);
+        assert.equal(detail.statusCode, 200);
+        assert.equal(detail.body.request.headers['authorization'], '[REDACTED]');
+        assert.equal(detail.body.request.headers['x-webhook-event'], 'push');
+        assert.deepEqual(detail.body.request.body, { encoding: 'utf8', data: '{"event":"push"}' });
+        assert.equal(detail.body.response.headers['set-cookie'], '[REDACTED]');
+        assert.deepEqual(detail.body.response.body_preview, { encoding: 'utf8', data: '{"ok":true}' });
+        assert.ok(detail.body.duration_ms >= detail.body.latency_ms);
+
+        const unknown = await makeRequest(adminServer, '/api/tunnels/inspect-test/requests/999');
+        assert.equal(unknown.statusCode, 404);
+        const noTunnel = await makeRequest(adminServer, '/api/tunnels/no-such-tunnel/requests');
+        assert.equal(noTunnel.statusCode, 404);
+
+        sockets.forEach(socket => socket.destroy());
+        await makeRequest(adminServer, '/api/tunnels/inspect-test', { method: 'DELETE' });
+        await new Promise(resolve => localServer.close(resolve));
+        await new Promise(resolve => server.close(resolve));
+        await new Promise(resolve => adminServer.close(resolve));
+    });
+
+    it('should replay captured requests through the tunnel', async function() {
+        this.timeout(5000);
+        const { server, adminServer } = createServer({ domain: 'example.com' });
+        await new Promise(resolve => server.listen(resolve));
+        await new Promise(resolve => adminServer.listen(resolve));
+
+        // local app echoing what it received
+        const received = [];
+        const localServer = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                received.push({ method: req.method, url: req.url, headers: req.headers, body });
+                res.setHeader('Content-Type', 'text/plain');
+                res.end(`got ${body}`);
+            });
+        });
+        await new Promise(resolve => localServer.listen(resolve));
+
+        const createRes = await makeRequest(adminServer, '/api/tunnels', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: { subdomain: 'replay-test', inspect: true },
+        });
+
+        const sockets = [];
+        for (let i = 0; i < 2; i++) {
+            const tunnelSocket = await connectTunnel(createRes);
+            const localSocket = net.createConnection({ port: localServer.address().port });
+            await new Promise(resolve => localSocket.once('connect', resolve));
+            tunnelSocket.pipe(localSocket).pipe(tunnelSocket);
+            sockets.push(tunnelSocket, localSocket);
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const headers = { Host: 'replay-test.example.com', Authorization: 'Bearer visitor-secret', 'X-Event': 'a' };
+        await makeRequest(server, '/hook', { method: 'POST', headers, body: 'first' });
+        const list = await makeRequest(adminServer, '/api/tunnels/replay-test/requests');
+        const original = list.body.requests[0];
+
+        // unchanged replay: redacted headers are not sent
+        const replay = await makeRequest(adminServer, `/api/tunnels/replay-test/requests/${original.id}/replay`, {
+            method: 'POST',
+        });
+        assert.equal(replay.statusCode, 200);
+        assert.equal(replay.body.status_code, 200);
+        assert.equal(replay.body.replay_of, original.id);
+        assert.deepEqual(replay.body.body, { encoding: 'utf8', data: 'got "first"' });
+        assert.equal(received[1].url, '/hook');
+        assert.equal(received[1].body, '"first"');
+        assert.equal(received[1].headers['authorization'], undefined);
+        assert.equal(received[1].headers['x-event'], 'a');
+
+        // edited replay
+        const edited = await makeRequest(adminServer, `/api/tunnels/replay-test/requests/${original.id}/replay`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: { headers: { Authorization: 'Bearer new', 'X-Event': null }, body: 'second' },
+        });
+        assert.equal(edited.body.body.data, 'got second');
+        assert.equal(received[2].headers['authorization'], 'Bearer new');
+        assert.equal(received[2].headers['x-event'], undefined);
+        assert.equal(received[2].headers['content-length'], '6');
+
+        // replays are captured like any other request
+        const after = await makeRequest(adminServer, '/api/tunnels/replay-test/requests');
+        assert.equal(after.body.requests.length, 3);
+        assert.equal(after.body.requests[0].id, edited.body.request_id);
+        assert.equal(after.body.requests[0].replay_of, original.id);
+
+        const invalid = await makeRequest(adminServer, `/api/tunnels/replay-test/requests/${original.id}/replay`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: { body_encoding: 'hex' },
+        });
+        assert.equal(invalid.statusCode, 400);
+
+        sockets.forEach(socket => socket.destroy());
+        await new Promise(resolve => setTimeout(resolve, 50));
+        const offline = await makeRequest(adminServer, `/api/tunnels/replay-test/requests/${original.id}/replay`, {
+            method: 'POST',
+        });
+        assert.equal(offline.statusCode, 409);
+
+        await makeRequest(adminServer, '/api/tunnels/replay-test', { method: 'DELETE' });
+        await new Promise(resolve => localServer.close(resolve));
+        await new Promise(resolve => server.close(resolve));
+        await new Promise(resolve => adminServer.close(resolve));
+    });
+
+    it('should expose Prometheus metrics on the admin server', async () => {
+        const { adminServer } = createServer({ portRangeStart: 11200, portRangeEnd: 11203 });
+        await new Promise(resolve => adminServer.listen(resolve));
+
+        await makeRequest(adminServer, '/metrics-tunnel');
+        await makeRequest(adminServer, '/api/tunnels/metrics-tunnel', { method: 'DELETE' });
+        await makeRequest(adminServer, '/metrics-other');
+
+        const res = await makeRequest(adminServer, '/metrics');
+        assert.equal(res.statusCode, 200);
+        assert.ok(res.headers['content-type'].startsWith('text/plain; version=0.0.4'));
+        assert.ok(res.body.includes('localtunnel_tunnels{state="grace"} 1\n'));
+        assert.ok(res.body.includes('localtunnel_tunnels_created_total 2\n'));
+        assert.ok(res.body.includes('localtunnel_tunnels_removed_total 1\n'));
+        assert.ok(res.body.includes('localtunnel_port_pool_ports{state="available"} 3\n'));
+        assert.ok(res.body.includes('localtunnel_port_pool_ports{state="used"} 1\n'));
+        assert.ok(res.body.includes('localtunnel_tunnel_sockets{state="connected"} 0\n'));
+        assert.ok(res.body.includes('# TYPE localtunnel_proxy_latency_seconds histogram'));
+
+        await makeRequest(adminServer, '/api/tunnels/metrics-other', { method: 'DELETE' });
+        await new Promise(resolve => adminServer.close(resolve));
+    });
+
+    describe('DELETE /api/tunnels/:id', () => {
+        it('should return 404 when the tunnel does not exist', async () => {
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const res = await makeRequest(adminServer, '/api/tunnels/no-such-tunnel', { method: 'DELETE' });
+            assert.equal(res.statusCode, 404);
+            assert.equal(res.body.error, 'Tunnel not found');
+
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should close the tunnel, its sockets and release the port', async () => {
+            const { adminServer } = createServer({
+                portRangeStart: 11100,
+                portRangeEnd: 11100,
+            });
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const createRes = await makeRequest(adminServer, '/delete-me');
+            assert.equal(createRes.body.port, 11100);
+
+            const sock = await connectTunnel(createRes);
+            const closed = new Promise(resolve => sock.once('close', resolve));
+
+            const res = await makeRequest(adminServer, '/api/tunnels/delete-me', { method: 'DELETE' });
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.id, 'delete-me');
+            assert.equal(res.body.removed, true);
+            assert.equal(res.body.port, 11100);
+            assert.equal(res.body.blocked_until, null);
+
+            // tunnel socket is torn down by the server
+            await closed;
+
+            const statusRes = await makeRequest(adminServer, '/api/tunnels/delete-me/status');
+            assert.equal(statusRes.statusCode, 404);
+
+            // pooled port is available again
+            const again = await makeRequest(adminServer, '/delete-me');
+            assert.equal(again.body.id, 'delete-me');
+            assert.equal(again.body.port, 11100);
+
+            await makeRequest(adminServer, '/api/tunnels/delete-me', { method: 'DELETE' });
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should block the subdomain from being re-claimed', async () => {
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            await makeRequest(adminServer, '/blocked-sub');
+            const res = await makeRequest(adminServer, '/api/tunnels/blocked-sub?block=60000', { method: 'DELETE' });
+            assert.equal(res.statusCode, 200);
+            assert.ok(Date.parse(res.body.blocked_until) > Date.now());
+
+            // silent mode: a random subdomain is assigned instead
+            const again = await makeRequest(adminServer, '/blocked-sub');
+            assert.equal(again.statusCode, 200);
+            assert.notEqual(again.body.id, 'blocked-sub');
+
+            await makeRequest(adminServer, `/api/tunnels/${again.body.id}`, { method: 'DELETE' });
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should reject a blocked subdomain with 403 in strict mode', async () => {
+            const originalStrict = process.env.LT_IP_VALIDATION_STRICT;
+            process.env.LT_IP_VALIDATION_STRICT = 'true';
+
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            try {
+                await makeRequest(adminServer, '/blocked-strict');
+                await makeRequest(adminServer, '/api/tunnels/blocked-strict?block=60000', { method: 'DELETE' });
+
+                const again = await makeRequest(adminServer, '/blocked-strict');
+                assert.equal(again.statusCode, 403);
+                assert.equal(again.body.error, 'Subdomain blocked');
+            } finally {
+                await new Promise(resolve => adminServer.close(resolve));
+                if (originalStrict === undefined) {
+                    delete process.env.LT_IP_VALIDATION_STRICT;
+                } else {
+                    process.env.LT_IP_VALIDATION_STRICT = originalStrict;
+                }
+            }
+        });
+
+        it('should reject an invalid block period', async () => {
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            await makeRequest(adminServer, '/bad-block');
+            const res = await makeRequest(adminServer, '/api/tunnels/bad-block?block=soon', { method: 'DELETE' });
+            assert.equal(res.statusCode, 400);
+
+            await makeRequest(adminServer, '/api/tunnels/bad-block', { method: 'DELETE' });
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+    });
+
     // New tests for admin server separation and port range
     it('should create tunnels via admin server when port range is specified', async () => {
         const { server, adminServer } = createServer({
@@ -208,11 +1033,9 @@ describe('Server', () => {
 
         // Create a tunnel via admin server
         const createRes = await makeRequest(adminServer, '/my-tunnel');
-        const tunnelPort = createRes.body.port;
 
         // Connect a client to the tunnel
-        const clientSocket = net.createConnection({ port: tunnelPort });
-        await new Promise(resolve => clientSocket.once('connect', resolve));
+        const clientSocket = await connectTunnel(createRes);
 
         // Make request to public server with subdomain
         const res = await makeRequest(server, '/test', {
@@ -300,6 +1123,211 @@ describe('Server', () => {
         await new Promise(resolve => adminServer.close(resolve));
     });
 
+    describe('GET /api/events', () => {
+        // open an SSE stream and collect parsed events
+        function openEventStream(server, headers = {}) {
+            return new Promise((resolve, reject) => {
+                const req = http.get({
+                    hostname: 'localhost',
+                    port: server.address().port,
+                    path: '/api/events',
+                    headers,
+                }, (res) => {
+                    const stream = { res, req, events: [], waiters: [] };
+                    let buffer = '';
+                    res.setEncoding('utf8');
+                    res.on('data', (chunk) => {
+                        buffer += chunk;
+                        let end;
+                        while ((end = buffer.indexOf('\n\n')) !== -1) {
+                            const block = buffer.slice(0, end);
+                            buffer = buffer.slice(end + 2);
+                            const event = {};
+                            for (const line of block.split('\n')) {
+                                const [field, ...rest] = line.split(': ');
+                                event[field] = rest.join(': ');
+                            }
+                            if (event.event) {
+                                event.data = JSON.parse(event.data);
+                                stream.events.push(event);
+                                stream.waiters = stream.waiters.filter(waiter => !waiter());
+                            }
+                        }
+                    });
+                    resolve(stream);
+                });
+                req.on('error', reject);
+            });
+        }
+
+        function waitForEvent(stream, type, id) {
+            return new Promise((resolve) => {
+                const check = () => {
+                    const event = stream.events.find(e => e.event === type && e.data.id === id);
+                    if (event) {
+                        resolve(event);
+                    }
+                    return !!event;
+                };
+                if (!check()) {
+                    stream.waiters.push(check);
+                }
+            });
+        }
+
+        it('should stream tunnel lifecycle events', async () => {
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const stream = await openEventStream(adminServer);
+            assert.equal(stream.res.statusCode, 200);
+            assert.ok(stream.res.headers['content-type'].startsWith('text/event-stream'));
+
+            const created = await makeRequest(adminServer, '/api/tunnels', { method: 'POST' });
+            const id = created.body.id;
+            const createdEvent = await waitForEvent(stream, 'tunnel_created', id);
+            assert.equal(createdEvent.data.state, 'grace');
+            assert.equal(createdEvent.data.identifier_type, 'ip');
+
+            const graceEvent = await waitForEvent(stream, 'grace_started', id);
+            assert.ok(graceEvent.data.grace_period > 0);
+
+            await makeRequest(adminServer, `/api/tunnels/${id}`, { method: 'DELETE' });
+            const removedEvent = await waitForEvent(stream, 'tunnel_removed', id);
+            assert.ok(parseInt(removedEvent.id, 10) > parseInt(createdEvent.id, 10));
+
+            stream.req.destroy();
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should replay buffered events after Last-Event-ID', async () => {
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const first = await openEventStream(adminServer);
+            const created = await makeRequest(adminServer, '/api/tunnels', { method: 'POST' });
+            const id = created.body.id;
+            const createdEvent = await waitForEvent(first, 'tunnel_created', id);
+            first.req.destroy();
+
+            // removed while no subscriber is connected
+            await makeRequest(adminServer, `/api/tunnels/${id}`, { method: 'DELETE' });
+
+            const resumed = await openEventStream(adminServer, { 'Last-Event-ID': createdEvent.id });
+            await waitForEvent(resumed, 'tunnel_removed', id);
+            assert.ok(!resumed.events.some(e => e.event === 'tunnel_created'));
+
+            resumed.req.destroy();
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should publish auth_failed events', async () => {
+            const originalSecret = process.env.LT_HMAC_SECRET;
+            process.env.LT_HMAC_SECRET = 'events-secret-at-least-32-chars-long-123';
+
+            try {
+                const { adminServer } = createServer();
+                await new Promise(resolve => adminServer.listen(resolve));
+
+                const stream = await openEventStream(adminServer);
+                const res = await makeRequest(adminServer, '/api/tunnels', { method: 'POST' });
+                assert.equal(res.statusCode, 401);
+
+                await new Promise((resolve) => {
+                    const check = () => {
+                        const event = stream.events.find(e => e.event === 'auth_failed');
+                        if (event) {
+                            assert.equal(event.data.realm, 'tunnel');
+                            assert.equal(event.data.reason, 'missing_auth_header');
+                            assert.equal(event.data.path, '/api/tunnels');
+                            resolve();
+                        }
+                        return !!event;
+                    };
+                    if (!check()) {
+                        stream.waiters.push(check);
+                    }
+                });
+
+                stream.req.destroy();
+                await new Promise(resolve => adminServer.close(resolve));
+            } finally {
+                if (originalSecret === undefined) {
+                    delete process.env.LT_HMAC_SECRET;
+                } else {
+                    process.env.LT_HMAC_SECRET = originalSecret;
+                }
+            }
+        });
+    });
+
+    describe('Webhooks', () => {
+        it('should deliver lifecycle events and expose the delivery log', async () => {
+            const received = [];
+            const receiver = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', chunk => body += chunk);
+                req.on('end', () => {
+                    received.push(JSON.parse(body));
+                    res.end();
+                });
+            });
+            await new Promise(resolve => receiver.listen(0, 'localhost', resolve));
+
+            const originalWebhooks = process.env.LT_WEBHOOKS;
+            const originalSecret = process.env.LT_WEBHOOK_SECRET;
+            process.env.LT_WEBHOOKS = JSON.stringify([{
+                url: `http://localhost:${receiver.address().port}/hook`,
+                events: ['tunnel_removed'],
+            }]);
+            process.env.LT_WEBHOOK_SECRET = 'webhook-secret-at-least-32-chars-long-12';
+
+            try {
+                const { adminServer } = createServer();
+                await new Promise(resolve => adminServer.listen(resolve));
+
+                const config = await makeRequest(adminServer, '/api/webhooks');
+                assert.equal(config.body.webhooks.length, 1);
+                assert.deepEqual(config.body.webhooks[0].events, ['tunnel_removed']);
+                assert.equal(config.body.webhooks[0].secret, undefined);
+
+                const created = await makeRequest(adminServer, '/api/tunnels', { method: 'POST' });
+                await makeRequest(adminServer, `/api/tunnels/${created.body.id}`, { method: 'DELETE' });
+
+                let deliveries;
+                for (let i = 0; i < 50; i++) {
+                    const res = await makeRequest(adminServer, '/api/webhooks/deliveries?status=delivered');
+                    deliveries = res.body.deliveries;
+                    if (deliveries.length > 0) {
+                        break;
+                    }
+                    await new Promise(resolve => setTimeout(resolve, 20));
+                }
+
+                assert.equal(deliveries.length, 1);
+                assert.equal(deliveries[0].event, 'tunnel_removed');
+                assert.equal(deliveries[0].attempts[0].status_code, 200);
+                assert.equal(received.length, 1);
+                assert.equal(received[0].type, 'tunnel_removed');
+                assert.equal(received[0].data.id, created.body.id);
+
+                const invalid = await makeRequest(adminServer, '/api/webhooks/deliveries?status=lost');
+                assert.equal(invalid.statusCode, 400);
+
+                await new Promise(resolve => adminServer.close(resolve));
+            } finally {
+                await new Promise(resolve => receiver.close(resolve));
+                for (const [name, value] of [['LT_WEBHOOKS', originalWebhooks], ['LT_WEBHOOK_SECRET', originalSecret]]) {
+                    if (value === undefined) {
+                        delete process.env[name];
+                    } else {
+                        process.env[name] = value;
+                    }
+                }
+            }
+        });
+    });
+
     describe('HTTP Response Codes', () => {
         it('should return 404 Tunnel Not Found when client does not exist', async () => {
             const { server, adminServer } = createServer({ domain: 'example.com' });
@@ -341,11 +1369,9 @@ describe('Server', () => {
 
             // Create client
             const res1 = await makeRequest(adminServer, '/offline-test');
-            const clientPort = res1.body.port;
 
             // Connect a TCP socket to make client go online
-            const clientSocket = net.connect(clientPort);
-            await new Promise(resolve => clientSocket.once('connect', resolve));
+            const clientSocket = await connectTunnel(res1);
 
             // Disconnect to trigger grace period
             clientSocket.end();
@@ -373,6 +1399,52 @@ describe('Server', () => {
             assert.equal(res.statusMessage, 'Service Temporarily Unavailable');
             assert.ok(res.headers['retry-after']);
 
+            // 503 sent on behalf of the tunnel is reported in its status
+            const status = await makeRequest(adminServer, '/api/tunnels/offline-test/status');
+            assert.equal(status.body.state, 'grace');
+            assert.equal(status.body.unavailable_responses, 1);
+            assert.deepEqual(status.body.status_codes, { 503: 1 });
+            assert.ok(status.body.last_request_at);
+
+            await new Promise(resolve => server.close(resolve));
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should queue requests while every tunnel socket is busy', async function() {
+            const { server, adminServer } = createServer({ domain: 'example.com' });
+            await new Promise(resolve => server.listen(resolve));
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const status = async () => (await makeRequest(adminServer, '/api/tunnels/queue-test/status')).body;
+            const until = async (check) => {
+                while (!check(await status())) {
+                    await new Promise(resolve => setTimeout(resolve, 10));
+                }
+            };
+            const visit = () => makeRequest(server, '/', { headers: { Host: 'queue-test.example.com' } });
+
+            const created = await makeRequest(adminServer, '/queue-test');
+            const first = await connectTunnel(created);
+            await until(body => body.available_sockets === 1);
+
+            // the only tunnel socket carries the first request, the second one waits for a socket
+            const firstRequest = new Promise(resolve => first.once('data', resolve));
+            const firstVisit = visit();
+            await firstRequest;
+            const secondVisit = visit();
+            await until(body => body.waiting_requests === 1);
+
+            // the tunnel client answers and replaces its socket, which serves the waiting request
+            first.end('HTTP/1.1 200 OK\r\nContent-Length: 5\r\nConnection: close\r\n\r\nfirst');
+            const second = await connectTunnel(created);
+            second.once('data', () => second.end('HTTP/1.1 200 OK\r\nContent-Length: 6\r\nConnection: close\r\n\r\nsecond'));
+
+            const responses = await Promise.all([firstVisit, secondVisit]);
+            assert.deepEqual(responses.map(res => res.statusCode), [200, 200]);
+            assert.deepEqual(responses.map(res => res.body), ['first', 'second']);
+            assert.equal((await status()).unavailable_responses, 0);
+
+            await makeRequest(adminServer, '/api/tunnels/queue-test', { method: 'DELETE' });
             await new Promise(resolve => server.close(resolve));
             await new Promise(resolve => adminServer.close(resolve));
         });
@@ -411,11 +1483,9 @@ describe('Server', () => {
             });
 
             assert.equal(res1.statusCode, 200);
-            const clientPort = res1.body.port;
 
             // Simulate client going online and offline
-            const socket = net.connect(clientPort);
-            await new Promise(resolve => socket.once('connect', resolve));
+            const socket = await connectTunnel(res1);
             // Wait for client to go online
             await new Promise(resolve => setTimeout(resolve, 200));
             socket.end();
@@ -466,11 +1536,9 @@ describe('Server', () => {
             });
 
             assert.equal(res1.statusCode, 200);
-            const clientPort = res1.body.port;
 
             // Simulate client going online and offline
-            const socket = net.connect(clientPort);
-            await new Promise(resolve => socket.once('connect', resolve));
+            const socket = await connectTunnel(res1);
             // Wait for client to go online
             await new Promise(resolve => setTimeout(resolve, 200));
             socket.end();
@@ -562,37 +1630,260 @@ describe('Server', () => {
             assert.equal(res.statusCode, 200);
             assert.equal(res.body.id, 'invalid-token-test');
 
-            await new Promise(resolve => adminServer.close(resolve));
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should work with random subdomain and token', async () => {
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const res = await makeRequest(adminServer, '/?new', {
+                headers: { 'X-LT-Client-Token': 'random-token-789' }
+            });
+
+            assert.equal(res.statusCode, 200);
+            assert.ok(res.body.id); // Should have a random ID
+            assert.ok(res.body.url);
+
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should allow token with hyphens and underscores', async () => {
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const validToken = 'my-valid_token-123';
+            const res = await makeRequest(adminServer, '/valid-chars-test', {
+                headers: { 'X-LT-Client-Token': validToken }
+            });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.id, 'valid-chars-test');
+
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+    });
+
+    describe('Admin API Authentication', function() {
+        const ADMIN_TOKEN = 'admin-token-at-least-32-chars-long-1234';
+        const ADMIN_SECRET = 'admin-secret-at-least-32-chars-long-123';
+        const TUNNEL_SECRET = 'tunnel-secret-at-least-32-chars-long-12';
+        const ENV_VARS = ['LT_ADMIN_TOKEN', 'FILE_LT_ADMIN_TOKEN', 'LT_ADMIN_HMAC_SECRET',
+            'FILE_LT_ADMIN_HMAC_SECRET', 'LT_HMAC_SECRET', 'FILE_LT_HMAC_SECRET'];
+        let originalEnv;
+
+        function signHmac(method, path, secret, body = '') {
+            const timestamp = Math.floor(Date.now() / 1000);
+            const nonce = Date.now();
+            const signature = crypto.createHmac('sha256', secret)
+                .update(`${method}${path}${timestamp}${nonce}${body}`)
+                .digest('hex');
+            return {
+                'Authorization': `HMAC sha256=${signature}`,
+                'X-Timestamp': timestamp.toString(),
+                'X-Nonce': nonce.toString()
+            };
+        }
+
+        beforeEach(() => {
+            originalEnv = {};
+            for (const name of ENV_VARS) {
+                originalEnv[name] = process.env[name];
+                delete process.env[name];
+            }
+        });
+
+        afterEach(() => {
+            for (const name of ENV_VARS) {
+                if (originalEnv[name] === undefined) {
+                    delete process.env[name];
+                } else {
+                    process.env[name] = originalEnv[name];
+                }
+            }
+        });
+
+        it('should return 401 when no credential is sent', async () => {
+            process.env.LT_ADMIN_TOKEN = ADMIN_TOKEN;
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            for (const path of ['/api/status', '/api/tunnels', '/api/tunnels/foo/status', '/metrics']) {
+                const res = await makeRequest(adminServer, path);
+                assert.equal(res.statusCode, 401, path);
+                assert.equal(res.body.error, 'Authentication failed');
+                assert.ok(res.headers['www-authenticate'].startsWith('Bearer'));
+            }
+
+            const res = await makeRequest(adminServer, '/api/tunnels/foo', { method: 'DELETE' });
+            assert.equal(res.statusCode, 401);
+
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should return 403 for a wrong bearer token', async () => {
+            process.env.LT_ADMIN_TOKEN = ADMIN_TOKEN;
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const res = await makeRequest(adminServer, '/api/status', {
+                headers: { 'Authorization': 'Bearer not-the-admin-token' }
+            });
+            assert.equal(res.statusCode, 403);
+            assert.equal(res.body.error, 'Authentication failed');
+
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should accept the bearer token', async () => {
+            process.env.LT_ADMIN_TOKEN = ADMIN_TOKEN;
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const headers = { 'Authorization': `Bearer ${ADMIN_TOKEN}` };
+            const status = await makeRequest(adminServer, '/api/status', { headers });
+            assert.equal(status.statusCode, 200);
+            assert.ok(status.body.tunnels !== undefined);
+
+            const metrics = await makeRequest(adminServer, '/metrics', { headers });
+            assert.equal(metrics.statusCode, 200);
+
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should load the bearer token from FILE_LT_ADMIN_TOKEN', async () => {
+            const tokenFile = `/tmp/lt-admin-token-${Date.now()}`;
+            fs.writeFileSync(tokenFile, `${ADMIN_TOKEN}\n`);
+            process.env.FILE_LT_ADMIN_TOKEN = tokenFile;
+
+            try {
+                const { adminServer } = createServer();
+                await new Promise(resolve => adminServer.listen(resolve));
+
+                const res = await makeRequest(adminServer, '/api/status', {
+                    headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}` }
+                });
+                assert.equal(res.statusCode, 200);
+
+                await new Promise(resolve => adminServer.close(resolve));
+            } finally {
+                fs.unlinkSync(tokenFile);
+            }
+        });
+
+        it('should accept HMAC signed with the admin secret and reject the tunnel secret', async () => {
+            process.env.LT_ADMIN_HMAC_SECRET = ADMIN_SECRET;
+            process.env.LT_HMAC_SECRET = TUNNEL_SECRET;
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const ok = await makeRequest(adminServer, '/api/status', {
+                headers: signHmac('GET', '/api/status', ADMIN_SECRET)
+            });
+            assert.equal(ok.statusCode, 200);
+
+            const rejected = await makeRequest(adminServer, '/api/status', {
+                headers: signHmac('GET', '/api/status', TUNNEL_SECRET)
+            });
+            assert.equal(rejected.statusCode, 403);
+
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should accept admin HMAC on DELETE /api/tunnels/:id', async () => {
+            process.env.LT_ADMIN_HMAC_SECRET = ADMIN_SECRET;
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const created = await makeRequest(adminServer, '/api/tunnels', { method: 'POST' });
+            assert.equal(created.statusCode, 201);
+
+            const path = `/api/tunnels/${created.body.id}`;
+            const res = await makeRequest(adminServer, path, {
+                method: 'DELETE',
+                headers: signHmac('DELETE', path, ADMIN_SECRET)
+            });
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.removed, true);
+
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should accept admin HMAC v2 signatures', async () => {
+            process.env.LT_ADMIN_HMAC_SECRET = ADMIN_SECRET;
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const headers = { host: `localhost:${adminServer.address().port}` };
+            const res = await makeRequest(adminServer, '/api/tunnels?limit=1', {
+                headers: {
+                    ...headers,
+                    ...HmacAuthenticator.signRequestV2(ADMIN_SECRET, { method: 'GET', path: '/api/tunnels', query: 'limit=1', headers })
+                }
+            });
+            assert.equal(res.statusCode, 200);
+
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should keep tunnel creation on the tunnel credential', async () => {
+            process.env.LT_ADMIN_TOKEN = ADMIN_TOKEN;
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const created = await makeRequest(adminServer, '/api/tunnels', { method: 'POST' });
+            assert.equal(created.statusCode, 201);
+
+            const legacy = await makeRequest(adminServer, '/admin-legacy');
+            assert.equal(legacy.statusCode, 200);
+            assert.equal(legacy.body.id, 'admin-legacy');
+
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should protect /api routes reached through the public server', async () => {
+            process.env.LT_ADMIN_TOKEN = ADMIN_TOKEN;
+            const { server } = createServer();
+            await new Promise(resolve => server.listen(resolve));
+
+            const res = await makeRequest(server, '/api/status');
+            assert.equal(res.statusCode, 401);
+
+            const authorized = await makeRequest(server, '/api/status', {
+                headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}` }
+            });
+            assert.equal(authorized.statusCode, 200);
+
+            await new Promise(resolve => server.close(resolve));
         });
 
-        it('should work with random subdomain and token', async () => {
+        it('should leave /api routes open when no admin credential is configured', async () => {
             const { adminServer } = createServer();
             await new Promise(resolve => adminServer.listen(resolve));
 
-            const res = await makeRequest(adminServer, '/?new', {
-                headers: { 'X-LT-Client-Token': 'random-token-789' }
-            });
-
+            const res = await makeRequest(adminServer, '/api/status');
             assert.equal(res.statusCode, 200);
-            assert.ok(res.body.id); // Should have a random ID
-            assert.ok(res.body.url);
 
             await new Promise(resolve => adminServer.close(resolve));
         });
 
-        it('should allow token with hyphens and underscores', async () => {
-            const { adminServer } = createServer();
-            await new Promise(resolve => adminServer.listen(resolve));
+        it('should refuse admin routes on the public server when no admin credential is configured', async () => {
+            const { server } = createServer();
+            await new Promise(resolve => server.listen(resolve));
 
-            const validToken = 'my-valid_token-123';
-            const res = await makeRequest(adminServer, '/valid-chars-test', {
-                headers: { 'X-LT-Client-Token': validToken }
-            });
+            for (const path of ['/api/status', '/api/tunnels', '/api/events', '/metrics']) {
+                const res = await makeRequest(server, path);
+                assert.equal(res.statusCode, 403, path);
+                assert.equal(res.body.error, 'Admin API unavailable');
+            }
+            const removed = await makeRequest(server, '/api/tunnels/foo', { method: 'DELETE' });
+            assert.equal(removed.statusCode, 403);
 
-            assert.equal(res.statusCode, 200);
-            assert.equal(res.body.id, 'valid-chars-test');
+            // tunnel creation is not an admin route
+            const created = await makeRequest(server, '/api/tunnels', { method: 'POST' });
+            assert.equal(created.statusCode, 201);
 
-            await new Promise(resolve => adminServer.close(resolve));
+            await new Promise(resolve => server.close(resolve));
         });
     });
 
@@ -1108,6 +2399,296 @@ describe('Server', () => {
             });
         });
 
+        it('should answer 503 when the nonce store is unavailable', async () => {
+            const names = ['LT_HMAC_SECRET', 'LT_NONCE_STORE', 'LT_NONCE_STORE_PATH'];
+            const original = names.map(name => process.env[name]);
+            const dirPath = fs.mkdtempSync('/tmp/lt-nonces-');
+            process.env.LT_HMAC_SECRET = TEST_SECRET;
+            process.env.LT_NONCE_STORE = 'file';
+            process.env.LT_NONCE_STORE_PATH = dirPath;
+
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+            try {
+                // the store directory disappears (e.g. an unmounted shared volume)
+                fs.rmSync(dirPath, { recursive: true });
+
+                const res = await makeRequest(adminServer, '/nonce-outage', {
+                    headers: generateHmacAuth('GET', '/nonce-outage', TEST_SECRET)
+                });
+                assert.equal(res.statusCode, 503);
+                assert.equal(res.headers['retry-after'], '5');
+                assert.equal(res.body.error, 'Authentication unavailable');
+
+                // not an authentication failure
+                const metrics = await makeRequest(adminServer, '/metrics');
+                assert.ok(!metrics.body.includes('localtunnel_hmac_auth_failures_total{reason="nonce_store_unavailable"}'));
+            } finally {
+                await new Promise(resolve => adminServer.close(resolve));
+                fs.rmSync(dirPath, { recursive: true, force: true });
+                names.forEach((name, i) => {
+                    if (original[i] === undefined) {
+                        delete process.env[name];
+                    } else {
+                        process.env[name] = original[i];
+                    }
+                });
+            }
+        });
+
+        describe('Metrics', function() {
+            it('should count authentication failures by reason code', async () => {
+                const originalSecret = process.env.LT_HMAC_SECRET;
+                process.env.LT_HMAC_SECRET = TEST_SECRET;
+
+                const { adminServer } = createServer();
+                await new Promise(resolve => adminServer.listen(resolve));
+
+                await makeRequest(adminServer, '/hmac-metrics');
+                await makeRequest(adminServer, '/hmac-metrics');
+
+                const res = await makeRequest(adminServer, '/metrics');
+                assert.ok(res.body.includes('localtunnel_hmac_auth_failures_total{reason="missing_auth_header"} 2\n'));
+                assert.ok(res.body.includes('localtunnel_nonce_cache_size 0\n'));
+
+                await new Promise(resolve => adminServer.close(resolve));
+
+                if (originalSecret === undefined) {
+                    delete process.env.LT_HMAC_SECRET;
+                } else {
+                    process.env.LT_HMAC_SECRET = originalSecret;
+                }
+            });
+        });
+
+        describe('Named Keys', function() {
+            const KEY_2025 = 'key-2025-secret-at-least-32-chars-long-12';
+            const KEY_2026 = 'key-2026-secret-at-least-32-chars-long-12';
+
+            function signWithKey(keyId, secret, path) {
+                const timestamp = Math.floor(Date.now() / 1000);
+                const nonce = Date.now() + Math.floor(Math.random() * 1000);
+                const signature = crypto.createHmac('sha256', secret)
+                    .update(`GET${path}${timestamp}${nonce}`)
+                    .digest('hex');
+                return {
+                    'Authorization': `HMAC keyId=${keyId},sha256=${signature}`,
+                    'X-Timestamp': timestamp.toString(),
+                    'X-Nonce': nonce.toString()
+                };
+            }
+
+            it('should accept several active keys and reject revoked keys after a reload', async () => {
+                const dir = fs.mkdtempSync('/tmp/lt-hmac-keys-');
+                const keysFile = `${dir}/keys.json`;
+                fs.writeFileSync(keysFile, JSON.stringify({ '2025': KEY_2025, '2026': KEY_2026 }));
+
+                const originalKeys = process.env.FILE_LT_HMAC_KEYS;
+                process.env.FILE_LT_HMAC_KEYS = keysFile;
+
+                try {
+                    const { adminServer } = createServer();
+                    await new Promise(resolve => adminServer.listen(resolve));
+
+                    const old = await makeRequest(adminServer, '/key-old', { headers: signWithKey('2025', KEY_2025, '/key-old') });
+                    assert.equal(old.statusCode, 200);
+                    const current = await makeRequest(adminServer, '/key-new', { headers: signWithKey('2026', KEY_2026, '/key-new') });
+                    assert.equal(current.statusCode, 200);
+
+                    // without a legacy secret, a keyId is required
+                    const legacy = generateHmacAuth('GET', '/key-legacy', KEY_2025);
+                    const noKeyId = await makeRequest(adminServer, '/key-legacy', { headers: legacy });
+                    assert.equal(noKeyId.statusCode, 401);
+
+                    // rotate: revoke the old key without restarting
+                    fs.writeFileSync(keysFile, JSON.stringify({
+                        '2025': { secret: KEY_2025, revoked: true },
+                        '2026': KEY_2026,
+                    }));
+                    process.emit('SIGHUP');
+
+                    const revoked = await makeRequest(adminServer, '/key-revoked', { headers: signWithKey('2025', KEY_2025, '/key-revoked') });
+                    assert.equal(revoked.statusCode, 401);
+                    const unknown = await makeRequest(adminServer, '/key-unknown', { headers: signWithKey('2024', KEY_2025, '/key-unknown') });
+                    assert.equal(unknown.statusCode, 401);
+
+                    const metrics = await makeRequest(adminServer, '/metrics');
+                    assert.ok(metrics.body.includes('localtunnel_hmac_auth_failures_total{reason="missing_key_id"} 1\n'));
+                    assert.ok(metrics.body.includes('localtunnel_hmac_auth_failures_total{reason="key_revoked"} 1\n'));
+                    assert.ok(metrics.body.includes('localtunnel_hmac_auth_failures_total{reason="unknown_key"} 1\n'));
+
+                    await makeRequest(adminServer, '/api/tunnels/key-old', { method: 'DELETE' });
+                    await makeRequest(adminServer, '/api/tunnels/key-new', { method: 'DELETE' });
+                    await new Promise(resolve => adminServer.close(resolve));
+                } finally {
+                    fs.rmSync(dir, { recursive: true, force: true });
+                    if (originalKeys === undefined) {
+                        delete process.env.FILE_LT_HMAC_KEYS;
+                    } else {
+                        process.env.FILE_LT_HMAC_KEYS = originalKeys;
+                    }
+                }
+            });
+        });
+
+        describe('Signing v2 (Canonical Request)', function() {
+            function signV2(server, method, path, query = '', extraHeaders = {}, body = '') {
+                const headers = { host: `localhost:${server.address().port}`, ...extraHeaders };
+                return {
+                    ...headers,
+                    ...HmacAuthenticator.signRequestV2(TEST_SECRET, { method, path, query, headers, body })
+                };
+            }
+
+            it('should build the canonical request of the specification test vector', () => {
+                const canonical = HmacAuthenticator.buildCanonicalRequest({
+                    method: 'GET',
+                    path: '/',
+                    query: 'new',
+                    headers: { Host: 'tunnel.example.com', 'X-LT-Client-Token': 'my-client-token' },
+                    signedHeaders: ['x-lt-client-token', 'host'],
+                    timestamp: '1735401600',
+                    nonce: '1735401600000',
+                });
+                assert.equal(canonical, [
+                    'GET',
+                    '/',
+                    'new=',
+                    'host:tunnel.example.com',
+                    'x-lt-client-token:my-client-token',
+                    'host;x-lt-client-token',
+                    '1735401600',
+                    '1735401600000',
+                    'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855',
+                ].join('\n'));
+                assert.equal(
+                    HmacAuthenticator.calculateHmac('test-secret-32-characters-long!!', canonical),
+                    '190d498fd0eaa80f99c135f9004df9572f1e33a533900b5f2694b8dfab8e45e6');
+
+                assert.equal(HmacAuthenticator.canonicalQuery('b=2&a=1&a=0'), 'a=0&a=1&b=2');
+                assert.equal(HmacAuthenticator.canonicalQuery('x=a+b&y=%7e&z=hello%20world'), 'x=a%20b&y=~&z=hello%20world');
+            });
+
+            it('should accept v2 and v1 signatures during migration', async () => {
+                const originalSecret = process.env.LT_HMAC_SECRET;
+                process.env.LT_HMAC_SECRET = TEST_SECRET;
+
+                try {
+                    const { adminServer } = createServer();
+                    await new Promise(resolve => adminServer.listen(resolve));
+
+                    const v2 = await makeRequest(adminServer, '/?new', {
+                        headers: signV2(adminServer, 'GET', '/', 'new', { 'X-LT-Client-Token': 'v2-token' }),
+                    });
+                    assert.equal(v2.statusCode, 200);
+
+                    const body = { subdomain: 'hmac-v2-post' };
+                    const post = await makeRequest(adminServer, '/api/tunnels', {
+                        method: 'POST',
+                        headers: signV2(adminServer, 'POST', '/api/tunnels', '',
+                            { 'Content-Type': 'application/json' }, JSON.stringify(body)),
+                        body,
+                    });
+                    assert.equal(post.statusCode, 201);
+
+                    const v1 = await makeRequest(adminServer, '/hmac-v1', { headers: generateHmacAuth('GET', '/hmac-v1', TEST_SECRET) });
+                    assert.equal(v1.statusCode, 200);
+
+                    const metrics = await makeRequest(adminServer, '/metrics');
+                    assert.ok(metrics.body.includes('localtunnel_hmac_auth_success_total{version="v2"} 2\n'));
+                    assert.ok(metrics.body.includes('localtunnel_hmac_auth_success_total{version="v1"} 1\n'));
+
+                    await makeRequest(adminServer, `/api/tunnels/${v2.body.id}`, { method: 'DELETE' });
+                    await makeRequest(adminServer, '/api/tunnels/hmac-v2-post', { method: 'DELETE' });
+                    await makeRequest(adminServer, '/api/tunnels/hmac-v1', { method: 'DELETE' });
+                    await new Promise(resolve => adminServer.close(resolve));
+                } finally {
+                    if (originalSecret === undefined) {
+                        delete process.env.LT_HMAC_SECRET;
+                    } else {
+                        process.env.LT_HMAC_SECRET = originalSecret;
+                    }
+                }
+            });
+
+            it('should reject v2 requests whose query, host, body or client token were not signed as sent', async () => {
+                const originalSecret = process.env.LT_HMAC_SECRET;
+                process.env.LT_HMAC_SECRET = TEST_SECRET;
+
+                try {
+                    const { adminServer } = createServer();
+                    await new Promise(resolve => adminServer.listen(resolve));
+
+                    // signed for GET /, sent as GET /?new
+                    const query = await makeRequest(adminServer, '/?new', { headers: signV2(adminServer, 'GET', '/') });
+                    assert.equal(query.statusCode, 401);
+
+                    // signed for another host
+                    const host = await makeRequest(adminServer, '/?new', {
+                        headers: { ...signV2(adminServer, 'GET', '/', 'new'), host: 'other.example.com' },
+                    });
+                    assert.equal(host.statusCode, 401);
+
+                    // body changed after signing
+                    const post = await makeRequest(adminServer, '/api/tunnels', {
+                        method: 'POST',
+                        headers: signV2(adminServer, 'POST', '/api/tunnels', '',
+                            { 'Content-Type': 'application/json' }, JSON.stringify({ subdomain: 'signed-name' })),
+                        body: { subdomain: 'other-name' },
+                    });
+                    assert.equal(post.statusCode, 401);
+
+                    // client token added after signing
+                    const token = await makeRequest(adminServer, '/?new', {
+                        headers: { ...signV2(adminServer, 'GET', '/', 'new'), 'X-LT-Client-Token': 'added-token' },
+                    });
+                    assert.equal(token.statusCode, 401);
+
+                    const metrics = await makeRequest(adminServer, '/metrics');
+                    assert.ok(metrics.body.includes('localtunnel_hmac_auth_failures_total{reason="invalid_signature"} 3\n'));
+                    assert.ok(metrics.body.includes('localtunnel_hmac_auth_failures_total{reason="unsigned_header"} 1\n'));
+
+                    await new Promise(resolve => adminServer.close(resolve));
+                } finally {
+                    if (originalSecret === undefined) {
+                        delete process.env.LT_HMAC_SECRET;
+                    } else {
+                        process.env.LT_HMAC_SECRET = originalSecret;
+                    }
+                }
+            });
+
+            it('should reject v1 signatures when LT_HMAC_ACCEPT_V1 is false', async () => {
+                const originalSecret = process.env.LT_HMAC_SECRET;
+                process.env.LT_HMAC_SECRET = TEST_SECRET;
+                process.env.LT_HMAC_ACCEPT_V1 = 'false';
+
+                try {
+                    const { adminServer } = createServer();
+                    await new Promise(resolve => adminServer.listen(resolve));
+
+                    const v1 = await makeRequest(adminServer, '/hmac-v1-off', { headers: generateHmacAuth('GET', '/hmac-v1-off', TEST_SECRET) });
+                    assert.equal(v1.statusCode, 401);
+
+                    const v2 = await makeRequest(adminServer, '/hmac-v2-only', { headers: signV2(adminServer, 'GET', '/hmac-v2-only') });
+                    assert.equal(v2.statusCode, 200);
+
+                    const metrics = await makeRequest(adminServer, '/metrics');
+                    assert.ok(metrics.body.includes('localtunnel_hmac_auth_failures_total{reason="v1_disabled"} 1\n'));
+
+                    await makeRequest(adminServer, '/api/tunnels/hmac-v2-only', { method: 'DELETE' });
+                    await new Promise(resolve => adminServer.close(resolve));
+                } finally {
+                    delete process.env.LT_HMAC_ACCEPT_V1;
+                    if (originalSecret === undefined) {
+                        delete process.env.LT_HMAC_SECRET;
+                    } else {
+                        process.env.LT_HMAC_SECRET = originalSecret;
+                    }
+                }
+            });
+        });
+
         describe('Status Endpoint', function() {
             it('should allow access to /api/status without authentication', async () => {
                 const originalSecret = process.env.LT_HMAC_SECRET;
@@ -1131,4 +2712,483 @@ describe('Server', () => {
             });
         });
     });
+
+    describe('JWT Authentication', function() {
+        const ISSUER = 'https://id.example.com';
+        const AUDIENCE = 'localtunnel-test';
+        const ENV_VARS = ['LT_AUTH_MODE', 'FILE_LT_JWT_JWKS', 'LT_JWT_ISSUER', 'LT_JWT_AUDIENCE', 'LT_HMAC_SECRET'];
+        const keyPair = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        let originalEnv;
+        let jwksFile;
+
+        function signJwt(claims) {
+            const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+            const data = `${encode({ alg: 'ES256', typ: 'JWT', kid: 'test' })}.${encode({
+                iss: ISSUER,
+                aud: AUDIENCE,
+                exp: Math.floor(Date.now() / 1000) + 300,
+                ...claims,
+            })}`;
+            const signature = crypto.sign('sha256', Buffer.from(data), { key: keyPair.privateKey, dsaEncoding: 'ieee-p1363' });
+            return `${data}.${signature.toString('base64url')}`;
+        }
+
+        beforeEach(() => {
+            originalEnv = {};
+            for (const name of ENV_VARS) {
+                originalEnv[name] = process.env[name];
+                delete process.env[name];
+            }
+
+            jwksFile = `/tmp/lt-test-jwks-${process.pid}.json`;
+            fs.writeFileSync(jwksFile, JSON.stringify({
+                keys: [{ ...keyPair.publicKey.export({ format: 'jwk' }), kid: 'test', alg: 'ES256' }],
+            }));
+            process.env.LT_AUTH_MODE = 'jwt';
+            process.env.FILE_LT_JWT_JWKS = jwksFile;
+            process.env.LT_JWT_ISSUER = ISSUER;
+            process.env.LT_JWT_AUDIENCE = AUDIENCE;
+        });
+
+        afterEach(() => {
+            fs.unlinkSync(jwksFile);
+            for (const name of ENV_VARS) {
+                if (originalEnv[name] === undefined) {
+                    delete process.env[name];
+                } else {
+                    process.env[name] = originalEnv[name];
+                }
+            }
+        });
+
+        it('should create tunnels identified by the token subject', async () => {
+            // the HMAC secret is ignored in jwt mode
+            process.env.LT_HMAC_SECRET = 'unused-hmac-secret-at-least-32-chars-long';
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const headers = { 'Authorization': `Bearer ${signJwt({ sub: 'alice@example.com' })}` };
+            const named = await makeRequest(adminServer, '/jwt-named', { headers });
+            assert.equal(named.statusCode, 200);
+            assert.equal(named.body.id, 'jwt-named');
+
+            const random = await makeRequest(adminServer, '/?new', { headers });
+            assert.equal(random.statusCode, 200);
+
+            const posted = await makeRequest(adminServer, '/api/tunnels', {
+                method: 'POST',
+                headers: { ...headers, 'Content-Type': 'application/json' },
+                body: { subdomain: 'jwt-posted', client_token: 'ignored-token' },
+            });
+            assert.equal(posted.statusCode, 201);
+
+            const list = await makeRequest(adminServer, '/api/tunnels?identifier=subject');
+            assert.deepEqual(list.body.tunnels.map(tunnel => tunnel.id).sort(),
+                [random.body.id, 'jwt-named', 'jwt-posted'].sort());
+
+            for (const id of [random.body.id, 'jwt-named', 'jwt-posted']) {
+                await makeRequest(adminServer, `/api/tunnels/${id}`, { method: 'DELETE' });
+            }
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should reject missing or invalid tokens', async () => {
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const missing = await makeRequest(adminServer, '/jwt-missing');
+            assert.equal(missing.statusCode, 401);
+            assert.equal(missing.headers['www-authenticate'], 'Bearer');
+
+            const expired = await makeRequest(adminServer, '/jwt-expired', {
+                headers: { 'Authorization': `Bearer ${signJwt({ sub: 'alice', exp: 1000 })}` },
+            });
+            assert.equal(expired.statusCode, 401);
+
+            const wrongAudience = await makeRequest(adminServer, '/jwt-audience', {
+                headers: { 'Authorization': `Bearer ${signJwt({ sub: 'alice', aud: 'other' })}` },
+            });
+            assert.equal(wrongAudience.statusCode, 401);
+
+            const metrics = await makeRequest(adminServer, '/metrics');
+            assert.ok(metrics.body.includes('localtunnel_jwt_auth_failures_total{reason="missing_auth_header"} 1\n'));
+            assert.ok(metrics.body.includes('localtunnel_jwt_auth_failures_total{reason="token_expired"} 1\n'));
+            assert.ok(metrics.body.includes('localtunnel_jwt_auth_failures_total{reason="invalid_audience"} 1\n'));
+
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should only allow the subdomains listed in the token', async () => {
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const headers = { 'Authorization': `Bearer ${signJwt({ sub: 'bob', subdomains: ['bob-app'] })}` };
+
+            const allowed = await makeRequest(adminServer, '/bob-app', { headers });
+            assert.equal(allowed.statusCode, 200);
+
+            const forbidden = await makeRequest(adminServer, '/alice-app', { headers });
+            assert.equal(forbidden.statusCode, 403);
+            assert.equal(forbidden.body.error, 'Subdomain not allowed');
+
+            const posted = await makeRequest(adminServer, '/api/tunnels', {
+                method: 'POST',
+                headers: { ...headers, 'Content-Type': 'application/json' },
+                body: { subdomain: 'alice-app' },
+            });
+            assert.equal(posted.statusCode, 403);
+
+            await makeRequest(adminServer, '/api/tunnels/bob-app', { method: 'DELETE' });
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+    });
+
+    describe('Subdomain Policy', function() {
+        let dir;
+        let originalPolicy;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync('/tmp/lt-policy-');
+            fs.writeFileSync(`${dir}/policy.json`, JSON.stringify({
+                'team-a': { subdomains: ['team-a-*'], client_tokens: ['team-a-token'] },
+            }));
+            originalPolicy = process.env.FILE_LT_SUBDOMAIN_POLICY;
+            process.env.FILE_LT_SUBDOMAIN_POLICY = `${dir}/policy.json`;
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+            if (originalPolicy === undefined) {
+                delete process.env.FILE_LT_SUBDOMAIN_POLICY;
+            } else {
+                process.env.FILE_LT_SUBDOMAIN_POLICY = originalPolicy;
+            }
+        });
+
+        it('should return 403 when another credential claims an owned subdomain', async () => {
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const anonymous = await makeRequest(adminServer, '/team-a-hooks');
+            assert.equal(anonymous.statusCode, 403);
+            assert.equal(anonymous.body.error, 'Subdomain forbidden');
+            assert.match(anonymous.body.message, /belongs to team-a/);
+
+            const other = await makeRequest(adminServer, '/api/tunnels', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: { subdomain: 'team-a-hooks', client_token: 'team-b-token' },
+            });
+            assert.equal(other.statusCode, 403);
+
+            const owner = await makeRequest(adminServer, '/team-a-hooks', { headers: { 'X-LT-Client-Token': 'team-a-token' } });
+            assert.equal(owner.statusCode, 200);
+            assert.equal(owner.body.id, 'team-a-hooks');
+
+            await makeRequest(adminServer, '/api/tunnels/team-a-hooks', { method: 'DELETE' });
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should keep owners to their subdomains and allow random ids', async () => {
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+            const headers = { 'X-LT-Client-Token': 'team-a-token' };
+
+            const outside = await makeRequest(adminServer, '/elsewhere', { headers });
+            assert.equal(outside.statusCode, 403);
+            assert.match(outside.body.message, /may only claim: team-a-\*/);
+
+            const random = await makeRequest(adminServer, '/?new', { headers });
+            assert.equal(random.statusCode, 200);
+
+            const free = await makeRequest(adminServer, '/elsewhere');
+            assert.equal(free.statusCode, 200);
+
+            await makeRequest(adminServer, `/api/tunnels/${random.body.id}`, { method: 'DELETE' });
+            await makeRequest(adminServer, '/api/tunnels/elsewhere', { method: 'DELETE' });
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should stop listening for SIGHUP when the server closes', async () => {
+            const listeners = process.listenerCount('SIGHUP');
+
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+            assert.equal(process.listenerCount('SIGHUP'), listeners + 1);
+
+            await new Promise(resolve => adminServer.close(resolve));
+            assert.equal(process.listenerCount('SIGHUP'), listeners);
+        });
+    });
+
+    describe('Tunnel Socket Authentication', () => {
+        it('should only accept tunnel sockets that send the connect secret', async () => {
+            const { adminServer } = createServer();
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const createRes = await makeRequest(adminServer, '/socket-auth');
+            assert.equal(typeof createRes.body.connect_secret, 'string');
+            assert.ok(createRes.body.connect_secret.length >= 32);
+
+            const intruder = net.createConnection({ port: createRes.body.port });
+            await new Promise(resolve => intruder.once('connect', resolve));
+            intruder.write('LT-AUTH not-the-secret\n');
+            let reply = '';
+            intruder.on('data', chunk => reply += chunk);
+            await new Promise(resolve => intruder.once('close', resolve));
+            assert.equal(reply, 'LT-ERROR invalid_secret\n');
+
+            const sock = await connectTunnel(createRes);
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            const status = await makeRequest(adminServer, '/api/tunnels/socket-auth/status');
+            assert.equal(status.body.state, 'online');
+            assert.equal(status.body.connected_sockets, 1);
+            assert.equal(status.body.unauthorized_connections, 1);
+
+            const metrics = await makeRequest(adminServer, '/metrics');
+            assert.match(metrics.body, /localtunnel_socket_auth_failures_total\{reason="invalid_secret"\} 1/);
+
+            sock.destroy();
+            await makeRequest(adminServer, '/api/tunnels/socket-auth', { method: 'DELETE' });
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+
+        it('should not return a connect secret when unauthenticated sockets are allowed', async () => {
+            const original = process.env.LT_ALLOW_UNAUTHENTICATED_SOCKETS;
+            process.env.LT_ALLOW_UNAUTHENTICATED_SOCKETS = 'true';
+            try {
+                const { adminServer } = createServer();
+                await new Promise(resolve => adminServer.listen(resolve));
+
+                const createRes = await makeRequest(adminServer, '/legacy-sockets');
+                assert.equal(createRes.body.connect_secret, undefined);
+
+                const sock = net.createConnection({ port: createRes.body.port });
+                await new Promise(resolve => sock.once('connect', resolve));
+                await new Promise(resolve => setTimeout(resolve, 50));
+
+                const status = await makeRequest(adminServer, '/api/tunnels/legacy-sockets/status');
+                assert.equal(status.body.connected_sockets, 1);
+
+                sock.destroy();
+                await makeRequest(adminServer, '/api/tunnels/legacy-sockets', { method: 'DELETE' });
+                await new Promise(resolve => adminServer.close(resolve));
+            } finally {
+                if (original === undefined) {
+                    delete process.env.LT_ALLOW_UNAUTHENTICATED_SOCKETS;
+                } else {
+                    process.env.LT_ALLOW_UNAUTHENTICATED_SOCKETS = original;
+                }
+            }
+        });
+    });
+
+    describe('Visitor Basic Auth', () => {
+        it('should challenge visitors and strip the credentials before forwarding', async function() {
+            this.timeout(5000);
+            const { server, adminServer } = createServer({ domain: 'example.com' });
+            await new Promise(resolve => server.listen(resolve));
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            // local app echoing the headers it received
+            const localServer = http.createServer((req, res) => {
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify(req.headers));
+            });
+            await new Promise(resolve => localServer.listen(resolve));
+
+            const invalid = await makeRequest(adminServer, '/api/tunnels', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: { subdomain: 'basic-auth', basic_auth: { username: 'a:b', password: 'secret' } },
+            });
+            assert.equal(invalid.statusCode, 400);
+            assert.equal(invalid.body.error, 'Invalid basic_auth');
+
+            const createRes = await makeRequest(adminServer, '/api/tunnels', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: { subdomain: 'basic-auth', basic_auth: { username: 'preview', password: 'secret' } },
+            });
+            assert.equal(createRes.statusCode, 201);
+
+            const tunnelSocket = await connectTunnel(createRes);
+            const localSocket = net.createConnection({ port: localServer.address().port });
+            await new Promise(resolve => localSocket.once('connect', resolve));
+            tunnelSocket.pipe(localSocket).pipe(tunnelSocket);
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            const basic = credentials => `Basic ${Buffer.from(credentials).toString('base64')}`;
+            const host = 'basic-auth.example.com';
+
+            const anonymous = await makeRequest(server, '/', { headers: { Host: host } });
+            assert.equal(anonymous.statusCode, 401);
+            assert.equal(anonymous.headers['www-authenticate'], 'Basic realm="basic-auth", charset="UTF-8"');
+
+            const wrong = await makeRequest(server, '/', { headers: { Host: host, Authorization: basic('preview:wrong') } });
+            assert.equal(wrong.statusCode, 401);
+
+            const ok = await makeRequest(server, '/', { headers: { Host: host, Authorization: basic('preview:secret') } });
+            assert.equal(ok.statusCode, 200);
+            assert.equal(ok.body.host, host);
+            assert.equal(ok.body.authorization, undefined);
+
+            // websocket upgrades are challenged the same way
+            const upgrade = await new Promise((resolve) => {
+                const ws = new WebSocket(`http://localhost:${server.address().port}`, { headers: { Host: host } });
+                ws.on('unexpected-response', (req, res) => resolve(res));
+                ws.on('error', () => {});
+            });
+            assert.equal(upgrade.statusCode, 401);
+
+            const metrics = await makeRequest(adminServer, '/metrics');
+            assert.match(metrics.body, /localtunnel_visitor_auth_failures_total 3/);
+
+            tunnelSocket.destroy();
+            localSocket.destroy();
+            await makeRequest(adminServer, '/api/tunnels/basic-auth', { method: 'DELETE' });
+            await new Promise(resolve => localServer.close(resolve));
+            await new Promise(resolve => server.close(resolve));
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+    });
+
+    describe('Visitor IP Filters', () => {
+        it('should refuse visitors outside the tunnel allowlist with 403', async () => {
+            const originalTrustProxy = process.env.LT_TRUST_PROXY;
+            process.env.LT_TRUST_PROXY = 'true';
+            const { server, adminServer } = createServer({ domain: 'example.com' });
+            await new Promise(resolve => server.listen(resolve));
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            try {
+                const create = body => makeRequest(adminServer, '/api/tunnels', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: body,
+                });
+
+                const invalid = await create({ subdomain: 'ip-filter', ip_allow: ['192.0.2.0/33'] });
+                assert.equal(invalid.statusCode, 400);
+                assert.equal(invalid.body.error, 'Invalid IP filter');
+
+                const created = await create({ subdomain: 'ip-filter', ip_allow: ['192.0.2.0/24'], ip_deny: ['192.0.2.66'] });
+                assert.equal(created.statusCode, 201);
+
+                const visit = ip => makeRequest(server, '/', {
+                    headers: { Host: 'ip-filter.example.com', 'X-Forwarded-For': ip },
+                });
+                assert.equal((await visit('198.51.100.1')).statusCode, 403);
+                assert.equal((await visit('192.0.2.66')).statusCode, 403);
+                // allowed, then 503 because no tunnel socket is connected
+                assert.equal((await visit('192.0.2.10')).statusCode, 503);
+
+                const status = await makeRequest(adminServer, '/api/tunnels/ip-filter/status');
+                assert.equal(status.body.ip_rejections, 2);
+                assert.equal(status.body.status_codes['403'], 2);
+
+                const metrics = await makeRequest(adminServer, '/metrics');
+                assert.match(metrics.body, /localtunnel_visitor_ip_rejections_total 2/);
+
+                await makeRequest(adminServer, '/api/tunnels/ip-filter', { method: 'DELETE' });
+            } finally {
+                if (originalTrustProxy === undefined) {
+                    delete process.env.LT_TRUST_PROXY;
+                } else {
+                    process.env.LT_TRUST_PROXY = originalTrustProxy;
+                }
+                await new Promise(resolve => server.close(resolve));
+                await new Promise(resolve => adminServer.close(resolve));
+            }
+        });
+    });
+
+    describe('Forward Auth', () => {
+        let authServer;
+        let originalEnv;
+
+        beforeEach(async () => {
+            authServer = http.createServer((req, res) => {
+                if (req.headers.cookie === 'session=valid') {
+                    res.setHeader('X-Auth-User', 'alice');
+                    res.end();
+                    return;
+                }
+                res.writeHead(302, { Location: 'https://sso.example.com/login' });
+                res.end();
+            });
+            await new Promise(resolve => authServer.listen(resolve));
+
+            originalEnv = {
+                LT_FORWARD_AUTH_URL: process.env.LT_FORWARD_AUTH_URL,
+                LT_FORWARD_AUTH_RESPONSE_HEADERS: process.env.LT_FORWARD_AUTH_RESPONSE_HEADERS,
+            };
+            process.env.LT_FORWARD_AUTH_URL = `http://localhost:${authServer.address().port}/verify`;
+            process.env.LT_FORWARD_AUTH_RESPONSE_HEADERS = 'X-Auth-User';
+        });
+
+        afterEach(async () => {
+            for (const [name, value] of Object.entries(originalEnv)) {
+                if (value === undefined) {
+                    delete process.env[name];
+                } else {
+                    process.env[name] = value;
+                }
+            }
+            await new Promise(resolve => authServer.close(resolve));
+        });
+
+        it('should check requests and upgrades with the auth service before proxying', async function() {
+            this.timeout(5000);
+            const { server, adminServer } = createServer({ domain: 'example.com' });
+            await new Promise(resolve => server.listen(resolve));
+            await new Promise(resolve => adminServer.listen(resolve));
+
+            const localServer = http.createServer((req, res) => {
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify(req.headers));
+            });
+            await new Promise(resolve => localServer.listen(resolve));
+
+            const create = body => makeRequest(adminServer, '/api/tunnels', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: body,
+            });
+            assert.equal((await create({ subdomain: 'sso-app', forward_auth: 'yes' })).statusCode, 400);
+            const createRes = await create({ subdomain: 'sso-app', forward_auth: true });
+            assert.equal(createRes.statusCode, 201);
+
+            const tunnelSocket = await connectTunnel(createRes);
+            const localSocket = net.createConnection({ port: localServer.address().port });
+            await new Promise(resolve => localSocket.once('connect', resolve));
+            tunnelSocket.pipe(localSocket).pipe(tunnelSocket);
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            const host = 'sso-app.example.com';
+            const anonymous = await makeRequest(server, '/', { headers: { Host: host, 'X-Auth-User': 'mallory' } });
+            assert.equal(anonymous.statusCode, 302);
+            assert.equal(anonymous.headers.location, 'https://sso.example.com/login');
+
+            const ok = await makeRequest(server, '/', { headers: { Host: host, Cookie: 'session=valid', 'X-Auth-User': 'mallory' } });
+            assert.equal(ok.statusCode, 200);
+            assert.equal(ok.body['x-auth-user'], 'alice');
+
+            const upgrade = await new Promise((resolve) => {
+                const ws = new WebSocket(`http://localhost:${server.address().port}`, { headers: { Host: host } });
+                ws.on('unexpected-response', (req, res) => resolve(res));
+                ws.on('error', () => {});
+            });
+            assert.equal(upgrade.statusCode, 302);
+            assert.equal(upgrade.headers.location, 'https://sso.example.com/login');
+
+            tunnelSocket.destroy();
+            localSocket.destroy();
+            await makeRequest(adminServer, '/api/tunnels/sso-app', { method: 'DELETE' });
+            await new Promise(resolve => localServer.close(resolve));
+            await new Promise(resolve => server.close(resolve));
+            await new Promise(resolve => adminServer.close(resolve));
+        });
+    });
 });